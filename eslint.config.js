@@ -27,6 +27,9 @@ export default [
                 setInterval: 'readonly',
                 clearInterval: 'readonly',
                 AbortController: 'readonly',
+                Worker: 'readonly',
+                self: 'readonly',
+                importScripts: 'readonly',
                 URL: 'readonly',
                 URLSearchParams: 'readonly',
                 Blob: 'readonly',
@@ -82,7 +85,8 @@ export default [
                 window: 'readonly',
                 setTimeout: 'readonly',
                 TextEncoder: 'readonly',
-                TextDecoder: 'readonly'
+                TextDecoder: 'readonly',
+                AbortController: 'readonly'
             }
         },
         rules: {
@@ -1,10 +1,11 @@
 import { appState, hideAnimation, escapeHtml, isTokenError, clearAuthenticationState, executeWithAnimation } from "./src/common.js";
 import { getAccessToken, getUserDetails } from "./src/api.js";
 import { login } from "./src/login.js";
-import { renderHomePage } from "./src/homepage.js";
+import { renderHomePage, renderRoute } from "./src/homepage.js";
 import { addEventFileDrop, addEventDropClicked, addEventHomeIconClick } from "./src/events.js";
 import { WELCOME_TEMPLATES } from "./src/templates.js";
 import { CONFIG, PAGINATION_CONFIG, DOM_ELEMENTS } from "./src/config.js";
+import { getCurrentRoute, setRoute, takeRememberedRoute } from "./src/router.js";
 
 // Expose appState to window for debugging in console
 // Usage in console: appState.getState() or appState.setState({key: value})
@@ -23,7 +24,7 @@ addEventFileDrop();
 
 /**
  * Main application initialization handler
- * Simplified flow without hash-based routing
+ * Deep links in the hash are restored once the user is authenticated
  */
 const initializeApp = async () => {
     try {
@@ -94,7 +95,6 @@ const handleInitializationError = (error) => {
 
 /**
  * Handles the main application flow after authentication check
- * Simplified flow without hash-based routing
  */
 const handleAppFlow = async () => {
     const { isLoggedIn } = appState.getState();
@@ -142,8 +142,16 @@ const initializeAuthenticatedUser = async () => {
         // Create user interface elements
         renderUserInterface(userData);
         
-        // Always render homepage for authenticated users
-        await renderHomePage();
+        // A link opened before login was parked across the OAuth redirect
+        const rememberedRoute = takeRememberedRoute();
+        if (rememberedRoute) {
+            setRoute(rememberedRoute, { replace: true });
+        }
+
+        // Render whatever the address bar points at: homepage, repository, or concept
+        await renderRoute(getCurrentRoute());
+        
+        addEventHistoryNavigation();
         
     } catch (error) {
         console.error('Failed to initialize authenticated user:', error);
@@ -188,6 +196,23 @@ const renderUserInterface = (userData) => {
     addEventHomeIconClick(renderHomePage);
 };
 
+/**
+ * Follows back/forward navigation and hand-edited links between routes
+ * Registered once, after authentication, since no route renders without a user
+ */
+let historyNavigationBound = false;
+
+const addEventHistoryNavigation = () => {
+    if (historyNavigationBound) return;
+    historyNavigationBound = true;
+
+    window.addEventListener('popstate', () => {
+        executeWithAnimation(renderRoute, getCurrentRoute()).catch(error => {
+            console.error('Failed to render route:', error);
+        });
+    });
+};
+
 /**
  * Handles OAuth callback from GitHub after user authorization
  * Exchanges authorization code for access token and updates application state
@@ -9,7 +9,8 @@
 
 import { REDIRECT_URI, REDIRECT_URI_LOCAL, API_CONFIG, RATE_LIMIT_WARN_THRESHOLD } from './config.js';
 import { toBase64, isLocal, appState, fromBase64, isTokenError, showUserNotification, getErrorMessage, normalizeConcept } from './common.js';
-import { readCachedConcepts, writeCachedConcepts } from './cache.js';
+import { readCachedConcepts, readCachedFileInfo, writeCachedConcepts } from './cache.js';
+import { BATCH_STATUS, recordBatch, planRollbackCommits, findRollbackConflicts } from './journal.js';
 
 /**
  * Gets the appropriate API base URL based on environment
@@ -250,6 +251,12 @@ export const getRepoContents = async () => {
     );
 };
 
+/**
+ * In-flight loadAllConcepts calls, by repository and tree SHA
+ * Search and filters can both ask for every concept at once; they share one download.
+ */
+const pendingConceptLoads = new Map();
+
 /**
  * Loads every concept in the repository, from the local cache when possible
  *
@@ -258,14 +265,36 @@ export const getRepoContents = async () => {
  *
  * @async
  * @function loadAllConcepts
- * @returns {Promise<Object>} `{ concepts, failed, fromCache }`
+ * @returns {Promise<Object>} `{ concepts, fileNames, legacyIdFiles, failed, fromCache }`:
+ *   `fileNames[i]` is the file `concepts[i]` was read from, `legacyIdFiles` the files that
+ *   spell the ID `conceptId` before normalizing, and `failed` the files that could not be read
  * @throws {Error} Throws if the archive cannot be downloaded or opened
  */
 export const loadAllConcepts = async () => {
+    const { owner, repoName, treeSha } = appState.getState();
+    const loadKey = `${owner}/${repoName}@${treeSha}`;
+
+    if (!pendingConceptLoads.has(loadKey)) {
+        pendingConceptLoads.set(loadKey, readAllConcepts().finally(() => pendingConceptLoads.delete(loadKey)));
+    }
+
+    return pendingConceptLoads.get(loadKey);
+};
+
+/**
+ * Reads every concept for loadAllConcepts, which shares the result between callers
+ *
+ * @async
+ * @function readAllConcepts
+ * @returns {Promise<Object>} `{ concepts, fileNames, legacyIdFiles, failed, fromCache }`
+ * @throws {Error} Throws if the archive cannot be downloaded or opened
+ */
+const readAllConcepts = async () => {
     const { owner, repoName, treeSha, files } = appState.getState();
 
     const cached = await readCachedConcepts(owner, repoName, treeSha);
-    if (cached) return { concepts: cached, failed: [], fromCache: true };
+    const cachedFileInfo = cached && await readCachedFileInfo(owner, repoName, treeSha);
+    if (cached && cachedFileInfo) return { concepts: cached, ...cachedFileInfo, failed: [], fromCache: true };
 
     const archive = await getRepoContents();
     const zip = await JSZip.loadAsync(archive);
@@ -275,6 +304,8 @@ export const loadAllConcepts = async () => {
     const conceptFiles = (files || []).filter(file => file.name.endsWith('.json'));
 
     const concepts = [];
+    const fileNames = [];
+    const legacyIdFiles = [];
     const failed = [];
 
     for (const file of conceptFiles) {
@@ -286,7 +317,13 @@ export const loadAllConcepts = async () => {
         }
 
         try {
-            concepts.push(normalizeConcept(JSON.parse(await entry.async('string'))));
+            const concept = JSON.parse(await entry.async('string'));
+
+            // Normalizing hides the legacy spelling, so note it for the integrity check first
+            if (concept?.conceptId !== undefined) legacyIdFiles.push(file.name);
+
+            concepts.push(normalizeConcept(concept));
+            fileNames.push(file.name);
         } catch (error) {
             failed.push(file.name);
             console.error(`Error processing file ${file.name}:`, error);
@@ -295,10 +332,38 @@ export const loadAllConcepts = async () => {
 
     // Only cache a clean read, so a partial failure is not remembered as complete
     if (failed.length === 0) {
-        await writeCachedConcepts(owner, repoName, treeSha, concepts);
+        await writeCachedConcepts(owner, repoName, treeSha, concepts, { fileNames, legacyIdFiles });
+    }
+
+    return { concepts, fileNames, legacyIdFiles, failed, fromCache: false };
+};
+
+/**
+ * Reads files as they are committed on the default branch, from one archive download
+ *
+ * An import keeps this text to write back if it is rolled back, so unlike
+ * loadAllConcepts nothing is parsed or normalized, and nothing comes from the cache.
+ *
+ * @async
+ * @function readCommittedFiles
+ * @param {Array<string>} names - Repository-relative paths
+ * @returns {Promise<Map<string, string>>} Text by path, for each of the files that exists
+ * @throws {Error} Throws if the archive cannot be downloaded or opened
+ */
+export const readCommittedFiles = async (names) => {
+    const archive = await getRepoContents();
+    const zip = await JSZip.loadAsync(archive);
+
+    // GitHub wraps the archive in a single owner-repo-sha directory
+    const basePath = Object.keys(zip.files)[0];
+    const texts = new Map();
+
+    for (const name of names) {
+        const entry = zip.files[`${basePath}${name}`];
+        if (entry) texts.set(name, await entry.async('string'));
     }
 
-    return { concepts, failed, fromCache: false };
+    return texts;
 };
 
 /**
@@ -339,6 +404,7 @@ export const addFile = async (fileName, content) => {
  * @param {string} fileName - Name of the file to update
  * @param {string} content - New file content as string
  * @param {string} sha - Current SHA hash of the file (needed for updates)
+ * @param {string} [message] - Commit message; defaults to the standard update message
  * @returns {Promise<Object>} GitHub API response with updated file details
  * @throws {Error} Throws error if file update fails
  * 
@@ -347,7 +413,7 @@ export const addFile = async (fileName, content) => {
  * const result = await updateFile('concept.json', newContent, currentSha);
  * console.log(`File updated with new SHA: ${result.content.sha}`);
  */
-export const updateFile = async (fileName, content, sha) => {
+export const updateFile = async (fileName, content, sha, message = API_CONFIG.COMMIT_MESSAGES.UPDATE_FILE) => {
     const { owner, repoName } = appState.getState();
 
     return await makeApiRequest(
@@ -359,7 +425,7 @@ export const updateFile = async (fileName, content, sha) => {
                 repo: repoName,
                 path: fileName,
                 sha,
-                message: API_CONFIG.COMMIT_MESSAGES.UPDATE_FILE,
+                message,
                 content: toBase64(content)
             })
         },
@@ -457,16 +523,18 @@ export const getRepoTree = async (ref) => {
  * @async
  * @function getFileContentRaw
  * @param {string} path - Repository-relative file path
+ * @param {string} [ref] - Commit SHA or branch to read from; defaults to the default branch
  * 
  * @returns {Promise<string|null>} File contents, or null if the file does not exist
  * @throws {Error} Throws error for any failure other than a missing file
  */
-export const getFileContentRaw = async (path) => {
+export const getFileContentRaw = async (path, ref) => {
     const { owner, repoName } = appState.getState();
+    const refParam = ref ? `&ref=${encodeURIComponent(ref)}` : '';
 
     try {
         const response = await makeApiRequest(
-            `getFileContent&owner=${owner}&repo=${repoName}&path=${encodeURIComponent(path)}`,
+            `getFileContent&owner=${owner}&repo=${repoName}&path=${encodeURIComponent(path)}${refParam}`,
             { method: 'GET' },
             'Get file content'
         );
@@ -478,6 +546,59 @@ export const getFileContentRaw = async (path) => {
     }
 };
 
+/**
+ * Statuses the backend answers an action it does not have with
+ */
+const UNSUPPORTED_ACTION_STATUSES = [
+    API_CONFIG.STATUS_CODES.BAD_REQUEST,
+    API_CONFIG.STATUS_CODES.NOT_FOUND,
+    API_CONFIG.STATUS_CODES.NOT_IMPLEMENTED
+];
+
+/**
+ * Lists the commits that touched a file, newest first
+ * Deployments of the backend from before file history have no getFileHistory action.
+ * The first call records in appState.fileHistorySupported whether this one does, so the
+ * History tab can be hidden where it cannot work.
+ * 
+ * @async
+ * @function getFileHistory
+ * @param {string} path - Repository-relative file path
+ * 
+ * @returns {Promise<Array<Object>>} Commits as `{ sha, message, author, login, date }`
+ * @throws {Error} Throws error if the history cannot be read, marked `unsupported` when
+ *   the backend has no history action
+ */
+export const getFileHistory = async (path) => {
+    const { owner, repoName } = appState.getState();
+
+    let response;
+    try {
+        response = await makeApiRequest(
+            `getFileHistory&owner=${owner}&repo=${repoName}&path=${encodeURIComponent(path)}`,
+            { method: 'GET' },
+            'Get file history'
+        );
+    } catch (error) {
+        if (UNSUPPORTED_ACTION_STATUSES.includes(error.status)) {
+            appState.setState({ fileHistorySupported: false });
+            error.unsupported = true;
+        }
+        throw error;
+    }
+
+    appState.setState({ fileHistorySupported: true });
+
+    return (response.data || []).map(entry => ({
+        sha: entry.sha,
+        message: entry.commit?.message || '',
+        // The git author name survives account deletion; the login is the GitHub account
+        author: entry.commit?.author?.name || entry.author?.login || 'Unknown',
+        login: entry.author?.login || null,
+        date: entry.commit?.author?.date || null
+    }));
+};
+
 /**
  * Loads and parses the repository index.json
  * 
@@ -530,6 +651,67 @@ export const commitFiles = async (files, deletions = [], message) => {
     );
 };
 
+/**
+ * Rolls back the committed batches of an import, unless their files have changed since
+ *
+ * Every file the import wrote is checked against the default branch first, and nothing
+ * is reverted if one has been edited or removed since: writing back what it replaced
+ * would undo that change too. Otherwise the batches are undone in as few commits as the
+ * backend takes, each batch going back to pending once its commit lands. A commit that
+ * fails ends the rollback, leaving its batches and any after it committed for a later try.
+ *
+ * @async
+ * @function rollBackImport
+ * @param {Object} journal - Journal from createImportJournal
+ * @param {Object} [callbacks={}]
+ * @param {Function} [callbacks.onCommitStart] - Called with the indexes of the batches a
+ *   commit undoes, before it is sent
+ * @param {Function} [callbacks.onCommitted] - Called with the updated journal and those
+ *   indexes once the commit lands
+ * 
+ * @returns {Promise<Object>} `{ journal, conflicts, error }`: the journal as far as the
+ *   rollback got, the files changed since the import, and the error a commit failed with, or null
+ * @throws {Error} Throws error if the branch cannot be read
+ */
+export const rollBackImport = async (journal, { onCommitStart = () => {}, onCommitted = () => {} } = {}) => {
+    const { repo } = appState.getState();
+    const { files } = await getRepoTree(repo.default_branch);
+
+    const conflicts = await findRollbackConflicts(journal, files);
+    if (conflicts.length > 0) return { journal, conflicts, error: null };
+
+    let current = journal;
+
+    for (const commit of planRollbackCommits(journal, API_CONFIG.COMMIT_FILE_LIMIT)) {
+        await onCommitStart(commit.batches);
+
+        try {
+            const count = commit.files.length + commit.deletions.length;
+            await commitFiles(commit.files, commit.deletions, API_CONFIG.COMMIT_MESSAGES.ROLL_BACK_IMPORT(count));
+        } catch (error) {
+            return { journal: current, conflicts: [], error };
+        }
+
+        current = commit.batches.reduce((updated, index) => recordBatch(updated, index, BATCH_STATUS.PENDING), current);
+        await onCommitted(current, commit.batches);
+    }
+
+    return { journal: current, conflicts: [], error: null };
+};
+
+/**
+ * Counts how far a commit goes over what the backend takes in one request
+ * The backend rejects a larger commit outright, so callers check this first and say why.
+ * 
+ * @function countCommitOverflow
+ * @param {Array<Object>} files - Files the commit writes
+ * @param {Array<string>} [deletions=[]] - Paths it removes
+ * 
+ * @returns {number} Files over API_CONFIG.COMMIT_FILE_LIMIT, or 0 when the commit fits
+ */
+export const countCommitOverflow = (files, deletions = []) =>
+    Math.max(files.length + deletions.length - API_CONFIG.COMMIT_FILE_LIMIT, 0);
+
 /**
  * Retrieves all repositories accessible to the authenticated user
  * 
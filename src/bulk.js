@@ -0,0 +1,318 @@
+/**
+ * Bulk edits: one field change applied to many concepts in a single commit.
+ *
+ * The change is planned in full before anything is written, so the user can review
+ * every concept it touches. Values are stored the way saveEditedConcept stores them:
+ * references as concept ID strings, a list for multi-select references, and optional
+ * fields removed rather than left empty.
+ *
+ * Deletes are planned the same way. Removing a concept can leave others pointing at
+ * nothing, so planBulkDelete follows references until every one is either deleted as well
+ * or has the reference detached, and the whole set goes in one commit.
+ */
+
+import { getReferenceIds } from './hierarchy.js';
+import { pruneReferences } from './integrity.js';
+
+/**
+ * Operations a bulk edit can apply
+ */
+export const BULK_OPERATIONS = {
+    set: 'Set to',
+    clear: 'Clear',
+    replace: 'Find and replace'
+};
+
+/**
+ * Fields a bulk edit cannot change
+ * The ID is the filename, and keys must stay unique, so neither can take one value many times.
+ */
+const NON_BULK_FIELDS = ['conceptId', 'conceptID', 'key'];
+
+/**
+ * Tests whether a field holds a list of references
+ * @param {Object} field - Field configuration
+ * @returns {boolean} True for multi-select reference fields
+ */
+export const isMultiReference = (field) =>
+    field.type === 'reference' && Boolean(field.allowMultiple || field.referencesType === 'RESPONSE');
+
+/**
+ * Lists the fields that can be bulk edited across a set of concept types
+ * A field appears once even when several types configure it; it applies only to the
+ * concepts whose type does.
+ *
+ * @param {Object} config - Field configuration for each concept type
+ * @param {Array<string>} types - Types of the selected concepts
+ * @returns {Array<Object>} Field configurations, each with the `types` that have it
+ */
+export const getBulkEditableFields = (config, types) => {
+    const fields = new Map();
+
+    [...new Set(types)].forEach(type => {
+        (config?.[type] || []).forEach(field => {
+            if (NON_BULK_FIELDS.includes(field.id)) return;
+
+            const existing = fields.get(field.id);
+            fields.set(field.id, existing
+                ? { ...existing, types: [...existing.types, type] }
+                : { ...field, types: [type] });
+        });
+    });
+
+    return [...fields.values()];
+};
+
+/**
+ * Tests whether a field holds nothing
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+const isEmptyValue = (value) =>
+    value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Tests whether two values of a field are the same
+ * References compare by ID, so 123 and '123' match, as they do everywhere else.
+ * @param {Object} field - Field configuration
+ * @param {*} a - One value
+ * @param {*} b - The other value
+ * @returns {boolean} True if the values match
+ */
+const isSameValue = (field, a, b) => {
+    if (isEmptyValue(a) || isEmptyValue(b)) return isEmptyValue(a) && isEmptyValue(b);
+    if (field.type === 'reference') return getReferenceIds(a).join() === getReferenceIds(b).join();
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Works out a field's new value under a bulk operation
+ *
+ * @param {*} current - Current field value
+ * @param {Object} field - Field configuration
+ * @param {Object} operation - `{ type: 'set', value }`, `{ type: 'clear' }` or
+ *   `{ type: 'replace', find, replace }`
+ * @returns {*} New value; '' or [] when the field ends up empty
+ */
+export const getBulkValue = (current, field, operation) => {
+    const multi = isMultiReference(field);
+
+    if (operation.type === 'clear') return multi ? [] : '';
+
+    if (operation.type === 'set') {
+        if (multi) return getReferenceIds(operation.value);
+        return String(operation.value ?? '').trim();
+    }
+
+    if (isEmptyValue(current)) return current;
+
+    if (field.type === 'reference') {
+        // References are whole IDs: 1234 must not turn 912345 into 9xxxx5
+        const find = String(operation.find).trim();
+        const replacement = String(operation.replace ?? '').trim();
+        const ids = getReferenceIds(current).map(id => (id === find ? replacement : id)).filter(Boolean);
+
+        return multi ? [...new Set(ids)] : (ids[0] ?? '');
+    }
+
+    return String(current).split(operation.find).join(operation.replace ?? '');
+};
+
+/**
+ * Checks an operation before it is planned
+ *
+ * @param {Object} field - Field configuration
+ * @param {Object} operation - Bulk operation
+ * @param {Object} index - Repository index.json contents, to resolve references
+ * @returns {Array<string>} Problems with the operation; empty if it can go ahead
+ */
+export const validateBulkOperation = (field, operation, index) => {
+    const errors = [];
+    const label = field.label || field.id;
+
+    if (operation.type === 'clear' && field.required) {
+        errors.push(`"${label}" is required and cannot be cleared.`);
+    }
+
+    if (operation.type === 'set' && field.required && isEmptyValue(getBulkValue(undefined, field, operation))) {
+        errors.push(`"${label}" is required; enter a value.`);
+    }
+
+    if (operation.type === 'replace' && !String(operation.find ?? '')) {
+        errors.push('Enter the text to find.');
+    }
+
+    if (operation.type === 'replace' && field.type === 'reference' && field.required && !String(operation.replace ?? '').trim()) {
+        errors.push(`"${label}" is required; enter a replacement concept ID.`);
+    }
+
+    if (field.type === 'reference') {
+        const ids = operation.type === 'set' ? getReferenceIds(operation.value)
+            : operation.type === 'replace' ? getReferenceIds(operation.replace)
+            : [];
+
+        if (!isMultiReference(field) && ids.length > 1) {
+            errors.push(`"${label}" holds a single reference.`);
+        }
+
+        ids.forEach(id => {
+            const entry = index?._files?.[`${id}.json`];
+            if (!entry) {
+                errors.push(`Concept ${id} does not exist.`);
+            } else if (field.referencesType && entry.object_type !== field.referencesType) {
+                errors.push(`Concept ${id} is ${entry.object_type}, but "${label}" references ${field.referencesType} concepts.`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Spells the ID the way a legacy file stores it, `conceptId`, first as on a repair
+ * Loaded concepts are normalized to `conceptID`; writing that back would change the
+ * file beyond the edit under review.
+ * @param {Object} concept - Normalized concept
+ * @returns {Object} Copy with `conceptId` in place of `conceptID`
+ */
+const withLegacyId = ({ conceptID, ...fields }) => ({ conceptId: conceptID, ...fields });
+
+/**
+ * Plans a bulk edit across the selected concepts
+ *
+ * @param {Array<Object>} selected - Selected concepts as `{ file, concept, legacyId }`,
+ *   legacyId set for a file that spells the ID `conceptId`
+ * @param {Object} field - Field configuration, from getBulkEditableFields
+ * @param {Object} operation - Bulk operation, already validated
+ * @returns {Object} `{ changes, writes, skipped }`: the before and after value for each
+ *   concept that changes, the files to commit, and the concepts left alone with the reason
+ */
+export const planBulkEdit = (selected, field, operation) => {
+    const changes = [];
+    const writes = [];
+    const skipped = [];
+
+    selected.forEach(({ file, concept, legacyId = false }) => {
+        if (!field.types.includes(concept.object_type)) {
+            skipped.push({ file, key: concept.key, reason: `${concept.object_type} concepts have no "${field.label || field.id}" field` });
+            return;
+        }
+
+        const before = concept[field.id];
+        const after = getBulkValue(before, field, operation);
+
+        if (isSameValue(field, before, after)) {
+            skipped.push({ file, key: concept.key, reason: operation.type === 'replace' ? 'No match' : 'Already has this value' });
+            return;
+        }
+
+        const updated = { ...concept };
+        if (isEmptyValue(after) && !field.required) {
+            delete updated[field.id];
+        } else {
+            updated[field.id] = after;
+        }
+
+        changes.push({ file, key: concept.key, before, after: updated[field.id] });
+        writes.push({ name: file, content: JSON.stringify(legacyId ? withLegacyId(updated) : updated, null, 2) });
+    });
+
+    return { changes, writes, skipped };
+};
+
+/**
+ * Plans deleting the selected concepts and dealing with everything that references them
+ *
+ * A concept that references one being deleted is a dependent. Each dependent is either
+ * deleted too, which may bring in dependents of its own, or has the reference detached.
+ * Detaching is the default, except where it would empty a required field; those
+ * dependents must go as well.
+ *
+ * @param {Object} repository - Loaded concepts
+ * @param {Array<Object>} repository.concepts - Normalized concept objects
+ * @param {Array<string>} repository.fileNames - File holding each concept
+ * @param {Object} repository.config - Field configuration for each concept type
+ * @param {Array<string>} [repository.legacyIdFiles=[]] - Files that spell the ID
+ *   `conceptId`, which a detached dependent keeps
+ * @param {Array<string>} selectedFiles - Files the user chose to delete
+ * @param {Object} [choices={}] - `'delete'` or `'detach'` for dependents, by file
+ * @returns {Object} `{ deletions, dependents, writes }`: every file to delete, each
+ *   dependent as `{ file, key, type, action, forced, references }` with references as
+ *   `{ fieldId, label, ids }`, and the detached dependents to rewrite
+ */
+export const planBulkDelete = ({ concepts, fileNames, config, legacyIdFiles = [] }, selectedFiles, choices = {}) => {
+    const entries = concepts.map((concept, position) => ({
+        file: fileNames[position],
+        concept,
+        id: String(concept.conceptID),
+        references: (config?.[concept.object_type] || [])
+            .filter(field => field.type === 'reference')
+            .map(field => ({ field, ids: getReferenceIds(concept[field.id]) }))
+            .filter(reference => reference.ids.length > 0)
+    }));
+
+    const deletedFiles = new Set(selectedFiles);
+    const deletedIds = new Set(entries.filter(entry => deletedFiles.has(entry.file)).map(entry => entry.id));
+
+    const hitsOf = (entry) => entry.references.filter(reference => reference.ids.some(id => deletedIds.has(id)));
+    const isForced = (hits) => hits.some(({ field, ids }) => field.required && ids.every(id => deletedIds.has(id)));
+
+    // Deleting a dependent can make others dependents, so repeat until nothing new is pulled in
+    let grew = true;
+    while (grew) {
+        grew = false;
+        entries.forEach(entry => {
+            if (deletedFiles.has(entry.file)) return;
+
+            const hits = hitsOf(entry);
+            if (hits.length === 0) return;
+
+            if (isForced(hits) || choices[entry.file] === 'delete') {
+                deletedFiles.add(entry.file);
+                deletedIds.add(entry.id);
+                grew = true;
+            }
+        });
+    }
+
+    const selected = new Set(selectedFiles);
+    const dependents = [];
+    const writes = [];
+
+    entries.forEach(entry => {
+        if (selected.has(entry.file)) return;
+
+        const hits = hitsOf(entry);
+        if (hits.length === 0) return;
+
+        const action = deletedFiles.has(entry.file) ? 'delete' : 'detach';
+        dependents.push({
+            file: entry.file,
+            key: entry.concept.key,
+            type: entry.concept.object_type,
+            action,
+            forced: isForced(hits),
+            references: hits.map(({ field, ids }) => ({
+                fieldId: field.id,
+                label: field.label || field.id,
+                ids: ids.filter(id => deletedIds.has(id))
+            }))
+        });
+
+        if (action === 'detach') {
+            const updated = { ...entry.concept };
+            hits.forEach(({ field }) => {
+                const pruned = pruneReferences(updated[field.id], id => !deletedIds.has(id));
+                if (isEmptyValue(pruned)) {
+                    delete updated[field.id];
+                } else {
+                    updated[field.id] = pruned;
+                }
+            });
+            const stored = legacyIdFiles.includes(entry.file) ? withLegacyId(updated) : updated;
+            writes.push({ name: entry.file, content: JSON.stringify(stored, null, 2) });
+        }
+    });
+
+    return { deletions: [...deletedFiles], dependents, writes };
+};
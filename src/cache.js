@@ -4,14 +4,26 @@
  * A tree SHA changes only when file content changes, so a hit means the cached
  * concepts are byte-identical to what the archive would return. One record is kept
  * per repository: a new SHA overwrites the old one rather than accumulating.
+ *
+ * Each concept's filename is stored alongside it, in a parallel list, with the files
+ * that used the legacy `conceptId` spelling, so checks that compare a concept to the
+ * file holding it work from the cache too.
+ *
+ * The full-text search index is derived from the same concepts (and config.json,
+ * which is part of the same tree), so it rides along on that record.
+ *
+ * The same database holds the import journal, in a store of its own: the batches of
+ * the latest import into each repository and whether each was committed, so an import
+ * cut short by a failed batch or a closed tab can be finished later.
  */
 
 const DB_NAME = 'cidtool';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE = 'repoConcepts';
+const JOURNAL_STORE = 'importJournals';
 
 /**
- * Opens the cache database, creating the object store on first use
+ * Opens the cache database, creating the object stores on first use
  * @returns {Promise<IDBDatabase>} Open database handle
  */
 const openDb = () => new Promise((resolve, reject) => {
@@ -19,9 +31,11 @@ const openDb = () => new Promise((resolve, reject) => {
 
     request.onupgradeneeded = () => {
         const db = request.result;
-        if (!db.objectStoreNames.contains(STORE)) {
-            db.createObjectStore(STORE, { keyPath: 'repo' });
-        }
+        [STORE, JOURNAL_STORE].forEach(name => {
+            if (!db.objectStoreNames.contains(name)) {
+                db.createObjectStore(name, { keyPath: 'repo' });
+            }
+        });
     };
 
     request.onsuccess = () => resolve(request.result);
@@ -32,14 +46,15 @@ const openDb = () => new Promise((resolve, reject) => {
  * Runs a single-store transaction and resolves with its result
  * @param {string} mode - Transaction mode, 'readonly' or 'readwrite'
  * @param {Function} run - Receives the object store, returns an IDBRequest
+ * @param {string} [storeName=STORE] - Object store to use
  * @returns {Promise<any>} Result of the request, once the transaction commits
  */
-const withStore = async (mode, run) => {
+const withStore = async (mode, run, storeName = STORE) => {
     const db = await openDb();
     try {
         return await new Promise((resolve, reject) => {
-            const tx = db.transaction(STORE, mode);
-            const request = run(tx.objectStore(STORE));
+            const tx = db.transaction(storeName, mode);
+            const request = run(tx.objectStore(storeName));
             let result;
 
             request.onsuccess = () => { result = request.result; };
@@ -81,15 +96,41 @@ export const readCachedConcepts = async (owner, repoName, sha) => {
     }
 };
 
+/**
+ * Reads the file details cached with the concepts, but only if they match the expected tree SHA
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} sha - Tree SHA the caller expects
+ * @returns {Promise<Object|null>} `{ fileNames, legacyIdFiles }`: the file each cached concept
+ *   was read from, in the same order, and the files spelling the ID `conceptId`; null on a
+ *   miss or a record cached before these were kept
+ */
+export const readCachedFileInfo = async (owner, repoName, sha) => {
+    if (!sha) return null;
+
+    try {
+        const record = await withStore('readonly', store => store.get(repoKey(owner, repoName)));
+        if (!record || record.sha !== sha || !record.fileNames || !record.legacyIdFiles) return null;
+
+        return { fileNames: record.fileNames, legacyIdFiles: record.legacyIdFiles };
+    } catch (error) {
+        console.warn('Concept cache read failed:', error);
+        return null;
+    }
+};
+
 /**
  * Stores concepts for a repository, replacing any previous entry
  * @param {string} owner - Repository owner
  * @param {string} repoName - Repository name
  * @param {string} sha - Tree SHA the concepts were read at
  * @param {Array<Object>} concepts - Concept objects to cache
+ * @param {Object} [fileInfo] - File details, as returned by readCachedFileInfo
+ * @param {Array<string>} [fileInfo.fileNames] - Filename each concept was read from, in the same order
+ * @param {Array<string>} [fileInfo.legacyIdFiles] - Files spelling the ID `conceptId`
  * @returns {Promise<void>} Resolves when written, or on a swallowed failure
  */
-export const writeCachedConcepts = async (owner, repoName, sha, concepts) => {
+export const writeCachedConcepts = async (owner, repoName, sha, concepts, { fileNames, legacyIdFiles } = {}) => {
     if (!sha) return;
 
     try {
@@ -97,6 +138,8 @@ export const writeCachedConcepts = async (owner, repoName, sha, concepts) => {
             repo: repoKey(owner, repoName),
             sha,
             concepts,
+            fileNames,
+            legacyIdFiles,
             cachedAt: Date.now()
         }));
     } catch (error) {
@@ -118,3 +161,91 @@ export const clearCachedConcepts = async (owner, repoName) => {
         console.warn('Concept cache clear failed:', error);
     }
 };
+
+/**
+ * Reads the cached search index, but only if it was built at the expected tree SHA
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} sha - Tree SHA the caller expects
+ * @returns {Promise<Array<Object>|null>} Cached search index, or null on miss
+ */
+export const readCachedSearchIndex = async (owner, repoName, sha) => {
+    if (!sha) return null;
+
+    try {
+        const record = await withStore('readonly', store => store.get(repoKey(owner, repoName)));
+        return record && record.sha === sha && record.searchIndex ? record.searchIndex : null;
+    } catch (error) {
+        console.warn('Search index cache read failed:', error);
+        return null;
+    }
+};
+
+/**
+ * Attaches a search index to the cached concepts it was built from
+ * Skipped when the cached concepts are missing or from another SHA: an index on its
+ * own would be dropped by the next concept write anyway.
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} sha - Tree SHA the index was built at
+ * @param {Array<Object>} searchIndex - Search index to cache
+ * @returns {Promise<void>} Resolves when written, or on a skipped or swallowed write
+ */
+export const writeCachedSearchIndex = async (owner, repoName, sha, searchIndex) => {
+    if (!sha) return;
+
+    try {
+        const record = await withStore('readonly', store => store.get(repoKey(owner, repoName)));
+        if (!record || record.sha !== sha) return;
+
+        await withStore('readwrite', store => store.put({ ...record, searchIndex }));
+    } catch (error) {
+        console.warn('Search index cache write failed:', error);
+    }
+};
+
+/**
+ * Reads the import journal kept for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @returns {Promise<Object|null>} Journal from createImportJournal, or null if none is kept
+ */
+export const readImportJournal = async (owner, repoName) => {
+    try {
+        const record = await withStore('readonly', store => store.get(repoKey(owner, repoName)), JOURNAL_STORE);
+        return record ? record.journal : null;
+    } catch (error) {
+        console.warn('Import journal read failed:', error);
+        return null;
+    }
+};
+
+/**
+ * Stores the import journal for a repository, replacing the previous one
+ * A journal that cannot be stored only costs the ability to resume, so the import goes on.
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {Object} journal - Journal from createImportJournal
+ * @returns {Promise<void>} Resolves when written, or on a swallowed failure
+ */
+export const writeImportJournal = async (owner, repoName, journal) => {
+    try {
+        await withStore('readwrite', store => store.put({ repo: repoKey(owner, repoName), journal }), JOURNAL_STORE);
+    } catch (error) {
+        console.warn('Import journal write failed:', error);
+    }
+};
+
+/**
+ * Drops the import journal for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @returns {Promise<void>} Resolves when cleared, or on a swallowed failure
+ */
+export const clearImportJournal = async (owner, repoName) => {
+    try {
+        await withStore('readwrite', store => store.delete(repoKey(owner, repoName)), JOURNAL_STORE);
+    } catch (error) {
+        console.warn('Import journal clear failed:', error);
+    }
+};
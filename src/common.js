@@ -562,8 +562,8 @@ const updateResponseSelection = (fieldId) => {
     }
 };
 
-// Make removeResponsePill globally available
-window.removeResponsePill = (fieldId, value) => {
+// Make removeResponsePill globally available; globalThis, as the import worker loads this module too
+globalThis.removeResponsePill = (fieldId, value) => {
     const checkbox = document.getElementById(`${fieldId}_${value}`);
     if (checkbox) {
         checkbox.checked = false;
@@ -1,14 +1,17 @@
-import { CONFIG } from "./config.js";
-import { displayError } from "./common.js";
+import { CONFIG, MODAL_CONFIG } from "./config.js";
+import { displayError, normalizeConcept } from "./common.js";
+import { getReferenceIds } from "./hierarchy.js";
 
 /**
  * Assigns concept IDs to keys from spreadsheet data
  * @param {Array} categories - Column mapping for each concept type
  * @param {Array} data - Spreadsheet data rows
  * @param {Set} existingRepoIds - Set of Concept IDs already in the repository (optional)
+ * @param {Map} existingKeyIds - Concept ID of each existing key, lowercase (optional); keys
+ *   without an ID in the sheet reuse it instead of getting a new one, for updates
  * @returns {Array|false} Array of concept mappings or false if validation fails
  */
-export const assignConcepts = (categories, data, existingRepoIds = new Set()) => {
+export const assignConcepts = (categories, data, existingRepoIds = new Set(), existingKeyIds = new Map()) => {
 
     let concepts = [];
     const seenConcepts = new Set(); // Track concept keys we've already processed (lowercase for case-insensitive matching)
@@ -57,7 +60,7 @@ export const assignConcepts = (categories, data, existingRepoIds = new Set()) =>
     }
 
     concepts = filterDuplicateMapping(concepts);
-    concepts = backfillConceptIDs(concepts, existingRepoIds);
+    concepts = backfillConceptIDs(concepts, existingRepoIds, existingKeyIds);
 
     return concepts;
 }
@@ -134,9 +137,10 @@ const filterDuplicateMapping = (objects) => {
  * Fills in missing Concept IDs with auto-generated unique values
  * @param {Array} objects - Concept objects that may be missing IDs
  * @param {Set} existingRepoIds - Set of Concept IDs already in the repository
+ * @param {Map} existingKeyIds - Concept ID of each existing key, lowercase
  * @returns {Array} Objects with all IDs populated
  */
-const backfillConceptIDs = (objects, existingRepoIds = new Set()) => {
+const backfillConceptIDs = (objects, existingRepoIds = new Set(), existingKeyIds = new Map()) => {
 
     // Collect IDs from the import file (exclude empty strings and null)
     const fileIds = new Set(
@@ -151,6 +155,13 @@ const backfillConceptIDs = (objects, existingRepoIds = new Set()) => {
     for (let object of objects) {
         // Check if ID is missing (undefined, null, or empty string)
         if (object.id === undefined || object.id === null || object.id === '') {
+            // An existing concept keeps its ID; the sheet's IDs are numbers, so this is too
+            const existingId = existingKeyIds.get(object.concept.toLowerCase());
+            if (existingId !== undefined) {
+                object.id = Number(existingId);
+                continue;
+            }
+
             let id;
             
             do {
@@ -169,6 +180,64 @@ const generateConceptID = () => {
     return Math.floor(100000000 + Math.random() * 900000000);
 }
 
+// ============================================================================
+// CONCEPT FILES
+// ============================================================================
+
+/**
+ * Repository files that sit beside the concepts but are not concepts
+ */
+const NON_CONCEPT_FILES = ['index.json', 'config.json'];
+
+/**
+ * Reads a folder of concept JSON files for import
+ * Each file must hold one concept with a key, a Concept ID and a known object type; the
+ * rest are reported by file name, in the shape validateImportData gives its errors.
+ * The ID is read in either spelling and kept as conceptID, as concepts are loaded.
+ * 
+ * @param {Array<Object>} files - Files as `{ name, text }`
+ * @returns {Object} `{ concepts, errors }`: the concepts, tagged with _sourceFile, and
+ *   an INVALID_CONCEPT_FILE error for each file that could not be read as one
+ */
+export const parseConceptFiles = (files) => {
+    const concepts = [];
+    const errors = [];
+
+    const reject = (name, message, suggestion) => errors.push({
+        type: 'INVALID_CONCEPT_FILE',
+        severity: 'error',
+        file: name,
+        message,
+        suggestion
+    });
+
+    files
+        .filter(({ name }) => name.toLowerCase().endsWith('.json') && !NON_CONCEPT_FILES.includes(name.toLowerCase()))
+        .forEach(({ name, text }) => {
+            let concept;
+            try {
+                concept = JSON.parse(text);
+            } catch (error) {
+                reject(name, `${name} is not valid JSON: ${error.message}`, 'Fix the JSON syntax or remove the file from the folder');
+                return;
+            }
+
+            if (!concept || typeof concept !== 'object' || Array.isArray(concept)) {
+                reject(name, `${name} does not hold a concept object`, 'Each file must hold one concept');
+            } else if (!MODAL_CONFIG.CONCEPT_TYPES.includes(concept.object_type)) {
+                reject(name, `${name} has no known object_type`, `Set object_type to one of ${MODAL_CONFIG.CONCEPT_TYPES.join(', ')}`);
+            } else if (typeof concept.key !== 'string' || concept.key.trim() === '') {
+                reject(name, `${name} has no key`, 'Add a key to the concept');
+            } else if ((concept.conceptID ?? concept.conceptId ?? '') === '') {
+                reject(name, `${name} has no conceptID`, 'Add the Concept ID the file is named after');
+            } else {
+                concepts.push({ ...normalizeConcept(concept), _sourceFile: name });
+            }
+        });
+
+    return { concepts, errors };
+};
+
 // ============================================================================
 // IMPORT VALIDATION
 // ============================================================================
@@ -178,23 +247,32 @@ const generateConceptID = () => {
  * Performs comprehensive checks before allowing import
  * 
  * @param {Array<Object>} conceptObjects - Structured concept objects from dictionary parsing
+ * In update mode a row may name an existing concept, by Concept ID or by key, and is
+ * merged into it rather than rejected as a duplicate. It must still be the same type,
+ * and its key must not belong to a different concept.
+ * 
+ * @param {Array<Object>} conceptObjects - Structured concept objects from dictionary parsing
  * @param {Object} existingIndex - Current repository index (index._files)
  * @param {Object} config - Field configuration for each concept type
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.updateExisting=false] - Whether rows may update existing concepts
+ * @param {Function} [options.onChecked] - Called after each concept with the number checked
+ *   and the number of errors found so far
  * @returns {Object} Validation result with { valid: boolean, errors: Array<Object> }
  */
-export const validateImportData = (conceptObjects, existingIndex, config) => {
+export const validateImportData = (conceptObjects, existingIndex, config, { updateExisting = false, onChecked = () => {} } = {}) => {
     const errors = [];
     const existingFiles = existingIndex?._files || {};
     
     // Build lookup sets from existing data
     // The filename IS the concept ID (e.g., "164242418.json" -> "164242418")
-    const existingConceptIds = new Set();
+    const existingConceptIds = new Map(); // conceptID -> object_type
     const existingKeys = new Map(); // key (lowercase) -> conceptID
     
     Object.entries(existingFiles).forEach(([filename, fileData]) => {
         // Extract concept ID from filename (remove .json extension)
         const conceptIdFromFile = filename.replace('.json', '');
-        existingConceptIds.add(conceptIdFromFile);
+        existingConceptIds.set(conceptIdFromFile, fileData.object_type);
         
         if (fileData.key) {
             existingKeys.set(fileData.key.toLowerCase(), conceptIdFromFile);
@@ -209,16 +287,30 @@ export const validateImportData = (conceptObjects, existingIndex, config) => {
     conceptObjects.forEach((concept, index) => {
         // Use _sourceRow if available, otherwise fall back to index-based calculation
         const rowNum = concept._sourceRow || (index + 2);
+        // A normalized workbook numbers rows per sheet, so errors name the sheet as well;
+        // a concept read from a folder is named by its file instead
+        const at = concept._sourceFile ? { file: concept._sourceFile }
+            : concept._sourceSheet ? { row: rowNum, sheet: concept._sourceSheet } : { row: rowNum };
         const conceptKey = concept.key;
         const conceptId = String(concept.conceptID);
         const objectType = concept.object_type;
         
         // 1. Check for duplicate Concept ID in existing repository
-        if (existingConceptIds.has(conceptId)) {
+        if (updateExisting && existingConceptIds.has(conceptId) && existingConceptIds.get(conceptId) !== objectType) {
+            errors.push({
+                type: 'TYPE_MISMATCH',
+                severity: 'error',
+                ...at,
+                key: conceptKey,
+                conceptId: conceptId,
+                message: `Concept ID "${conceptId}" is a ${existingConceptIds.get(conceptId)} concept in the repository, but this row imports it as ${objectType}`,
+                suggestion: `Move the row to the ${existingConceptIds.get(conceptId)} columns, or use a different ID`
+            });
+        } else if (!updateExisting && existingConceptIds.has(conceptId)) {
             errors.push({
                 type: 'DUPLICATE_CONCEPT_ID',
                 severity: 'error',
-                row: rowNum,
+                ...at,
                 key: conceptKey,
                 conceptId: conceptId,
                 message: `Concept ID "${conceptId}" is already in use in the repository`,
@@ -231,7 +323,7 @@ export const validateImportData = (conceptObjects, existingIndex, config) => {
             errors.push({
                 type: 'DUPLICATE_CONCEPT_ID_IMPORT',
                 severity: 'error',
-                row: rowNum,
+                ...at,
                 key: conceptKey,
                 conceptId: conceptId,
                 message: `Concept ID "${conceptId}" is used multiple times in this file`,
@@ -242,12 +334,12 @@ export const validateImportData = (conceptObjects, existingIndex, config) => {
         
         // 3. Check for duplicate Key in existing repository
         const keyLower = conceptKey.toLowerCase();
-        if (existingKeys.has(keyLower)) {
+        if (existingKeys.has(keyLower) && !(updateExisting && existingKeys.get(keyLower) === conceptId)) {
             const existingId = existingKeys.get(keyLower);
             errors.push({
                 type: 'DUPLICATE_KEY',
                 severity: 'error',
-                row: rowNum,
+                ...at,
                 key: conceptKey,
                 existingConceptId: existingId,
                 message: `Key "${conceptKey}" already exists in the repository (Concept ID: ${existingId})`,
@@ -262,7 +354,7 @@ export const validateImportData = (conceptObjects, existingIndex, config) => {
                 errors.push({
                     type: 'DUPLICATE_KEY_IMPORT',
                     severity: 'error',
-                    row: rowNum,
+                    ...at,
                     key: conceptKey,
                     conceptId: conceptId,
                     conflictingConceptId: conflictingId,
@@ -289,7 +381,7 @@ export const validateImportData = (conceptObjects, existingIndex, config) => {
                     errors.push({
                         type: 'MISSING_REQUIRED_FIELD',
                         severity: 'error',
-                        row: rowNum,
+                        ...at,
                         key: conceptKey,
                         conceptId: conceptId,
                         field: field.label || field.id,
@@ -301,6 +393,8 @@ export const validateImportData = (conceptObjects, existingIndex, config) => {
                 }
             }
         });
+        
+        onChecked(index + 1, errors.length);
     });
     
     return {
@@ -311,7 +405,134 @@ export const validateImportData = (conceptObjects, existingIndex, config) => {
             errorCount: errors.length,
             duplicateIds: errors.filter(e => e.type.includes('DUPLICATE_CONCEPT_ID')).length,
             duplicateKeys: errors.filter(e => e.type.includes('DUPLICATE_KEY')).length,
-            missingFields: errors.filter(e => e.type === 'MISSING_REQUIRED_FIELD').length
+            missingFields: errors.filter(e => e.type === 'MISSING_REQUIRED_FIELD').length,
+            typeMismatches: errors.filter(e => e.type === 'TYPE_MISMATCH').length
         }
     };
-};
\ No newline at end of file
+};
+
+// ============================================================================
+// IMPORT UPDATES
+// ============================================================================
+
+/**
+ * Merges imported rows into the concepts they update
+ * A row only carries the columns the sheet has, so fields it leaves out keep their
+ * stored values. References that name the same IDs keep their stored form, so a
+ * stored "123" is not reported as changed to 123.
+ * 
+ * @param {Array<Object>} conceptObjects - Structured concept objects from dictionary parsing
+ * @param {Map<string, Object>} existingConcepts - Stored concepts by Concept ID
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Object} `{ concepts, creates, updates, unchanged }`: every row after merging,
+ *   in order, then the new concepts, the updates as `{ concept, before, changes }`, and
+ *   the rows that match what is stored
+ */
+export const planImportUpdates = (conceptObjects, existingConcepts, config) => {
+    const concepts = [];
+    const creates = [];
+    const updates = [];
+    const unchanged = [];
+
+    conceptObjects.forEach(row => {
+        const before = existingConcepts.get(String(row.conceptID));
+
+        if (!before) {
+            concepts.push(row);
+            creates.push(row);
+            return;
+        }
+
+        const typeConfig = config?.[row.object_type] || [];
+        const merged = { ...before, ...row };
+
+        typeConfig
+            .filter(field => field.type === 'reference' && row[field.id] !== undefined && before[field.id] !== undefined)
+            .forEach(field => {
+                if (getReferenceIds(row[field.id]).join() === getReferenceIds(before[field.id]).join()) {
+                    merged[field.id] = before[field.id];
+                }
+            });
+
+        // The stored ID spelling wins too; normalizeConcept has already made it conceptID
+        merged.conceptID = before.conceptID;
+
+        const changes = diffConcepts(before, merged, typeConfig);
+        concepts.push(merged);
+
+        if (changes.length === 0) {
+            unchanged.push(merged);
+        } else {
+            updates.push({ concept: merged, before, changes });
+        }
+    });
+
+    return { concepts, creates, updates, unchanged };
+};
+
+// ============================================================================
+// CONCEPT DIFF
+// ============================================================================
+
+/**
+ * Tests whether a field holds a value worth showing
+ * An empty string or empty list is how the edit form clears a field, so it counts as absent
+ * @param {*} value - Field value
+ * @returns {boolean} True if the field has a value
+ */
+const hasFieldValue = (value) => {
+    if (value === undefined || value === null || value === '') return false;
+    return !(Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Compares two versions of a concept field by field
+ * Configured fields come first, in configuration order, followed by any other fields
+ * either version carries. List order is significant, as it is for responses.
+ * 
+ * @param {Object|null} before - Older version, or null if the concept did not exist
+ * @param {Object|null} after - Newer version, or null if the concept was deleted
+ * @param {Array<Object>} [typeConfig=[]] - Field configuration for the concept's type
+ * @returns {Array<Object>} Changed fields as `{ field, label, before, after, change }`,
+ *   where change is 'added', 'removed' or 'changed'
+ * 
+ * @example
+ * diffConcepts({ key: 'a', text: 'x' }, { key: 'a', text: 'y' }, [{ id: 'text', label: 'Text' }])
+ * // Returns: [{ field: 'text', label: 'Text', before: 'x', after: 'y', change: 'changed' }]
+ */
+export const diffConcepts = (before, after, typeConfig = []) => {
+    const older = before || {};
+    const newer = after || {};
+
+    // Config names the id field conceptId; files are normalized to conceptID
+    const labels = new Map(typeConfig.map(field => [
+        field.id === 'conceptId' ? 'conceptID' : field.id,
+        field.label || field.id
+    ]));
+    labels.set('conceptID', labels.get('conceptID') || 'Concept ID');
+
+    const fieldIds = new Set([...labels.keys(), ...Object.keys(older), ...Object.keys(newer)]);
+    fieldIds.delete('_sourceRow');
+    fieldIds.delete('_sourceSheet');
+    fieldIds.delete('_sourceFile');
+
+    const changes = [];
+
+    fieldIds.forEach(field => {
+        const had = hasFieldValue(older[field]);
+        const has = hasFieldValue(newer[field]);
+
+        if (!had && !has) return;
+        if (had && has && JSON.stringify(older[field]) === JSON.stringify(newer[field])) return;
+
+        changes.push({
+            field,
+            label: labels.get(field) || field,
+            before: had ? older[field] : undefined,
+            after: has ? newer[field] : undefined,
+            change: !had ? 'added' : !has ? 'removed' : 'changed'
+        });
+    });
+
+    return changes;
+};
@@ -10,6 +10,8 @@ export const REDIRECT_URI_LOCAL = 'http://localhost:5000/';
 export const CONFIG = {
     ITEMS_PER_PAGE: 10,
     SESSION_TOKEN_KEY: 'gh_access_token',
+    /** Session storage key holding a deep link across the OAuth redirect */
+    PENDING_ROUTE_KEY: 'cidtool_pending_route',
     URL_PARAMS: {
         AUTH_CODE: 'code'
     },
@@ -33,9 +35,13 @@ export const DOM_ELEMENTS = {
     DROP_ZONE_CONTENT: 'drop-zone-content',
     IMPORT_BUTTON: 'import-button',
     IMPORT_MODAL: 'importModal',
+    IMPORT_UPDATE_MODE: 'importUpdateMode',
+    IMPORT_REPORT_BUTTON: 'importReportButton',
+    IMPORT_JOURNAL: 'importJournal',
     
     // Action buttons
-    REMOTE_SAVE_BUTTON: 'remote-save-button'
+    REMOTE_SAVE_BUTTON: 'remote-save-button',
+    EXPORT_SPREADSHEET_BUTTON: 'export-spreadsheet-button'
 };
 
 /**
@@ -44,7 +50,9 @@ export const DOM_ELEMENTS = {
  */
 export const PAGINATION_CONFIG = {
     DEFAULT_ITEMS_PER_PAGE: 10,
-    DEFAULT_CURRENT_PAGE: 1
+    DEFAULT_CURRENT_PAGE: 1,
+    /** Children rendered per step when a hierarchy tree node is expanded */
+    TREE_CHUNK_SIZE: 100
 };
 
 /**
@@ -62,7 +70,51 @@ export const PERFORMANCE_CONFIG = {
     /** Delay in milliseconds for search input debouncing */
     SEARCH_DEBOUNCE_DELAY: 300,
     /** Duration in milliseconds for UI animations */
-    ANIMATION_DURATION: 250
+    ANIMATION_DURATION: 250,
+    /** Rows or concepts an import stage gets through between progress reports */
+    IMPORT_PROGRESS_INTERVAL: 500
+};
+
+/**
+ * The XLSX script index.html loads, which the import worker loads as well
+ * Both must stay in step with the script tag, so the worker parses with the same pinned,
+ * integrity-checked release as the page.
+ */
+export const XLSX_SCRIPT = {
+    /** Pinned xlsx-js-style bundle */
+    URL: 'https://cdn.jsdelivr.net/npm/xlsx-js-style@1.2.0/dist/xlsx.bundle.js',
+    /** Subresource integrity hash of the bundle */
+    INTEGRITY: 'sha384-OUW9euuUyxyHcAhTqbhI+Iyb8LMssXt/cpz0yXhs9UWG2/R/uaWdakx/4cfww7Vb'
+};
+
+/**
+ * Relationship graph view settings
+ */
+export const GRAPH_CONFIG = {
+    /** Hops shown around the focused concept when the graph opens */
+    DEFAULT_HOPS: 2,
+    /** Largest hop count offered; beyond this a shared response pulls in most of the repository */
+    MAX_HOPS: 4,
+    /** Most concepts drawn at once; the nearest are kept when a neighbourhood is larger */
+    MAX_NODES: 250,
+    /** Distance in SVG units between successive hop rings */
+    RING_SPACING: 160,
+    /** Minimum distance in SVG units between neighbours on the same ring */
+    NODE_SPACING: 36
+};
+
+/**
+ * Spreadsheet export sync settings
+ * An exported workbook carries a hidden sheet recording what it was exported from, so
+ * a re-import can tell the team's edits apart from changes made in the repository since.
+ */
+export const SYNC_CONFIG = {
+    /** Name of the hidden sheet */
+    SHEET_NAME: 'CIDTool Sync',
+    /** Layout version of the hidden sheet, bumped if it changes */
+    FORMAT_VERSION: 1,
+    /** Excel's limit on characters in a cell; larger concepts are left out of the snapshot */
+    MAX_CELL_LENGTH: 32767
 };
 
 /**
@@ -80,26 +132,39 @@ export const API_CONFIG = {
         ADD_FILE: 'file added via CID Tool',
         UPDATE_FILE: 'file modified via CID Tool',
         DELETE_FILE: 'file deleted via CID Tool',
-        IMPORT_FILES: (count) => `${count} concept${count === 1 ? '' : 's'} imported via CID Tool`
+        RESTORE_FILE: (commitSha) => `file restored to ${commitSha.slice(0, 7)} via CID Tool`,
+        IMPORT_FILES: (count) => `${count} concept${count === 1 ? '' : 's'} imported via CID Tool`,
+        FIX_INTEGRITY: (count) => `integrity fixes applied to ${count} file${count === 1 ? '' : 's'} via CID Tool`,
+        BULK_EDIT: (field, count) => `${field} updated on ${count} concept${count === 1 ? '' : 's'} via CID Tool`,
+        BULK_DELETE: (count) => `${count} concept${count === 1 ? '' : 's'} deleted via CID Tool`,
+        SAVE_COLUMN_MAPPING: 'import column mapping saved via CID Tool',
+        SYNC_FOLDER: (count) => `${count} change${count === 1 ? '' : 's'} pushed from a local folder via CID Tool`,
+        ROLL_BACK_IMPORT: (count) => `import of ${count} file${count === 1 ? '' : 's'} rolled back via CID Tool`
     },
     /** HTTP status codes for error handling */
     STATUS_CODES: {
         OK: 200,
         CREATED: 201,
+        BAD_REQUEST: 400,
         UNAUTHORIZED: 401,
         FORBIDDEN: 403,
         NOT_FOUND: 404,
         REQUEST_TIMEOUT: 408,
         UNPROCESSABLE_ENTITY: 422,
         TOO_MANY_REQUESTS: 429,
-        INTERNAL_SERVER_ERROR: 500
+        INTERNAL_SERVER_ERROR: 500,
+        NOT_IMPLEMENTED: 501
     },
     /** Request timeout in milliseconds */
     TIMEOUT: 30000,
     /** Timeout for whole-repository archive downloads, which are far slower than a normal call */
     ARCHIVE_TIMEOUT: 120000,
-    /** Files per batched commit. The backend rejects more than 1000 per request. */
-    COMMIT_BATCH_SIZE: 500
+    /** Files per batched commit, kept well under COMMIT_FILE_LIMIT */
+    COMMIT_BATCH_SIZE: 500,
+    /** Most files the backend accepts in one commit, writes and deletions together */
+    COMMIT_FILE_LIMIT: 1000,
+    /** Wait before an automatic retry when a rate limit does not say when it lifts */
+    RATE_LIMIT_RETRY_DELAY: 60000
 };
 
 /**
@@ -0,0 +1,277 @@
+/**
+ * CSV and TSV dictionaries.
+ *
+ * Delimited files arrive from many systems, so nothing about them is assumed: the
+ * encoding comes from the byte order mark or, failing that, from whether the bytes are
+ * valid UTF-8, and the delimiter is whichever candidate splits the first rows into the
+ * same number of columns. The result is the same 2D array readWorkbook returns for a
+ * spreadsheet, so the rest of the import is unchanged. A file written back, with its
+ * Concept IDs filled in, keeps the encoding, byte order mark and delimiter it came with.
+ */
+
+/**
+ * Delimiters tried when a file does not say
+ */
+const DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * Rows sampled when choosing a delimiter
+ */
+const SAMPLE_ROWS = 10;
+
+/**
+ * Extensions and MIME types read as delimited text rather than as a workbook
+ */
+const DELIMITED_EXTENSIONS = ['csv', 'tsv', 'tab'];
+const DELIMITED_TYPES = ['text/csv', 'text/tab-separated-values', 'application/csv'];
+
+/**
+ * Tests whether a file should be read as CSV or TSV
+ * Windows reports CSV files as application/vnd.ms-excel, so the extension decides first.
+ * @param {File} file - Dropped or selected file
+ * @returns {boolean} True for delimited text
+ */
+export const isDelimitedFile = (file) => {
+    const extension = String(file?.name || '').split('.').pop().toLowerCase();
+    return DELIMITED_EXTENSIONS.includes(extension) || DELIMITED_TYPES.includes(file?.type);
+};
+
+/**
+ * Decodes file bytes to text
+ * A byte order mark settles the encoding. Without one, UTF-16 shows up as zero bytes in
+ * every other position, and anything that is not valid UTF-8 is taken to be Windows-1252,
+ * which is what Excel writes when it saves "CSV" on Windows.
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} `{ text, encoding, bom }`
+ */
+export const decodeText = (bytes) => {
+    let encoding;
+    let bom = true;
+
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        encoding = 'utf-8';
+    } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        encoding = 'utf-16le';
+    } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        encoding = 'utf-16be';
+    } else {
+        bom = false;
+        const sample = bytes.subarray(0, 512);
+        const zerosAt = (parity) => sample.filter((byte, index) => index % 2 === parity && byte === 0).length;
+        const half = sample.length / 2;
+
+        if (sample.length >= 2 && zerosAt(1) > half * 0.4 && zerosAt(0) === 0) {
+            encoding = 'utf-16le';
+        } else if (sample.length >= 2 && zerosAt(0) > half * 0.4 && zerosAt(1) === 0) {
+            encoding = 'utf-16be';
+        } else {
+            try {
+                new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+                encoding = 'utf-8';
+            } catch {
+                encoding = 'windows-1252';
+            }
+        }
+    }
+
+    // TextDecoder drops the byte order mark itself
+    const text = new TextDecoder(encoding).decode(bytes);
+
+    return { text: text.replace(/^\uFEFF/, ''), encoding, bom };
+};
+
+/**
+ * Windows-1252 characters that are not at their own code point, by code point
+ * Every other character below 0x100 is the byte of the same value.
+ */
+const WINDOWS_1252_BYTES = new Map([
+    [0x20AC, 0x80], [0x201A, 0x82], [0x0192, 0x83], [0x201E, 0x84], [0x2026, 0x85],
+    [0x2020, 0x86], [0x2021, 0x87], [0x02C6, 0x88], [0x2030, 0x89], [0x0160, 0x8A],
+    [0x2039, 0x8B], [0x0152, 0x8C], [0x017D, 0x8E], [0x2018, 0x91], [0x2019, 0x92],
+    [0x201C, 0x93], [0x201D, 0x94], [0x2022, 0x95], [0x2013, 0x96], [0x2014, 0x97],
+    [0x02DC, 0x98], [0x2122, 0x99], [0x0161, 0x9A], [0x203A, 0x9B], [0x0153, 0x9C],
+    [0x017E, 0x9E], [0x0178, 0x9F]
+]);
+
+/**
+ * Encodes text as decodeText found it, the reverse of decodeText
+ * TextEncoder only writes UTF-8, so UTF-16 and Windows-1252 are encoded here. A character
+ * Windows-1252 has no byte for is written as "?"; text read from such a file has none.
+ *
+ * @param {string} text - Text to encode
+ * @param {string} encoding - Encoding from decodeText
+ * @param {boolean} [bom=false] - Whether to start with a byte order mark
+ * @returns {Uint8Array} File contents
+ */
+export const encodeText = (text, encoding, bom = false) => {
+    const content = bom && encoding !== 'windows-1252' ? `\uFEFF${text}` : text;
+
+    if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+        const bytes = new Uint8Array(content.length * 2);
+        const [high, low] = encoding === 'utf-16le' ? [1, 0] : [0, 1];
+        for (let i = 0; i < content.length; i++) {
+            const unit = content.charCodeAt(i);
+            bytes[i * 2 + high] = unit >> 8;
+            bytes[i * 2 + low] = unit & 0xFF;
+        }
+        return bytes;
+    }
+
+    if (encoding === 'windows-1252') {
+        return Uint8Array.from(content, char => {
+            const code = char.codePointAt(0);
+            if (WINDOWS_1252_BYTES.has(code)) return WINDOWS_1252_BYTES.get(code);
+            return code < 0x100 ? code : 0x3F;
+        });
+    }
+
+    return new TextEncoder().encode(content);
+};
+
+/**
+ * Splits delimited text into rows of cells
+ * Follows RFC 4180: a quoted cell may hold the delimiter, line breaks, and quotes
+ * written twice. Lines may end in CRLF, LF or CR.
+ *
+ * @param {string} text - Decoded file contents
+ * @param {string} delimiter - Cell separator
+ * @param {number} [maxRows=Infinity] - Stop after this many rows
+ * @param {Function} [onRow] - Called with each row as it is split off
+ * @returns {Array<Array<string>>} Rows of cell text
+ */
+export const parseDelimited = (text, delimiter, maxRows = Infinity, onRow = () => {}) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = 0;
+
+    const endRow = () => {
+        row.push(cell);
+        rows.push(row);
+        onRow(row);
+        row = [];
+        cell = '';
+    };
+
+    while (i < text.length && rows.length < maxRows) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            endRow();
+            if (char === '\r' && text[i + 1] === '\n') i++;
+        } else {
+            cell += char;
+        }
+        i++;
+    }
+
+    // The last line need not end in a line break
+    if ((cell !== '' || row.length > 0) && rows.length < maxRows) endRow();
+
+    return rows;
+};
+
+/**
+ * Chooses the delimiter that splits the opening rows most consistently
+ *
+ * @param {string} text - Decoded file contents
+ * @param {string} [preferred=','] - Delimiter to use on a tie, or when nothing splits the header
+ * @returns {string} Delimiter
+ */
+export const detectDelimiter = (text, preferred = ',') => {
+    let best = null;
+
+    [preferred, ...DELIMITERS.filter(delimiter => delimiter !== preferred)].forEach(delimiter => {
+        const rows = parseDelimited(text, delimiter, SAMPLE_ROWS).filter(row => row.some(cell => cell !== ''));
+        const width = rows[0]?.length || 0;
+        if (width < 2) return;
+
+        const consistent = rows.filter(row => row.length === width).length;
+        const score = [consistent, width];
+
+        if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) {
+            best = { delimiter, score };
+        }
+    });
+
+    return best?.delimiter ?? preferred;
+};
+
+/**
+ * Reads a CSV or TSV dictionary
+ * Concept IDs come back as numbers, as they would from a spreadsheet cell, since that
+ * is what assignConcepts checks for; every other cell stays text. An Excel "sep=" first
+ * line names the delimiter and is not part of the data.
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} [fileName=''] - File name; a .tsv or .tab file prefers tabs
+ * @param {Function} [onRow] - Called with each row as it is read, header first
+ * @returns {Object} `{ data, delimiter, encoding, bom, declared }`: the rows, header
+ *   first, and how the file was written, so encodeText and formatDelimited can write it
+ *   back the same way; declared is whether it named its delimiter in a "sep=" line
+ */
+export const readDelimited = (bytes, fileName = '', onRow = () => {}) => {
+    const { text: decoded, encoding, bom } = decodeText(bytes);
+    let text = decoded;
+    let delimiter;
+
+    const declared = text.match(/^sep=(.)\r?\n/i);
+    if (declared) {
+        delimiter = declared[1];
+        text = text.slice(declared[0].length);
+    } else {
+        delimiter = detectDelimiter(text, /\.(tsv|tab)$/i.test(fileName) ? '\t' : ',');
+    }
+
+    const data = parseDelimited(text, delimiter, Infinity, onRow);
+    const idColumns = (data[0] || [])
+        .map((header, index) => (/_CID$/i.test(String(header).trim()) ? index : -1))
+        .filter(index => index >= 0);
+
+    data.forEach((row, rowIndex) => {
+        if (rowIndex === 0) return;
+        idColumns.forEach(index => {
+            const value = String(row[index] ?? '').trim();
+            if (/^\d+$/.test(value)) row[index] = Number(value);
+        });
+    });
+
+    return { data, delimiter, encoding, bom, declared: Boolean(declared) };
+};
+
+/**
+ * Writes rows back as delimited text
+ * Cells holding the delimiter, a quote or a line break are quoted.
+ *
+ * @param {Array<Array>} rows - Rows of cells
+ * @param {string} delimiter - Cell separator
+ * @returns {string} Delimited text, lines ending in CRLF
+ */
+export const formatDelimited = (rows, delimiter) => rows
+    .map(row => Array.from(row, cell => {
+        const text = cell === undefined || cell === null ? '' : String(cell);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter))
+    .join('\r\n') + '\r\n';
@@ -10,6 +10,7 @@
 
 import { displayError, appState } from "./common.js";
 import { MODAL_CONFIG } from "./config.js";
+import { getHierarchyFields, getReferenceFieldId, getReferenceIds } from "./hierarchy.js";
 
 // ============================================================================
 // COLUMN PARSING
@@ -66,16 +67,17 @@ export const parseColumns = (headers) => {
  * @param {Array<Object>} mapping - Concept key-to-ID mapping from assignConcepts()
  * @param {Array<Object>} columns - Column index mapping from parseColumns()
  * @param {Array<Array>} data - 2D array of spreadsheet data (excluding header row)
+ * @param {Function} [onConcept] - Called with the number of concepts built so far, after each one
  * @returns {Array<Object>} Array of structured concept objects ready for saving
  */
-export const structureDictionary = (mapping, columns, data) => {
+export const structureDictionary = (mapping, columns, data, onConcept = () => {}) => {
     let conceptObjects = [];
     const errors = [];
 
     // Process in hierarchical order - this order matters for reference resolution
     for (const conceptType of MODAL_CONFIG.CONCEPT_TYPES) {
         try {
-            conceptObjects = processConceptType(mapping, columns, data, conceptType, conceptObjects);
+            conceptObjects = processConceptType(mapping, columns, data, conceptType, conceptObjects, onConcept);
         } catch (error) {
             errors.push(`Error processing ${conceptType}: ${error.message}`);
             console.error(`Error processing ${conceptType}:`, error);
@@ -97,9 +99,10 @@ export const structureDictionary = (mapping, columns, data) => {
  * @param {Array<Array>} data - Spreadsheet data rows
  * @param {string} objectType - Concept type to process (PRIMARY, SECONDARY, etc.)
  * @param {Array<Object>} conceptObjects - Accumulated concept objects from previous types
+ * @param {Function} onConcept - Called with the number of concepts built so far, after each one
  * @returns {Array<Object>} Updated conceptObjects array with new concepts added
  */
-const processConceptType = (mapping, columns, data, objectType, conceptObjects) => {
+const processConceptType = (mapping, columns, data, objectType, conceptObjects, onConcept) => {
     const { config } = appState.getState();
     const typeColumns = columns.find(c => c.object_type === objectType);
     const typeConfig = config?.[objectType] || [];
@@ -140,6 +143,7 @@ const processConceptType = (mapping, columns, data, objectType, conceptObjects)
 
         if (concept) {
             conceptObjects.push(concept);
+            onConcept(conceptObjects.length);
         }
     }
 
@@ -177,15 +181,16 @@ const buildConceptObject = (mapping, columns, data, rowIndex, keyValue, objectTy
         _sourceRow: rowIndex + 2 // +2: 1-indexed and +1 for header row
     };
 
-    // Process extra columns from spreadsheet (non-reference fields)
+    // Process extra columns from spreadsheet; a reference column holds Concept IDs
     const extraColumns = getExtraKeys(typeColumns);
     extraColumns.forEach(fieldKey => {
         const columnIndex = typeColumns[fieldKey];
         const value = getCellValue(data[rowIndex], columnIndex);
         
         if (value !== undefined && value !== null && value !== '') {
-            // Store with lowercase key to match config field ids
-            concept[fieldKey.toLowerCase()] = value;
+            // Headers are uppercase, so use the config's spelling of the field id where there is one
+            const field = typeConfig.find(candidate => candidate.id.toLowerCase() === fieldKey.toLowerCase());
+            concept[field?.id || fieldKey.toLowerCase()] = field?.type === 'reference' ? readReferenceCell(value, field) : value;
         }
     });
 
@@ -193,8 +198,8 @@ const buildConceptObject = (mapping, columns, data, rowIndex, keyValue, objectTy
     addHierarchicalReferences(concept, mapping, columns, data, rowIndex, objectType, conceptObjects);
 
     // Clean up internal fields that shouldn't be in final object
-    if (concept.value !== undefined) {
-        delete concept.value; // VALUE is only used for response ordering
+    if (concept.value !== undefined && !typeConfig.some(field => field.id === 'value')) {
+        delete concept.value; // VALUE is only used for response ordering, unless configured
     }
 
     return concept;
@@ -202,7 +207,9 @@ const buildConceptObject = (mapping, columns, data, rowIndex, keyValue, objectTy
 
 /**
  * Adds hierarchical reference fields (parent, source, responses) based on row position
- * Uses config to determine the correct field names for each reference type
+ * Uses config to determine the correct field names for each reference type. A field the
+ * sheet has a column for was read from that column, even where the cell is empty, so
+ * the row's position does not override it.
  * 
  * @param {Object} concept - The concept object being built
  * @param {Array<Object>} mapping - Key-to-ID mapping
@@ -215,10 +222,12 @@ const buildConceptObject = (mapping, columns, data, rowIndex, keyValue, objectTy
 const addHierarchicalReferences = (concept, mapping, columns, data, rowIndex, objectType, conceptObjects) => {
     const { config } = appState.getState();
     const typeConfig = config?.[objectType] || [];
+    const typeColumns = columns.find(c => c.object_type === objectType) || {};
     const row = data[rowIndex];
 
-    // Find all reference fields in the config for this type
-    const referenceFields = typeConfig.filter(field => field.type === 'reference');
+    // Find the reference fields in the config for this type that have no column
+    const referenceFields = typeConfig.filter(field =>
+        field.type === 'reference' && typeColumns[field.id.toUpperCase()] === undefined);
 
     referenceFields.forEach(field => {
         const referencesType = field.referencesType;
@@ -399,6 +408,412 @@ const collectResponses = (mapping, columns, data, questionRow, conceptObjects) =
     return responses;
 };
 
+// ============================================================================
+// NORMALIZED LAYOUT (ONE SHEET PER TYPE)
+// ============================================================================
+
+/**
+ * Sheet names the normalized export writes; getSheetType reads other spellings too
+ */
+const TYPE_SHEET_NAMES = {
+    PRIMARY: 'Primaries',
+    SECONDARY: 'Secondaries',
+    SOURCE: 'Sources',
+    QUESTION: 'Questions',
+    RESPONSE: 'Responses'
+};
+
+/**
+ * Gets the concept type a sheet holds in the normalized layout
+ * Sheets are named for their type, in the singular or plural and in any case.
+ * 
+ * @param {string} sheetName - Workbook sheet name
+ * @returns {string|null} Concept type, or null if the name is not a type
+ * 
+ * @example
+ * getSheetType('Questions') // Returns: 'QUESTION'
+ * getSheetType('Secondaries') // Returns: 'SECONDARY'
+ */
+export const getSheetType = (sheetName) => {
+    const name = String(sheetName ?? '').toUpperCase().replace(/[^A-Z]/g, '');
+    return MODAL_CONFIG.CONCEPT_TYPES.find(type =>
+        [type, `${type}S`, type.replace(/Y$/, 'IES')].includes(name)
+    ) ?? null;
+};
+
+/**
+ * Finds the sheets of a normalized workbook
+ * A workbook is normalized when some sheet is named for a concept type and none is
+ * called Dictionary, which is where the one-sheet layout lives.
+ * 
+ * @param {Array<string>} sheetNames - Workbook sheet names, in order
+ * @returns {Array<Object>} `{ name, type }` for each type sheet, in hierarchy order;
+ *   empty for a one-sheet dictionary
+ */
+export const findTypeSheets = (sheetNames) => {
+    if (sheetNames.includes('Dictionary')) return [];
+
+    const sheets = [];
+    MODAL_CONFIG.CONCEPT_TYPES.forEach(type => {
+        const names = sheetNames.filter(name => getSheetType(name) === type);
+        if (names.length > 1) {
+            console.warn(`Several sheets hold ${type} concepts; importing "${names[0]}" only`);
+        }
+        if (names.length > 0) {
+            sheets.push({ name: names[0], type });
+        }
+    });
+
+    return sheets;
+};
+
+/**
+ * Parses the header row of a type sheet
+ * The sheet's own columns are named by field, with or without the type in front
+ * (KEY or QUESTION_KEY). A column named for another type, such as SECONDARY_KEY or
+ * SECONDARY_CID, names the concept this row references, by key or by Concept ID;
+ * a column named for a reference field holds Concept IDs for that field.
+ * 
+ * @param {Array<string>} headers - Header row of the sheet
+ * @param {string} type - Concept type the sheet holds
+ * @returns {Object} `{ columns, references }`: a parseColumns-style mapping for the
+ *   sheet's own fields, and its reference columns as `{ column, header, referencesType, by, fieldId }`
+ */
+export const parseSheetColumns = (headers, type) => {
+    const { config } = appState.getState();
+    const referenceFields = (config?.[type] || []).filter(field => field.type === 'reference');
+    const columns = { object_type: type };
+    const references = [];
+
+    headers.forEach((header, index) => {
+        if (!header || typeof header !== 'string') return;
+
+        const match = header.trim().match(/^(?:([a-zA-Z]+)_)?([a-zA-Z]+)$/);
+        if (!match) return;
+
+        const prefix = match[1]?.toUpperCase();
+        const field = match[2].toUpperCase();
+
+        if (prefix && prefix !== type) {
+            if (MODAL_CONFIG.CONCEPT_TYPES.includes(prefix) && (field === 'KEY' || field === 'CID')) {
+                references.push({ column: index, header: header.trim(), referencesType: prefix, by: field });
+            }
+            return;
+        }
+
+        const referenceField = referenceFields.find(candidate => candidate.id.toUpperCase() === field);
+        if (referenceField) {
+            references.push({ column: index, header: header.trim(), referencesType: referenceField.referencesType, by: 'CID', fieldId: referenceField.id });
+            return;
+        }
+
+        columns[field] = index;
+    });
+
+    return { columns, references };
+};
+
+/**
+ * Stacks the type sheets into one table for assignConcepts
+ * Each sheet's KEY and CID columns get their own pair of columns, and its rows follow
+ * the previous sheet's, so keys and IDs are checked and generated across the workbook.
+ * 
+ * @param {Array<Object>} sheets - Type sheets as `{ name, type, headers, rows }`
+ * @returns {Object} `{ columns, rows }`: a parseColumns-style mapping and the stacked rows
+ */
+export const stackTypeSheets = (sheets) => {
+    const columns = [];
+    const rows = [];
+
+    sheets.forEach((sheet, sheetIndex) => {
+        const { columns: sheetColumns } = parseSheetColumns(sheet.headers, sheet.type);
+        const keyColumn = sheetIndex * 2;
+
+        columns.push({ object_type: sheet.type, KEY: keyColumn, CID: keyColumn + 1 });
+        sheet.rows.forEach(row => {
+            const stacked = new Array(sheets.length * 2).fill('');
+            stacked[keyColumn] = getCellValue(row, sheetColumns.KEY) ?? '';
+            stacked[keyColumn + 1] = getCellValue(row, sheetColumns.CID) ?? '';
+            rows.push(stacked);
+        });
+    });
+
+    return { columns, rows };
+};
+
+/**
+ * Structures a normalized workbook into concept objects
+ * References come from the parent columns, never from where a row sits, so the sheets
+ * can be sorted and filtered freely. A key or ID may name a concept in this import or
+ * one already in the repository. A parent column can sit on either side of a reference:
+ * a QUESTION_KEY column on the Responses sheet adds each response to its question.
+ * A concept listed on several rows takes its fields from the first and its references
+ * from all of them; a reference cell can also list several keys or IDs, separated by
+ * semicolons or line breaks. Where a row has both a key and a Concept ID column for the
+ * same parent, as an export does, the two must name the same concepts.
+ * 
+ * @param {Array<Object>} mapping - Key-to-ID mapping from assignConcepts()
+ * @param {Array<Object>} sheets - Type sheets as `{ name, type, headers, rows }`
+ * @param {Object} existingIndex - Current repository index
+ * @param {Function} [onConcept] - Called with the number of concepts built so far, after each one
+ * @returns {Object} `{ concepts, errors }`: the concept objects, each with its
+ *   _sourceSheet and _sourceRow, and the references that could not be resolved, shaped
+ *   like validateImportData errors
+ */
+export const structureNormalized = (mapping, sheets, existingIndex, onConcept = () => {}) => {
+    const { config } = appState.getState();
+    const concepts = [];
+    const errors = [];
+
+    // Every concept a reference may name: this import's first, then the repository's
+    const byKey = new Map();
+    const byId = new Map();
+    Object.entries(existingIndex?._files || {}).forEach(([filename, fileData]) => {
+        const id = filename.replace('.json', '');
+        byId.set(id, fileData.object_type);
+        if (fileData.key) byKey.set(fileData.key.toLowerCase(), { id, type: fileData.object_type });
+    });
+    mapping.forEach(entry => {
+        byKey.set(String(entry.concept).toLowerCase(), { id: String(entry.id), type: entry.type });
+        byId.set(String(entry.id), entry.type);
+    });
+
+    const conceptsById = new Map();
+    const links = []; // { concept, fieldId, list, value, origin }
+
+    sheets.forEach(sheet => {
+        const typeConfig = config?.[sheet.type] || [];
+        const { columns, references } = parseSheetColumns(sheet.headers, sheet.type);
+
+        if (columns.KEY === undefined) {
+            console.warn(`No KEY column found on the ${sheet.name} sheet, skipping`);
+            return;
+        }
+
+        sheet.rows.forEach((row, rowIndex) => {
+            const keyValue = getCellValue(row, columns.KEY);
+            if (!keyValue) return;
+
+            const mappingEntry = mapping.find(m => m.concept.toLowerCase() === String(keyValue).toLowerCase());
+            if (!mappingEntry) {
+                console.warn(`No mapping found for concept: ${keyValue}`);
+                return;
+            }
+
+            const origin = { sheet: sheet.name, row: rowIndex + 2, key: keyValue, conceptId: String(mappingEntry.id) };
+            let concept = conceptsById.get(String(mappingEntry.id));
+
+            // Fields come from the first row that lists the concept
+            if (!concept) {
+                concept = {
+                    key: keyValue,
+                    conceptID: mappingEntry.id,
+                    object_type: sheet.type,
+                    _sourceSheet: sheet.name,
+                    _sourceRow: rowIndex + 2
+                };
+
+                getExtraKeys(columns).forEach(fieldKey => {
+                    const value = getCellValue(row, columns[fieldKey]);
+                    if (value !== undefined) {
+                        const fieldId = typeConfig.find(field => field.id.toLowerCase() === fieldKey.toLowerCase())?.id;
+                        concept[fieldId || fieldKey.toLowerCase()] = value;
+                    }
+                });
+
+                // VALUE is only used for response ordering unless configured, as in the one-sheet layout
+                if (!typeConfig.some(field => field.id === 'value')) delete concept.value;
+
+                conceptsById.set(String(mappingEntry.id), concept);
+                concepts.push(concept);
+                onConcept(concepts.length);
+            }
+
+            // A parent named in both a key and a Concept ID column must be the same in each
+            const named = new Map();
+
+            references.forEach(reference => {
+                const cell = getCellValue(row, reference.column);
+                if (cell === undefined) return;
+
+                const link = findReferenceLink(config, sheet.type, reference);
+                if (!link) {
+                    errors.push(referenceError(origin, reference,
+                        `${sheet.type} concepts have no field that references ${reference.referencesType}`));
+                    return;
+                }
+
+                const values = typeof cell === 'number'
+                    ? [cell]
+                    : String(cell).split(/[;\n]/).map(value => value.trim()).filter(Boolean);
+                const ids = [];
+                let resolved = true;
+
+                values.forEach(value => {
+                    const target = resolveReference(value, reference, byKey, byId);
+                    if (target.error) {
+                        errors.push(referenceError(origin, reference, target.error));
+                        resolved = false;
+                        return;
+                    }
+                    ids.push(target.id);
+                });
+
+                const linkId = `${link.inverse}:${link.field.id}`;
+                const earlier = named.get(linkId);
+                if (earlier) {
+                    if (resolved && earlier.resolved && [...ids].sort().join() !== [...earlier.ids].sort().join()) {
+                        errors.push(referenceError(origin, reference,
+                            `${reference.header} and ${earlier.reference.header} name different concepts`));
+                    }
+                    return;
+                }
+                named.set(linkId, { reference, ids, resolved });
+
+                // An inverse link is written on the concept the column names
+                ids.forEach(id => links.push(link.inverse
+                    ? { ownerId: id, fieldId: link.field.id, list: link.list, value: Number(mappingEntry.id), origin, reference }
+                    : { ownerId: String(mappingEntry.id), fieldId: link.field.id, list: link.list, value: Number(id), origin, reference }));
+            });
+        });
+    });
+
+    // References are gathered first so one listed on several rows is written once
+    const gathered = new Map();
+    links.forEach(link => {
+        const owner = conceptsById.get(String(link.ownerId));
+        if (!owner) {
+            errors.push(referenceError(link.origin, link.reference,
+                `${link.reference.referencesType} ${link.ownerId} is not in this file, so this row cannot be added to it`));
+            return;
+        }
+
+        const id = `${link.ownerId}:${link.fieldId}`;
+        if (!gathered.has(id)) gathered.set(id, { owner, link, values: [] });
+        const entry = gathered.get(id);
+        if (!entry.values.includes(link.value)) entry.values.push(link.value);
+    });
+
+    gathered.forEach(({ owner, link, values }) => {
+        if (link.list) {
+            owner[link.fieldId] = values;
+            return;
+        }
+        if (values.length > 1) {
+            errors.push(referenceError(link.origin, link.reference,
+                `${owner.object_type} "${owner.key}" can only reference one ${link.reference.referencesType}, but is given ${values.join(', ')}`));
+        }
+        owner[link.fieldId] = values[0];
+    });
+
+    return { concepts, errors };
+};
+
+/**
+ * Lists the fields a normalized workbook can express for each concept type
+ * The counterpart of getSheetFields for a synced export: a type's own columns, and each
+ * reference field some sheet has a parent column for.
+ * 
+ * @param {Array<Object>} sheets - Type sheets as `{ name, type, headers, rows }`
+ * @returns {Map<string, Set<string>>} Field ids by concept type
+ */
+export const getTypeSheetFields = (sheets) => {
+    const { config } = appState.getState();
+    const fields = new Map(MODAL_CONFIG.CONCEPT_TYPES.map(type => [type, new Set()]));
+
+    sheets.forEach(sheet => {
+        const typeConfig = config?.[sheet.type] || [];
+        const { columns, references } = parseSheetColumns(sheet.headers, sheet.type);
+
+        if (columns.KEY !== undefined) fields.get(sheet.type).add('key');
+
+        getExtraKeys(columns).forEach(name => {
+            const field = typeConfig.find(candidate => candidate.id.toLowerCase() === name.toLowerCase());
+            fields.get(sheet.type).add(field?.id || name.toLowerCase());
+        });
+
+        references.forEach(reference => {
+            const link = findReferenceLink(config, sheet.type, reference);
+            if (link) fields.get(link.inverse ? reference.referencesType : sheet.type).add(link.field.id);
+        });
+    });
+
+    return fields;
+};
+
+/**
+ * Resolves one reference cell value to a Concept ID
+ * 
+ * @param {string|number} value - Key or Concept ID from the cell
+ * @param {Object} reference - Reference column from parseSheetColumns
+ * @param {Map<string, Object>} byKey - Lowercase key → `{ id, type }`
+ * @param {Map<string, string>} byId - Concept ID → concept type
+ * @returns {Object} `{ id }`, or `{ error }` with the reason it could not be resolved
+ */
+const resolveReference = (value, reference, byKey, byId) => {
+    const { referencesType, by } = reference;
+    let id;
+    let type;
+
+    if (by === 'CID') {
+        id = String(value);
+        type = byId.get(id);
+        if (!type) return { error: `No concept has the ID ${value}` };
+    } else {
+        const found = byKey.get(String(value).toLowerCase());
+        if (!found) return { error: `No concept has the key "${value}"` };
+        ({ id, type } = found);
+    }
+
+    if (type !== referencesType) {
+        return { error: `"${value}" is a ${type} concept, not a ${referencesType}` };
+    }
+
+    return { id };
+};
+
+/**
+ * Finds the config field a reference column fills
+ * The field is looked for on the sheet's own type first, then on the type the column
+ * names, for a child that names its parent.
+ * 
+ * @param {Object} config - Field configuration for each concept type
+ * @param {string} type - Concept type of the sheet
+ * @param {Object} reference - Reference column from parseSheetColumns
+ * @returns {Object|null} `{ field, list, inverse }`, or null if no field fits
+ */
+const findReferenceLink = (config, type, reference) => {
+    const isList = (field) => Boolean(field.allowMultiple) || field.referencesType === 'RESPONSE';
+    const fieldsOf = (fieldType) => (config?.[fieldType] || []).filter(field => field.type === 'reference');
+
+    const own = reference.fieldId
+        ? fieldsOf(type).find(field => field.id === reference.fieldId)
+        : fieldsOf(type).find(field => field.referencesType === reference.referencesType);
+    if (own) return { field: own, list: isList(own), inverse: false };
+
+    const inverse = fieldsOf(reference.referencesType).find(field => field.referencesType === type);
+    if (inverse) return { field: inverse, list: isList(inverse), inverse: true };
+
+    return null;
+};
+
+/**
+ * Builds a validation error for a reference that could not be resolved
+ * 
+ * @param {Object} origin - Row the reference is on, as `{ sheet, row, key, conceptId }`
+ * @param {Object} reference - Reference column from parseSheetColumns
+ * @param {string} message - What is wrong
+ * @returns {Object} Error shaped like those of validateImportData
+ */
+const referenceError = (origin, reference, message) => ({
+    type: 'UNRESOLVED_REFERENCE',
+    severity: 'error',
+    ...origin,
+    column: reference.column,
+    message,
+    suggestion: `Check the ${reference.header} column on the ${origin.sheet} sheet`
+});
+
 // ============================================================================
 // FILE EXPORT (JSON → SPREADSHEET)
 // ============================================================================
@@ -410,9 +825,13 @@ const collectResponses = (mapping, columns, data, questionRow, conceptObjects) =
  * Produces a denormalized layout where each QUESTION row includes its
  * parent PRIMARY, SECONDARY, and SOURCE info on the same row.
  * RESPONSEs appear as separate rows below their parent QUESTION.
+ * Reference fields are written out as Concept IDs as well, so importing the sheet
+ * gives back the same references wherever a row ends up, orphans included.
  * 
  * @param {Array<Object>} data - Array of concept objects from JSON files
- * @returns {Array<Array>} 2D array suitable for spreadsheet export
+ * @returns {Object} `{ data, columnTypes, columnKeys }`: the 2D array for the sheet, and
+ *   the concept type and TYPE_FIELD import header of each column, since the header row
+ *   shows config labels instead
  */
 export const structureFiles = (data) => {
     const { config } = appState.getState();
@@ -430,6 +849,7 @@ export const structureFiles = (data) => {
     const headers = [];
     const columnTypes = [];  // Tracks concept type per column (for styling)
     const columnMapping = {}; // Maps type_field to column index
+    const columnKeys = [];    // Import header (TYPE_FIELD) per column
 
     MODAL_CONFIG.CONCEPT_TYPES.forEach(type => {
         const typeConfig = config?.[type] || [];
@@ -441,17 +861,22 @@ export const structureFiles = (data) => {
         columnMapping[`${type}_KEY`] = headers.length;
         headers.push(keyField?.label || `${type} Key`);
         columnTypes.push(type);
+        columnKeys.push(`${type}_KEY`);
         
         columnMapping[`${type}_CID`] = headers.length;
         headers.push(cidField?.label || `${type} CID`);
         columnTypes.push(type);
+        columnKeys.push(`${type}_CID`);
 
-        // Add extra fields from config (excluding references which are positional)
+        // Add extra fields from config; a reference gets a column only if parseColumns can
+        // read its id back, and is otherwise left to row position
         typeConfig.forEach(field => {
-            if (field.type !== 'reference' && field.id !== 'key' && field.id !== 'conceptID' && field.id !== 'conceptId') {
+            if (field.type === 'reference' && !/^[a-zA-Z]+$/.test(field.id)) return;
+            if (field.id !== 'key' && field.id !== 'conceptID' && field.id !== 'conceptId') {
                 columnMapping[`${type}_${field.id.toUpperCase()}`] = headers.length;
                 headers.push(field.label || `${type} ${field.id}`);
                 columnTypes.push(type);
+                columnKeys.push(`${type}_${field.id.toUpperCase()}`);
             }
         });
     });
@@ -463,35 +888,26 @@ export const structureFiles = (data) => {
         const keyCol = columnMapping[`${type}_KEY`];
         if (keyCol !== undefined) row[keyCol] = concept.key || '';
 
+        // The importer reads IDs as numbers, so one saved as a string is written as a number
         const cidCol = columnMapping[`${type}_CID`];
-        if (cidCol !== undefined) row[cidCol] = concept.conceptID || '';
+        if (cidCol !== undefined) row[cidCol] = /^\d+$/.test(String(concept.conceptID ?? '')) ? Number(concept.conceptID) : (concept.conceptID || '');
 
         const typeConfig = config?.[type] || [];
         Object.keys(concept).forEach(field => {
-            if (['key', 'conceptID', 'object_type', '_sourceRow'].includes(field)) return;
+            if (['key', 'conceptID', 'object_type', '_sourceRow', '_sourceSheet', '_sourceFile'].includes(field)) return;
             const fieldConfig = typeConfig.find(f => f.id === field);
-            if (fieldConfig?.type === 'reference') return;
 
             const colKey = `${type}_${field.toUpperCase()}`;
             const colIndex = columnMapping[colKey];
             if (colIndex !== undefined) {
-                row[colIndex] = concept[field];
+                row[colIndex] = fieldConfig?.type === 'reference' ? formatReferenceCell(concept[field]) : concept[field];
             }
         });
     };
 
-    // Helper: find the config field id that references a target type
-    const getRefFieldId = (srcType, tgtType) => {
-        const tc = config?.[srcType] || [];
-        return tc.find(f => f.type === 'reference' && f.referencesType === tgtType)?.id || null;
-    };
-
-    // Helper: check if a reference field allows multiple values
-    // Resolve reference field names from config
-    const secToParent = getRefFieldId('SECONDARY', 'PRIMARY');
-    const qToSecondary = getRefFieldId('QUESTION', 'SECONDARY');
-    const qToSource = getRefFieldId('QUESTION', 'SOURCE');
-    const qToResponses = getRefFieldId('QUESTION', 'RESPONSE');
+    // Resolve reference field names from config, as the hierarchy tree does
+    const { secToParent, qToSecondary, qToResponses } = getHierarchyFields(config);
+    const qToSource = getReferenceFieldId(config, 'QUESTION', 'SOURCE');
 
     const rows = [headers];
     const placed = new Set(); // Track placed concept CIDs
@@ -590,7 +1006,127 @@ export const structureFiles = (data) => {
         rows.push(row);
     });
 
-    return { data: rows, columnTypes };
+    return { data: rows, columnTypes, columnKeys };
+};
+
+/**
+ * Converts concepts into a workbook with one sheet per concept type
+ * The normalized counterpart of structureFiles: every concept is written once, on its
+ * type's sheet, and its references are written out as the parent's keys and Concept
+ * IDs, so a response shared by several questions or a question under several
+ * secondaries keeps every link. Lists are joined with semicolons. A type with two
+ * reference fields to the same type writes the second under its field id, as IDs only.
+ * Headers are the TYPE_FIELD names structureNormalized reads.
+ * 
+ * @param {Array<Object>} data - Array of concept objects from JSON files
+ * @returns {Array<Object>} A sheet per concept type, in hierarchy order, as
+ *   `{ name, type, data, columnTypes }`: the sheet name, its type, the 2D array, and
+ *   the concept type of each column, for styling
+ */
+export const structureTypeSheets = (data) => {
+    const { config } = appState.getState();
+    const keysById = new Map(data.map(concept => [String(concept.conceptID), concept.key]));
+
+    // The importer reads IDs as numbers, so one saved as a string is written as a number
+    const toCellId = (id) => (/^\d+$/.test(String(id ?? '')) ? Number(id) : (id ?? ''));
+
+    return MODAL_CONFIG.CONCEPT_TYPES.map(type => {
+        const typeConfig = config?.[type] || [];
+        const fields = typeConfig.filter(field =>
+            field.type !== 'reference' && !['key', 'conceptID', 'conceptId'].includes(field.id));
+
+        const referenceColumns = [];
+        const referencedTypes = new Set();
+        typeConfig
+            .filter(field => field.type === 'reference' && field.referencesType)
+            .forEach(field => {
+                if (referencedTypes.has(field.referencesType)) {
+                    referenceColumns.push({ field, header: field.id, by: 'CID' });
+                    return;
+                }
+                referencedTypes.add(field.referencesType);
+                referenceColumns.push(
+                    { field, header: `${field.referencesType}_KEY`, by: 'KEY' },
+                    { field, header: `${field.referencesType}_CID`, by: 'CID' }
+                );
+            });
+
+        const headers = [
+            `${type}_KEY`,
+            `${type}_CID`,
+            ...fields.map(field => `${type}_${field.id.toUpperCase()}`),
+            ...referenceColumns.map(column => column.header)
+        ];
+        const columnTypes = [
+            ...headers.slice(0, headers.length - referenceColumns.length).map(() => type),
+            ...referenceColumns.map(column => column.field.referencesType)
+        ];
+
+        const rows = data
+            .filter(concept => concept.object_type === type)
+            .map(concept => [
+                concept.key || '',
+                toCellId(concept.conceptID),
+                ...fields.map(field => concept[field.id] ?? ''),
+                ...referenceColumns.map(({ field, by }) => {
+                    const ids = getReferenceIds(concept[field.id]);
+                    if (by === 'CID') return ids.length === 1 ? toCellId(ids[0]) : ids.join('; ');
+
+                    // A parent missing from the export is left to its Concept ID
+                    const keys = ids.map(id => keysById.get(id));
+                    return keys.every(Boolean) ? keys.join('; ') : '';
+                })
+            ]);
+
+        return { name: TYPE_SHEET_NAMES[type], type, data: [headers, ...rows], columnTypes };
+    });
+};
+
+// ============================================================================
+// ID WRITE-BACK (IMPORT → SPREADSHEET)
+// ============================================================================
+
+/**
+ * Works out the Concept ID cells to fill in on an imported sheet
+ * Writing the IDs the import used back into the sheet means the next import of it finds
+ * the same concepts instead of generating new IDs. Cells that already hold an ID are
+ * left alone; a type with keys but no CID column gets one after the last column.
+ *
+ * @param {Array<Array>} rows - Every row of the sheet, header first, blank rows included
+ * @param {Array<Object>} columns - Column mapping from parseColumns
+ * @param {Array<Object>} mapping - Key-to-ID mapping from assignConcepts
+ * @returns {Object} `{ headers, cells }`: the CID columns to add as `{ column, header }`,
+ *   and the cells to fill as `{ row, column, value }`, positions counted from the header
+ */
+export const planConceptIdCells = (rows, columns, mapping) => {
+    const ids = new Map(mapping.map(entry => [String(entry.concept).toLowerCase(), entry.id]));
+    const headers = [];
+    const cells = [];
+    let nextColumn = rows.reduce((max, row) => Math.max(max, row?.length || 0), 0);
+
+    columns.forEach(typeColumns => {
+        if (typeColumns.KEY === undefined) return;
+
+        let idColumn = typeColumns.CID;
+        if (idColumn === undefined) {
+            idColumn = nextColumn++;
+            headers.push({ column: idColumn, header: `${typeColumns.object_type}_CID` });
+        }
+
+        rows.forEach((row, rowIndex) => {
+            if (rowIndex === 0) return;
+
+            const key = getCellValue(row, typeColumns.KEY);
+            if (key === undefined || getCellValue(row, idColumn) !== undefined) return;
+
+            const id = ids.get(String(key).toLowerCase());
+            if (id !== undefined && id !== null && id !== '') {
+                cells.push({ row: rowIndex, column: idColumn, value: Number(id) });
+            }
+        });
+    });
+
+    return { headers, cells };
 };
 
 // ============================================================================
@@ -619,6 +1155,35 @@ const getCellValue = (row, columnIndex) => {
     return value;
 };
 
+/**
+ * Reads a reference column cell as Concept IDs
+ * Lists are separated by semicolons, or commas as older edits wrote them. IDs come back
+ * as numbers, as the positional references do.
+ * 
+ * @param {*} value - Cell value
+ * @param {Object} field - Reference field configuration
+ * @returns {number|string|Array} One ID, or a list for allowMultiple and RESPONSE fields
+ */
+const readReferenceCell = (value, field) => {
+    const ids = (typeof value === 'number' ? [value] : String(value).split(/[;,\n]/))
+        .map(id => String(id).trim())
+        .filter(Boolean)
+        .map(id => (/^\d+$/.test(id) ? Number(id) : id));
+
+    return field.allowMultiple || field.referencesType === 'RESPONSE' ? ids : ids[0];
+};
+
+/**
+ * Writes reference field IDs to a cell, as readReferenceCell reads them
+ * 
+ * @param {*} value - Reference field value
+ * @returns {number|string} A single ID as a number, or the IDs joined with semicolons
+ */
+const formatReferenceCell = (value) => {
+    const ids = getReferenceIds(value);
+    return ids.length === 1 && /^\d+$/.test(ids[0]) ? Number(ids[0]) : ids.join('; ');
+};
+
 /**
  * Gets extra field keys from a column mapping (excludes standard fields)
  * These are additional fields defined in the spreadsheet beyond KEY/CID
@@ -1,6 +1,8 @@
 import { isLocal, preventDefaults, executeWithAnimation, debounce, appState } from './common.js';
-import { CLIENT_ID, REDIRECT_URI, CLIENT_ID_LOCAL, REDIRECT_URI_LOCAL, DOM_ELEMENTS, PERFORMANCE_CONFIG } from './config.js';
+import { CLIENT_ID, REDIRECT_URI, CLIENT_ID_LOCAL, REDIRECT_URI_LOCAL, DOM_ELEMENTS, PERFORMANCE_CONFIG, CONFIG } from './config.js';
 import { objectDropped, setupImportModal } from "./files.js";
+import { rememberRoute } from './router.js';
+import { createEmptyFilters } from './filters.js';
 
 /**
  * Adds click event listener to the login button for GitHub OAuth authentication
@@ -18,6 +20,8 @@ export const addEventLoginButtonClick = () => {
     const uri = local ? REDIRECT_URI_LOCAL : REDIRECT_URI;
     
     loginButton.addEventListener('click', () => {
+        // GitHub redirects back to a bare URL, so keep any deep link for after login
+        rememberRoute();
         const url = `https://github.com/login/oauth/authorize?client_id=${id}&redirect_uri=${uri}&scope=repo`;
         window.location.href = url;
     });
@@ -111,7 +115,7 @@ export const addEventDropClicked = () => {
 
         // Reset modal content and state
         if (dropZoneContent) {
-            dropZoneContent.innerHTML = 'Drag & Drop Dictionary Excel File Here';
+            dropZoneContent.innerHTML = 'Drag & Drop Dictionary File Here';
         }
 
         // Hide and reset action buttons
@@ -141,6 +145,13 @@ export const addEventDropClicked = () => {
         if (fileInput) {
             fileInput.value = '';
         }
+        
+        // Each import starts in add-only mode with no file loaded
+        const updateModeToggle = document.getElementById(DOM_ELEMENTS.IMPORT_UPDATE_MODE);
+        if (updateModeToggle) {
+            updateModeToggle.checked = false;
+        }
+        appState.setState({ importFile: null, importPlan: null, importColumnTargets: null });
 
         importModal.show();
         
@@ -200,7 +211,7 @@ export const addEventOpenRepoButtons = (repos, renderRepoContent) => {
  * @param {Function} renderAddModal - Function to render add modal
  * @param {Function} refreshHomePage - Function to refresh homepage
  * @param {Function} renderConfigModal - Function to render config modal
- * @param {Function} handleDownloadRepo - Function to handle repo download
+ * @param {Function} handleDownloadRepo - Function to handle repo download, given the layout
  */
 export const addEventSearchBarControls = (
     renderFileList, 
@@ -247,11 +258,108 @@ export const addEventSearchBarControls = (
         });
     }
 
-    // Download repository button
-    const downloadRepoButton = document.getElementById('downloadRepo');
-    if (downloadRepoButton) {
-        downloadRepoButton.addEventListener('click', async () => {
-            handleDownloadRepo();
+    // Download repository menu: one entry per spreadsheet layout
+    document.querySelectorAll('[data-export-layout]').forEach(item => {
+        item.addEventListener('click', async () => {
+            handleDownloadRepo(item.dataset.exportLayout);
+        });
+    });
+};
+
+/**
+ * Adds click event listener to the validate repository button
+ * @param {Function} renderIntegrityModal - Function to render the integrity report
+ */
+export const addEventValidateRepo = (renderIntegrityModal) => {
+    const validateButton = document.getElementById('validateRepo');
+    if (validateButton) {
+        validateButton.addEventListener('click', () => {
+            renderIntegrityModal();
+        });
+    }
+};
+
+/**
+ * Adds click event listeners to the list/hierarchy/graph view toggle
+ * @param {Function} setViewMode - Function switching the repository view, given 'list', 'tree' or 'graph'
+ */
+export const addEventViewToggle = (setViewMode) => {
+    const listViewButton = document.getElementById('listViewButton');
+    const treeViewButton = document.getElementById('treeViewButton');
+    const graphViewButton = document.getElementById('graphViewButton');
+
+    if (listViewButton) {
+        listViewButton.addEventListener('click', () => setViewMode('list'));
+    }
+
+    if (treeViewButton) {
+        treeViewButton.addEventListener('click', () => setViewMode('tree'));
+    }
+
+    if (graphViewButton) {
+        graphViewButton.addEventListener('click', () => setViewMode('graph'));
+    }
+};
+
+/**
+ * Adds event listeners to the file list filter chips
+ * Filter state lives in appState.filters; each change returns the list to its first page
+ * @param {Function} renderFileList - Function to render file list
+ */
+export const addEventFilterControls = (renderFileList) => {
+    const filterBar = document.getElementById('filterBar');
+    if (!filterBar) return;
+
+    const applyFilters = (filters) => {
+        appState.setState({ filters, currentPage: 1 });
+        const searchInput = document.getElementById('searchFiles');
+        renderFileList(searchInput ? searchInput.value : '');
+    };
+
+    filterBar.querySelectorAll('.filter-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const { filters } = appState.getState();
+            const { filter, value } = chip.dataset;
+
+            if (filter === 'type') {
+                const types = filters.types.includes(value)
+                    ? filters.types.filter(type => type !== value)
+                    : [...filters.types, value];
+                applyFilters({ ...filters, types });
+            } else {
+                applyFilters({ ...filters, [filter]: !filters[filter] });
+            }
+        });
+    });
+
+    const referencesInput = document.getElementById('filterReferences');
+    if (referencesInput) {
+        const conceptFormat = new RegExp(CONFIG.CONCEPT_FORMAT);
+
+        const debouncedReferences = debounce((value) => {
+            // Filter only on a complete ID; a partial one would match nothing while typing
+            const valid = value === '' || conceptFormat.test(value);
+            referencesInput.classList.toggle('is-invalid', !valid);
+
+            const { filters } = appState.getState();
+            if (valid && value !== filters.references) {
+                applyFilters({ ...filters, references: value });
+            }
+        }, PERFORMANCE_CONFIG.SEARCH_DEBOUNCE_DELAY);
+
+        referencesInput.addEventListener('input', (event) => {
+            debouncedReferences(event.target.value.trim());
+        });
+    }
+
+    const clearButton = document.getElementById('clearFilters');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            if (referencesInput) {
+                referencesInput.value = '';
+                referencesInput.classList.remove('is-invalid');
+            }
+            applyFilters(createEmptyFilters());
         });
     }
 };
@@ -279,6 +387,83 @@ export const addEventFileListButtons = (renderDeleteModal, renderViewModal) => {
     });
 };
 
+/**
+ * Adds change event listeners to the file list selection checkboxes
+ * Selection lives in appState.selectedFiles and survives paging, searching and filtering
+ * @param {Function} renderBulkActions - Function to redraw the selection bar
+ */
+export const addEventFileSelection = (renderBulkActions) => {
+    document.querySelectorAll('#fileList .file-select').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const selected = new Set(appState.getState().selectedFiles || []);
+
+            if (checkbox.checked) {
+                selected.add(checkbox.dataset.file);
+            } else {
+                selected.delete(checkbox.dataset.file);
+            }
+
+            appState.setState({ selectedFiles: [...selected] });
+            renderBulkActions();
+        });
+    });
+};
+
+/**
+ * Adds event listeners to the selection bar above the file list
+ * @param {Array<string>} pageFiles - Files shown on the current page
+ * @param {Array<string>} matchingFiles - Files passing the current search and filters
+ * @param {Function} renderBulkActions - Function to redraw the selection bar
+ * @param {Function} renderBulkEditModal - Function to render the bulk edit modal
+ * @param {Function} renderBulkDeleteModal - Function to render the bulk delete modal
+ */
+export const addEventBulkActions = (pageFiles, matchingFiles, renderBulkActions, renderBulkEditModal, renderBulkDeleteModal) => {
+    const setSelection = (selected) => {
+        appState.setState({ selectedFiles: [...selected] });
+
+        document.querySelectorAll('#fileList .file-select').forEach(checkbox => {
+            checkbox.checked = selected.has(checkbox.dataset.file);
+        });
+
+        renderBulkActions();
+    };
+
+    const selectPage = document.getElementById('selectPage');
+    if (selectPage) {
+        selectPage.addEventListener('change', () => {
+            const selected = new Set(appState.getState().selectedFiles || []);
+            pageFiles.forEach(file => (selectPage.checked ? selected.add(file) : selected.delete(file)));
+            setSelection(selected);
+        });
+    }
+
+    const selectMatching = document.getElementById('selectMatching');
+    if (selectMatching) {
+        selectMatching.addEventListener('click', () => {
+            setSelection(new Set([...(appState.getState().selectedFiles || []), ...matchingFiles]));
+        });
+    }
+
+    const clearSelection = document.getElementById('clearSelection');
+    if (clearSelection) {
+        clearSelection.addEventListener('click', () => setSelection(new Set()));
+    }
+
+    const bulkEditButton = document.getElementById('bulkEditButton');
+    if (bulkEditButton) {
+        bulkEditButton.addEventListener('click', () => {
+            renderBulkEditModal();
+        });
+    }
+
+    const bulkDeleteButton = document.getElementById('bulkDeleteButton');
+    if (bulkDeleteButton) {
+        bulkDeleteButton.addEventListener('click', () => {
+            renderBulkDeleteModal();
+        });
+    }
+};
+
 /**
  * Adds click event listeners to pagination controls
  * @param {Function} appState - Application state manager
@@ -1,8 +1,19 @@
-import { parseColumns, structureDictionary, structureFiles } from "./dictionary.js";
-import { assignConcepts, validateImportData } from "./concepts.js";
-import { appState, removeEventListeners, showAnimation, hideAnimation, escapeHtml } from "./common.js";
+import { structureFiles, planConceptIdCells, findTypeSheets, parseSheetColumns, getTypeSheetFields } from "./dictionary.js";
+import { validateImportData, planImportUpdates, parseConceptFiles } from "./concepts.js";
+import { appState, removeEventListeners, showAnimation, hideAnimation, escapeHtml, showUserNotification } from "./common.js";
 import { renderUploadModal } from "./modals.js";
-import { MODAL_CONFIG, CONCEPT_TYPE_COLORS } from "./config.js";
+import { loadAllConcepts, updateFile, commitFiles, countCommitOverflow, readCommittedFiles } from "./api.js";
+import { refreshHomePage } from "./homepage.js";
+import { FOLDER_CHANGES, compareConceptFolder, planFolderCommit, findFolderDependents } from "./folder.js";
+import { readImportJournal, clearImportJournal } from "./cache.js";
+import { getUnfinishedBatches, summarizeJournal } from "./journal.js";
+import { MODAL_TEMPLATES } from "./templates.js";
+import { restoreImportHeaders, getSheetFields, planThreeWaySync } from "./sync.js";
+import { buildImportReport } from "./report.js";
+import { IMPORT_TASKS, runImportTask } from "./pipeline.js";
+import { isDelimitedFile, readDelimited, formatDelimited, encodeText } from "./delimited.js";
+import { suggestColumnMapping, needsColumnMapping, applyColumnMapping, rememberColumnMapping, getMappingTargets } from "./mapping.js";
+import { MODAL_CONFIG, CONCEPT_TYPE_COLORS, DOM_ELEMENTS, SYNC_CONFIG, API_CONFIG } from "./config.js";
 
 /**
  * Extracts the concept type from a header string (e.g., "PRIMARY_KEY" → "PRIMARY")
@@ -18,84 +29,40 @@ const getConceptTypeFromHeader = (header) => {
 };
 
 /**
- * Reads an Excel file and returns the data as a 2D array
- * Looks for a "Dictionary" sheet first, falls back to first sheet
- * Filters out completely empty rows (rows where all cells are empty strings)
- * @param {File} file - The Excel file to read
- * @returns {Promise<Array>} 2D array of spreadsheet data
+ * Generates and downloads a styled Excel spreadsheet from data
+ * Applies color-coded headers and light backgrounds matching concept types
+ * @param {Array} data - 2D array of data to export (first row = headers)
+ * @param {Array<string>} columnTypes - Concept type for each column (for styling)
+ * @param {Array<Array>} [syncSheet] - Rows from buildSyncSheet, added as a hidden sheet
  */
-export const readSpreadsheet = async (file) => {
-    const data = await file.arrayBuffer();
-    const workbook = XLSX.read(data);
-    
-    // Look for "Dictionary" sheet first, fall back to first sheet
-    const sheetName = workbook.SheetNames.includes('Dictionary') 
-        ? 'Dictionary' 
-        : workbook.SheetNames[0];
-    
-    const sheet = workbook.Sheets[sheetName];
-    const arrayData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-    
-    // Filter out completely empty rows (styled cells read as empty strings)
-    const filteredData = arrayData.filter((row, index) => {
-        // Always keep header row (index 0)
-        if (index === 0) return true;
-        // Keep row if at least one cell has non-empty content
-        return row.some(cell => cell !== undefined && cell !== null && cell !== '');
-    });
-    
-    return filteredData;
+export const generateSpreadsheet = (data, columnTypes, syncSheet) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, buildStyledSheet(data, columnTypes), 'Dictionary');
+
+    downloadWorkbook(workbook, syncSheet, 'Dictionary');
 }
 
 /**
- * Reads multiple JSON files and returns parsed data
- * @param {Array<File>} files - Array of files to read
- * @returns {Promise<Array>} Array of parsed JSON objects
+ * Generates and downloads a workbook with one styled sheet per concept type
+ * @param {Array<Object>} sheets - Result of structureTypeSheets
+ * @param {Array<Array>} [syncSheet] - Rows from buildSyncSheet, added as a hidden sheet
  */
-const readFiles = async (files) => {
-    let filesArray = [];
-    let fileData = [];
-
-    for(let file of files) {
-        if(file.type === "application/json") {
-            filesArray.push(file);
-        }
-    }
-
-    const filePromises = filesArray.map((file) => {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = async () => {
-                try {
-                    fileData.push(reader.result);
-                    resolve();
-                } catch (err) {
-                    reject(err);
-                }
-            };
-            reader.onerror = (error) => {
-                reject(error);
-            };
-            reader.readAsText(file);
-        });
+export const generateTypeSheetsSpreadsheet = (sheets, syncSheet) => {
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(sheet => {
+        XLSX.utils.book_append_sheet(workbook, buildStyledSheet(sheet.data, sheet.columnTypes), sheet.name);
     });
 
-    await Promise.all(filePromises);
-
-    for(let i = 0; i < fileData.length; i++) {
-        fileData[i] = JSON.parse(fileData[i]);
-    }
-    return fileData;
+    downloadWorkbook(workbook, syncSheet, 'Dictionary_by_Type');
 }
 
 /**
- * Generates and downloads a styled Excel spreadsheet from data
- * Applies color-coded headers and light backgrounds matching concept types
- * @param {Array} data - 2D array of data to export (first row = headers)
- * @param {Array<string>} columnTypes - Concept type for each column (for styling)
+ * Builds a worksheet with color-coded headers and light backgrounds matching concept types
+ * @param {Array} data - 2D array of data (first row = headers)
+ * @param {Array<string>} [columnTypes] - Concept type for each column (for styling)
+ * @returns {Object} XLSX worksheet
  */
-export const generateSpreadsheet = (data, columnTypes) => {
-    const workbook = XLSX.utils.book_new();
+const buildStyledSheet = (data, columnTypes) => {
     const worksheet = XLSX.utils.aoa_to_sheet(data);
     const headers = data[0] || [];
     const dataRowCount = data.length - 1;
@@ -159,7 +126,22 @@ export const generateSpreadsheet = (data, columnTypes) => {
     // Freeze the header row so it stays visible while scrolling
     worksheet['!freeze'] = { xSplit: 0, ySplit: 1 };
 
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Dictionary');
+    return worksheet;
+}
+
+/**
+ * Adds the hidden sync sheet, if any, and downloads the workbook
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array<Array>} [syncSheet] - Rows from buildSyncSheet
+ * @param {string} label - Part of the file name after the repo name
+ */
+const downloadWorkbook = (workbook, syncSheet, label) => {
+    if (syncSheet) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(syncSheet), SYNC_CONFIG.SHEET_NAME);
+        workbook.Workbook = {
+            Sheets: workbook.SheetNames.map(name => ({ name, Hidden: name === SYNC_CONFIG.SHEET_NAME ? 1 : 0 }))
+        };
+    }
 
     const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
     const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
@@ -168,7 +150,7 @@ export const generateSpreadsheet = (data, columnTypes) => {
     const { repo } = appState.getState();
     const repoName = repo?.name || 'Dictionary';
     const timestamp = new Date().toISOString().slice(0, 10);
-    const fileName = `${repoName}_Dictionary_${timestamp}.xlsx`;
+    const fileName = `${repoName}_${label}_${timestamp}.xlsx`;
 
     const downloadLink = document.createElement('a');
     downloadLink.href = URL.createObjectURL(blob);
@@ -199,7 +181,7 @@ export const objectDropped = async (e) => {
 }
 
 /**
- * Handles file drops - processes Excel dictionary files
+ * Handles file drops - processes Excel, CSV and TSV dictionary files
  * @param {FileSystemFileHandle} handle - File system handle for the dropped file
  */
 const handleFile = async (handle) => {
@@ -210,8 +192,8 @@ const handleFile = async (handle) => {
         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
     ];
 
-    if (!validFileTypes.includes(file.type)) {
-        showValidationError(['Only Excel files (.xlsx) are accepted']);
+    if (!validFileTypes.includes(file.type) && !isDelimitedFile(file)) {
+        showValidationError(['Only Excel (.xlsx), CSV (.csv) and TSV (.tsv) files are accepted']);
         return;
     }
     
@@ -220,53 +202,126 @@ const handleFile = async (handle) => {
 }
 
 /**
- * Processes a dictionary Excel file and prepares for import
- * @param {File} file - The Excel file to process
+ * Cancels the dictionary file being processed, if any
  */
-const processDictionaryFile = async (file) => {
-    const zoneContent = document.getElementById('drop-zone-content');
+let processingController = null;
 
-    // Reset UI state
-    hideValidationErrors();
-    hideImportSummary();
+/**
+ * Shows the import pipeline's progress in the drop zone, with a button to cancel it
+ * @param {HTMLElement} zoneContent - Drop zone content element
+ * @param {File} file - File being processed
+ * @param {Object} progress - Counts so far: rowsRead, conceptsBuilt, errorsFound
+ * @param {AbortController} controller - Cancels the processing
+ */
+const showProcessingProgress = (zoneContent, file, progress, controller) => {
+    const counts = [
+        progress.rowsRead !== undefined ? `${progress.rowsRead.toLocaleString()} rows read` : null,
+        progress.conceptsBuilt !== undefined ? `${progress.conceptsBuilt.toLocaleString()} concepts built` : null,
+        progress.errorsFound !== undefined ? `${progress.errorsFound.toLocaleString()} error${progress.errorsFound === 1 ? '' : 's'} found` : null
+    ].filter(Boolean);
     
-    // Show loading state
     zoneContent.innerHTML = `
         <div class="text-primary">
             <div class="spinner-border spinner-border-sm me-2" role="status"></div>
             Processing dictionary from <strong>${escapeHtml(file.name)}</strong>...
+            <div class="small text-muted mt-1 import-progress">${counts.join(' &middot; ') || 'Reading file'}</div>
+            <button type="button" class="btn btn-sm btn-outline-secondary mt-2" id="cancelImportProcessing">Cancel</button>
         </div>
     `;
     
+    zoneContent.querySelector('#cancelImportProcessing').addEventListener('click', (e) => {
+        e.stopPropagation(); // The drop zone opens the file picker on click
+        controller.abort();
+    });
+};
+
+/**
+ * Processes a dictionary Excel file and prepares for import
+ * In update mode, rows naming an existing concept are merged into it, and the summary
+ * previews the changed fields of each one before anything is committed. A workbook
+ * exported from this repository is synced three ways instead, against the version it
+ * was exported from. Headers that are not TYPE_FIELD are matched to fields first, in the
+ * column mapping step, unless config.json remembers them.
+ * Reading, structuring and validating run in a Web Worker, stage by stage, with their
+ * progress shown in the drop zone; the user can cancel, as can a newer file dropped.
+ * @param {File} file - The Excel file to process
+ * @param {Object} [resolutions={}] - Sync conflict choices, by conflict id
+ * @param {Array<string|null>} [columnTargets=null] - Confirmed column mapping, as the
+ *   TYPE_FIELD header for each column or null to ignore it
+ */
+const processDictionaryFile = async (file, resolutions = {}, columnTargets = null) => {
+    const zoneContent = document.getElementById('drop-zone-content');
+
+    // Reset UI state
+    hideValidationErrors();
+    hideImportSummary();
+    
+    // A previous file's import button must not stay live while this one is checked
+    const remoteSaveButton = document.getElementById(DOM_ELEMENTS.REMOTE_SAVE_BUTTON);
+    if (remoteSaveButton) {
+        remoteSaveButton.disabled = true;
+        remoteSaveButton.hidden = true;
+    }
+    
+    // Only the newest file's results are shown
+    processingController?.abort();
+    const controller = new AbortController();
+    processingController = controller;
+    
+    // Show loading state; each stage's counts are added as it reports them
+    let progress = {};
+    const onProgress = (counts) => {
+        progress = { ...progress, ...counts };
+        showProcessingProgress(zoneContent, file, progress, controller);
+    };
+    showProcessingProgress(zoneContent, file, progress, controller);
+    const taskOptions = { onProgress, signal: controller.signal };
+    
     try {
         // Read and parse the spreadsheet
-        const data = await readSpreadsheet(file);
+        const { data, sync, sheets } = await runImportTask(IMPORT_TASKS.READ, { file }, taskOptions);
         
-        if (!data || data.length < 2) {
+        if (sheets ? !sheets.some(sheet => sheet.rows.length > 0) : !data || data.length < 2) {
             showValidationError(['File is empty or contains no data rows']);
             resetDropZone();
             return;
         }
         
-        // Parse column headers to identify concept types
-        const columns = parseColumns(data[0]);
+        // Get existing repository data for validation and ID generation
+        const { index, config, owner, repoName, treeSha } = appState.getState();
         
-        // Remove header row for processing
-        const dataRows = data.slice(1);
+        // An export of another repository has no common base with this one
+        const syncSource = sync?.repository === `${owner}/${repoName}` ? sync : null;
+        if (sync && !syncSource) {
+            console.warn(`${file.name} was exported from ${sync.repository}; importing it as a plain dictionary`);
+        }
         
-        // Get existing repository data for validation and ID generation
-        const { index, config } = appState.getState();
+        // An export's labels are mapped back by the sync sheet; any other header parseColumns
+        // cannot read is matched to a field by the user, unless config.json remembers it.
+        // A normalized workbook's type sheets name their fields already
+        let headerRow = null;
+        if (!sheets) {
+            if (syncSource) {
+                headerRow = restoreImportHeaders(data[0], syncSource);
+            } else {
+                const suggestions = suggestColumnMapping(data[0], config);
+                if (!columnTargets && needsColumnMapping(suggestions)) {
+                    showColumnMapping(file, data, suggestions);
+                    return;
+                }
+                headerRow = applyColumnMapping(columnTargets || suggestions.map(entry => entry.target), data.slice(1));
+            }
+        }
         
-        // Build set of existing Concept IDs to avoid collisions during auto-generation
-        const existingRepoIds = new Set(
-            Object.values(index?._files || {})
-                .map(file => file.conceptID)
-                .filter(id => id !== undefined && id !== null)
-                .map(id => String(id)) // Normalize to strings for comparison
-        );
+        // A synced export updates the concepts it came from, whatever the toggle says
+        const updateExisting = Boolean(syncSource) || Boolean(document.getElementById(DOM_ELEMENTS.IMPORT_UPDATE_MODE)?.checked);
         
-        // Validate and create concept mapping (passes existing IDs to avoid collisions)
-        const mapping = assignConcepts(columns, dataRows, existingRepoIds);
+        // Assign Concept IDs, avoiding the repository's, and structure the rows into concepts
+        const { columns, rows: dataRows, mapping, concepts: structuredObjects, referenceErrors } = await runImportTask(
+            IMPORT_TASKS.BUILD,
+            { headerRow, rows: data.slice(1), sheets, index, config, updateExisting },
+            taskOptions
+        );
         
         if (!mapping) {
             showValidationError(['Failed to create concept mapping. Please check your data format.']);
@@ -274,26 +329,63 @@ const processDictionaryFile = async (file) => {
             return;
         }
         
-        // Structure the dictionary into concept objects
-        const conceptObjects = structureDictionary(mapping, columns, dataRows);
-        
-        if (!conceptObjects || conceptObjects.length === 0) {
+        if (structuredObjects.length === 0) {
             showValidationError(['No valid concepts found in the file']);
             resetDropZone();
             return;
         }
         
+        // Updates are merged into the stored concepts before validation, so a required
+        // field the sheet has no column for is satisfied by the stored value
+        let importPlan = null;
+        if (updateExisting) {
+            const { concepts, failed } = await loadAllConcepts();
+            
+            // A concept that could not be read would look new, and importing it would overwrite
+            // the file, dropping every field the sheet has no column for
+            if (failed.length > 0) {
+                showValidationError([`${failed.length} repository file${failed.length === 1 ? '' : 's'} could not be read, so existing concepts cannot be updated: ${failed.map(escapeHtml).join(', ')}`]);
+                resetDropZone();
+                return;
+            }
+            
+            const existingConcepts = new Map(concepts.map(concept => [String(concept.conceptID), concept]));
+            
+            importPlan = syncSource
+                ? {
+                    ...planThreeWaySync({
+                        sheetConcepts: structuredObjects,
+                        base: syncSource.base,
+                        current: existingConcepts,
+                        sheetFields: sheets ? getTypeSheetFields(sheets) : getSheetFields(columns, config),
+                        config
+                    }, resolutions),
+                    sync: { exportedSha: syncSource.treeSha, exportedAt: syncSource.exportedAt, currentSha: treeSha }
+                }
+                : planImportUpdates(structuredObjects, existingConcepts, config);
+        }
+        const conceptObjects = importPlan ? importPlan.concepts : structuredObjects;
+        
         // Validate import data against existing repository
-        const validationResult = validateImportData(conceptObjects, index, config);
+        const validationResult = await runImportTask(
+            IMPORT_TASKS.VALIDATE,
+            { concepts: conceptObjects, referenceErrors, index, config, updateExisting },
+            taskOptions
+        );
         
         // Store all parsed data in app state for review before import
         // This allows inspection of the import before committing
         appState.setState({ 
             conceptObjects,           // Final structured objects ready for saving
+            importFile: file,         // Kept so switching update mode can re-read it
+            importColumnTargets: columnTargets, // Column mapping the user confirmed, if any
             importFileName: file.name,
+            importPlan,               // New, updated and unchanged concepts in update mode
             importMapping: mapping,   // Key-to-ID mapping with auto-generated IDs
             importColumns: columns,   // Column index mapping
+            importHeaders: data[0],   // Header row as read, for the dry-run report
             importRawData: dataRows,  // Original spreadsheet data (sans header)
+            importSheets: sheets,     // Type sheets of a normalized workbook, for the report
             importValidation: validationResult // Validation results
         });
         
@@ -306,7 +398,16 @@ const processDictionaryFile = async (file) => {
         });
         
         // Display import summary (includes validation results)
-        showImportSummary(conceptObjects, validationResult);
+        showImportSummary(conceptObjects, validationResult, importPlan);
+        
+        document.getElementById(DOM_ELEMENTS.IMPORT_REPORT_BUTTON)?.addEventListener('click', downloadImportReport);
+        
+        // Settling a conflict changes what is written, so the plan is worked out again
+        document.querySelectorAll('#import-summary .sync-resolution').forEach(input => {
+            input.addEventListener('change', async () => {
+                await processDictionaryFile(file, { ...resolutions, [input.dataset.conflict]: input.value }, columnTargets);
+            });
+        });
         
         // If validation failed, show errors and don't enable import
         if (!validationResult.valid) {
@@ -328,13 +429,23 @@ const processDictionaryFile = async (file) => {
             </div>
         `;
         
-        // Enable import button only if validation passed
-        setupImportButton(conceptObjects);
+        // Enable import button only if validation passed; unchanged concepts are not rewritten
+        setupImportButton(importPlan
+            ? [...importPlan.creates, ...importPlan.updates.map(update => update.concept)]
+            : conceptObjects, importPlan);
         
     } catch (error) {
+        // A cancelled file, or one replaced by a newer drop, leaves the drop zone to the user
+        if (error.name === 'AbortError') {
+            if (processingController === controller) resetDropZone();
+            return;
+        }
+        
         console.error('Error processing dictionary file:', error);
         showValidationError([`Error processing file: ${error.message}`]);
         resetDropZone();
+    } finally {
+        if (processingController === controller) processingController = null;
     }
 }
 
@@ -368,8 +479,12 @@ const hideValidationErrors = () => {
  * Shows import summary with concept counts and validation results
  * @param {Array} conceptObjects - Array of concept objects
  * @param {Object} validationResult - Validation result from validateImportData
+ * @param {Object} [importPlan=null] - Result of planImportUpdates, in update mode
+ * @param {Object} [options={}]
+ * @param {Object} [options.folderComparison=null] - Result of compareConceptFolder, for a
+ *   folder of JSON files, which has changes to pick instead of rows to report on
  */
-const showImportSummary = (conceptObjects, validationResult = null) => {
+const showImportSummary = (conceptObjects, validationResult = null, importPlan = null, { folderComparison = null } = {}) => {
     const importSummary = document.getElementById('import-summary');
     const summaryContent = document.getElementById('import-summary-content');
     
@@ -394,8 +509,11 @@ const showImportSummary = (conceptObjects, validationResult = null) => {
             `).join('')}
         </div>
         <div class="text-center mb-2">
-            <strong>Total: ${conceptObjects.length} concepts</strong> found in file
+            <strong>Total: ${conceptObjects.length} concepts</strong> found in ${folderComparison ? 'folder' : 'file'}
         </div>
+        ${importPlan?.sync ? buildSyncHtml(importPlan) : ''}
+        ${importPlan ? buildImportUpdatesHtml(importPlan) : ''}
+        ${folderComparison ? buildFolderChangesHtml(folderComparison) : ''}
     `;
     
     // If validation passed, show success message
@@ -410,6 +528,17 @@ const showImportSummary = (conceptObjects, validationResult = null) => {
         summaryHtml += buildValidationErrorsHtml(validationResult);
     }
     
+    if (!folderComparison) {
+        summaryHtml += `
+            <div class="text-center mt-3">
+                <button type="button" class="btn btn-sm btn-outline-secondary" id="${DOM_ELEMENTS.IMPORT_REPORT_BUTTON}">
+                    <i class="bi bi-file-earmark-spreadsheet me-1"></i> Download Report
+                </button>
+                <div class="small text-muted mt-1">Every row of the file with its import status, problem cells highlighted</div>
+            </div>
+        `;
+    }
+    
     summaryContent.innerHTML = summaryHtml;
     
     // Update alert class based on validation status
@@ -430,6 +559,299 @@ const showImportSummary = (conceptObjects, validationResult = null) => {
     importSummary.style.display = 'block';
 }
 
+/**
+ * Shows the column mapping step for a file with headers parseColumns cannot read
+ * Each header gets a choice of every column it could be, with the best match picked;
+ * confirming runs the import with that mapping, and remembers it if asked to.
+ * @param {File} file - The file being imported
+ * @param {Array<Array>} data - Its rows, header first
+ * @param {Array<Object>} suggestions - Result of suggestColumnMapping
+ */
+const showColumnMapping = (file, data, suggestions) => {
+    const importSummary = document.getElementById('import-summary');
+    const summaryContent = document.getElementById('import-summary-content');
+    const zoneContent = document.getElementById('drop-zone-content');
+    if (!importSummary || !summaryContent) return;
+    
+    const { config } = appState.getState();
+    summaryContent.innerHTML = buildColumnMappingHtml(data, suggestions, getMappingTargets(config));
+    
+    zoneContent.innerHTML = `
+        <div class="text-primary">
+            <i class="bi bi-signpost-split me-2"></i>
+            Match the columns of <strong>${escapeHtml(file.name)}</strong> below
+        </div>
+    `;
+    
+    const alertDiv = importSummary.querySelector('.alert');
+    if (alertDiv) {
+        alertDiv.classList.remove('alert-info', 'alert-danger', 'alert-warning');
+        alertDiv.classList.add('alert-warning');
+        const titleEl = alertDiv.querySelector('h6');
+        if (titleEl) {
+            titleEl.innerHTML = '<i class="bi bi-signpost-split"></i> Map Columns';
+        }
+    }
+    importSummary.style.display = 'block';
+    
+    document.getElementById('applyColumnMapping').addEventListener('click', async () => {
+        const targets = data[0].map((header, index) => {
+            const select = summaryContent.querySelector(`.column-mapping[data-column="${index}"]`);
+            return select ? (select.value || null) : null;
+        });
+        
+        const chosen = targets.filter(Boolean);
+        if (new Set(chosen).size !== chosen.length) {
+            showValidationError(['Two columns are mapped to the same field. Each field can only come from one column.']);
+            return;
+        }
+        hideValidationErrors();
+        
+        if (document.getElementById('rememberColumnMapping')?.checked) {
+            showAnimation();
+            try {
+                const { config: current, configSha } = appState.getState();
+                const newConfig = rememberColumnMapping(current, data[0], targets);
+                const saved = await updateFile('config.json', JSON.stringify(newConfig, null, 2), configSha, API_CONFIG.COMMIT_MESSAGES.SAVE_COLUMN_MAPPING);
+                appState.setState({ config: newConfig, configSha: saved?.data?.content?.sha });
+            } catch (error) {
+                // validateResponse already told the user; the mapping still applies to this file
+                console.error('Saving the column mapping failed:', error);
+            } finally {
+                hideAnimation();
+            }
+        }
+        
+        await processDictionaryFile(file, {}, targets);
+    });
+}
+
+/**
+ * Builds HTML for the column mapping step: each header, sample values from the file,
+ * and a choice of the column it should be read as
+ * @param {Array<Array>} data - Rows of the file, header first
+ * @param {Array<Object>} suggestions - Result of suggestColumnMapping
+ * @param {Array<Object>} targets - Result of getMappingTargets
+ * @returns {string} HTML string for the mapping table
+ */
+const buildColumnMappingHtml = (data, suggestions, targets) => {
+    const samples = (index) => data.slice(1)
+        .map(row => row[index])
+        .filter(value => value !== undefined && value !== null && value !== '')
+        .slice(0, 2)
+        .map(value => escapeHtml(String(value)))
+        .join(', ');
+    const badge = {
+        header: '',
+        saved: '<span class="badge bg-secondary ms-1">remembered</span>',
+        suggested: '<span class="badge bg-info text-dark ms-1">suggested</span>',
+        none: '<span class="badge bg-warning text-dark ms-1">no match</span>'
+    };
+    
+    return `
+        <p class="small text-center mb-2">
+            Some headers are not in the <code>TYPE_FIELD</code> form the importer reads.
+            Choose what each column holds, or ignore it.
+        </p>
+        <div style="max-height: 320px; overflow-y: auto;">
+            <table class="table table-sm align-middle small mb-2">
+                <thead>
+                    <tr><th>Column</th><th>Sample values</th><th>Read as</th></tr>
+                </thead>
+                <tbody>
+                    ${suggestions.map((entry, index) => entry.source === 'empty' ? '' : `
+                        <tr>
+                            <td>${escapeHtml(String(entry.header))}${badge[entry.source]}</td>
+                            <td class="text-muted">${samples(index)}</td>
+                            <td>
+                                <select class="form-select form-select-sm column-mapping" data-column="${index}">
+                                    <option value="">Ignore this column</option>
+                                    ${MODAL_CONFIG.CONCEPT_TYPES.map(type => `
+                                        <optgroup label="${type}">
+                                            ${targets.filter(target => target.type === type).map(target => `
+                                                <option value="${target.target}" ${entry.target === target.target ? 'selected' : ''}>
+                                                    ${escapeHtml(target.label)} (${target.target})
+                                                </option>
+                                            `).join('')}
+                                        </optgroup>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="d-flex justify-content-between align-items-center">
+            <div class="form-check mb-0">
+                <input class="form-check-input" type="checkbox" id="rememberColumnMapping" checked>
+                <label class="form-check-label small" for="rememberColumnMapping">
+                    Remember these headers for this repository
+                </label>
+            </div>
+            <button type="button" class="btn btn-sm btn-primary" id="applyColumnMapping">Apply Mapping</button>
+        </div>
+    `;
+}
+
+/**
+ * Builds HTML for a synced export: where it came from, then every conflict with a choice
+ * between the spreadsheet's value and the repository's
+ * @param {Object} importPlan - Result of planThreeWaySync, with its sync details
+ * @returns {string} HTML string for the sync section
+ */
+const buildSyncHtml = (importPlan) => {
+    const { sync, conflicts, deletedInRepo } = importPlan;
+    const formatValue = (value) => {
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '<span class="text-muted">&mdash;</span>';
+        }
+        return escapeHtml(Array.isArray(value) ? value.join(', ') : String(value));
+    };
+    const ignoredDeletions = deletedInRepo.filter(deleted => !deleted.edited).length;
+
+    return `
+        <div class="small text-center mb-3">
+            <i class="bi bi-arrow-left-right me-1"></i>
+            Exported from <code>${escapeHtml(String(sync.exportedSha).slice(0, 7))}</code>${sync.exportedAt ? ` on ${escapeHtml(new Date(sync.exportedAt).toLocaleDateString())}` : ''}.
+            ${sync.exportedSha === sync.currentSha
+                ? 'The repository has not changed since.'
+                : `The repository is now at <code>${escapeHtml(String(sync.currentSha).slice(0, 7))}</code>; changes on both sides are merged field by field.`}
+            ${ignoredDeletions > 0 ? `<br>${ignoredDeletions} unedited row${ignoredDeletions === 1 ? ' is' : 's are'} for concepts deleted from the repository since, and will not be re-created.` : ''}
+        </div>
+        ${conflicts.length > 0 ? `
+            <div class="border border-warning rounded p-2 mb-3">
+                <div class="fw-bold small mb-2">
+                    <i class="bi bi-exclamation-triangle text-warning me-1"></i>
+                    ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}: changed in both the spreadsheet and the repository
+                </div>
+                <div style="max-height: 300px; overflow-y: auto;">
+                    <table class="table table-sm align-middle small mb-0">
+                        <thead>
+                            <tr><th>Concept</th><th>Field</th><th>Spreadsheet</th><th>Repository</th></tr>
+                        </thead>
+                        <tbody>
+                            ${conflicts.map((conflict, position) => `
+                                <tr>
+                                    <td>${escapeHtml(String(conflict.key ?? ''))} <span class="text-muted">(${conflict.conceptId})</span></td>
+                                    <td>${escapeHtml(conflict.label)}</td>
+                                    ${['sheet', 'repo'].map(side => `
+                                        <td>
+                                            <div class="form-check mb-0">
+                                                <input class="form-check-input sync-resolution" type="radio" name="syncConflict${position}"
+                                                    id="syncConflict${position}-${side}" value="${side}" data-conflict="${escapeHtml(conflict.id)}"
+                                                    ${conflict.resolution === side ? 'checked' : ''}>
+                                                <label class="form-check-label" for="syncConflict${position}-${side}">
+                                                    ${conflict.field === null
+                                                        ? (side === 'sheet' ? 'Edited; re-create it' : 'Deleted; leave it deleted')
+                                                        : formatValue(side === 'sheet' ? conflict.sheet : conflict.current)}
+                                                </label>
+                                            </div>
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Builds HTML previewing an update-mode import: counts, then the changed fields of
+ * each concept being updated
+ * @param {Object} importPlan - Result of planImportUpdates
+ * @returns {string} HTML string for the update preview
+ */
+const buildImportUpdatesHtml = (importPlan) => {
+    const { creates, updates, unchanged } = importPlan;
+
+    return `
+        <div class="text-center small mb-3">
+            <span class="badge bg-success">${creates.length} new</span>
+            <span class="badge bg-warning text-dark">${updates.length} updated</span>
+            <span class="badge bg-secondary">${unchanged.length} unchanged</span>
+        </div>
+        ${updates.length > 0 ? `
+            <div class="accordion mb-3" id="importUpdatesAccordion">
+                <div class="accordion-item">
+                    <h2 class="accordion-header" id="heading-importUpdates">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse"
+                                data-bs-target="#collapse-importUpdates" aria-expanded="false" aria-controls="collapse-importUpdates">
+                            <span class="badge bg-warning text-dark me-2">${updates.length}</span> Changes to Existing Concepts
+                        </button>
+                    </h2>
+                    <div id="collapse-importUpdates" class="accordion-collapse collapse" aria-labelledby="heading-importUpdates"
+                         data-bs-parent="#importUpdatesAccordion">
+                        <div class="accordion-body" style="max-height: 300px; overflow-y: auto;">
+                            ${updates.map(({ concept, changes }) => `
+                                <div class="mb-3">
+                                    <div class="fw-bold small">
+                                        ${escapeHtml(String(concept.key))}
+                                        <span class="text-muted">(ID: ${concept.conceptID}, ${concept._sourceFile ? escapeHtml(concept._sourceFile) : `${concept._sourceSheet ? `${escapeHtml(concept._sourceSheet)} ` : ''}row ${concept._sourceRow}`})</span>
+                                    </div>
+                                    ${MODAL_TEMPLATES.conceptDiff(changes)}
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Builds the list of differences between a folder and the repository
+ * Each change has a checkbox saying whether it is pushed. Concepts missing from the
+ * folder start unticked, since a folder holding only some concepts is the usual reason.
+ * @param {Object} comparison - Result of compareConceptFolder
+ * @returns {string} HTML for the changes
+ */
+const buildFolderChangesHtml = (comparison) => {
+    const { unchanged } = comparison;
+    const badges = { added: 'bg-success', modified: 'bg-warning text-dark', removed: 'bg-danger' };
+
+    return `
+        <div class="text-center small mb-3">
+            ${Object.keys(FOLDER_CHANGES).map(kind => `
+                <span class="badge ${badges[kind]}">${comparison[kind].length} ${FOLDER_CHANGES[kind].toLowerCase()}</span>
+            `).join('')}
+            <span class="badge bg-secondary">${unchanged.length} unchanged</span>
+        </div>
+        <div class="accordion mb-3" id="folderChangesAccordion">
+            ${Object.keys(FOLDER_CHANGES).filter(kind => comparison[kind].length > 0).map(kind => `
+                <div class="accordion-item">
+                    <h2 class="accordion-header" id="heading-folder-${kind}">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse"
+                                data-bs-target="#collapse-folder-${kind}" aria-expanded="false" aria-controls="collapse-folder-${kind}">
+                            <span class="badge ${badges[kind]} me-2">${comparison[kind].length}</span> ${FOLDER_CHANGES[kind]}
+                        </button>
+                    </h2>
+                    <div id="collapse-folder-${kind}" class="accordion-collapse collapse" aria-labelledby="heading-folder-${kind}"
+                         data-bs-parent="#folderChangesAccordion">
+                        <div class="accordion-body" style="max-height: 300px; overflow-y: auto;">
+                            ${comparison[kind].map(change => `
+                                <div class="form-check mb-2">
+                                    <input class="form-check-input folder-change" type="checkbox" value="${escapeHtml(change.id)}"
+                                           id="folder-change-${escapeHtml(change.id)}" ${kind === 'removed' ? '' : 'checked'}>
+                                    <label class="form-check-label small fw-bold" for="folder-change-${escapeHtml(change.id)}">
+                                        ${escapeHtml(String((change.concept || change.before).key))}
+                                        <span class="text-muted fw-normal">(${escapeHtml(change.file)})</span>
+                                    </label>
+                                    ${kind === 'modified' ? MODAL_TEMPLATES.conceptDiff(change.changes) : ''}
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
 /**
  * Builds HTML for displaying validation errors in a user-friendly format
  * @param {Object} validationResult - Validation result with errors array
@@ -442,7 +864,10 @@ const buildValidationErrorsHtml = (validationResult) => {
     const errorsByType = {
         duplicateIds: errors.filter(e => e.type.includes('DUPLICATE_CONCEPT_ID')),
         duplicateKeys: errors.filter(e => e.type.includes('DUPLICATE_KEY')),
-        missingFields: errors.filter(e => e.type === 'MISSING_REQUIRED_FIELD')
+        missingFields: errors.filter(e => e.type === 'MISSING_REQUIRED_FIELD'),
+        typeMismatches: errors.filter(e => e.type === 'TYPE_MISMATCH'),
+        unresolvedReferences: errors.filter(e => e.type === 'UNRESOLVED_REFERENCE'),
+        invalidFiles: errors.filter(e => e.type === 'INVALID_CONCEPT_FILE')
     };
     
     let html = `
@@ -468,6 +893,21 @@ const buildValidationErrorsHtml = (validationResult) => {
                     <i class="bi bi-exclamation-circle me-1"></i>${errorsByType.missingFields.length} Missing Required Field${errorsByType.missingFields.length !== 1 ? 's' : ''}
                 </span>
             ` : ''}
+            ${errorsByType.typeMismatches.length > 0 ? `
+                <span class="badge bg-danger">
+                    <i class="bi bi-exclamation-circle me-1"></i>${errorsByType.typeMismatches.length} Type Mismatch${errorsByType.typeMismatches.length !== 1 ? 'es' : ''}
+                </span>
+            ` : ''}
+            ${errorsByType.unresolvedReferences.length > 0 ? `
+                <span class="badge bg-danger">
+                    <i class="bi bi-exclamation-circle me-1"></i>${errorsByType.unresolvedReferences.length} Unresolved Reference${errorsByType.unresolvedReferences.length !== 1 ? 's' : ''}
+                </span>
+            ` : ''}
+            ${errorsByType.invalidFiles.length > 0 ? `
+                <span class="badge bg-danger">
+                    <i class="bi bi-exclamation-circle me-1"></i>${errorsByType.invalidFiles.length} Unreadable File${errorsByType.invalidFiles.length !== 1 ? 's' : ''}
+                </span>
+            ` : ''}
         </div>
         
         <!-- Detailed Error List (collapsible) -->
@@ -492,6 +932,24 @@ const buildValidationErrorsHtml = (validationResult) => {
             'These concepts are missing values in required columns.');
     }
     
+    // Type Mismatches section (update mode only)
+    if (errorsByType.typeMismatches.length > 0) {
+        html += buildErrorSection('typeMismatches', 'Type Mismatches', errorsByType.typeMismatches,
+            'These rows would change the type of an existing concept, which an update cannot do.');
+    }
+    
+    // Unresolved References section (normalized workbooks only)
+    if (errorsByType.unresolvedReferences.length > 0) {
+        html += buildErrorSection('unresolvedReferences', 'Unresolved References', errorsByType.unresolvedReferences,
+            'These parent columns name a concept that is not in the file or the repository, or one of the wrong type.');
+    }
+    
+    // Unreadable Files section (folder imports only)
+    if (errorsByType.invalidFiles.length > 0) {
+        html += buildErrorSection('invalidFiles', 'Unreadable Files', errorsByType.invalidFiles,
+            'These files in the folder could not be read as a concept.');
+    }
+    
     html += `</div>`;
     
     return html;
@@ -522,7 +980,7 @@ const buildErrorSection = (id, title, errors, description) => {
                         ${errors.map(err => `
                             <div class="validation-error-item border-start border-danger border-3 ps-2 mb-2">
                                 <div class="fw-bold small">
-                                    <span class="text-muted">Row ${err.row}:</span> ${err.key}
+                                    <span class="text-muted">${err.file ? escapeHtml(err.file) : `${err.sheet ? `${escapeHtml(err.sheet)} row` : 'Row'} ${err.row}`}:</span> ${err.key ?? ''}
                                     ${err.conceptId ? `<span class="text-muted">(ID: ${err.conceptId})</span>` : ''}
                                 </div>
                                 <div class="small text-danger">${err.message}</div>
@@ -536,6 +994,189 @@ const buildErrorSection = (id, title, errors, description) => {
     `;
 }
 
+/**
+ * Downloads the dry-run report for the file being imported
+ * The sheet comes back as it was read, with a status and details column added;
+ * cells behind an error are red and Concept IDs the import would generate are yellow.
+ * A normalized workbook gets a report sheet for each of its type sheets.
+ */
+const downloadImportReport = () => {
+    const { importHeaders, importRawData, importColumns, importSheets, conceptObjects, importValidation, importPlan, importFileName } = appState.getState();
+    if (!importHeaders || !importRawData) return;
+
+    const workbook = XLSX.utils.book_new();
+
+    if (importSheets) {
+        importSheets.forEach(sheet => {
+            const { columns } = parseSheetColumns(sheet.headers, sheet.type);
+            XLSX.utils.book_append_sheet(workbook, buildReportSheet({
+                headers: sheet.headers,
+                rows: sheet.rows,
+                columns: [columns],
+                conceptObjects: conceptObjects.filter(concept => concept._sourceSheet === sheet.name),
+                validation: { errors: (importValidation?.errors || []).filter(error => error.sheet === sheet.name) },
+                importPlan
+            }), sheet.name);
+        });
+    } else {
+        XLSX.utils.book_append_sheet(workbook, buildReportSheet({
+            headers: importHeaders,
+            rows: importRawData,
+            columns: importColumns,
+            conceptObjects,
+            validation: importValidation,
+            importPlan
+        }), 'Import Report');
+    }
+
+    const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+
+    const baseName = (importFileName || 'Dictionary').replace(/\.(xlsx|csv|tsv|tab)$/i, '');
+    const timestamp = new Date().toISOString().slice(0, 10);
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(blob);
+    downloadLink.download = `${baseName}_Import_Report_${timestamp}.xlsx`;
+    downloadLink.click();
+
+    URL.revokeObjectURL(downloadLink.href);
+}
+
+/**
+ * Builds one sheet of the dry-run report, styled for reading
+ * @param {Object} source - The sheet and import results, as buildImportReport takes them
+ * @returns {Object} XLSX worksheet
+ */
+const buildReportSheet = (source) => {
+    const { columns } = source;
+    const { data, highlights } = buildImportReport(source);
+
+    const worksheet = XLSX.utils.aoa_to_sheet(data);
+    const headers = data[0];
+    const fills = { error: 'FFC7CE', notice: 'FFEB9C', ok: 'C6EFCE' };
+    const fonts = { error: '9C0006', notice: '9C5700', ok: '006100' };
+
+    // Header row colored by concept type, as in a repository export
+    headers.forEach((header, colIndex) => {
+        const cellRef = XLSX.utils.encode_cell({ r: 0, c: colIndex });
+        const type = columns.find(column => Object.entries(column)
+            .some(([name, index]) => name !== 'object_type' && index === colIndex))?.object_type;
+        const color = type ? CONCEPT_TYPE_COLORS[type].hex.replace('#', '') : '4472C4';
+
+        if (worksheet[cellRef]) {
+            worksheet[cellRef].s = {
+                fill: { fgColor: { rgb: color } },
+                font: { color: { rgb: 'FFFFFF' }, bold: true, sz: 11 },
+                alignment: { horizontal: 'center', vertical: 'center', wrapText: true }
+            };
+        }
+    });
+
+    highlights.forEach(({ row, column, level }) => {
+        const cellRef = XLSX.utils.encode_cell({ r: row, c: column });
+        if (!worksheet[cellRef]) {
+            worksheet[cellRef] = { v: '', t: 's' };
+        }
+        worksheet[cellRef].s = {
+            fill: { fgColor: { rgb: fills[level] } },
+            font: { color: { rgb: fonts[level] }, sz: 11 },
+            alignment: { vertical: 'top', wrapText: true }
+        };
+    });
+
+    // Details can run to several lines; the status and details columns get room for them
+    worksheet['!cols'] = headers.map((header, colIndex) => ({
+        width: colIndex >= headers.length - 2 ? 40 : Math.max(String(header).length + 4, 18)
+    }));
+    worksheet['!freeze'] = { xSplit: 0, ySplit: 1 };
+
+    return worksheet;
+}
+
+/**
+ * Downloads the imported workbook with every Concept ID the import used filled in
+ * The workbook is read again and only the ID cells are touched, so other sheets and
+ * the team's formatting come back as they were. A CSV or TSV file keeps its delimiter;
+ * it comes back as UTF-8, with a byte order mark unless it was UTF-8 without one.
+ * A normalized workbook has its IDs filled in on each type sheet.
+ * @param {File} file - The imported Excel, CSV or TSV file
+ * @param {Array<Object>} columns - Column mapping the import used
+ * @param {Array<Object>} mapping - Key-to-ID mapping the import used
+ */
+const downloadSpreadsheetWithIds = async (file, columns, mapping) => {
+    try {
+        let blob;
+        
+        if (isDelimitedFile(file)) {
+            const { data, delimiter, encoding, bom, declared } = readDelimited(new Uint8Array(await file.arrayBuffer()), file.name);
+            const { headers, cells } = planConceptIdCells(data, columns, mapping);
+            
+            headers.forEach(({ column, header }) => { data[0][column] = header; });
+            cells.forEach(({ row, column, value }) => { data[row][column] = value; });
+            
+            // Written back as it came: same encoding, byte order mark and delimiter
+            const text = (declared ? `sep=${delimiter}\r\n` : '') + formatDelimited(data, delimiter);
+            blob = new Blob([encodeText(text, encoding, bom)], { type: file.type || 'text/csv' });
+        } else {
+            const workbook = XLSX.read(await file.arrayBuffer(), { cellStyles: true });
+            const typeSheets = findTypeSheets(workbook.SheetNames);
+            
+            // The same sheets readWorkbook imported from
+            if (typeSheets.length > 0) {
+                typeSheets.forEach(({ name, type }) => {
+                    fillConceptIdCells(workbook.Sheets[name], [parseSheetColumns(
+                        XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 })[0] || [], type
+                    ).columns], mapping);
+                });
+            } else {
+                const sheetName = workbook.SheetNames.includes('Dictionary') 
+                    ? 'Dictionary' 
+                    : workbook.SheetNames[0];
+                fillConceptIdCells(workbook.Sheets[sheetName], columns, mapping);
+            }
+            
+            const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array', cellStyles: true });
+            blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        }
+        
+        const downloadLink = document.createElement('a');
+        downloadLink.href = URL.createObjectURL(blob);
+        downloadLink.download = file.name;
+        downloadLink.click();
+        
+        URL.revokeObjectURL(downloadLink.href);
+    } catch (error) {
+        console.error('Error writing Concept IDs to spreadsheet:', error);
+        alert(`Error writing Concept IDs to spreadsheet: ${error.message}`);
+    }
+}
+
+/**
+ * Fills in the Concept ID cells of one worksheet, in place
+ * @param {Object} sheet - XLSX worksheet the import read
+ * @param {Array<Object>} columns - Column mapping the import used for it
+ * @param {Array<Object>} mapping - Key-to-ID mapping the import used
+ */
+const fillConceptIdCells = (sheet, columns, mapping) => {
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    
+    const { headers, cells } = planConceptIdCells(
+        XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true }), columns, mapping
+    );
+    
+    // Positions are counted from the sheet's first cell, which need not be A1
+    const setCell = (row, column, cell) => {
+        const cellRef = XLSX.utils.encode_cell({ r: range.s.r + row, c: range.s.c + column });
+        sheet[cellRef] = { ...sheet[cellRef], ...cell };
+        range.e.c = Math.max(range.e.c, range.s.c + column);
+    };
+    
+    headers.forEach(({ column, header }) => setCell(0, column, { v: header, t: 's' }));
+    cells.forEach(({ row, column, value }) => setCell(row, column, { v: value, t: 'n', w: undefined }));
+    sheet['!ref'] = XLSX.utils.encode_range(range);
+}
+
 /**
  * Hides import summary
  */
@@ -544,6 +1185,9 @@ const hideImportSummary = () => {
     if (importSummary) {
         importSummary.style.display = 'none';
     }
+    
+    // A folder's export button goes with its summary
+    document.getElementById(DOM_ELEMENTS.EXPORT_SPREADSHEET_BUTTON)?.remove();
 }
 
 /**
@@ -552,15 +1196,16 @@ const hideImportSummary = () => {
 const resetDropZone = () => {
     const zoneContent = document.getElementById('drop-zone-content');
     if (zoneContent) {
-        zoneContent.innerHTML = 'Drag & Drop Dictionary Excel File Here';
+        zoneContent.innerHTML = 'Drag & Drop Dictionary File Here';
     }
 }
 
 /**
  * Sets up the import button with click handler
  * @param {Array} conceptObjects - Concept objects to import
+ * @param {Object} [importPlan=null] - Result of planImportUpdates, in update mode
  */
-const setupImportButton = (conceptObjects) => {
+const setupImportButton = (conceptObjects, importPlan = null) => {
     const actionButtons = document.getElementById('action-buttons');
     let remoteSaveButton = document.getElementById('remote-save-button');
     
@@ -572,8 +1217,10 @@ const setupImportButton = (conceptObjects) => {
     // Remove existing event listeners
     remoteSaveButton = removeEventListeners(remoteSaveButton);
     
-    remoteSaveButton.innerHTML = `<i class="bi bi-cloud-upload"></i> Import ${conceptObjects.length} Concepts to Repository`;
-    remoteSaveButton.disabled = false;
+    remoteSaveButton.innerHTML = importPlan
+        ? `<i class="bi bi-cloud-upload"></i> Import ${importPlan.creates.length} New and Update ${importPlan.updates.length} Concepts`
+        : `<i class="bi bi-cloud-upload"></i> Import ${conceptObjects.length} Concepts to Repository`;
+    remoteSaveButton.disabled = conceptObjects.length === 0;
     remoteSaveButton.hidden = false;
     
     remoteSaveButton.addEventListener('click', async () => {
@@ -601,21 +1248,42 @@ const importConceptsToRepository = async (conceptObjects) => {
     showAnimation();
     
     try {
+        const { importFile, importColumns, importMapping, files: repoFiles } = appState.getState();
+        
         // Prepare files for upload, stripping internal tracking fields
         const files = conceptObjects.map(concept => {
             // Create a clean copy without internal fields
-            const { _sourceRow, ...cleanConcept } = concept;
+            const { _sourceRow, _sourceSheet, _sourceFile, ...cleanConcept } = concept;
             return {
                 name: `${cleanConcept.conceptID}.json`,
                 content: JSON.stringify(cleanConcept, null, 2)
             };
         });
         
+        // A failed import is rolled back by writing back each replaced file exactly as committed
+        const existingNames = new Set((repoFiles || []).map(file => file.name));
+        const replaced = files.filter(file => existingNames.has(file.name)).map(file => file.name);
+        const committedTexts = replaced.length > 0 ? await readCommittedFiles(replaced) : new Map();
+        
+        const unreadable = replaced.filter(name => !committedTexts.has(name));
+        if (unreadable.length > 0) {
+            throw new Error(`${unreadable.length} of the files to replace could not be read, so the import could not be rolled back if it failed`);
+        }
+        
+        files.forEach(file => {
+            file.previous = committedTexts.get(file.name) ?? null;
+        });
+        
         // Close import modal and show upload progress modal
         if (importModal) importModal.hide();
         
-        // Use existing upload modal for progress tracking
-        await renderUploadModal(files);
+        // Use existing upload modal for progress tracking; it offers the spreadsheet back
+        // with the IDs it was given
+        await renderUploadModal(files, {
+            downloadSpreadsheet: importFile
+                ? () => downloadSpreadsheetWithIds(importFile, importColumns, importMapping)
+                : null
+        });
         
     } catch (error) {
         console.error('Error importing concepts:', error);
@@ -632,48 +1300,218 @@ const importConceptsToRepository = async (conceptObjects) => {
 }
 
 /**
- * Handles directory drops - reads JSON files and generates spreadsheet export
+ * Handles directory drops - reads the concept JSON files to compare with the repository
  * @param {FileSystemDirectoryHandle} directoryHandle - Directory handle
  */
 const handleDirectory = async (directoryHandle) => {
     const files = [];
-    const importModal = bootstrap.Modal.getInstance(document.getElementById('importModal'));
-    const zoneContent = document.getElementById('drop-zone-content');
 
-    for await (const [, handle] of directoryHandle.entries()) {
-        if (handle.kind === 'file') {
+    for await (const [name, handle] of directoryHandle.entries()) {
+        if (handle.kind === 'file' && name.toLowerCase().endsWith('.json')) {
             const file = await handle.getFile();
-            files.push(file);
+            files.push({ name, text: await file.text() });
         }
     }
 
-    let data = await readFiles(files);
-    let structuredData = structureFiles(data);
+    await processConceptFolder(directoryHandle.name, files);
+}
 
-    zoneContent.innerHTML = `
-        <div class="text-success">
-            <i class="bi bi-folder-fill me-2"></i>
-            <strong>${directoryHandle.name}</strong> - ${files.length} files loaded
-        </div>
-    `;
+/**
+ * Compares a folder of concept files with the repository and offers its changes
+ * New and changed concepts are validated against config.json and the index as updates
+ * are, and the changes the user picks are pushed in one commit. The files can also be
+ * exported to a spreadsheet, valid or not.
+ * @param {string} folderName - Name of the dropped folder
+ * @param {Array<Object>} files - Its JSON files as `{ name, text }`
+ */
+const processConceptFolder = async (folderName, files) => {
+    const zoneContent = document.getElementById('drop-zone-content');
 
-    // Show export button for directory (export to spreadsheet)
-    const actionButtons = document.getElementById('action-buttons');
-    if (actionButtons) {
-        actionButtons.style.display = 'block';
-        actionButtons.innerHTML = `
-            <button id="export-spreadsheet-button" class="btn btn-primary">
-                <i class="bi bi-file-earmark-spreadsheet"></i> Export to Spreadsheet
-            </button>
-        `;
+    hideValidationErrors();
+    hideImportSummary();
+    
+    const remoteSaveButton = document.getElementById(DOM_ELEMENTS.REMOTE_SAVE_BUTTON);
+    if (remoteSaveButton) {
+        remoteSaveButton.disabled = true;
+    }
+    
+    try {
+        const { index, config } = appState.getState();
+        const { concepts, errors: fileErrors } = parseConceptFiles(files);
+        
+        if (concepts.length === 0 && fileErrors.length === 0) {
+            showValidationError([`<strong>${escapeHtml(folderName)}</strong> has no concept JSON files`]);
+            resetDropZone();
+            return;
+        }
         
-        document.getElementById('export-spreadsheet-button').addEventListener('click', () => {
-            generateSpreadsheet(structuredData);
-            if (importModal) importModal.hide();
+        // A concept that could not be read would look new, and pushing it would overwrite the file
+        const remote = await loadAllConcepts();
+        if (remote.failed.length > 0) {
+            showValidationError([`${remote.failed.length} repository file${remote.failed.length === 1 ? '' : 's'} could not be read, so the folder cannot be compared: ${remote.failed.map(escapeHtml).join(', ')}`]);
+            resetDropZone();
+            return;
+        }
+        
+        const folderComparison = compareConceptFolder(concepts, remote, config);
+        const conceptObjects = [...folderComparison.added, ...folderComparison.modified].map(change => change.concept);
+        
+        const validationResult = validateImportData(conceptObjects, index, config, { updateExisting: true });
+        if (fileErrors.length > 0) {
+            validationResult.errors.push(...fileErrors);
+            validationResult.valid = false;
+            validationResult.summary.errorCount = validationResult.errors.length;
+        }
+        
+        appState.setState({
+            conceptObjects,
+            importFile: null,
+            importColumnTargets: null,
+            importFileName: folderName,
+            importPlan: null,
+            importMapping: null,
+            importColumns: null,
+            importHeaders: null,
+            importRawData: null,
+            importSheets: null,
+            importValidation: validationResult
         });
+        
+        showImportSummary(concepts, validationResult, null, { folderComparison });
+        setupFolderExportButton(concepts);
+        
+        if (!validationResult.valid) {
+            zoneContent.innerHTML = `
+                <div class="text-danger">
+                    <i class="bi bi-exclamation-triangle-fill me-2"></i>
+                    <strong>${escapeHtml(folderName)}</strong> has validation errors
+                </div>
+            `;
+            return;
+        }
+        
+        zoneContent.innerHTML = `
+            <div class="text-success">
+                <i class="bi bi-folder-fill me-2"></i>
+                <strong>${escapeHtml(folderName)}</strong> - ${concepts.length} concept files compared with the repository
+            </div>
+        `;
+        
+        setupFolderPushButton(folderComparison, remote, config);
+        
+    } catch (error) {
+        console.error('Error processing concept folder:', error);
+        showValidationError([`Error processing folder: ${escapeHtml(error.message)}`]);
+        resetDropZone();
     }
 }
 
+/**
+ * Sets up the import button to push the changes ticked in the folder comparison
+ * @param {Object} comparison - Result of compareConceptFolder
+ * @param {Object} remote - Result of loadAllConcepts the folder was compared with
+ * @param {Object} config - Field configuration for each concept type
+ */
+const setupFolderPushButton = (comparison, remote, config) => {
+    const actionButtons = document.getElementById('action-buttons');
+    let pushButton = document.getElementById(DOM_ELEMENTS.REMOTE_SAVE_BUTTON);
+    
+    if (!pushButton || !actionButtons) return;
+    
+    actionButtons.style.display = 'block';
+    pushButton = removeEventListeners(pushButton);
+    pushButton.hidden = false;
+    
+    const checkboxes = [...document.querySelectorAll('#import-summary .folder-change')];
+    const selectedIds = () => new Set(checkboxes.filter(input => input.checked).map(input => input.value));
+    
+    // Each change is one file in a single commit, which the backend rejects past its file limit
+    const limit = API_CONFIG.COMMIT_FILE_LIMIT;
+    
+    const updateButton = () => {
+        const count = selectedIds().size;
+        pushButton.innerHTML = count > limit
+            ? `<i class="bi bi-exclamation-triangle"></i> ${count.toLocaleString()} Changes Selected: Push at Most ${limit.toLocaleString()} at Once`
+            : `<i class="bi bi-cloud-upload"></i> Push ${count} Selected Change${count === 1 ? '' : 's'}`;
+        pushButton.disabled = count === 0 || count > limit;
+    };
+    
+    checkboxes.forEach(input => input.addEventListener('change', updateButton));
+    updateButton();
+    
+    pushButton.addEventListener('click', async () => {
+        await pushFolderChanges(comparison, selectedIds(), remote, config);
+    });
+}
+
+/**
+ * Commits the picked folder changes as one commit, then reloads the repository
+ * Nothing is pushed if the commit is too large for the backend, or if a removal would
+ * leave a concept referencing one that is gone.
+ * @param {Object} comparison - Result of compareConceptFolder
+ * @param {Set<string>} selected - Concept IDs of the changes to push
+ * @param {Object} remote - Result of loadAllConcepts the folder was compared with
+ * @param {Object} config - Field configuration for each concept type
+ */
+const pushFolderChanges = async (comparison, selected, remote, config) => {
+    const importModal = bootstrap.Modal.getInstance(document.getElementById(DOM_ELEMENTS.IMPORT_MODAL));
+    const { files, deletions } = planFolderCommit(comparison, selected);
+    const count = files.length + deletions.length;
+    
+    if (countCommitOverflow(files, deletions) > 0) {
+        showValidationError([`${count.toLocaleString()} changes are selected, and one push can hold at most ${API_CONFIG.COMMIT_FILE_LIMIT.toLocaleString()}. Untick some changes and push the rest afterwards.`]);
+        return;
+    }
+    
+    const dependents = findFolderDependents(comparison, selected, remote, config);
+    if (dependents.length > 0) {
+        showValidationError([
+            `${dependents.length} concept${dependents.length === 1 ? '' : 's'} would still reference a removed concept. Untick those removals, or change the folder so nothing references them:`,
+            ...dependents.map(dependent => `${escapeHtml(dependent.key)} (${escapeHtml(dependent.file)}) references ${dependent.references
+                .map(reference => `${escapeHtml(reference.ids.join(', '))} in "${escapeHtml(reference.label)}"`).join('; ')}`)
+        ]);
+        return;
+    }
+    
+    hideValidationErrors();
+    showAnimation();
+    
+    try {
+        await commitFiles(files, deletions, API_CONFIG.COMMIT_MESSAGES.SYNC_FOLDER(count));
+        
+        showUserNotification('success', `${count} change${count === 1 ? '' : 's'} pushed to the repository.`);
+        if (importModal) importModal.hide();
+        await refreshHomePage();
+    } catch (error) {
+        // validateResponse has already told the user why
+        console.error('Error pushing folder changes:', error);
+    } finally {
+        hideAnimation();
+    }
+}
+
+/**
+ * Adds a button that exports a folder's concepts to a spreadsheet instead
+ * @param {Array<Object>} concepts - Concepts read from the folder
+ */
+const setupFolderExportButton = (concepts) => {
+    const actionButtons = document.getElementById('action-buttons');
+    if (!actionButtons || concepts.length === 0) return;
+    
+    actionButtons.style.display = 'block';
+    actionButtons.insertAdjacentHTML('beforeend', `
+        <button id="${DOM_ELEMENTS.EXPORT_SPREADSHEET_BUTTON}" class="btn btn-outline-primary ms-2">
+            <i class="bi bi-file-earmark-spreadsheet"></i> Export to Spreadsheet
+        </button>
+    `);
+    
+    document.getElementById(DOM_ELEMENTS.EXPORT_SPREADSHEET_BUTTON).addEventListener('click', () => {
+        const { data, columnTypes } = structureFiles(concepts);
+        generateSpreadsheet(data, columnTypes);
+        bootstrap.Modal.getInstance(document.getElementById('importModal'))?.hide();
+    });
+}
+
 /**
  * Generates a dictionary template Excel file with columns for all concept types
  * Creates a multi-sheet workbook with Instructions and color-coded Data sheet
@@ -792,8 +1630,8 @@ const createInstructionsSheet = (conceptTypes) => {
         ...conceptTypes.map(type => [`${type}: ${CONCEPT_TYPE_COLORS[type].name}`]),
         [''],
         ['IMPORTANT NOTES:'],
-        ['• Do not rename or reorder columns'],
-        ['• Do not modify the header row'],
+        ['• Columns can be in any order'],
+        ['• Keep the header names; other headers have to be matched to fields when importing'],
         ['• Concept IDs must be exactly 9 digits if provided'],
         ['• Each KEY value must be unique within its concept type'],
         ['• Indentation in this example is for illustration only - use the actual columns']
@@ -934,6 +1772,62 @@ const showTemplateDownloadSuccess = (templateType) => {
     }, 5000);
 };
 
+/**
+ * Offers to finish, or roll back, an earlier import whose batches did not all land
+ * The journal is kept in this browser, so this also covers an import cut short by a
+ * reload. The files are resumed as they were prepared, not prepared again.
+ */
+const showUnfinishedImport = async () => {
+    const container = document.getElementById(DOM_ELEMENTS.IMPORT_JOURNAL);
+    if (!container) return;
+    
+    const { owner, repoName } = appState.getState();
+    const journal = await readImportJournal(owner, repoName);
+    
+    if (getUnfinishedBatches(journal).length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    const summary = summarizeJournal(journal);
+    
+    container.innerHTML = `
+        <div class="alert alert-warning mb-0">
+            <div class="small mb-2">
+                <i class="bi bi-exclamation-triangle me-1"></i>
+                An import started ${escapeHtml(new Date(journal.createdAt).toLocaleString())} is unfinished:
+                ${summary.committedFiles} of ${summary.files} files were committed.
+                ${summary.retryAt ? `GitHub asked to wait until ${escapeHtml(new Date(summary.retryAt).toLocaleTimeString())}.` : ''}
+            </div>
+            <button type="button" class="btn btn-sm btn-warning me-2" id="resumeImportButton">
+                <i class="bi bi-arrow-repeat me-1"></i> Resume Import
+            </button>
+            ${summary.committedFiles > 0 ? `
+                <button type="button" class="btn btn-sm btn-outline-danger me-2" id="rollBackImportButton">
+                    <i class="bi bi-arrow-counterclockwise me-1"></i> Roll Back
+                </button>
+            ` : ''}
+            <button type="button" class="btn btn-sm btn-outline-secondary" id="discardImportButton">Discard</button>
+        </div>
+    `;
+    container.style.display = 'block';
+    
+    document.getElementById('resumeImportButton').addEventListener('click', async () => {
+        bootstrap.Modal.getInstance(document.getElementById(DOM_ELEMENTS.IMPORT_MODAL))?.hide();
+        await renderUploadModal(null, { journal });
+    });
+    
+    document.getElementById('rollBackImportButton')?.addEventListener('click', async () => {
+        bootstrap.Modal.getInstance(document.getElementById(DOM_ELEMENTS.IMPORT_MODAL))?.hide();
+        await renderUploadModal(null, { journal, rollBack: true });
+    });
+    
+    document.getElementById('discardImportButton').addEventListener('click', async () => {
+        await clearImportJournal(owner, repoName);
+        container.style.display = 'none';
+    });
+};
+
 /**
  * Sets up event listeners for the import modal
  */
@@ -972,4 +1866,17 @@ export const setupImportModal = () => {
             }
         });
     }
-};
\ No newline at end of file
+    
+    showUnfinishedImport();
+    
+    // Switching update mode re-reads the loaded file, since it changes what is valid
+    const updateModeToggle = document.getElementById(DOM_ELEMENTS.IMPORT_UPDATE_MODE);
+    if (updateModeToggle) {
+        removeEventListeners(updateModeToggle).addEventListener('change', async () => {
+            const { importFile, importColumnTargets } = appState.getState();
+            if (importFile) {
+                await processDictionaryFile(importFile, {}, importColumnTargets);
+            }
+        });
+    }
+};
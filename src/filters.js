@@ -0,0 +1,116 @@
+/**
+ * Structured filters for the repository file list.
+ *
+ * Concept type comes straight from index.json. The other filters need the concepts
+ * themselves, so they work from per-file facts derived once from loadAllConcepts.
+ */
+
+import { buildHierarchy, getReferenceIds } from './hierarchy.js';
+
+/**
+ * Filter state with nothing selected
+ * @returns {Object} `{ types, missingRequired, orphaned, references }`
+ */
+export const createEmptyFilters = () => ({
+    types: [],
+    missingRequired: false,
+    orphaned: false,
+    references: ''
+});
+
+/**
+ * Tests whether any filter is selected
+ * @param {Object} filters - Filter state
+ * @returns {boolean} True if the list should be filtered
+ */
+export const hasActiveFilters = (filters) => Boolean(
+    filters && (filters.types.length > 0 || filters.missingRequired || filters.orphaned || filters.references)
+);
+
+/**
+ * Tests whether the selected filters need concept contents rather than just index.json
+ * @param {Object} filters - Filter state
+ * @returns {boolean} True if concept facts are required
+ */
+export const needsConceptFacts = (filters) => Boolean(
+    filters && (filters.missingRequired || filters.orphaned || filters.references)
+);
+
+/**
+ * Lists the required fields a concept leaves empty
+ * An empty string or empty list is how the edit form clears a field, so it counts as empty.
+ * @param {Object} concept - Concept object
+ * @param {Array<Object>} typeConfig - Field configuration for the concept's type
+ * @returns {Array<string>} Ids of the empty required fields
+ */
+export const getMissingRequiredFields = (concept, typeConfig) => typeConfig
+    // The ID is the filename; it cannot be missing from a file that exists
+    .filter(field => field.required && field.id !== 'conceptId' && field.id !== 'conceptID')
+    .filter(field => {
+        const value = concept[field.id];
+        return value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+    })
+    .map(field => field.id);
+
+/**
+ * Derives the facts the filters test, for every concept
+ *
+ * @param {Array<Object>} concepts - Normalized concept objects
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Map<string, Object>} Filename to `{ missingRequired, orphaned, references }`:
+ *   ids of empty required fields, whether the concept has no place in the hierarchy,
+ *   and every concept ID its reference fields point at
+ */
+export const buildConceptFacts = (concepts, config) => {
+    const { byId, orphans } = buildHierarchy(concepts, config);
+    const orphanIds = new Set(orphans);
+    const facts = new Map();
+
+    byId.forEach((concept, id) => {
+        const typeConfig = config?.[concept.object_type] || [];
+
+        const missingRequired = getMissingRequiredFields(concept, typeConfig);
+
+        const references = new Set(typeConfig
+            .filter(field => field.type === 'reference')
+            .flatMap(field => getReferenceIds(concept[field.id])));
+
+        facts.set(`${id}.json`, { missingRequired, orphaned: orphanIds.has(id), references });
+    });
+
+    return facts;
+};
+
+/**
+ * Applies the selected filters to the file list
+ * Filters combine with AND; selected types combine with OR among themselves.
+ *
+ * @param {Array<Object>} files - Repository concept files
+ * @param {Object} index - Repository index.json contents
+ * @param {Object} filters - Filter state
+ * @param {Map<string, Object>|null} facts - Concept facts; files without facts fail content filters
+ * @returns {Array<Object>} Files passing every selected filter
+ */
+export const applyFilters = (files, index, filters, facts) => {
+    if (!hasActiveFilters(filters)) return files;
+
+    const referenced = String(filters.references || '').trim();
+
+    return files.filter(file => {
+        if (filters.types.length > 0 && !filters.types.includes(index?._files?.[file.name]?.object_type)) {
+            return false;
+        }
+
+        if (!needsConceptFacts(filters)) return true;
+
+        const fileFacts = facts?.get(file.name);
+        if (!fileFacts) return false;
+
+        if (filters.missingRequired && fileFacts.missingRequired.length === 0) return false;
+        if (filters.orphaned && !fileFacts.orphaned) return false;
+        if (referenced && !fileFacts.references.has(referenced)) return false;
+
+        return true;
+    });
+};
@@ -0,0 +1,115 @@
+/**
+ * Comparison of a local folder of concept files with the repository.
+ *
+ * Teams that generate concept JSON with scripts keep a folder that mirrors the
+ * repository. Dropping it shows what would change: concepts the folder adds, concepts
+ * it changes field by field, and concepts the repository has that the folder does not.
+ * Concepts are matched by Concept ID, so a renamed key is a change, not a new concept.
+ * The changes the user picks are written, and files removed, in one commit. A removal
+ * that would leave another concept referencing nothing is held back, as bulk delete does.
+ */
+
+import { diffConcepts } from './concepts.js';
+import { planBulkDelete } from './bulk.js';
+
+/**
+ * Kinds of change, in the order they are listed
+ */
+export const FOLDER_CHANGES = {
+    added: 'New in folder',
+    modified: 'Changed in folder',
+    removed: 'Not in folder'
+};
+
+/**
+ * Compares the concepts read from a folder with the repository's
+ *
+ * @param {Array<Object>} local - Concepts from parseConceptFiles
+ * @param {Object} remote - Result of loadAllConcepts: `{ concepts, fileNames }`
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Object} `{ added, modified, removed, unchanged }`, each a list of
+ *   `{ id, file, concept, before, changes }`: file is where the concept is stored in the
+ *   repository, concept the folder's version and before the repository's, either null
+ *   where that side has none
+ */
+export const compareConceptFolder = (local, remote, config) => {
+    const stored = new Map((remote?.concepts || []).map((concept, index) => [
+        String(concept.conceptID),
+        { concept, file: remote.fileNames?.[index] || `${concept.conceptID}.json` }
+    ]));
+
+    const comparison = { added: [], modified: [], removed: [], unchanged: [] };
+    const seen = new Set();
+
+    local.forEach(concept => {
+        const id = String(concept.conceptID);
+        const match = stored.get(id);
+        seen.add(id);
+
+        if (!match) {
+            comparison.added.push({ id, file: `${id}.json`, concept, before: null, changes: diffConcepts(null, concept, config?.[concept.object_type]) });
+            return;
+        }
+
+        const changes = diffConcepts(match.concept, concept, config?.[concept.object_type]);
+        comparison[changes.length > 0 ? 'modified' : 'unchanged'].push({ id, file: match.file, concept, before: match.concept, changes });
+    });
+
+    stored.forEach(({ concept, file }, id) => {
+        if (seen.has(id)) return;
+        comparison.removed.push({ id, file, concept: null, before: concept, changes: diffConcepts(concept, null, config?.[concept.object_type]) });
+    });
+
+    return comparison;
+};
+
+/**
+ * Turns the chosen changes into one commit
+ *
+ * @param {Object} comparison - Result of compareConceptFolder
+ * @param {Set<string>} selected - Concept IDs of the changes to push
+ * @returns {Object} `{ files, deletions }` for commitFiles: files as `{ name, content }`
+ *   written as the import writes them, and the paths to remove
+ */
+export const planFolderCommit = (comparison, selected) => {
+    const files = [...comparison.added, ...comparison.modified]
+        .filter(change => selected.has(change.id))
+        .map(({ file, concept }) => {
+            const { _sourceFile, ...clean } = concept;
+            return { name: file, content: JSON.stringify(clean, null, 2) };
+        });
+
+    const deletions = comparison.removed
+        .filter(change => selected.has(change.id))
+        .map(change => change.file);
+
+    return { files, deletions };
+};
+
+/**
+ * Finds the concepts that would still reference a removed one once the changes are pushed
+ * Runs bulk delete's dependency check on the repository as the push would leave it, so
+ * a dependent the folder also changes only counts if its new version keeps the reference.
+ *
+ * @param {Object} comparison - Result of compareConceptFolder
+ * @param {Set<string>} selected - Concept IDs of the changes to push
+ * @param {Object} remote - Result of loadAllConcepts: `{ concepts, fileNames }`
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Array<Object>} The dependents, as planBulkDelete lists them; empty when the
+ *   removals are safe
+ */
+export const findFolderDependents = (comparison, selected, remote, config) => {
+    const picked = (change) => selected.has(change.id);
+    const deletions = comparison.removed.filter(picked).map(change => change.file);
+    if (deletions.length === 0) return [];
+
+    const pushed = new Map([...comparison.added, ...comparison.modified]
+        .filter(picked)
+        .map(change => [change.file, change.concept]));
+    const stored = new Set(remote.fileNames);
+
+    const fileNames = [...remote.fileNames, ...[...pushed.keys()].filter(file => !stored.has(file))];
+    const concepts = fileNames.map((file, position) => pushed.get(file) ?? remote.concepts[position]);
+
+    return planBulkDelete({ concepts, fileNames, config }, deletions).dependents;
+};
@@ -0,0 +1,377 @@
+/**
+ * Relationship graph view of a repository's concepts.
+ *
+ * Every reference field declared in config.json becomes an edge from the concept
+ * holding it to the concept it names. A whole dictionary is far too dense to draw, so
+ * the view shows the neighbourhood of one focused concept, a chosen number of hops
+ * out, laid out in rings around it. That is enough to see, for example, every
+ * question that reuses a shared RESPONSE or SOURCE.
+ */
+
+import { HOMEPAGE_TEMPLATES, TEMPLATE_UTILS } from './templates.js';
+import { CONCEPT_TYPE_COLORS, GRAPH_CONFIG, MODAL_CONFIG } from './config.js';
+import { getReferenceIds } from './hierarchy.js';
+
+/**
+ * Builds the reference graph for a set of concepts
+ * References to concepts that do not exist are left out; they have nothing to draw.
+ *
+ * @param {Array<Object>} concepts - Normalized concept objects
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Object} `{ nodes, edges, adjacency }`: concepts as `{ id, key, type }` by ID,
+ *   edges as `{ from, to, label }`, and the IDs each concept is connected to either way
+ */
+export const buildConceptGraph = (concepts, config) => {
+    const nodes = new Map();
+    concepts.forEach(concept => {
+        if (concept?.conceptID === undefined) return;
+        const id = String(concept.conceptID);
+        nodes.set(id, { id, key: concept.key, type: concept.object_type });
+    });
+
+    const edges = [];
+    const adjacency = new Map([...nodes.keys()].map(id => [id, new Set()]));
+
+    concepts.forEach(concept => {
+        const from = String(concept?.conceptID);
+        if (!nodes.has(from)) return;
+
+        (config?.[concept.object_type] || [])
+            .filter(field => field.type === 'reference')
+            .forEach(field => {
+                getReferenceIds(concept[field.id]).forEach(to => {
+                    if (!nodes.has(to) || to === from) return;
+                    edges.push({ from, to, label: field.label || field.id });
+                    adjacency.get(from).add(to);
+                    adjacency.get(to).add(from);
+                });
+            });
+    });
+
+    return { nodes, edges, adjacency };
+};
+
+/**
+ * Finds a concept by ID or, failing that, by key (case-insensitive)
+ * @param {Object} graph - Result of buildConceptGraph
+ * @param {string} query - Concept ID or key
+ * @returns {string|null} Concept ID, or null if nothing matches
+ */
+export const findGraphNode = (graph, query) => {
+    const term = String(query ?? '').trim();
+    if (!term) return null;
+    if (graph.nodes.has(term)) return term;
+
+    const lower = term.toLowerCase();
+    for (const node of graph.nodes.values()) {
+        if (String(node.key ?? '').toLowerCase() === lower) return node.id;
+    }
+    return null;
+};
+
+/**
+ * Collects the concepts within a number of hops of a focused concept
+ * Edges are followed in both directions. Concepts are taken nearest first, so when the
+ * neighbourhood is larger than the limit, the outermost ring is the one cut short.
+ *
+ * @param {Object} graph - Result of buildConceptGraph
+ * @param {string} focusId - Concept at the centre
+ * @param {number} hops - How many edges out to go
+ * @param {number} [maxNodes=GRAPH_CONFIG.MAX_NODES] - Most concepts to return
+ * @returns {Object} `{ distances, edges, truncated }`: hop distance by concept ID, the edges
+ *   between returned concepts, and whether the limit cut the neighbourhood short
+ */
+export const getNeighborhood = (graph, focusId, hops, maxNodes = GRAPH_CONFIG.MAX_NODES) => {
+    const distances = new Map();
+    if (!graph.nodes.has(focusId)) return { distances, edges: [], truncated: false };
+
+    distances.set(focusId, 0);
+    let frontier = [focusId];
+    let truncated = false;
+
+    for (let hop = 1; hop <= hops && frontier.length > 0 && !truncated; hop++) {
+        const next = [];
+
+        for (const id of frontier) {
+            for (const neighbor of graph.adjacency.get(id)) {
+                if (distances.has(neighbor)) continue;
+                if (distances.size >= maxNodes) {
+                    truncated = true;
+                    break;
+                }
+                distances.set(neighbor, hop);
+                next.push(neighbor);
+            }
+            if (truncated) break;
+        }
+
+        frontier = next;
+    }
+
+    const edges = graph.edges.filter(edge => distances.has(edge.from) && distances.has(edge.to));
+    return { distances, edges, truncated };
+};
+
+/**
+ * Places concepts on rings around the focused concept, one ring per hop
+ * Each concept is placed near the concepts it hangs off in the ring inside it, which
+ * keeps the edges between rings short and mostly uncrossed. The layout is deterministic,
+ * so refocusing on the same concept always draws the same picture.
+ *
+ * @param {Object} neighborhood - Result of getNeighborhood
+ * @param {Object} graph - Result of buildConceptGraph
+ * @returns {Map<string, Object>} Position `{ x, y }` by concept ID, centred on the origin
+ */
+export const layoutRadial = (neighborhood, graph) => {
+    const { distances } = neighborhood;
+    const positions = new Map();
+    const angles = new Map();
+    let radius = 0;
+
+    const rings = [];
+    distances.forEach((hop, id) => {
+        (rings[hop] = rings[hop] || []).push(id);
+    });
+
+    rings.forEach((ring, hop) => {
+        if (hop === 0) {
+            positions.set(ring[0], { x: 0, y: 0 });
+            angles.set(ring[0], 0);
+            return;
+        }
+
+        // Order by the mean angle of inner-ring neighbours, then by key for stability
+        const anchor = (id) => {
+            const inner = [...graph.adjacency.get(id)].filter(neighbor => distances.get(neighbor) === hop - 1);
+            if (inner.length === 0) return 0;
+            return inner.reduce((sum, neighbor) => sum + angles.get(neighbor), 0) / inner.length;
+        };
+
+        const ordered = ring
+            .map(id => ({ id, anchor: anchor(id), key: String(graph.nodes.get(id).key ?? id) }))
+            .sort((a, b) => a.anchor - b.anchor || a.key.localeCompare(b.key));
+
+        // Each ring clears the one inside it and is long enough to space its concepts out
+        radius = Math.max(radius + GRAPH_CONFIG.RING_SPACING, (ordered.length * GRAPH_CONFIG.NODE_SPACING) / (2 * Math.PI));
+
+        ordered.forEach(({ id }, index) => {
+            const angle = (2 * Math.PI * index) / ordered.length;
+            angles.set(id, angle);
+            positions.set(id, { x: Math.round(radius * Math.cos(angle)), y: Math.round(radius * Math.sin(angle)) });
+        });
+    });
+
+    return positions;
+};
+
+/**
+ * Shortens a label to fit under a node
+ * @param {string} text - Label text
+ * @param {number} [max=18] - Longest label kept whole
+ * @returns {string} Label, with an ellipsis if it was cut
+ */
+const shortLabel = (text, max = 18) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Renders the graph view into a container
+ *
+ * @param {HTMLElement} container - Element to render into; its contents are replaced
+ * @param {Object} graph - Result of buildConceptGraph
+ * @param {Object} options - View options
+ * @param {string} [options.focusId] - Concept to centre on; defaults to the first PRIMARY by key
+ * @param {Function} options.onViewConcept - Called with the click event when a concept's View button is used
+ * @param {Function} [options.onFocusChange] - Called with the concept ID whenever the focus moves
+ */
+export const renderConceptGraph = (container, graph, { focusId, onViewConcept, onFocusChange }) => {
+    const view = document.createElement('div');
+    view.innerHTML = HOMEPAGE_TEMPLATES.graphView(MODAL_CONFIG.CONCEPT_TYPES, CONCEPT_TYPE_COLORS, GRAPH_CONFIG);
+
+    const svg = view.querySelector('#conceptGraph');
+    const focusInput = view.querySelector('#graphFocus');
+    const hopsSelect = view.querySelector('#graphHops');
+    const statusSpan = view.querySelector('#graphStatus');
+    const details = view.querySelector('#graphDetails');
+
+    hopsSelect.value = String(GRAPH_CONFIG.DEFAULT_HOPS);
+
+    const defaultFocus = [...graph.nodes.values()]
+        .filter(node => node.type === 'PRIMARY')
+        .sort((a, b) => String(a.key ?? a.id).localeCompare(String(b.key ?? b.id)))[0]?.id
+        || graph.nodes.keys().next().value;
+
+    let currentFocus = graph.nodes.has(focusId) ? focusId : defaultFocus;
+    let viewBox = null;
+    let fittedViewBox = null;
+
+    const applyViewBox = () => {
+        svg.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
+    };
+
+    const zoom = (factor, centerX = viewBox.x + viewBox.width / 2, centerY = viewBox.y + viewBox.height / 2) => {
+        viewBox = {
+            x: centerX - (centerX - viewBox.x) * factor,
+            y: centerY - (centerY - viewBox.y) * factor,
+            width: viewBox.width * factor,
+            height: viewBox.height * factor
+        };
+        applyViewBox();
+    };
+
+    const draw = () => {
+        if (!currentFocus) {
+            svg.innerHTML = '';
+            statusSpan.textContent = 'This repository has no concepts to show.';
+            details.innerHTML = '';
+            return;
+        }
+
+        const hops = Number(hopsSelect.value);
+        const neighborhood = getNeighborhood(graph, currentFocus, hops);
+        const positions = layoutRadial(neighborhood, graph);
+
+        const nodeMarkup = [...neighborhood.distances.keys()].map(id => {
+            const node = graph.nodes.get(id);
+            const { x, y } = positions.get(id);
+            const degree = graph.adjacency.get(id).size;
+            const radius = id === currentFocus ? 14 : 8 + Math.min(6, Math.log2(degree + 1) * 1.5);
+            const color = CONCEPT_TYPE_COLORS[node.type]?.hex || '#6c757d';
+            const label = TEMPLATE_UTILS.sanitize(String(node.key ?? id));
+
+            return `
+                <g class="graph-node${id === currentFocus ? ' graph-focus' : ''}" data-id="${id}" tabindex="0" role="button"
+                    transform="translate(${x} ${y})" aria-label="${label}, ${node.type}, ${degree} connections">
+                    <title>${label} (${id}) - ${node.type}, ${degree} connection${degree === 1 ? '' : 's'}</title>
+                    <circle r="${radius}" fill="${color}"></circle>
+                    <text y="${radius + 12}" text-anchor="middle">${TEMPLATE_UTILS.sanitize(shortLabel(String(node.key ?? id)))}</text>
+                </g>
+            `;
+        }).join('');
+
+        const edgeMarkup = neighborhood.edges.map(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            return `
+                <line class="graph-edge" x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" marker-end="url(#graphArrow)">
+                    <title>${TEMPLATE_UTILS.sanitize(edge.label)}</title>
+                </line>
+            `;
+        }).join('');
+
+        svg.innerHTML = `
+            <defs>
+                <marker id="graphArrow" viewBox="0 0 10 10" refX="22" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                </marker>
+            </defs>
+            <g class="graph-edges">${edgeMarkup}</g>
+            <g class="graph-nodes">${nodeMarkup}</g>
+        `;
+
+        // Fit every ring in view, with room for the outermost labels
+        const extent = Math.max(GRAPH_CONFIG.RING_SPACING, ...[...positions.values()].map(({ x, y }) => Math.max(Math.abs(x), Math.abs(y)))) + 60;
+        fittedViewBox = { x: -extent, y: -extent, width: extent * 2, height: extent * 2 };
+        viewBox = { ...fittedViewBox };
+        applyViewBox();
+
+        const focusNode = graph.nodes.get(currentFocus);
+        const shown = neighborhood.distances.size;
+        statusSpan.textContent = neighborhood.truncated
+            ? `Showing the nearest ${shown} concepts; reduce the hops to see the rest.`
+            : `${shown} concept${shown === 1 ? '' : 's'} within ${hops} hop${hops === 1 ? '' : 's'}.`;
+
+        focusInput.value = focusNode.key ?? currentFocus;
+        details.innerHTML = HOMEPAGE_TEMPLATES.graphDetails(focusNode, graph.adjacency.get(currentFocus).size, CONCEPT_TYPE_COLORS[focusNode.type]?.hex || '#6c757d');
+    };
+
+    const focusOn = (id) => {
+        if (!id || !graph.nodes.has(id)) return;
+        currentFocus = id;
+        focusInput.classList.remove('is-invalid');
+        onFocusChange?.(id);
+        draw();
+    };
+
+    // Focus: click or Enter on a node, or an ID or key typed into the focus box
+    svg.addEventListener('click', (event) => {
+        const node = event.target.closest('.graph-node');
+        if (node && !svg.dataset.panned) focusOn(node.dataset.id);
+    });
+
+    svg.addEventListener('keydown', (event) => {
+        const node = event.target.closest('.graph-node');
+        if (node && (event.key === 'Enter' || event.key === ' ')) {
+            event.preventDefault();
+            focusOn(node.dataset.id);
+        }
+    });
+
+    focusInput.addEventListener('change', () => {
+        const id = findGraphNode(graph, focusInput.value);
+        focusInput.classList.toggle('is-invalid', !id);
+        focusOn(id);
+    });
+
+    hopsSelect.addEventListener('change', draw);
+
+    details.addEventListener('click', (event) => {
+        if (event.target.closest('.viewFileBtn')) onViewConcept(event);
+    });
+
+    // Zoom: buttons, or the wheel centred on the pointer
+    view.querySelector('#graphZoomIn').addEventListener('click', () => zoom(0.8));
+    view.querySelector('#graphZoomOut').addEventListener('click', () => zoom(1.25));
+    view.querySelector('#graphZoomReset').addEventListener('click', () => {
+        viewBox = { ...fittedViewBox };
+        applyViewBox();
+    });
+
+    svg.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        const rect = svg.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        const pointX = viewBox.x + ((event.clientX - rect.left) / rect.width) * viewBox.width;
+        const pointY = viewBox.y + ((event.clientY - rect.top) / rect.height) * viewBox.height;
+        zoom(event.deltaY < 0 ? 0.9 : 1.1, pointX, pointY);
+    }, { passive: false });
+
+    // Pan: drag the background or a node; a drag is not a click, so it does not refocus
+    let drag = null;
+
+    svg.addEventListener('pointerdown', (event) => {
+        drag = { x: event.clientX, y: event.clientY, viewBox: { ...viewBox }, moved: false };
+        delete svg.dataset.panned;
+    });
+
+    svg.addEventListener('pointermove', (event) => {
+        if (!drag) return;
+        const rect = svg.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+
+        if (!drag.moved) {
+            drag.moved = true;
+            svg.setPointerCapture?.(event.pointerId);
+        }
+        viewBox = {
+            ...drag.viewBox,
+            x: drag.viewBox.x - (dx / rect.width) * drag.viewBox.width,
+            y: drag.viewBox.y - (dy / rect.height) * drag.viewBox.height
+        };
+        applyViewBox();
+    });
+
+    const endDrag = () => {
+        if (drag?.moved) svg.dataset.panned = 'true';
+        drag = null;
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+
+    container.innerHTML = '';
+    container.appendChild(view);
+    draw();
+};
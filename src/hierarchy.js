@@ -0,0 +1,112 @@
+/**
+ * Concept hierarchy: PRIMARY → SECONDARY → QUESTION → RESPONSE.
+ *
+ * Concepts do not store their children. A SECONDARY points up at its PRIMARY and a
+ * QUESTION at its SECONDARY, while a QUESTION points down at its RESPONSEs. Which field
+ * carries each link is whatever config.json declares as a reference between those
+ * types, the same resolution structureFiles uses for the export.
+ *
+ * SOURCE concepts are referenced from questions but sit outside the hierarchy.
+ */
+
+/**
+ * Types that make up the hierarchy, from the top down
+ */
+export const HIERARCHY_TYPES = ['PRIMARY', 'SECONDARY', 'QUESTION', 'RESPONSE'];
+
+/**
+ * Finds the config field through which one concept type references another
+ * @param {Object} config - Field configuration for each concept type
+ * @param {string} sourceType - Type holding the reference
+ * @param {string} targetType - Type being referenced
+ * @returns {string|null} Field id, or null if the types are not linked
+ */
+export const getReferenceFieldId = (config, sourceType, targetType) => {
+    const typeConfig = config?.[sourceType] || [];
+    return typeConfig.find(field => field.type === 'reference' && field.referencesType === targetType)?.id || null;
+};
+
+/**
+ * Resolves the reference fields that link the hierarchy together
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Object} `{ secToParent, qToSecondary, qToResponses }`; any may be null
+ */
+export const getHierarchyFields = (config) => ({
+    secToParent: getReferenceFieldId(config, 'SECONDARY', 'PRIMARY'),
+    qToSecondary: getReferenceFieldId(config, 'QUESTION', 'SECONDARY'),
+    qToResponses: getReferenceFieldId(config, 'QUESTION', 'RESPONSE')
+});
+
+/**
+ * Reads the concept IDs held by a reference field
+ * Accepts a single ID, a list, or the comma-separated strings older edits produced.
+ * @param {*} value - Reference field value
+ * @returns {Array<string>} Referenced concept IDs, as strings
+ */
+export const getReferenceIds = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(id => String(id).trim()).filter(Boolean);
+};
+
+/**
+ * Links concepts into the hierarchy
+ * Only references that resolve to an existing concept of the expected type count as links;
+ * anything else leaves the concept unplaced, and therefore an orphan.
+ *
+ * @param {Array<Object>} concepts - Normalized concept objects
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Object} `{ byId, children, parents, roots, orphans }`: concepts by ID, child and
+ *   parent ID lists by ID, PRIMARY IDs, and SECONDARY/QUESTION/RESPONSE IDs with no parent
+ */
+export const buildHierarchy = (concepts, config) => {
+    const { secToParent, qToSecondary, qToResponses } = getHierarchyFields(config);
+
+    const byId = new Map();
+    concepts.forEach(concept => {
+        if (concept?.conceptID !== undefined) byId.set(String(concept.conceptID), concept);
+    });
+
+    const children = new Map();
+    const parents = new Map();
+
+    const link = (parentId, childId, parentType, childType) => {
+        if (byId.get(parentId)?.object_type !== parentType) return;
+        if (byId.get(childId)?.object_type !== childType) return;
+
+        const siblings = children.get(parentId) || [];
+        if (siblings.includes(childId)) return;
+
+        children.set(parentId, [...siblings, childId]);
+        parents.set(childId, [...(parents.get(childId) || []), parentId]);
+    };
+
+    byId.forEach((concept, id) => {
+        if (concept.object_type === 'SECONDARY' && secToParent) {
+            getReferenceIds(concept[secToParent]).forEach(parentId => link(parentId, id, 'PRIMARY', 'SECONDARY'));
+        }
+
+        if (concept.object_type === 'QUESTION') {
+            if (qToSecondary) {
+                getReferenceIds(concept[qToSecondary]).forEach(parentId => link(parentId, id, 'SECONDARY', 'QUESTION'));
+            }
+            if (qToResponses) {
+                getReferenceIds(concept[qToResponses]).forEach(childId => link(id, childId, 'QUESTION', 'RESPONSE'));
+            }
+        }
+    });
+
+    const roots = [];
+    const orphans = [];
+
+    byId.forEach((concept, id) => {
+        if (concept.object_type === 'PRIMARY') {
+            roots.push(id);
+        } else if (HIERARCHY_TYPES.includes(concept.object_type) && !parents.has(id)) {
+            orphans.push(id);
+        }
+    });
+
+    return { byId, children, parents, roots, orphans };
+};
@@ -10,16 +10,30 @@
  * @requires dictionary - Data structuring functions
  * @requires templates - HTML template functions
  * @requires events - UI event handling functions
+ * @requires router - Deep link routes
+ * @requires search - Full-text concept search
+ * @requires filters - Structured file list filters
+ * @requires hierarchy - Concept hierarchy resolution
+ * @requires tree - Hierarchy tree view
+ * @requires graph - Relationship graph view
+ * @requires sync - Export sync sheet
  */
 
 import { appState, executeWithAnimation, showUserNotification, getErrorMessage } from './common.js';
 import { getRepoTree, getIndexContent, loadAllConcepts, getUserRepositories, getConfigurationSettings } from './api.js';
-import { renderAddModal, renderDeleteModal, renderViewModal, renderConfigModal } from './modals.js';
-import { generateSpreadsheet } from './files.js';
-import { structureFiles } from './dictionary.js';
-import { HOMEPAGE_TEMPLATES } from './templates.js';
-import { addEventOpenRepoButtons, addEventSearchBarControls, addEventFileListButtons, addEventPaginationControls } from './events.js';
-import { PAGINATION_CONFIG, FILE_FILTERS, CONFIG } from './config.js';
+import { renderAddModal, renderDeleteModal, renderViewModal, renderConfigModal, renderConceptView, closeConceptView, renderIntegrityModal, renderBulkEditModal, renderBulkDeleteModal } from './modals.js';
+import { generateSpreadsheet, generateTypeSheetsSpreadsheet } from './files.js';
+import { structureFiles, structureTypeSheets } from './dictionary.js';
+import { buildSyncSheet } from './sync.js';
+import { HOMEPAGE_TEMPLATES, MODAL_TEMPLATES, COMMON_TEMPLATES } from './templates.js';
+import { addEventOpenRepoButtons, addEventSearchBarControls, addEventFileListButtons, addEventPaginationControls, addEventFilterControls, addEventViewToggle, addEventValidateRepo, addEventFileSelection, addEventBulkActions } from './events.js';
+import { PAGINATION_CONFIG, FILE_FILTERS, CONFIG, MODAL_CONFIG, CONCEPT_TYPE_COLORS } from './config.js';
+import { setRoute, routeMatchesRepo } from './router.js';
+import { loadSearchIndex, searchConcepts, highlightMatches } from './search.js';
+import { createEmptyFilters, hasActiveFilters, needsConceptFacts, buildConceptFacts, applyFilters } from './filters.js';
+import { buildHierarchy } from './hierarchy.js';
+import { renderHierarchyTree } from './tree.js';
+import { buildConceptGraph, renderConceptGraph } from './graph.js';
 
 /**
  * Renders the main homepage displaying the user's GitHub repositories
@@ -34,13 +48,27 @@ import { PAGINATION_CONFIG, FILE_FILTERS, CONFIG } from './config.js';
  */
 export const renderHomePage = async () => {
     
+    setRoute(null);
+
     appState.setState({ 
         files: [], 
         index: {}, 
         objects: {}, 
         currentPage: PAGINATION_CONFIG.DEFAULT_CURRENT_PAGE, 
         itemsPerPage: PAGINATION_CONFIG.DEFAULT_ITEMS_PER_PAGE,
-        repo: null
+        repo: null,
+        searchIndex: null,
+        searchIndexStatus: null,
+        conceptFacts: null,
+        conceptFactsStatus: null,
+        hierarchy: null,
+        hierarchyStatus: null,
+        conceptGraph: null,
+        conceptGraphStatus: null,
+        graphFocus: null,
+        selectedFiles: [],
+        filters: createEmptyFilters(),
+        viewMode: 'list'
     });
 
     const repos = await getUserRepositories();
@@ -56,7 +84,61 @@ export const renderHomePage = async () => {
     `;
 
     // Add event listeners for repository open buttons
-    addEventOpenRepoButtons(repos.data, renderRepoContent);
+    addEventOpenRepoButtons(repos.data, openRepository);
+}
+
+/**
+ * @async
+ * @function renderRoute
+ * @description Renders the view a deep link points at: the homepage, a repository,
+ * or a concept open over its repository. Used on load and on back/forward navigation,
+ * so it only re-renders the repository when the route has moved to a different one.
+ * 
+ * @param {Object|null} route - Route from parseRoute, or null for the homepage
+ * 
+ * @throws {Error} If GitHub API fails or the repository cannot be loaded
+ */
+export const renderRoute = async (route) => {
+    if (!route) {
+        closeConceptView();
+        await renderHomePage();
+        return;
+    }
+
+    const { repo } = appState.getState();
+
+    if (!routeMatchesRepo(route, repo)) {
+        closeConceptView();
+
+        const repos = await getUserRepositories();
+        const target = repos.data.find(candidate => routeMatchesRepo(route, candidate));
+
+        if (!target) {
+            showUserNotification('warning', `Repository ${route.owner}/${route.repoName} was not found, or you do not have access to it.`);
+            await renderHomePage();
+            return;
+        }
+
+        await renderRepoContent(target);
+    }
+
+    if (route.conceptId) {
+        await renderConceptView(`${route.conceptId}.json`);
+    } else {
+        closeConceptView();
+    }
+}
+
+/**
+ * @async
+ * @function openRepository
+ * @description Opens a repository chosen from the list and records it in the address bar.
+ * 
+ * @param {Object} repo - Repository object from GitHub API
+ */
+const openRepository = async (repo) => {
+    await renderRepoContent(repo);
+    setRoute({ owner: repo.owner.login, repoName: repo.name });
 }
 
 /**
@@ -93,7 +175,19 @@ const renderRepoContent = async (repo) => {
     const owner = repo.owner.login;
     const repoName = repo.name;
 
-    appState.setState({ repo, owner, repoName });
+    // Filters and view survive a refresh of the same repository, which is how cleanup work goes
+    const previous = appState.getState();
+    const sameRepo = previous.owner === owner && previous.repoName === repoName;
+
+    appState.setState({
+        repo,
+        owner,
+        repoName,
+        filters: sameRepo && previous.filters ? previous.filters : createEmptyFilters(),
+        viewMode: sameRepo && previous.viewMode ? previous.viewMode : 'list',
+        graphFocus: sameRepo ? previous.graphFocus : null,
+        selectedFiles: sameRepo && previous.selectedFiles ? previous.selectedFiles : []
+    });
 
     try {
         // Trees API rather than a directory listing: contents caps at 1,000 entries
@@ -113,8 +207,22 @@ const renderRepoContent = async (repo) => {
             file.name.endsWith('.json')
         );
 
-        // Update appState with files and index
-        appState.setState({ files: filesWithoutIndex, index: indexContent, treeSha: sha });
+        // Update appState with files and index; data derived from concepts is rebuilt on demand
+        const fileNames = new Set(filesWithoutIndex.map(file => file.name));
+        appState.setState({
+            files: filesWithoutIndex,
+            selectedFiles: appState.getState().selectedFiles.filter(name => fileNames.has(name)),
+            index: indexContent,
+            treeSha: sha,
+            searchIndex: null,
+            searchIndexStatus: null,
+            conceptFacts: null,
+            conceptFactsStatus: null,
+            hierarchy: null,
+            hierarchyStatus: null,
+            conceptGraph: null,
+            conceptGraphStatus: null
+        });
 
         await getConfigurationSettings();
         renderSearchBar();
@@ -143,7 +251,9 @@ const renderSearchBar = () => {
     const authDiv = document.getElementById('auth');
 
     // Use template for search bar and controls
-    authDiv.innerHTML = HOMEPAGE_TEMPLATES.searchBarAndControls();
+    authDiv.innerHTML = HOMEPAGE_TEMPLATES.searchBarAndControls(
+        HOMEPAGE_TEMPLATES.filterBar(MODAL_CONFIG.CONCEPT_TYPES, CONCEPT_TYPE_COLORS)
+    );
 
     // Add event listeners for search bar and control buttons
     addEventSearchBarControls(
@@ -153,6 +263,15 @@ const renderSearchBar = () => {
         renderConfigModal,
         handleDownloadRepo
     );
+    addEventFilterControls(renderFileList);
+    addEventViewToggle(setViewMode);
+    addEventValidateRepo(renderIntegrityModal);
+
+    const { filters } = appState.getState();
+    const referencesInput = document.getElementById('filterReferences');
+    if (referencesInput && filters?.references) {
+        referencesInput.value = filters.references;
+    }
 };
 
 /**
@@ -166,13 +285,25 @@ const renderSearchBar = () => {
  */
 const renderFileList = (searchTerm = '') => {
     const fileListDiv = document.getElementById('fileList');
-    const { repo, files, index, currentPage } = appState.getState();
+    const { repo, files, index, currentPage, filters, viewMode, selectedFiles } = appState.getState();
 
     // If no files, display message
     if (!files || files.length === 0) {
        return;
     }
 
+    syncViewMode(viewMode);
+
+    if (viewMode === 'tree') {
+        renderTreeView();
+        return;
+    }
+
+    if (viewMode === 'graph') {
+        renderGraphView();
+        return;
+    }
+
     const hasWritePermission = repo.permissions.push;
 
     /**
@@ -186,17 +317,30 @@ const renderFileList = (searchTerm = '') => {
         return fileName.substring(0, lastDotIndex);
     };
 
-    // Filter files based on the search term
-    const filteredFiles = files.filter(file => {
+    const searchLower = searchTerm.toLowerCase();
+
+    // Filename, key and type come from index.json and work at once; the rest needs concept contents
+    if (searchLower) {
+        ensureConceptData('searchIndex', loadSearchIndex);
+    }
+    if (needsConceptFacts(filters)) {
+        ensureConceptData('conceptFacts', loadConceptFacts);
+    }
+
+    const { searchIndex, conceptFacts } = appState.getState();
+    const contentMatches = searchConcepts(searchIndex, searchLower);
+
+    // Filter files based on the selected filters, then the search term
+    const filteredFiles = applyFilters(files, index, filters, conceptFacts).filter(file => {
         // Access key from new index structure: index._files[filename].key
         const fileData = index._files?.[file.name];
         const keyValue = fileData?.key || '';
-        const searchLower = searchTerm.toLowerCase();
         const fileNameWithoutExtension = getFileNameWithoutExtension(file.name).toLowerCase();
 
         return (
             fileNameWithoutExtension.includes(searchLower) ||
-            keyValue.toLowerCase().includes(searchLower)
+            keyValue.toLowerCase().includes(searchLower) ||
+            contentMatches.has(file.name)
         );
     });
 
@@ -217,21 +361,341 @@ const renderFileList = (searchTerm = '') => {
     // Get the files for the current page
     const filesToDisplay = filteredFiles.slice(startIndex, endIndex);
 
+    const selected = new Set(selectedFiles);
+
     // Generate HTML for the file list using templates
-    fileListDiv.innerHTML = filesToDisplay.map(file => {
+    fileListDiv.innerHTML = filesToDisplay.length === 0 ? HOMEPAGE_TEMPLATES.noMatchingFiles() : filesToDisplay.map(file => {
         // Access key from new index structure: index._files[filename].key
         const fileData = index._files?.[file.name];
         const keyValue = fileData?.key || '';
         const displayName = getFileNameWithoutExtension(file.name);
-
-        return HOMEPAGE_TEMPLATES.fileItem(file, displayName, keyValue, hasWritePermission);
+        const matchedFields = (contentMatches.get(file.name) || [])
+            .filter(field => field.id !== 'key')
+            .map(field => ({ label: field.label, html: highlightMatches(field.value, searchLower, 60) }));
+
+        return HOMEPAGE_TEMPLATES.fileItem(
+            file,
+            highlightMatches(displayName, searchLower),
+            highlightMatches(keyValue, searchLower),
+            hasWritePermission,
+            matchedFields,
+            selected.has(file.name)
+        );
     }).join('');
 
+    renderSearchStatus(searchLower);
+    renderFilterState(filters, totalItems);
+
     // Render pagination controls
     renderPaginationControls(totalPages, page);
 
     // Add event listeners for file list buttons
     addEventFileListButtons(renderDeleteModal, renderViewModal);
+
+    if (hasWritePermission) {
+        const refreshBulkActions = () => renderBulkActions(filteredFiles, filesToDisplay);
+        refreshBulkActions();
+        addEventFileSelection(refreshBulkActions);
+    }
+};
+
+/**
+ * @function renderBulkActions
+ * @description Renders the selection bar above the file list: select the page or every
+ * matching concept, and open the bulk edit or delete for the selection.
+ * 
+ * @param {Array<Object>} matchingFiles - Files passing the current search and filters
+ * @param {Array<Object>} pageFiles - Files shown on the current page
+ */
+const renderBulkActions = (matchingFiles, pageFiles) => {
+    const bulkDiv = document.getElementById('bulkActions');
+    if (!bulkDiv) return;
+
+    const selected = new Set(appState.getState().selectedFiles);
+
+    if (matchingFiles.length === 0 && selected.size === 0) {
+        bulkDiv.innerHTML = '';
+        return;
+    }
+
+    bulkDiv.innerHTML = HOMEPAGE_TEMPLATES.bulkActions({
+        selectedCount: selected.size,
+        pageSelected: pageFiles.length > 0 && pageFiles.every(file => selected.has(file.name)),
+        matchingCount: matchingFiles.length,
+        matchingSelected: matchingFiles.every(file => selected.has(file.name))
+    });
+
+    addEventBulkActions(
+        pageFiles.map(file => file.name),
+        matchingFiles.map(file => file.name),
+        () => renderBulkActions(matchingFiles, pageFiles),
+        renderBulkEditModal,
+        renderBulkDeleteModal
+    );
+};
+
+/**
+ * @function setViewMode
+ * @description Switches the repository browser between the paginated list, the hierarchy
+ * tree and the relationship graph.
+ * 
+ * @param {string} viewMode - 'list', 'tree' or 'graph'
+ */
+const setViewMode = (viewMode) => {
+    if (appState.getState().viewMode === viewMode) return;
+
+    appState.setState({ viewMode });
+
+    const searchInput = document.getElementById('searchFiles');
+    renderFileList(searchInput ? searchInput.value : '');
+};
+
+/**
+ * @function syncViewMode
+ * @description Reflects the view mode on the controls. Search, filters and selection work
+ * on the flat list, so they are set aside while the tree or graph is shown.
+ * 
+ * @param {string} viewMode - 'list', 'tree' or 'graph'
+ */
+const syncViewMode = (viewMode) => {
+    const isListHidden = viewMode !== 'list';
+
+    [['listViewButton', 'list'], ['treeViewButton', 'tree'], ['graphViewButton', 'graph']].forEach(([id, mode]) => {
+        const active = viewMode === mode;
+        const button = document.getElementById(id);
+        if (!button) return;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+
+    const searchInput = document.getElementById('searchFiles');
+    if (searchInput) {
+        searchInput.disabled = isListHidden;
+        searchInput.placeholder = isListHidden ? 'Search is available in list view' : 'Search concepts...';
+    }
+
+    const filterBar = document.getElementById('filterBar');
+    if (filterBar) {
+        filterBar.hidden = isListHidden;
+        filterBar.classList.toggle('d-flex', !isListHidden);
+    }
+
+    const bulkActions = document.getElementById('bulkActions');
+    if (bulkActions) {
+        bulkActions.hidden = isListHidden;
+    }
+
+    if (isListHidden) {
+        renderSearchStatus('');
+    }
+};
+
+/**
+ * @function renderTreeView
+ * @description Renders the concept hierarchy in place of the file list, loading every
+ * concept the first time it is shown.
+ */
+const renderTreeView = () => {
+    const fileListDiv = document.getElementById('fileList');
+    document.getElementById('paginationControls').innerHTML = '';
+
+    ensureConceptData('hierarchy', loadHierarchy);
+
+    const { hierarchy, hierarchyStatus } = appState.getState();
+
+    if (hierarchyStatus === 'failed') {
+        fileListDiv.innerHTML = MODAL_TEMPLATES.errorAlert('Unable to Load Hierarchy', 'The repository concepts could not be read.');
+        return;
+    }
+
+    if (!hierarchy) {
+        fileListDiv.innerHTML = COMMON_TEMPLATES.loadingSpinner({ message: 'Loading concepts...' });
+        return;
+    }
+
+    renderHierarchyTree(fileListDiv, hierarchy, renderViewModal);
+};
+
+/**
+ * @async
+ * @function loadHierarchy
+ * @description Reads every concept and links them into the hierarchy.
+ * 
+ * @returns {Promise<Object>} Result of buildHierarchy
+ */
+const loadHierarchy = async () => {
+    const { concepts, failed } = await loadAllConcepts();
+
+    if (failed.length > 0) {
+        showUserNotification('warning', `${failed.length} concept${failed.length === 1 ? '' : 's'} could not be read and are left out of the hierarchy.`);
+    }
+
+    return buildHierarchy(concepts, appState.getState().config);
+};
+
+/**
+ * @function renderGraphView
+ * @description Renders the relationship graph in place of the file list, loading every
+ * concept the first time it is shown. The focused concept is kept in appState so a
+ * refresh redraws the same neighbourhood.
+ */
+const renderGraphView = () => {
+    const fileListDiv = document.getElementById('fileList');
+    document.getElementById('paginationControls').innerHTML = '';
+
+    ensureConceptData('conceptGraph', loadConceptGraph);
+
+    const { conceptGraph, conceptGraphStatus, graphFocus } = appState.getState();
+
+    if (conceptGraphStatus === 'failed') {
+        fileListDiv.innerHTML = MODAL_TEMPLATES.errorAlert('Unable to Load Graph', 'The repository concepts could not be read.');
+        return;
+    }
+
+    if (!conceptGraph) {
+        fileListDiv.innerHTML = COMMON_TEMPLATES.loadingSpinner({ message: 'Loading concepts...' });
+        return;
+    }
+
+    renderConceptGraph(fileListDiv, conceptGraph, {
+        focusId: graphFocus,
+        onViewConcept: renderViewModal,
+        onFocusChange: (id) => appState.setState({ graphFocus: id })
+    });
+};
+
+/**
+ * @async
+ * @function loadConceptGraph
+ * @description Reads every concept and collects the references between them.
+ * 
+ * @returns {Promise<Object>} Result of buildConceptGraph
+ */
+const loadConceptGraph = async () => {
+    const { concepts, failed } = await loadAllConcepts();
+
+    if (failed.length > 0) {
+        showUserNotification('warning', `${failed.length} concept${failed.length === 1 ? '' : 's'} could not be read and are left out of the graph.`);
+    }
+
+    return buildConceptGraph(concepts, appState.getState().config);
+};
+
+/**
+ * @function ensureConceptData
+ * @description Starts loading data derived from every concept in the open repository, once.
+ * Reading every concept takes a while on a large repository, so the list renders what it
+ * can straight away and re-renders when the data arrives. Progress is tracked in appState
+ * under `<key>Status`.
+ * 
+ * @param {string} key - appState key to store the data under
+ * @param {Function} load - Async function producing the data
+ */
+const ensureConceptData = (key, load) => {
+    const statusKey = `${key}Status`;
+    const state = appState.getState();
+    if (state[key] || state[statusKey] === 'loading' || state[statusKey] === 'failed') return;
+
+    const { owner, repoName } = state;
+    appState.setState({ [statusKey]: 'loading' });
+
+    const isCurrentRepo = () => {
+        // The user may have moved to another repository while this was loading
+        const current = appState.getState();
+        return current.owner === owner && current.repoName === repoName;
+    };
+
+    const rerender = () => {
+        const searchInput = document.getElementById('searchFiles');
+        renderFileList(searchInput ? searchInput.value : '');
+    };
+
+    load()
+        .then(data => {
+            if (!isCurrentRepo()) return;
+            appState.setState({ [key]: data, [statusKey]: 'ready' });
+            rerender();
+        })
+        .catch(error => {
+            console.error(`Error loading ${key}:`, error);
+            if (!isCurrentRepo()) return;
+            appState.setState({ [statusKey]: 'failed' });
+            rerender();
+        });
+};
+
+/**
+ * @async
+ * @function loadConceptFacts
+ * @description Reads every concept and derives the facts the content filters test.
+ * 
+ * @returns {Promise<Map<string, Object>>} Concept facts by filename
+ */
+const loadConceptFacts = async () => {
+    const { concepts, failed } = await loadAllConcepts();
+
+    if (failed.length > 0) {
+        showUserNotification('warning', `${failed.length} concept${failed.length === 1 ? '' : 's'} could not be read and are left out of filtered results.`);
+    }
+
+    return buildConceptFacts(concepts, appState.getState().config);
+};
+
+/**
+ * @function renderSearchStatus
+ * @description Tells the user whether concept text is part of the current search.
+ * 
+ * @param {string} searchTerm - Current search term
+ */
+const renderSearchStatus = (searchTerm) => {
+    const statusDiv = document.getElementById('searchStatus');
+    if (!statusDiv) return;
+
+    const { searchIndexStatus } = appState.getState();
+
+    if (searchIndexStatus === 'failed') {
+        statusDiv.textContent = 'Concept text could not be loaded; searching IDs and keys only.';
+    } else if (searchTerm && searchIndexStatus === 'loading') {
+        statusDiv.textContent = 'Searching concept text...';
+    } else {
+        statusDiv.textContent = '';
+    }
+};
+
+/**
+ * @function renderFilterState
+ * @description Reflects the selected filters on the filter bar: pressed chips, the clear
+ * button, and whether the filters are still waiting on concept contents.
+ * 
+ * @param {Object} filters - Filter state
+ * @param {number} matchCount - Number of files passing the filters and search
+ */
+const renderFilterState = (filters, matchCount) => {
+    const filterBar = document.getElementById('filterBar');
+    if (!filterBar || !filters) return;
+
+    filterBar.querySelectorAll('.filter-chip').forEach(chip => {
+        const { filter, value } = chip.dataset;
+        const active = filter === 'type' ? filters.types.includes(value) : Boolean(filters[filter]);
+        chip.classList.toggle('active', active);
+        chip.setAttribute('aria-pressed', String(active));
+    });
+
+    const active = hasActiveFilters(filters);
+    document.getElementById('clearFilters').hidden = !active;
+
+    const statusSpan = document.getElementById('filterStatus');
+    const { conceptFactsStatus } = appState.getState();
+
+    if (!needsConceptFacts(filters)) {
+        statusSpan.textContent = active ? `${matchCount} match${matchCount === 1 ? '' : 'es'}` : '';
+    } else if (conceptFactsStatus === 'failed') {
+        statusSpan.textContent = 'Concepts could not be loaded for these filters.';
+    } else if (conceptFactsStatus !== 'ready') {
+        statusSpan.textContent = 'Loading concepts...';
+    } else {
+        statusSpan.textContent = `${matchCount} match${matchCount === 1 ? '' : 'es'}`;
+    }
 };
 
 /**
@@ -258,17 +722,38 @@ const renderPaginationControls = (totalPages, currentPage) => {
  * @async
  * @function handleDownloadRepo
  * @description Downloads the entire repository as a ZIP file, extracts JSON concept files,
- * structures the data, and generates an Excel spreadsheet for download.
+ * structures the data, and generates an Excel spreadsheet for download. The workbook
+ * records the tree SHA and a snapshot of the concepts for a later three-way re-import.
  * 
+ * @param {string} [layout='dictionary'] - 'dictionary' for the single Dictionary sheet,
+ *   'normalized' for a sheet per concept type with explicit reference columns
  * @throws {Error} If download fails, ZIP extraction fails, or spreadsheet generation fails
  */
-const handleDownloadRepo = async () => {
+const handleDownloadRepo = async (layout = 'dictionary') => {
     const { concepts, failed } = await loadAllConcepts();
 
     if (failed.length > 0) {
         showUserNotification('warning', `${failed.length} concept${failed.length === 1 ? '' : 's'} could not be read and were left out of the export.`);
     }
 
-    const { data: structuredData, columnTypes } = structureFiles(concepts);
-    generateSpreadsheet(structuredData, columnTypes);
+    const { owner, repoName, treeSha } = appState.getState();
+    const syncSource = {
+        repository: `${owner}/${repoName}`,
+        treeSha,
+        exportedAt: new Date().toISOString(),
+        concepts
+    };
+
+    // Type sheets carry import headers already, so there are no labels to map back
+    if (layout === 'normalized') {
+        generateTypeSheetsSpreadsheet(structureTypeSheets(concepts), buildSyncSheet({ ...syncSource, headers: [], columnKeys: [] }));
+        return;
+    }
+
+    const { data: structuredData, columnTypes, columnKeys } = structureFiles(concepts);
+
+    // Recorded so a re-import can merge the team's edits with later repository changes
+    const syncSheet = buildSyncSheet({ ...syncSource, headers: structuredData[0], columnKeys });
+
+    generateSpreadsheet(structuredData, columnTypes, syncSheet);
 };
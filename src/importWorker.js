@@ -0,0 +1,53 @@
+/**
+ * Web Worker that runs the import pipeline's stages off the page.
+ *
+ * Started by runImportTask with one `{ task, payload }` message; it answers with
+ * `progress` messages as the stage goes, then `done` with the result or `error`.
+ *
+ * This is a classic worker, so reading a file can use the page's own XLSX script: the
+ * pinned xlsx-js-style bundle in XLSX_SCRIPT, fetched against the same integrity hash as
+ * index.html and run with importScripts. The pipeline itself is imported as modules.
+ */
+
+// displayError alerts, which a worker cannot; the page shows the message instead
+self.alert = (message) => self.postMessage({ type: 'alert', message });
+
+/**
+ * Runs the pinned XLSX bundle in the worker, as the script tag does on the page
+ * @param {Object} script - XLSX_SCRIPT from config.js
+ * @returns {Promise<void>} Resolves once XLSX is defined
+ * @throws {Error} If the bundle cannot be fetched or fails its integrity check
+ */
+const loadXlsx = async ({ URL: url, INTEGRITY: integrity }) => {
+    const response = await fetch(url, { integrity });
+    if (!response.ok) throw new Error(`Could not load the spreadsheet reader (${response.status})`);
+
+    // importScripts cannot check integrity itself, so it runs the bytes that were checked
+    const scriptUrl = URL.createObjectURL(await response.blob());
+    try {
+        importScripts(scriptUrl);
+    } finally {
+        URL.revokeObjectURL(scriptUrl);
+    }
+};
+
+self.addEventListener('message', async ({ data: { task, payload } }) => {
+    try {
+        const [{ XLSX_SCRIPT }, { appState }, { IMPORT_TASKS, runPipelineTask }] = await Promise.all([
+            import('./config.js'),
+            import('./common.js'),
+            import('./pipeline.js')
+        ]);
+
+        // Only reading a file needs XLSX
+        if (task === IMPORT_TASKS.READ) await loadXlsx(XLSX_SCRIPT);
+
+        // dictionary.js reads the field configuration from the store, which here is the worker's own
+        if (payload.config) appState.setState({ config: payload.config });
+
+        const result = await runPipelineTask(task, payload, (progress) => self.postMessage({ type: 'progress', progress }));
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,403 @@
+/**
+ * Repository-wide integrity checks.
+ *
+ * validateImportData checks rows on their way in; this checks what is already
+ * committed. It looks at the concepts, the files holding them and index.json together,
+ * since most of the damage a hand edit or a partial import leaves behind only shows up
+ * when they are compared.
+ *
+ * The mechanical problems can also be repaired. planIntegrityFixes works out every
+ * change up front so it can be reviewed, and the result is committed in one go.
+ */
+
+import { getReferenceIds } from './hierarchy.js';
+import { getMissingRequiredFields } from './filters.js';
+
+/**
+ * Issue types the check reports, in the order the report lists them
+ */
+export const INTEGRITY_CHECKS = {
+    UNREADABLE_FILE: {
+        title: 'Unreadable Files',
+        description: 'These files could not be read as JSON, so none of the other checks cover them.',
+        fixable: false
+    },
+    DANGLING_REFERENCE: {
+        title: 'Dangling References',
+        description: 'These reference fields name concept IDs that do not exist in the repository.',
+        fixable: true
+    },
+    WRONG_REFERENCE_TYPE: {
+        title: 'Wrong Reference Types',
+        description: 'These reference fields point at a concept of a different type than config.json expects.',
+        fixable: false
+    },
+    MISSING_REQUIRED_FIELD: {
+        title: 'Missing Required Fields',
+        description: 'These concepts leave a field empty that config.json marks as required.',
+        fixable: false
+    },
+    DUPLICATE_KEY: {
+        title: 'Duplicate Keys',
+        description: 'These keys are used by more than one concept. Keys are compared without regard to case.',
+        fixable: false
+    },
+    LEGACY_ID_SPELLING: {
+        title: 'Legacy ID Spelling',
+        description: 'These files store the concept ID as "conceptId". The tool reads either spelling, but other consumers may not.',
+        fixable: true
+    },
+    FILENAME_MISMATCH: {
+        title: 'Filename Mismatches',
+        description: 'These files hold a concept whose ID does not match the filename.',
+        fixable: true
+    },
+    INDEX_ENTRY_WITHOUT_FILE: {
+        title: 'Index Entries Without Files',
+        description: 'index.json lists these files, but they are not in the repository.',
+        fixable: true
+    },
+    FILE_MISSING_FROM_INDEX: {
+        title: 'Files Missing From Index',
+        description: 'These concept files are in the repository but not listed in index.json.',
+        fixable: true
+    },
+    STALE_INDEX_ENTRY: {
+        title: 'Stale Index Entries',
+        description: 'index.json records a different key or type for these concepts than their files do.',
+        fixable: true
+    }
+};
+
+/**
+ * Checks every committed concept against config.json, each other and index.json
+ *
+ * @param {Object} repository - Repository contents
+ * @param {Array<Object>} repository.concepts - Normalized concepts, from loadAllConcepts
+ * @param {Array<string>} repository.fileNames - File each concept was read from, from loadAllConcepts
+ * @param {Array<string>} [repository.legacyIdFiles=[]] - Files spelling the ID `conceptId`, from loadAllConcepts
+ * @param {Array<string>} [repository.failed=[]] - Files that could not be read, from loadAllConcepts
+ * @param {Array<Object>} repository.files - Concept files in the repository tree
+ * @param {Object} repository.index - index.json contents
+ * @param {Object} repository.config - Field configuration for each concept type
+ * @returns {Object} `{ valid, issues, summary }`: issues shaped like validateImportData errors,
+ *   with the file they were found in, and a count per issue type
+ */
+export const checkRepositoryIntegrity = ({ concepts, fileNames, legacyIdFiles = [], failed = [], files, index, config }) => {
+    const issues = [];
+    const legacyIds = new Set(legacyIdFiles);
+    const indexed = index?._files || {};
+
+    const byId = new Map();
+    concepts.forEach(concept => {
+        if (concept?.conceptID !== undefined) byId.set(String(concept.conceptID), concept);
+    });
+
+    failed.forEach(file => {
+        issues.push({
+            type: 'UNREADABLE_FILE',
+            severity: 'error',
+            file,
+            message: `"${file}" is not valid JSON`,
+            suggestion: 'Fix or remove the file in GitHub'
+        });
+    });
+
+    const keyOwners = new Map();
+
+    concepts.forEach((concept, position) => {
+        const file = fileNames[position];
+        const conceptId = concept.conceptID === undefined ? '' : String(concept.conceptID);
+        const conceptKey = concept.key;
+        const objectType = concept.object_type;
+        const typeConfig = config?.[objectType] || [];
+        const context = { file, conceptId, key: conceptKey, objectType };
+
+        // 1. References must resolve, and to the type config.json declares
+        typeConfig.filter(field => field.type === 'reference').forEach(field => {
+            const label = field.label || field.id;
+
+            getReferenceIds(concept[field.id]).forEach(referencedId => {
+                const target = byId.get(referencedId);
+
+                if (!target) {
+                    issues.push({
+                        ...context,
+                        type: 'DANGLING_REFERENCE',
+                        severity: 'error',
+                        field: label,
+                        fieldId: field.id,
+                        referencedId,
+                        message: `"${label}" references concept ${referencedId}, which does not exist`,
+                        suggestion: 'Remove the reference or point it at an existing concept'
+                    });
+                } else if (field.referencesType && target.object_type !== field.referencesType) {
+                    issues.push({
+                        ...context,
+                        type: 'WRONG_REFERENCE_TYPE',
+                        severity: 'error',
+                        field: label,
+                        fieldId: field.id,
+                        referencedId,
+                        message: `"${label}" should reference a ${field.referencesType} concept, but ${referencedId} is ${target.object_type}`,
+                        suggestion: `Point the reference at a ${field.referencesType} concept`
+                    });
+                }
+            });
+        });
+
+        // 2. Required fields per config.json
+        getMissingRequiredFields(concept, typeConfig).forEach(fieldId => {
+            const label = typeConfig.find(field => field.id === fieldId)?.label || fieldId;
+            issues.push({
+                ...context,
+                type: 'MISSING_REQUIRED_FIELD',
+                severity: 'error',
+                field: label,
+                fieldId,
+                message: `Missing required field "${label}" for ${objectType} concept "${conceptKey}"`,
+                suggestion: 'Edit the concept and fill in the field'
+            });
+        });
+
+        // 3. One spelling of the ID field, and the filename is the concept ID
+        if (legacyIds.has(file)) {
+            issues.push({
+                ...context,
+                type: 'LEGACY_ID_SPELLING',
+                severity: 'warning',
+                message: `"${file}" stores its ID as "conceptId"`,
+                suggestion: 'Rename the field to "conceptID"'
+            });
+        }
+
+        if (file !== `${conceptId}.json`) {
+            issues.push({
+                ...context,
+                type: 'FILENAME_MISMATCH',
+                severity: 'error',
+                message: `"${file}" holds concept ${conceptId || 'with no ID'}`,
+                suggestion: conceptId ? `Rename the file to ${conceptId}.json or correct the concept ID` : 'Add the concept ID the filename implies'
+            });
+        }
+
+        // 4. index.json agrees with the file
+        const entry = indexed[file];
+        if (entry && (entry.key !== conceptKey || entry.object_type !== objectType)) {
+            issues.push({
+                ...context,
+                type: 'STALE_INDEX_ENTRY',
+                severity: 'error',
+                message: `index.json records "${file}" as ${entry.object_type} "${entry.key}", but it holds ${objectType} "${conceptKey}"`,
+                suggestion: 'Update the entry in index.json'
+            });
+        }
+
+        if (conceptKey !== undefined && conceptKey !== null && conceptKey !== '') {
+            const keyLower = String(conceptKey).toLowerCase();
+            keyOwners.set(keyLower, [...(keyOwners.get(keyLower) || []), context]);
+        }
+    });
+
+    // 5. Keys are unique, case-insensitively, as validateImportData requires of imports
+    keyOwners.forEach(owners => {
+        if (owners.length < 2) return;
+
+        owners.forEach(owner => {
+            const others = owners.filter(other => other !== owner).map(other => other.conceptId || other.file);
+            issues.push({
+                ...owner,
+                type: 'DUPLICATE_KEY',
+                severity: 'error',
+                conflictingConceptIds: others,
+                message: `Key "${owner.key}" is also used by ${others.join(', ')}`,
+                suggestion: 'Give each concept a unique key'
+            });
+        });
+    });
+
+    // 6. index.json and the tree list the same files
+    const fileSet = new Set(files.map(file => file.name));
+
+    Object.entries(indexed).forEach(([file, entry]) => {
+        if (fileSet.has(file)) return;
+        issues.push({
+            type: 'INDEX_ENTRY_WITHOUT_FILE',
+            severity: 'error',
+            file,
+            key: entry?.key,
+            objectType: entry?.object_type,
+            message: `index.json lists "${file}", which does not exist`,
+            suggestion: 'Remove the entry from index.json'
+        });
+    });
+
+    files.forEach(({ name }) => {
+        if (indexed[name]) return;
+        issues.push({
+            type: 'FILE_MISSING_FROM_INDEX',
+            severity: 'error',
+            file: name,
+            message: `"${name}" is not listed in index.json`,
+            suggestion: 'Add the file to index.json'
+        });
+    });
+
+    const byType = Object.fromEntries(Object.keys(INTEGRITY_CHECKS).map(type => [type, 0]));
+    issues.forEach(issue => { byType[issue.type] += 1; });
+
+    return {
+        valid: issues.length === 0,
+        issues,
+        summary: {
+            conceptCount: concepts.length,
+            fileCount: files.length,
+            issueCount: issues.length,
+            byType
+        }
+    };
+};
+
+/**
+ * Removes concept IDs from a reference field value, keeping its shape
+ * @param {*} value - Reference field value: a list, a single ID or a comma-separated string
+ * @param {Function} keep - Tests a concept ID, as a string
+ * @returns {*} The value without the removed IDs; '' or [] if none remain
+ */
+export const pruneReferences = (value, keep) => {
+    if (Array.isArray(value)) return value.filter(id => keep(String(id).trim()));
+    if (typeof value === 'string' && value.includes(',')) return getReferenceIds(value).filter(keep).join(', ');
+    return keep(String(value).trim()) ? value : '';
+};
+
+/**
+ * Builds index.json in the v2.0 layout the backend writes, from its file entries
+ * The search lists and file count are derived from the entries, so they cannot drift from
+ * them; anything else the index holds is kept.
+ * @param {Object} index - Current index.json contents
+ * @param {Object} files - Entries by filename, as `{ key, object_type }`
+ * @returns {Object} The new index.json contents
+ */
+const buildIndexFile = (index, files) => {
+    const byKey = {};
+    const byType = {};
+
+    Object.entries(files).forEach(([file, entry]) => {
+        if (entry?.key !== undefined) (byKey[entry.key] ??= []).push(file);
+        if (entry?.object_type) (byType[entry.object_type] ??= []).push(file);
+    });
+
+    return {
+        ...index,
+        _metadata: {
+            ...index?._metadata,
+            last_updated: new Date().toISOString(),
+            total_files: Object.keys(files).length,
+            version: '2.0'
+        },
+        _files: files,
+        _search: { ...index?._search, by_key: byKey, by_type: byType }
+    };
+};
+
+/**
+ * Works out the changes that repair every fixable integrity issue
+ *
+ * Concept files are rewritten with the legacy ID spelling corrected and dangling references
+ * removed, and moved to the filename their ID implies unless another file already has it.
+ * index.json is rebuilt to match the files that end up in the repository. Nothing is
+ * written here; the caller reviews the plan and commits `writes` and `deletions` together.
+ *
+ * @param {Object} repository - Repository contents, as for checkRepositoryIntegrity
+ * @returns {Object} `{ changes, writes, deletions }`: what will change in each file as
+ *   `{ file, target, actions }`, and the files to write and delete
+ */
+export const planIntegrityFixes = ({ concepts, fileNames, legacyIdFiles = [], files, index, config }) => {
+    const legacyIds = new Set(legacyIdFiles);
+    const existing = new Set(files.map(file => file.name));
+    const conceptIds = new Set(concepts.map(concept => String(concept.conceptID)));
+    const indexed = index?._files || {};
+    const nextIndexFiles = { ...indexed };
+
+    const changes = [];
+    const writes = [];
+    const deletions = [];
+    const claimed = new Set();
+
+    concepts.forEach((concept, position) => {
+        const file = fileNames[position];
+        const conceptId = concept.conceptID === undefined ? '' : String(concept.conceptID);
+        const typeConfig = config?.[concept.object_type] || [];
+        const actions = [];
+        let updated = { ...concept };
+
+        if (legacyIds.has(file)) {
+            // Written first, which is where the import puts it
+            const { conceptID, ...rest } = updated;
+            updated = { conceptID, ...rest };
+            actions.push('Rename "conceptId" to "conceptID"');
+        }
+
+        typeConfig.filter(field => field.type === 'reference').forEach(field => {
+            const ids = getReferenceIds(updated[field.id]);
+            const dangling = ids.filter(id => !conceptIds.has(id));
+            if (dangling.length === 0) return;
+
+            const pruned = pruneReferences(updated[field.id], id => conceptIds.has(id));
+            const isEmpty = pruned === '' || (Array.isArray(pruned) && pruned.length === 0);
+
+            // Empty optional fields are removed, as the edit form does
+            if (isEmpty && !field.required) {
+                delete updated[field.id];
+            } else {
+                updated[field.id] = pruned;
+            }
+            actions.push(`Remove missing ${dangling.length === 1 ? 'reference' : 'references'} ${dangling.join(', ')} from "${field.label || field.id}"`);
+        });
+
+        let target = file;
+        const expectedName = `${conceptId}.json`;
+        if (conceptId && file !== expectedName && !existing.has(expectedName) && !claimed.has(expectedName)) {
+            target = expectedName;
+            claimed.add(expectedName);
+            actions.push(`Rename to ${expectedName}`);
+        }
+
+        if (actions.length > 0) {
+            writes.push({ name: target, content: JSON.stringify(updated, null, 2) });
+        }
+
+        const entry = indexed[file];
+        const indexEntry = { ...entry, key: concept.key, object_type: concept.object_type };
+
+        if (target !== file) {
+            // The index entry moves with the file
+            deletions.push(file);
+            delete nextIndexFiles[file];
+            nextIndexFiles[target] = indexEntry;
+        } else if (!entry) {
+            nextIndexFiles[file] = indexEntry;
+            actions.push('Add to index.json');
+        } else if (entry.key !== concept.key || entry.object_type !== concept.object_type) {
+            nextIndexFiles[file] = indexEntry;
+            actions.push('Update index.json entry');
+        }
+
+        if (actions.length > 0) {
+            changes.push({ file, target, actions });
+        }
+    });
+
+    Object.keys(indexed).forEach(file => {
+        // A renamed file has already replaced the entry for its new name
+        if (existing.has(file) || claimed.has(file)) return;
+        delete nextIndexFiles[file];
+        changes.push({ file, target: file, actions: ['Remove from index.json'] });
+    });
+
+    if (changes.length > 0) {
+        writes.push({ name: 'index.json', content: JSON.stringify(buildIndexFile(index, nextIndexFiles), null, 2) });
+    }
+
+    return { changes, writes, deletions };
+};
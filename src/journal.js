@@ -0,0 +1,215 @@
+/**
+ * Import journal: the batches of an import and which of them have been committed.
+ *
+ * An import commits its files in batches of API_CONFIG.COMMIT_BATCH_SIZE, each batch
+ * atomic. A batch can fail on its own, most often on GitHub's rate limit. The journal
+ * keeps every batch with its files and status, and is stored in IndexedDB after each
+ * one, so the failed and unsent batches can be retried once the limit resets, from the
+ * upload modal or after a reload. A batch is only ever retried whole, so a retry cannot
+ * leave part of one committed.
+ *
+ * So that a large import is all or nothing, each file also carries what it replaces:
+ * its previous content as committed, or null for a new file. When a batch fails, the
+ * batches already committed are undone by writing the previous content back and deleting
+ * the new files, several batches to a commit, and go back to pending. The repository then
+ * holds either the whole import or none of it, once the rollback or a retry has gone
+ * through. A rollback held up by the rate limit waits for it to lift, with the journal
+ * kept until then. A file changed by someone else since the import is never written over: its
+ * blob SHA no longer matches what the batch committed, and the rollback stops.
+ */
+
+/**
+ * Status of a batch
+ */
+export const BATCH_STATUS = {
+    PENDING: 'pending',
+    COMMITTED: 'committed',
+    FAILED: 'failed'
+};
+
+/**
+ * Splits an import into batches, none of them committed yet
+ *
+ * @param {Array<Object>} files - Files to write, each `{ name, content, previous }` with
+ *   previous the committed text the file replaces, or null for a new file
+ * @param {number} batchSize - Files per commit
+ * @returns {Object} `{ createdAt, batches }`, each batch `{ index, files, status }`
+ */
+export const createImportJournal = (files, batchSize) => {
+    const batches = [];
+
+    for (let start = 0; start < files.length; start += batchSize) {
+        batches.push({ index: batches.length, files: files.slice(start, start + batchSize), status: BATCH_STATUS.PENDING });
+    }
+
+    return { createdAt: new Date().toISOString(), batches };
+};
+
+/**
+ * When a failed commit may be tried again, as the rate limit that refused it said
+ * @param {Error} error - Error from commitFiles
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {string|null} ISO time the limit lifts, or null if the error does not say
+ */
+export const getRetryAt = (error, now = Date.now()) => {
+    const waitSeconds = error?.retryAfter ?? error?.rateLimit?.resetIn;
+    return waitSeconds ? new Date(now + waitSeconds * 1000).toISOString() : null;
+};
+
+/**
+ * How long to wait before trying again
+ * @param {string|null} retryAt - ISO time from getRetryAt or summarizeJournal
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number} Milliseconds until retryAt; 0 once it has passed or if there is none
+ */
+export const getRetryDelay = (retryAt, now = Date.now()) =>
+    retryAt ? Math.max(Date.parse(retryAt) - now, 0) : 0;
+
+/**
+ * Records how a batch went
+ *
+ * @param {Object} journal - Journal from createImportJournal
+ * @param {number} index - Index of the batch
+ * @param {string} status - New BATCH_STATUS
+ * @param {Object} [details={}]
+ * @param {string} [details.commitSha] - Commit the batch landed in
+ * @param {Error} [details.error] - Why the batch failed; a rate limit also says when it lifts
+ * @param {number} [details.now=Date.now()] - Current time, for the retry time
+ * @returns {Object} New journal; the one given is not changed
+ */
+export const recordBatch = (journal, index, status, { commitSha, error, now = Date.now() } = {}) => {
+    const retryAt = error ? getRetryAt(error, now) : null;
+
+    return {
+        ...journal,
+        batches: journal.batches.map(batch => batch.index !== index ? batch : {
+            index: batch.index,
+            files: batch.files,
+            status,
+            ...(commitSha ? { commitSha } : {}),
+            ...(error ? { error: error.message } : {}),
+            ...(retryAt ? { retryAt } : {})
+        })
+    };
+};
+
+/**
+ * Lists the batches still to commit, failed or never sent
+ * @param {Object} journal - Journal from createImportJournal
+ * @returns {Array<Object>} Batches in order
+ */
+export const getUnfinishedBatches = (journal) =>
+    (journal?.batches || []).filter(batch => batch.status !== BATCH_STATUS.COMMITTED);
+
+/**
+ * Lists the batches that are committed, last first, the order they are rolled back in
+ * @param {Object} journal - Journal from createImportJournal
+ * @returns {Array<Object>} Committed batches
+ */
+export const getCommittedBatches = (journal) =>
+    (journal?.batches || []).filter(batch => batch.status === BATCH_STATUS.COMMITTED).reverse();
+
+/**
+ * Works out the commit that undoes a batch
+ * A file whose previous content was never recorded is left alone rather than deleted.
+ * @param {Object} batch - Committed batch
+ * @returns {Object} `{ files, deletions }` for commitFiles: the previous content of each
+ *   file the batch replaced, and the files it added
+ */
+export const planBatchRollback = (batch) => ({
+    files: batch.files
+        .filter(file => typeof file.previous === 'string')
+        .map(file => ({ name: file.name, content: file.previous })),
+    deletions: batch.files
+        .filter(file => file.previous === null)
+        .map(file => file.name)
+});
+
+/**
+ * Groups the undoing of the committed batches into as few commits as the backend takes
+ * Each rollback commit counts against the same rate limit the import may have run into,
+ * so batches are undone together, last first, up to maxFiles files a commit.
+ * @param {Object} journal - Journal from createImportJournal
+ * @param {number} maxFiles - Most files one commit may write and delete
+ * @returns {Array<Object>} `{ batches, files, deletions }` for each commit, batches being
+ *   the indexes of the batches it undoes
+ */
+export const planRollbackCommits = (journal, maxFiles) => {
+    const commits = [];
+
+    for (const batch of getCommittedBatches(journal)) {
+        const { files, deletions } = planBatchRollback(batch);
+        const last = commits[commits.length - 1];
+
+        if (last && last.files.length + last.deletions.length + files.length + deletions.length <= maxFiles) {
+            last.batches.push(batch.index);
+            last.files.push(...files);
+            last.deletions.push(...deletions);
+        } else {
+            commits.push({ batches: [batch.index], files, deletions });
+        }
+    }
+
+    return commits;
+};
+
+/**
+ * Computes the SHA git stores a file's content under, as a tree lists it
+ * @param {string} text - File content
+ * @returns {Promise<string>} Blob SHA in hex
+ */
+const gitBlobSha = async (text) => {
+    const content = new TextEncoder().encode(text);
+    const header = new TextEncoder().encode(`blob ${content.length}\0`);
+    const bytes = new Uint8Array(header.length + content.length);
+    bytes.set(header);
+    bytes.set(content, header.length);
+
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Lists the files of the committed batches that have changed since they were committed
+ * Rolling back writes over a file whatever it holds, so an edit made since would be lost.
+ * @param {Object} journal - Journal from createImportJournal
+ * @param {Array<Object>} currentFiles - The branch's files now, `{ name, sha }` as
+ *   getRepoTree lists them
+ * @returns {Promise<Array<string>>} Names of the files edited or removed since
+ */
+export const findRollbackConflicts = async (journal, currentFiles) => {
+    const currentShas = new Map(currentFiles.map(file => [file.name, file.sha]));
+    const conflicts = [];
+
+    for (const batch of getCommittedBatches(journal)) {
+        for (const file of batch.files) {
+            if (currentShas.get(file.name) !== await gitBlobSha(file.content)) {
+                conflicts.push(file.name);
+            }
+        }
+    }
+
+    return conflicts;
+};
+
+/**
+ * Counts where an import stands
+ * @param {Object} journal - Journal from createImportJournal
+ * @returns {Object} `{ files, committedFiles, failedBatches, pendingBatches, retryAt }`,
+ *   retryAt being the latest time a failed batch was told to wait for, or null
+ */
+export const summarizeJournal = (journal) => {
+    const batches = journal?.batches || [];
+    const failed = batches.filter(batch => batch.status === BATCH_STATUS.FAILED);
+    const retryTimes = failed.map(batch => batch.retryAt).filter(Boolean).sort();
+
+    return {
+        files: batches.reduce((total, batch) => total + batch.files.length, 0),
+        committedFiles: batches
+            .filter(batch => batch.status === BATCH_STATUS.COMMITTED)
+            .reduce((total, batch) => total + batch.files.length, 0),
+        failedBatches: failed.length,
+        pendingBatches: batches.filter(batch => batch.status === BATCH_STATUS.PENDING).length,
+        retryAt: retryTimes.length > 0 ? retryTimes[retryTimes.length - 1] : null
+    };
+};
@@ -0,0 +1,224 @@
+/**
+ * Column mapping for spreadsheets whose headers are not TYPE_FIELD.
+ *
+ * parseColumns reads a column only when its header names a concept type and field, as
+ * in QUESTION_KEY. Dictionaries written elsewhere say "Question Text" or "CID (Primary)"
+ * instead, so each header is matched against the type names and the configured field
+ * labels, and the user confirms or corrects the match. A confirmed mapping is kept in
+ * config.json by header, so the next file from the same source maps itself.
+ */
+
+import { MODAL_CONFIG } from './config.js';
+
+/**
+ * config.json key holding remembered mappings, as normalized header → TYPE_FIELD or null
+ */
+export const COLUMN_MAPPINGS_KEY = 'columnMappings';
+
+/**
+ * Lowest name similarity accepted as a suggestion
+ */
+const MATCH_THRESHOLD = 0.6;
+
+/**
+ * Bonus for a target whose type the header names
+ */
+const TYPE_BONUS = 0.3;
+
+/**
+ * Reduces a header to lowercase words, so spacing, case and punctuation do not matter
+ * @param {*} header - Header cell
+ * @returns {string} Normalized header, e.g. "CID (Primary)" → "cid primary"
+ */
+export const normalizeHeader = (header) => String(header ?? '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Tests whether a header is already one parseColumns reads
+ * @param {*} header - Header cell
+ * @returns {boolean} True for TYPE_FIELD headers
+ */
+const isTypeFieldHeader = (header) =>
+    MODAL_CONFIG.CONCEPT_TYPES.some(type => new RegExp(`^${type}_([a-zA-Z]+)$`, 'i').test(String(header ?? '')));
+
+/**
+ * Dice similarity of two strings over character pairs, ignoring spaces
+ * @param {string} a - One string
+ * @param {string} b - The other string
+ * @returns {number} 0 for nothing in common, 1 for the same letters
+ */
+const similarity = (a, b) => {
+    const compact = (text) => text.replace(/ /g, '');
+    const x = compact(a);
+    const y = compact(b);
+
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    if (x.length < 2 || y.length < 2) return 0;
+
+    const pairs = (text) => Array.from({ length: text.length - 1 }, (_, i) => text.slice(i, i + 2));
+    const remaining = pairs(y);
+    let shared = 0;
+
+    pairs(x).forEach(pair => {
+        const index = remaining.indexOf(pair);
+        if (index >= 0) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    });
+
+    return (2 * shared) / (x.length + y.length - 2);
+};
+
+/**
+ * Lists every column a header can be mapped to
+ * Reference fields are left out: only the tool's own exports give them a column, and
+ * elsewhere they come from row position.
+ *
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Array<Object>} Targets as `{ target, type, label, names }`, target being the
+ *   TYPE_FIELD header parseColumns reads
+ */
+export const getMappingTargets = (config) => MODAL_CONFIG.CONCEPT_TYPES.flatMap(type => [
+    { target: `${type}_KEY`, type, label: 'Key', names: ['key', 'name'] },
+    { target: `${type}_CID`, type, label: 'Concept ID', names: ['cid', 'concept id', 'id'] },
+    ...(config?.[type] || [])
+        .filter(field => field.type !== 'reference' && /^[a-zA-Z]+$/.test(field.id))
+        .filter(field => !['conceptid', 'key'].includes(field.id.toLowerCase()))
+        .map(field => ({
+            target: `${type}_${field.id.toUpperCase()}`,
+            type,
+            label: field.label || field.id,
+            names: [normalizeHeader(field.label), normalizeHeader(field.id)].filter(Boolean)
+        }))
+]);
+
+/**
+ * Scores how well a header fits a target
+ * Words naming a concept type pick the type; what is left is compared with the field.
+ * A header that is only a type name, like "Question", is taken to be that type's key.
+ * @param {string} header - Normalized header
+ * @param {Object} target - Mapping target
+ * @returns {number} Score, 0 if the header names a different type
+ */
+const scoreTarget = (header, target) => {
+    const words = header.split(' ').filter(Boolean);
+    const isTypeWord = (word, type) => word.length >= 3 && type.toLowerCase().startsWith(word.replace(/s$/, ''));
+    const namedTypes = MODAL_CONFIG.CONCEPT_TYPES.filter(type => words.some(word => isTypeWord(word, type)));
+
+    if (namedTypes.length > 0 && !namedTypes.includes(target.type)) return 0;
+
+    const rest = words.filter(word => !isTypeWord(word, target.type)).join(' ');
+    const nameScore = rest === '' && target.target.endsWith('_KEY')
+        ? 1
+        : Math.max(...target.names.map(name => Math.max(similarity(rest, name), similarity(header, name))));
+
+    if (nameScore < MATCH_THRESHOLD) return 0;
+
+    return nameScore + (namedTypes.includes(target.type) ? TYPE_BONUS : 0);
+};
+
+/**
+ * Proposes a column for each header
+ * TYPE_FIELD headers keep their meaning and remembered headers take their saved column.
+ * The rest are matched by name, best match first, so no two headers share a column.
+ *
+ * @param {Array<string>} headers - Header row as read
+ * @param {Object} config - Field configuration, with any remembered mappings
+ * @returns {Array<Object>} For each header `{ header, target, source }`: target is a
+ *   TYPE_FIELD header or null to ignore the column, and source is 'header', 'saved',
+ *   'suggested', 'none' or 'empty'
+ */
+export const suggestColumnMapping = (headers, config) => {
+    const saved = config?.[COLUMN_MAPPINGS_KEY] || {};
+    const targets = getMappingTargets(config);
+
+    const result = headers.map(header => {
+        if (header === undefined || header === null || String(header).trim() === '') {
+            return { header, target: null, source: 'empty' };
+        }
+        if (isTypeFieldHeader(header)) {
+            return { header, target: String(header).trim().toUpperCase(), source: 'header' };
+        }
+
+        const key = normalizeHeader(header);
+        if (Object.prototype.hasOwnProperty.call(saved, key)) {
+            return { header, target: saved[key], source: 'saved' };
+        }
+
+        return { header, target: null, source: 'none' };
+    });
+
+    const used = new Set(result.map(entry => entry.target).filter(Boolean));
+
+    const candidates = result
+        .flatMap((entry, index) => entry.source !== 'none' ? [] : targets.map(target => ({
+            index,
+            target: target.target,
+            score: scoreTarget(normalizeHeader(entry.header), target)
+        })))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    candidates.forEach(({ index, target }) => {
+        if (result[index].target || used.has(target)) return;
+        result[index] = { ...result[index], target, source: 'suggested' };
+        used.add(target);
+    });
+
+    return result;
+};
+
+/**
+ * Tests whether any header still needs the user to say what it is
+ * @param {Array<Object>} mapping - Result of suggestColumnMapping
+ * @returns {boolean} True if a header is neither TYPE_FIELD, remembered nor empty
+ */
+export const needsColumnMapping = (mapping) =>
+    mapping.some(entry => entry.source === 'suggested' || entry.source === 'none');
+
+/**
+ * Rewrites a header row to the TYPE_FIELD headers parseColumns reads
+ * A column mapped to a Concept ID may hold its IDs as text, as a CSV column with another
+ * header does, so digit strings in it become numbers, which is what assignConcepts expects.
+ *
+ * @param {Array<string|null>} targets - Chosen column for each header, null to ignore it
+ * @param {Array<Array>} [rows=[]] - Data rows, converted in place
+ * @returns {Array<string>} Header row, with '' for ignored columns
+ */
+export const applyColumnMapping = (targets, rows = []) => {
+    targets.forEach((target, index) => {
+        if (!/_CID$/.test(target || '')) return;
+        rows.forEach(row => {
+            const value = typeof row[index] === 'string' ? row[index].trim() : null;
+            if (value && /^\d+$/.test(value)) row[index] = Number(value);
+        });
+    });
+
+    return targets.map(target => target || '');
+};
+
+/**
+ * Adds a confirmed mapping to the configuration
+ * Only headers that needed mapping are kept; TYPE_FIELD headers map themselves.
+ *
+ * @param {Object} config - Current configuration
+ * @param {Array<string>} headers - Header row as read
+ * @param {Array<string|null>} targets - Chosen column for each header
+ * @returns {Object} New configuration with the mapping remembered
+ */
+export const rememberColumnMapping = (config, headers, targets) => {
+    const mappings = { ...(config?.[COLUMN_MAPPINGS_KEY] || {}) };
+
+    headers.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        if (!key || isTypeFieldHeader(header)) return;
+        mappings[key] = targets[index] || null;
+    });
+
+    return { ...config, [COLUMN_MAPPINGS_KEY]: mappings };
+};
@@ -10,13 +10,25 @@
  * @requires api - GitHub API interaction functions
  * @requires homepage - Homepage rendering and refresh functions
  * @requires config - Modal configuration constants
+ * @requires router - Deep link routes for the concept view
+ * @requires concepts - Concept version comparison
+ * @requires integrity - Repository integrity checks
+ * @requires bulk - Bulk field edits and deletes
+ * @requires journal - Import batches and their commit status
+ * @requires cache - Import journal storage
  */
 
-import { showAnimation, hideAnimation, getFileContent, appState, createReferenceDropdown, initReferenceDropdown, validateFormFields, showUserNotification, extractConcept } from './common.js';
-import { addFile, deleteFile, getConcept, updateFile, checkReferences, commitFiles } from './api.js';
+import { showAnimation, hideAnimation, getFileContent, appState, createReferenceDropdown, initReferenceDropdown, validateFormFields, showUserNotification, extractConcept, normalizeConcept } from './common.js';
+import { addFile, deleteFile, getConcept, updateFile, checkReferences, commitFiles, countCommitOverflow, getFileHistory, getFileContentRaw, loadAllConcepts, rollBackImport } from './api.js';
+import { diffConcepts } from './concepts.js';
+import { checkRepositoryIntegrity, planIntegrityFixes, INTEGRITY_CHECKS } from './integrity.js';
+import { BULK_OPERATIONS, getBulkEditableFields, isMultiReference, validateBulkOperation, planBulkEdit, planBulkDelete } from './bulk.js';
+import { BATCH_STATUS, createImportJournal, recordBatch, getUnfinishedBatches, getCommittedBatches, summarizeJournal, getRetryAt, getRetryDelay } from './journal.js';
+import { writeImportJournal, clearImportJournal } from './cache.js';
 import { refreshHomePage } from './homepage.js';
 import { MODAL_CONFIG, CONCEPT_TYPE_COLORS, API_CONFIG } from './config.js';
-import { MODAL_TEMPLATES, FORM_UTILS } from './templates.js';
+import { MODAL_TEMPLATES, FORM_UTILS, COMMON_TEMPLATES, TEMPLATE_UTILS } from './templates.js';
+import { setRoute, getCurrentRoute } from './router.js';
 
 /**
  * Common modal utilities for consistent modal management
@@ -608,6 +620,7 @@ export const renderDeleteModal = async (event) => {
 
 /**
  * Renders a modal for viewing and editing concept files with dynamic field rendering
+ * Records the concept in the address bar so the view can be shared as a link
  * 
  * @async
  * @function renderViewModal
@@ -617,22 +630,41 @@ export const renderDeleteModal = async (event) => {
  * @throws {Error} Throws error if file retrieval, parsing, or modal rendering fails
  */
 export const renderViewModal = async (event) => {
+    const file = event.target.closest('button')?.getAttribute('data-bs-file');
+
+    if (file) {
+        const { owner, repoName } = appState.getState();
+        setRoute({ owner, repoName, conceptId: file.replace('.json', '') });
+    }
+
+    await renderConceptView(file);
+}
+
+/**
+ * Opens the view modal for a concept file by name
+ * Used directly by deep links, which have no button to read the file from
+ * 
+ * @async
+ * @function renderConceptView
+ * 
+ * @param {string} file - Concept filename, e.g. '123456789.json'
+ * @returns {Promise<void>} Resolves when modal is rendered with concept data
+ */
+export const renderConceptView = async (file) => {
     showAnimation();
     
     // Declare modal elements outside try block so they're available in catch
     let modal, header, body, footer;
-    let file = null;
     
     try {
-        const button = event.target.closest('button');
-        file = button.getAttribute('data-bs-file');
-        
         // Validate file parameter early
         if (!file) {
             throw new Error('No file specified to view');
         }
         
         ({ modal, header, body, footer } = ModalUtils.getModalElements());
+
+        watchConceptViewClose(modal, file);
         
         const { content, meta } = await getFileContent(file);
         
@@ -673,14 +705,20 @@ export const renderViewModal = async (event) => {
             if (modal.isEditMode) {
                 // EDIT MODE - Show all configured fields
                 renderEditMode(contentContainer, content, typeConfig);
+                body.appendChild(contentContainer);
             } else {
-                // VIEW MODE - Only show fields with values
+                // VIEW MODE - Only show fields with values, with the history one tab over
+                // where the backend can serve it
                 renderViewMode(contentContainer, content, typeConfig);
+                if (appState.getState().fileHistorySupported === false) {
+                    body.appendChild(contentContainer);
+                } else {
+                    body.innerHTML = MODAL_TEMPLATES.conceptViewTabs();
+                    body.querySelector('#concept-details-pane').appendChild(contentContainer);
+                    watchHistoryTab(body, file, typeConfig, { loadedSha, canRestore: hasWritePermission });
+                }
             }
             
-            // Add the container to the modal body
-            body.appendChild(contentContainer);
-            
             // Initialize any pending reference dropdowns now that they're in the DOM
             if (contentContainer._pendingDropdowns) {
                 contentContainer._pendingDropdowns.forEach(({ fieldId, initialValue }) => {
@@ -733,7 +771,8 @@ export const renderViewModal = async (event) => {
 
         await renderModalContent();
 
-        new bootstrap.Modal(modal).show();
+        // Reuse the open instance when history moves between concepts, or backdrops stack up
+        (bootstrap.Modal.getInstance(modal) || new bootstrap.Modal(modal)).show();
 
     } catch (error) {
         console.error('Error fetching file:', error);
@@ -763,6 +802,233 @@ export const renderViewModal = async (event) => {
     }
 }
 
+/**
+ * Loads the concept's history the first time its tab is opened
+ * Most views never look at history, so the commit list is not fetched up front. If the
+ * backend turns out not to serve history, the tab is removed, and later views leave it out.
+ * 
+ * @function watchHistoryTab
+ * @param {HTMLElement} body - Modal body containing the concept view tabs
+ * @param {string} file - Concept filename being viewed
+ * @param {Array<Object>} typeConfig - Field configuration for the concept's type
+ * @param {Object} options - Restore options, passed through to renderConceptHistory
+ */
+const watchHistoryTab = (body, file, typeConfig, options) => {
+    const historyTab = body.querySelector('#concept-history-tab');
+    const historyPane = body.querySelector('#concept-history-pane');
+
+    historyTab.addEventListener('shown.bs.tab', async () => {
+        await renderConceptHistory(historyPane, file, typeConfig, options);
+
+        if (appState.getState().fileHistorySupported === false) {
+            new bootstrap.Tab(body.querySelector('#concept-details-tab')).show();
+            historyTab.closest('li').remove();
+            showUserNotification('warning', 'Concept history needs a newer version of the CID Tool backend, so the History tab is hidden.');
+        }
+    }, { once: true });
+};
+
+/**
+ * Renders the commit history of a concept with a field-level diff between two versions
+ * Defaults to the latest change; any two versions can be picked for comparison, and
+ * older versions can be restored by users with write access
+ * 
+ * @async
+ * @function renderConceptHistory
+ * @param {HTMLElement} container - History tab pane
+ * @param {string} file - Concept filename being viewed
+ * @param {Array<Object>} typeConfig - Field configuration used to label and order fields
+ * @param {Object} [options={}] - Restore options
+ * @param {string} [options.loadedSha] - SHA of the file when the view opened, guarding restores
+ * @param {boolean} [options.canRestore=false] - Whether to offer restoring older versions
+ * @returns {Promise<void>} Resolves when the history and first diff are shown
+ */
+const renderConceptHistory = async (container, file, typeConfig, { loadedSha, canRestore = false } = {}) => {
+    container.innerHTML = COMMON_TEMPLATES.loadingSpinner({ size: 'sm', message: 'Loading history...' });
+
+    try {
+        const commits = await getFileHistory(file);
+
+        if (commits.length === 0) {
+            container.innerHTML = MODAL_TEMPLATES.infoAlert('No history was found for this concept.');
+            return;
+        }
+
+        // Versions are immutable, so each is fetched once however often it is compared.
+        // The raw text is kept as well: a restore writes back exactly what was committed.
+        const versions = new Map();
+        const loadVersionText = (sha) => {
+            if (!versions.has(sha)) {
+                versions.set(sha, getFileContentRaw(file, sha));
+            }
+            return versions.get(sha);
+        };
+
+        // Every commit listed changed the file, so two in a row cannot read the same. If
+        // they do, the backend ignored the ref and served the latest version for both
+        if (commits.length > 1) {
+            const [latest, previous] = await Promise.all([loadVersionText(commits[0].sha), loadVersionText(commits[1].sha)]);
+            if (latest === previous) {
+                appState.setState({ fileHistorySupported: false });
+                return;
+            }
+        }
+
+        container.innerHTML = MODAL_TEMPLATES.conceptHistory(commits, canRestore);
+
+        const fromSelect = container.querySelector('#history-from');
+        const toSelect = container.querySelector('#history-to');
+        const restoreContainer = container.querySelector('#history-restore');
+        const diffContainer = container.querySelector('#history-diff');
+        const loadVersion = async (sha) => {
+            if (!sha) return null;
+            const text = await loadVersionText(sha);
+            return text ? normalizeConcept(JSON.parse(text)) : null;
+        };
+
+        const renderDiff = async () => {
+            const fromSha = fromSelect.value;
+            const toSha = toSelect.value;
+            diffContainer.innerHTML = COMMON_TEMPLATES.loadingSpinner({ size: 'sm', message: 'Comparing versions...' });
+
+            try {
+                const [before, after] = await Promise.all([loadVersion(fromSha), loadVersion(toSha)]);
+
+                // A newer pick may have finished first; only the latest choice is shown
+                if (fromSelect.value !== fromSha || toSelect.value !== toSha) return;
+
+                diffContainer.innerHTML = MODAL_TEMPLATES.conceptDiff(diffConcepts(before, after, typeConfig));
+            } catch (error) {
+                console.error('Error comparing concept versions:', error);
+                diffContainer.innerHTML = MODAL_TEMPLATES.errorAlert('Unable to Compare Versions', error.message);
+            }
+        };
+
+        // "Show changes" compares a commit with the one before it
+        const showCommit = (index) => {
+            restoreContainer.innerHTML = '';
+            toSelect.value = commits[index].sha;
+            fromSelect.value = commits[index + 1]?.sha || '';
+            renderDiff();
+        };
+
+        // "Restore" previews what the restore would change relative to the latest version
+        const showRestore = (index) => {
+            const commit = commits[index];
+            fromSelect.value = commits[0].sha;
+            toSelect.value = commit.sha;
+            renderDiff();
+
+            restoreContainer.innerHTML = MODAL_TEMPLATES.restoreConfirmation(commit);
+            restoreContainer.querySelector('#cancel-restore').addEventListener('click', () => {
+                restoreContainer.innerHTML = '';
+            });
+            restoreContainer.querySelector('#confirm-restore').addEventListener('click', () => {
+                restoreConceptVersion(file, commit, loadVersionText, loadedSha);
+            });
+        };
+
+        container.querySelectorAll('.show-commit-changes').forEach(button => {
+            button.addEventListener('click', () => showCommit(Number(button.dataset.index)));
+        });
+        container.querySelectorAll('.restore-commit').forEach(button => {
+            button.addEventListener('click', () => showRestore(Number(button.dataset.index)));
+        });
+        fromSelect.addEventListener('change', () => {
+            restoreContainer.innerHTML = '';
+            renderDiff();
+        });
+        toSelect.addEventListener('change', () => {
+            restoreContainer.innerHTML = '';
+            renderDiff();
+        });
+
+        showCommit(0);
+    } catch (error) {
+        // watchHistoryTab hides the tab instead
+        if (error.unsupported) return;
+
+        console.error('Error loading concept history:', error);
+        container.innerHTML = MODAL_TEMPLATES.errorAlert('Unable to Load History', error.message);
+    }
+};
+
+/**
+ * Writes an older version of a concept back as a new commit
+ * Goes through updateFile with the SHA captured when the view opened, so a restore over
+ * someone else's newer edit is rejected with a conflict like any other save
+ * 
+ * @async
+ * @function restoreConceptVersion
+ * @param {string} file - Concept filename being restored
+ * @param {Object} commit - Commit whose version of the file is restored
+ * @param {Function} loadVersionText - Resolves a commit SHA to the file's raw text at that commit
+ * @param {string} loadedSha - SHA of the file as it was when the view opened
+ * @returns {Promise<void>} Resolves when the version is saved and the modal closed
+ */
+const restoreConceptVersion = async (file, commit, loadVersionText, loadedSha) => {
+    try {
+        showAnimation();
+
+        const content = await loadVersionText(commit.sha);
+        if (!content) {
+            throw new Error(`This concept did not exist at ${commit.sha.slice(0, 7)}`);
+        }
+
+        await updateFile(file, content, loadedSha, API_CONFIG.COMMIT_MESSAGES.RESTORE_FILE(commit.sha));
+
+        showUserNotification('success', `Restored the version from ${commit.sha.slice(0, 7)}.`);
+
+        const modal = document.getElementById('modal');
+        bootstrap.Modal.getInstance(modal).hide();
+    } catch (error) {
+        // validateResponse has already shown API failures, including the 409 conflict case
+        console.error('Error restoring concept:', error);
+        if (!error.status) {
+            showUserNotification('error', error.message);
+        }
+    } finally {
+        hideAnimation();
+    }
+};
+
+/**
+ * Returns the address bar to the repository once a concept view closes
+ * Skipped if history has already moved on to another route by then
+ * 
+ * @function watchConceptViewClose
+ * @param {HTMLElement} modal - Modal element showing the concept
+ * @param {string} file - Concept filename being viewed
+ */
+const watchConceptViewClose = (modal, file) => {
+    const conceptId = file.replace('.json', '');
+    modal.conceptFile = file;
+
+    modal.addEventListener('hidden.bs.modal', () => {
+        if (modal.conceptFile === file) {
+            delete modal.conceptFile;
+        }
+
+        const route = getCurrentRoute();
+        if (route?.conceptId === conceptId) {
+            setRoute({ owner: route.owner, repoName: route.repoName });
+        }
+    }, { once: true });
+};
+
+/**
+ * Closes the concept view, if one is open
+ * Called when browser navigation leaves a concept route
+ * 
+ * @function closeConceptView
+ */
+export const closeConceptView = () => {
+    const modal = document.querySelector(MODAL_CONFIG.MODAL_SELECTOR);
+    if (modal?.conceptFile) {
+        ModalUtils.hideModal(modal);
+    }
+};
+
 /**
  * Renders view mode display for concept data with organized field sections
  * 
@@ -999,78 +1265,536 @@ function renderEditMode(container, content, typeConfig) {
 
 /**
  * Renders a modal showing file upload progress with real-time status updates
+ * Files are committed in batches, and each batch's outcome is written to the import
+ * journal as it lands. When a batch fails the import stops, and the batches already
+ * committed are rolled back, so the repository does not keep half an import; after a
+ * rate limit the rollback waits, while the modal is open, for the limit to lift. The import
+ * can be retried from the modal, or resumed later from the journal, which outlives the
+ * modal and the page; it is dropped once every batch is committed.
  * 
  * @async
  * @function renderUploadModal
  * 
- * @param {Array<Object>} files - Array of file objects with name and content properties
+ * @param {Array<Object>} files - Array of file objects with name and content properties;
+ *   ignored when resuming a journal
+ * @param {Object} [options={}] - Upload options
+ * @param {Function} [options.downloadSpreadsheet] - Downloads the imported spreadsheet with
+ *   its Concept IDs filled in; offered once the upload finishes
+ * @param {Object} [options.journal] - Unfinished journal to resume instead of starting anew
+ * @param {boolean} [options.rollBack=false] - Roll back the journal's committed batches
+ *   instead of finishing the import
  * @returns {Promise<void>} Resolves when all uploads are complete and modal is shown
  * @throws {Error} Throws error if modal setup or file upload fails
  */
-export const renderUploadModal = async (files) => {
+export const renderUploadModal = async (files, { downloadSpreadsheet, journal, rollBack = false } = {}) => {
     try {
         // Validate input
-        if (!Array.isArray(files) || files.length === 0) {
+        if (!journal && (!Array.isArray(files) || files.length === 0)) {
             throw new Error('No files provided for upload');
         }
 
+        const { owner, repoName } = appState.getState();
+        let current = journal || createImportJournal(files, API_CONFIG.COMMIT_BATCH_SIZE);
+        await writeImportJournal(owner, repoName, current);
+
         const { modal, body, footer } = ModalUtils.setupModal('Uploading Files');
 
         // Clear previous content  
-        body.innerHTML = '';
+        body.innerHTML = '<div class="upload-journal-status"></div>';
 
-        // Array to hold file rows for status updates
-        const fileRows = [];
+        // Rows for status updates, by batch
+        const batchRows = new Map();
 
         // Create file rows in the modal body using templates
-        files.forEach((file) => {
-            const fileRow = document.createElement('div');
-            fileRow.innerHTML = MODAL_TEMPLATES.uploadProgressItem(file.name);
-            body.appendChild(fileRow);
-            fileRows.push({ file, fileRow });
+        current.batches.forEach((batch) => {
+            batchRows.set(batch.index, batch.files.map((file) => {
+                const fileRow = document.createElement('div');
+                fileRow.innerHTML = MODAL_TEMPLATES.uploadProgressItem(file.name);
+                body.appendChild(fileRow);
+                return fileRow;
+            }));
         });
 
-        // Modal footer using template
-        footer.innerHTML = MODAL_TEMPLATES.footer([
-            { text: 'Close', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY }
-        ]);
+        const setBatchStatus = (index, status) => {
+            batchRows.get(index).forEach(fileRow => {
+                fileRow.querySelector('.status-indicator').innerHTML = status;
+            });
+        };
 
-        // Show the modal
-        ModalUtils.showModal(modal);
+        // A resumed journal shows what already landed
+        current.batches
+            .filter(batch => batch.status === BATCH_STATUS.COMMITTED)
+            .forEach(batch => setBatchStatus(batch.index, MODAL_TEMPLATES.uploadStatus.success()));
 
-        // Batched: one commit per chunk instead of two writes per file
-        for (let start = 0; start < fileRows.length; start += API_CONFIG.COMMIT_BATCH_SIZE) {
-            const batch = fileRows.slice(start, start + API_CONFIG.COMMIT_BATCH_SIZE);
+        const renderFooter = (running) => {
+            const unfinished = getUnfinishedBatches(current).length > 0;
+            const partial = unfinished && getCommittedBatches(current).length > 0;
+
+            // The IDs are worth keeping even if a batch failed: a re-import then reuses them
+            footer.innerHTML = MODAL_TEMPLATES.footer([
+                ...(!running && unfinished ? [{ text: 'Retry Import', class: MODAL_CONFIG.MODAL_CLASSES.PRIMARY, id: 'retryImport' }] : []),
+                ...(!running && partial ? [{ text: 'Roll Back', class: MODAL_CONFIG.MODAL_CLASSES.DANGER, id: 'rollBackImport' }] : []),
+                ...(!running && downloadSpreadsheet ? [{ text: 'Download Spreadsheet with IDs', class: MODAL_CONFIG.MODAL_CLASSES.PRIMARY, id: 'downloadSpreadsheetWithIds' }] : []),
+                { text: 'Close', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, id: 'closeUploadModal' }
+            ]);
+
+            footer.querySelector('#retryImport')?.addEventListener('click', runBatches);
+            footer.querySelector('#rollBackImport')?.addEventListener('click', runRollback);
+            footer.querySelector('#downloadSpreadsheetWithIds')?.addEventListener('click', downloadSpreadsheet);
+            footer.querySelector('#closeUploadModal').addEventListener('click', async (e) => {
+                e.target.blur(); // Prevent aria-hidden focus warning
+                bootstrap.Modal.getInstance(modal).hide();
 
-            batch.forEach(({ fileRow }) => {
-                fileRow.querySelector('.status-indicator').innerHTML = MODAL_TEMPLATES.uploadStatus.processing();
+                await refreshHomePage();
             });
+        };
 
-            try {
-                await commitFiles(batch.map(({ file }) => file));
+        // Files changed since the import, which stop a rollback
+        let conflicts = [];
+
+        // A rollback held up by the rate limit, and when it runs
+        let rollBackAt = null;
+        let rollbackTimer = null;
+
+        const cancelRollback = () => {
+            clearTimeout(rollbackTimer);
+            rollbackTimer = null;
+            rollBackAt = null;
+        };
+
+        const scheduleRollback = (retryAt) => {
+            rollBackAt = retryAt || new Date(Date.now() + API_CONFIG.RATE_LIMIT_RETRY_DELAY).toISOString();
+            rollbackTimer = setTimeout(runRollback, getRetryDelay(rollBackAt));
+        };
+
+        // The modal is shared, so a rollback left scheduled would render into whatever opens next;
+        // the journal keeps the import, and Roll Back stays in the Import dialog
+        modal.addEventListener('hidden.bs.modal', cancelRollback, { once: true });
+
+        const finish = async () => {
+            if (getUnfinishedBatches(current).length === 0) {
+                await clearImportJournal(owner, repoName);
+            }
+
+            body.querySelector('.upload-journal-status').innerHTML = MODAL_TEMPLATES.uploadJournalStatus(summarizeJournal(current), rollBackAt)
+                + (conflicts.length > 0 ? MODAL_TEMPLATES.rollbackConflicts(conflicts) : '');
+            renderFooter(false);
+        };
+
+        // Undoes the committed batches, last first; a commit that fails leaves its batches committed for a later try
+        const rollBackCommitted = async () => {
+            let rollingBack = [];
+            let failure = null;
 
-                batch.forEach(({ fileRow }) => {
-                    fileRow.querySelector('.status-indicator').innerHTML = MODAL_TEMPLATES.uploadStatus.success();
+            try {
+                const result = await rollBackImport(current, {
+                    onCommitStart: (indexes) => {
+                        rollingBack = indexes;
+                        indexes.forEach(index => setBatchStatus(index, MODAL_TEMPLATES.uploadStatus.rollingBack()));
+                    },
+                    onCommitted: async (journal, indexes) => {
+                        current = journal;
+                        rollingBack = [];
+                        indexes.forEach(index => setBatchStatus(index, MODAL_TEMPLATES.uploadStatus.rolledBack()));
+                        await writeImportJournal(owner, repoName, current);
+                    }
                 });
+
+                conflicts = result.conflicts;
+                failure = result.error;
+                if (result.error) console.error('Failed to roll back the import:', result.error);
             } catch (error) {
-                // The commit is atomic, so a failure fails the whole batch
-                batch.forEach(({ fileRow }) => {
-                    fileRow.querySelector('.status-indicator').innerHTML = MODAL_TEMPLATES.uploadStatus.failed();
-                });
-                console.error(`Failed to commit ${batch.length} files:`, error);
+                failure = error;
+                console.error('Failed to check the import before rolling it back:', error);
+            }
+
+            rollingBack.forEach(index => setBatchStatus(index, MODAL_TEMPLATES.uploadStatus.success()));
+            return failure;
+        };
+
+        const runRollback = async () => {
+            cancelRollback();
+            renderFooter(true);
+
+            const error = await rollBackCommitted();
+            if (error?.isRateLimit) scheduleRollback(getRetryAt(error));
+
+            await finish();
+        };
+
+        // Batched: one commit per chunk instead of two writes per file
+        const runBatches = async () => {
+            cancelRollback();
+            renderFooter(true);
+
+            for (const batch of getUnfinishedBatches(current)) {
+                setBatchStatus(batch.index, MODAL_TEMPLATES.uploadStatus.processing());
+
+                try {
+                    const result = await commitFiles(batch.files);
+                    current = recordBatch(current, batch.index, BATCH_STATUS.COMMITTED, { commitSha: result?.commitSha });
+                    setBatchStatus(batch.index, MODAL_TEMPLATES.uploadStatus.success());
+                    await writeImportJournal(owner, repoName, current);
+                } catch (error) {
+                    // The commit is atomic, so a failure fails the whole batch, and the import with it
+                    current = recordBatch(current, batch.index, BATCH_STATUS.FAILED, { error });
+                    setBatchStatus(batch.index, MODAL_TEMPLATES.uploadStatus.failed());
+                    console.error(`Failed to commit ${batch.files.length} files:`, error);
+                    await writeImportJournal(owner, repoName, current);
+
+                    // Rolling back now would run into the same limit, so it waits for the limit to lift
+                    if (!error.isRateLimit) {
+                        await rollBackCommitted();
+                    } else if (getCommittedBatches(current).length > 0) {
+                        scheduleRollback(summarizeJournal(current).retryAt);
+                    }
+                    break;
+                }
             }
+
+            await finish();
+        };
+
+        // Show the modal
+        ModalUtils.showModal(modal);
+
+        await (rollBack ? runRollback() : runBatches());
+    } catch (error) {
+        ModalUtils.handleModalError(error, 'File upload modal');
+    }
+}
+
+/**
+ * Renders the repository integrity report
+ * Reads every committed concept and checks it against config.json, the other concepts
+ * and index.json. The report opens with a spinner, since a cold read downloads the archive.
+ * 
+ * @async
+ * @function renderIntegrityModal
+ * 
+ * @returns {Promise<void>} Resolves when the report is rendered
+ */
+export const renderIntegrityModal = async () => {
+    let modal;
+
+    try {
+        const elements = ModalUtils.setupModal('Validate Repository');
+        modal = elements.modal;
+        const { body, footer } = elements;
+
+        body.innerHTML = COMMON_TEMPLATES.loadingSpinner({ message: 'Checking every concept...' });
+        footer.innerHTML = MODAL_TEMPLATES.footer([
+            { text: 'Close', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, attributes: 'data-bs-dismiss="modal"' }
+        ]);
+
+        ModalUtils.showModal(modal);
+
+        const { concepts, fileNames, legacyIdFiles, failed } = await loadAllConcepts();
+        const { files, index, config, repo } = appState.getState();
+        const repository = { concepts, fileNames, legacyIdFiles, failed, files, index, config };
+
+        const report = checkRepositoryIntegrity(repository);
+        const plan = planIntegrityFixes(repository);
+        const canFix = repo.permissions.push && plan.changes.length > 0;
+
+        const showReport = () => {
+            body.innerHTML = MODAL_TEMPLATES.integrityReport(report, INTEGRITY_CHECKS);
+            footer.innerHTML = MODAL_TEMPLATES.footer([
+                { text: 'Close', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, attributes: 'data-bs-dismiss="modal"' },
+                ...(canFix ? [{ text: 'Review Fixes', class: MODAL_CONFIG.MODAL_CLASSES.PRIMARY, id: 'reviewIntegrityFixes' }] : [])
+            ]);
+            footer.querySelector('#reviewIntegrityFixes')?.addEventListener('click', showPlan);
+        };
+
+        // The fixes go in one commit, so a plan the backend would reject is not offered
+        const tooLarge = countCommitOverflow(plan.writes, plan.deletions) > 0;
+
+        const showPlan = () => {
+            body.innerHTML = MODAL_TEMPLATES.integrityFixPlan(plan, API_CONFIG.COMMIT_FILE_LIMIT);
+            footer.innerHTML = MODAL_TEMPLATES.footer([
+                { text: 'Back', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, id: 'integrityBack' },
+                { text: `Apply Fixes to ${plan.changes.length} File${plan.changes.length === 1 ? '' : 's'}`, class: MODAL_CONFIG.MODAL_CLASSES.PRIMARY, id: 'applyIntegrityFixes', attributes: tooLarge ? 'disabled' : '' }
+            ]);
+            footer.querySelector('#integrityBack').addEventListener('click', showReport);
+            footer.querySelector('#applyIntegrityFixes').addEventListener('click', () => applyIntegrityFixes(modal, plan));
+        };
+
+        showReport();
+
+        // The concept view uses this same modal, so it opens once the report has closed
+        body.addEventListener('click', (event) => {
+            const button = event.target.closest('.viewFileBtn');
+            if (!button) return;
+
+            modal.addEventListener('hidden.bs.modal', () => renderViewModal({ target: button }), { once: true });
+            ModalUtils.hideModal(modal);
+        });
+    } catch (error) {
+        ModalUtils.handleModalError(error, 'Repository validation', modal);
+    }
+}
+
+/**
+ * Commits a reviewed set of integrity fixes as one commit, then reloads the repository
+ * 
+ * @async
+ * @function applyIntegrityFixes
+ * @param {HTMLElement} modal - Modal showing the review
+ * @param {Object} plan - Result of planIntegrityFixes
+ * @returns {Promise<void>} Resolves when committed and the repository has reloaded
+ */
+const applyIntegrityFixes = async (modal, plan) => {
+    showAnimation();
+
+    try {
+        await commitFiles(plan.writes, plan.deletions, API_CONFIG.COMMIT_MESSAGES.FIX_INTEGRITY(plan.changes.length));
+
+        showUserNotification('success', `Integrity fixes applied to ${plan.changes.length} file${plan.changes.length === 1 ? '' : 's'}.`);
+        ModalUtils.hideModal(modal);
+        await refreshHomePage();
+    } catch (error) {
+        // validateResponse has already told the user why
+        console.error('Error applying integrity fixes:', error);
+    } finally {
+        hideAnimation();
+    }
+}
+
+/**
+ * Renders the bulk edit for the concepts selected in the file list
+ * The user picks a field and a change, reviews every concept it touches, and the
+ * result is committed in one commit.
+ * 
+ * @async
+ * @function renderBulkEditModal
+ * 
+ * @returns {Promise<void>} Resolves when the form is rendered
+ */
+export const renderBulkEditModal = async () => {
+    let modal;
+
+    try {
+        const { selectedFiles } = appState.getState();
+        const elements = ModalUtils.setupModal(`Edit ${selectedFiles.length} Concept${selectedFiles.length === 1 ? '' : 's'}`);
+        modal = elements.modal;
+        const { body, footer } = elements;
+
+        body.innerHTML = COMMON_TEMPLATES.loadingSpinner({ message: 'Loading the selected concepts...' });
+        footer.innerHTML = '';
+        ModalUtils.showModal(modal);
+
+        const { concepts, fileNames, legacyIdFiles } = await loadAllConcepts();
+        const { config, index } = appState.getState();
+
+        // A file that spells the ID conceptId is written back that way
+        const legacyIds = new Set(legacyIdFiles);
+        const wanted = new Set(selectedFiles);
+        const selected = fileNames
+            .map((file, position) => ({ file, concept: concepts[position], legacyId: legacyIds.has(file) }))
+            .filter(({ file }) => wanted.has(file));
+
+        if (selected.length < wanted.size) {
+            const missing = wanted.size - selected.length;
+            showUserNotification('warning', `${missing} selected concept${missing === 1 ? '' : 's'} could not be read and will not be edited.`);
         }
 
-        // add event listener for save button
-        const closeButton = modal.querySelector('.btn-outline-secondary');
-        closeButton.addEventListener('click', async (e) => {
-            e.target.blur(); // Prevent aria-hidden focus warning
-            bootstrap.Modal.getInstance(modal).hide();
+        const fields = getBulkEditableFields(config, selected.map(({ concept }) => concept.object_type));
+        body.innerHTML = MODAL_TEMPLATES.bulkEditForm(fields, selected.length, BULK_OPERATIONS);
+
+        const formPane = body.querySelector('#bulkEditFormPane');
+        const previewPane = body.querySelector('#bulkEditPreviewPane');
+        const fieldSelect = body.querySelector('#bulkField');
+        const operationSelect = body.querySelector('#bulkOperation');
+        const errorsDiv = body.querySelector('#bulkErrors');
+
+        const selectedField = () => fields.find(field => field.id === fieldSelect.value);
 
-            await refreshHomePage();
+        const readOperation = () => ({
+            type: operationSelect.value,
+            value: body.querySelector('#bulkValue').value,
+            find: body.querySelector('#bulkFind').value,
+            replace: body.querySelector('#bulkReplace').value
         });
+
+        const syncForm = () => {
+            const field = selectedField();
+            body.querySelectorAll('[data-operation]').forEach(group => {
+                group.hidden = group.dataset.operation !== operationSelect.value;
+            });
+            body.querySelector('#bulkValueHelp').textContent = field.type !== 'reference' ? ''
+                : isMultiReference(field) ? `${field.referencesType || 'Concept'} IDs, separated by commas. The list replaces the current one.`
+                : `A ${field.referencesType || 'concept'} ID.`;
+            errorsDiv.hidden = true;
+        };
+
+        const showForm = () => {
+            formPane.hidden = false;
+            previewPane.hidden = true;
+            footer.innerHTML = MODAL_TEMPLATES.footer([
+                { text: 'Cancel', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, attributes: 'data-bs-dismiss="modal"' },
+                ...(fields.length > 0 ? [{ text: 'Preview', class: MODAL_CONFIG.MODAL_CLASSES.PRIMARY, id: 'bulkPreview' }] : [])
+            ]);
+            footer.querySelector('#bulkPreview')?.addEventListener('click', showPreview);
+        };
+
+        const showPreview = () => {
+            const field = selectedField();
+            const operation = readOperation();
+            const errors = validateBulkOperation(field, operation, index);
+
+            if (errors.length > 0) {
+                errorsDiv.innerHTML = errors.map(error => `<div>${TEMPLATE_UTILS.sanitize(error)}</div>`).join('');
+                errorsDiv.hidden = false;
+                return;
+            }
+
+            const plan = planBulkEdit(selected, field, operation);
+            const label = field.label || field.id;
+            // The edit goes in one commit, which the backend rejects past its file limit
+            const canSave = plan.changes.length > 0 && countCommitOverflow(plan.writes) === 0;
+
+            formPane.hidden = true;
+            previewPane.hidden = false;
+            previewPane.innerHTML = MODAL_TEMPLATES.bulkEditPreview(plan, label, API_CONFIG.COMMIT_FILE_LIMIT);
+
+            footer.innerHTML = MODAL_TEMPLATES.footer([
+                { text: 'Back', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, id: 'bulkBack' },
+                { text: `Save ${plan.changes.length} Change${plan.changes.length === 1 ? '' : 's'}`, class: MODAL_CONFIG.MODAL_CLASSES.PRIMARY, id: 'bulkSave', attributes: canSave ? '' : 'disabled' }
+            ]);
+            footer.querySelector('#bulkBack').addEventListener('click', showForm);
+            footer.querySelector('#bulkSave').addEventListener('click', () => saveBulkEdit(modal, plan, label));
+        };
+
+        if (fields.length > 0) {
+            fieldSelect.addEventListener('change', syncForm);
+            operationSelect.addEventListener('change', syncForm);
+            syncForm();
+        }
+        showForm();
     } catch (error) {
-        ModalUtils.handleModalError(error, 'File upload modal');
+        ModalUtils.handleModalError(error, 'Bulk edit', modal);
+    }
+}
+
+/**
+ * Commits a reviewed bulk edit as one commit, then clears the selection and reloads
+ * 
+ * @async
+ * @function saveBulkEdit
+ * @param {HTMLElement} modal - Modal showing the preview
+ * @param {Object} plan - Result of planBulkEdit
+ * @param {string} fieldLabel - Label of the field being changed, for the commit message
+ * @returns {Promise<void>} Resolves when committed and the repository has reloaded
+ */
+const saveBulkEdit = async (modal, plan, fieldLabel) => {
+    showAnimation();
+
+    try {
+        await commitFiles(plan.writes, [], API_CONFIG.COMMIT_MESSAGES.BULK_EDIT(fieldLabel, plan.changes.length));
+
+        showUserNotification('success', `Updated ${plan.changes.length} concept${plan.changes.length === 1 ? '' : 's'}.`);
+        appState.setState({ selectedFiles: [] });
+        ModalUtils.hideModal(modal);
+        await refreshHomePage();
+    } catch (error) {
+        // validateResponse has already told the user why
+        console.error('Error saving bulk edit:', error);
+    } finally {
+        hideAnimation();
+    }
+}
+
+/**
+ * Renders the delete review for the concepts selected in the file list
+ * Concepts that reference the selection are listed so each can be deleted too or
+ * detached; the plan is recomputed as choices change, since deleting one can bring
+ * in more.
+ * 
+ * @async
+ * @function renderBulkDeleteModal
+ * 
+ * @returns {Promise<void>} Resolves when the review is rendered
+ */
+export const renderBulkDeleteModal = async () => {
+    let modal;
+
+    try {
+        const { selectedFiles } = appState.getState();
+        const elements = ModalUtils.setupModal(`Delete ${selectedFiles.length} Concept${selectedFiles.length === 1 ? '' : 's'}`);
+        modal = elements.modal;
+        const { body, footer } = elements;
+
+        body.innerHTML = COMMON_TEMPLATES.loadingSpinner({ message: 'Finding concepts that reference the selection...' });
+        footer.innerHTML = '';
+        ModalUtils.showModal(modal);
+
+        const { concepts, fileNames, legacyIdFiles, failed } = await loadAllConcepts();
+        const { config } = appState.getState();
+
+        if (failed.length > 0) {
+            // An unread file could reference the selection, so the plan would be incomplete
+            body.innerHTML = MODAL_TEMPLATES.errorAlert(
+                'Cannot Delete Concepts',
+                `${failed.length} file${failed.length === 1 ? '' : 's'} could not be read, so references to the selected concepts cannot be ruled out. Deletion has been blocked for safety.`
+            );
+            footer.innerHTML = MODAL_TEMPLATES.footer([
+                { text: 'Close', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, attributes: 'data-bs-dismiss="modal"' }
+            ]);
+            return;
+        }
+
+        const choices = {};
+
+        const render = () => {
+            const plan = planBulkDelete({ concepts, fileNames, config, legacyIdFiles }, selectedFiles, choices);
+            // Deletions and detached references go in one commit, which the backend rejects past its file limit
+            const tooLarge = countCommitOverflow(plan.writes, plan.deletions) > 0;
+
+            body.innerHTML = MODAL_TEMPLATES.bulkDeletePlan(plan, selectedFiles.length, API_CONFIG.COMMIT_FILE_LIMIT);
+            body.querySelectorAll('.dependent-action').forEach(input => {
+                input.addEventListener('change', () => {
+                    choices[input.dataset.file] = input.value;
+                    render();
+                });
+            });
+
+            footer.innerHTML = MODAL_TEMPLATES.footer([
+                { text: 'Cancel', class: MODAL_CONFIG.MODAL_CLASSES.SECONDARY, attributes: 'data-bs-dismiss="modal"' },
+                { text: `Delete ${plan.deletions.length} Concept${plan.deletions.length === 1 ? '' : 's'}`, class: MODAL_CONFIG.MODAL_CLASSES.DANGER, id: 'confirmBulkDelete', attributes: tooLarge ? 'disabled' : '' }
+            ]);
+            footer.querySelector('#confirmBulkDelete').addEventListener('click', () => saveBulkDelete(modal, plan));
+        };
+
+        render();
+    } catch (error) {
+        ModalUtils.handleModalError(error, 'Bulk delete', modal);
+    }
+}
+
+/**
+ * Commits a reviewed bulk delete, with any detached references, as one commit
+ * 
+ * @async
+ * @function saveBulkDelete
+ * @param {HTMLElement} modal - Modal showing the review
+ * @param {Object} plan - Result of planBulkDelete
+ * @returns {Promise<void>} Resolves when committed and the repository has reloaded
+ */
+const saveBulkDelete = async (modal, plan) => {
+    showAnimation();
+
+    try {
+        await commitFiles(plan.writes, plan.deletions, API_CONFIG.COMMIT_MESSAGES.BULK_DELETE(plan.deletions.length));
+
+        showUserNotification('success', `Deleted ${plan.deletions.length} concept${plan.deletions.length === 1 ? '' : 's'}.`);
+        appState.setState({ selectedFiles: [] });
+        ModalUtils.hideModal(modal);
+        await refreshHomePage();
+    } catch (error) {
+        // validateResponse has already told the user why
+        console.error('Error deleting concepts:', error);
+    } finally {
+        hideAnimation();
     }
 }
 
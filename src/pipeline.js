@@ -0,0 +1,335 @@
+/**
+ * Import pipeline: reading a dropped dictionary file and turning its rows into concepts.
+ *
+ * Parsing, structuring and validating a workbook of ten thousand rows takes long enough
+ * to freeze the page, so these stages run in a Web Worker (importWorker.js), each
+ * reporting its progress as it goes, every PERFORMANCE_CONFIG.IMPORT_PROGRESS_INTERVAL
+ * rows or concepts and once more at the end: rows read, concepts built, errors found. Nothing
+ * here touches the DOM, and the repository's index and config are passed in rather than
+ * read from the page. The steps that need the user or the network, the column mapping
+ * and loading the stored concepts, stay on the page between stages.
+ */
+
+import { parseColumns, structureDictionary, findTypeSheets, stackTypeSheets, structureNormalized } from './dictionary.js';
+import { assignConcepts, validateImportData } from './concepts.js';
+import { readSyncSheet } from './sync.js';
+import { isDelimitedFile, readDelimited } from './delimited.js';
+import { SYNC_CONFIG, PERFORMANCE_CONFIG } from './config.js';
+
+/**
+ * Stages the worker runs
+ */
+export const IMPORT_TASKS = {
+    READ: 'read',
+    BUILD: 'build',
+    VALIDATE: 'validate'
+};
+
+// ============================================================================
+// STAGES
+// ============================================================================
+
+/**
+ * Checks whether a row has at least one cell with content
+ * @param {Array} row - Sheet row
+ * @returns {boolean} False for a row of empty cells, as styled cells read
+ */
+const hasContent = (row) => row.some(cell => cell !== undefined && cell !== null && cell !== '');
+
+/**
+ * Filters out completely empty rows (styled cells read as empty strings)
+ * @param {Array<Array>} rows - Sheet rows, header first
+ * @returns {Array<Array>} The header and every row with content
+ */
+const dropEmptyRows = (rows) => rows.filter((row, index) => {
+    // Always keep header row (index 0)
+    if (index === 0) return true;
+    return hasContent(row);
+});
+
+/**
+ * Passes a running count on once every IMPORT_PROGRESS_INTERVAL, not for every row or concept
+ * @param {Function} report - Called with the count, and anything passed with it, when due
+ * @returns {Function} Takes the running count after each row or concept
+ */
+const everyInterval = (report) => (count, ...rest) => {
+    if (count % PERFORMANCE_CONFIG.IMPORT_PROGRESS_INTERVAL === 0) report(count, ...rest);
+};
+
+/**
+ * Counts the rows with content below the header, as dropEmptyRows will keep them
+ * @param {Function} onCount - Called with the count each time it goes up
+ * @returns {Function} Takes each row as it is read, header first
+ */
+const rowCounter = (onCount) => {
+    let seen = 0;
+    let count = 0;
+
+    return (row) => {
+        if (seen++ > 0 && hasContent(row)) onCount(++count);
+    };
+};
+
+/**
+ * Reads a worksheet's rows a chunk at a time, so they can be counted as they are read
+ * @param {Object} sheet - XLSX worksheet
+ * @param {Function} [onRow] - Called with each row, header first
+ * @returns {Array<Array>} The rows, as sheet_to_json with `header: 1` returns them
+ */
+const readSheetRows = (sheet, onRow = () => {}) => {
+    if (!sheet?.['!ref']) return [];
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const chunkSize = PERFORMANCE_CONFIG.IMPORT_PROGRESS_INTERVAL;
+    const rows = [];
+
+    for (let start = range.s.r; start <= range.e.r; start += chunkSize) {
+        const chunk = XLSX.utils.sheet_to_json(sheet, {
+            header: 1,
+            range: { s: { r: start, c: range.s.c }, e: { r: Math.min(start + chunkSize - 1, range.e.r), c: range.e.c } }
+        });
+
+        chunk.forEach(row => {
+            rows.push(row);
+            onRow(row);
+        });
+    }
+
+    return rows;
+};
+
+/**
+ * Reads an Excel file and returns the data as a 2D array
+ * Looks for a "Dictionary" sheet first, falls back to first sheet
+ * Filters out completely empty rows (rows where all cells are empty strings)
+ * @param {File} file - The Excel file to read
+ * @returns {Promise<Array>} 2D array of spreadsheet data
+ */
+export const readSpreadsheet = async (file) => {
+    const { data } = await readWorkbook(file);
+    return data;
+};
+
+/**
+ * Reads an Excel file's dictionary data and, for a repository export, its sync sheet
+ * A CSV or TSV file is read as a single sheet with no sync sheet. A workbook with a
+ * sheet per concept type is also read sheet by sheet.
+ * @param {File} file - The Excel, CSV or TSV file to read
+ * @param {Function} [onProgress] - Called with `{ rowsRead }` as the rows are read, and as
+ *   each sheet is finished
+ * @returns {Promise<Object>} `{ data, sync, sheets }`: the 2D array from readSpreadsheet,
+ *   the result of readSyncSheet, or null for a workbook that was not exported by the
+ *   tool, and for a normalized workbook its type sheets as `{ name, type, headers, rows }`,
+ *   otherwise null
+ */
+export const readWorkbook = async (file, onProgress = () => {}) => {
+    const data = await file.arrayBuffer();
+    const reportRows = everyInterval(rowsRead => onProgress({ rowsRead }));
+    let arrayData;
+    let sync = null;
+    let sheets = null;
+
+    if (isDelimitedFile(file)) {
+        arrayData = readDelimited(new Uint8Array(data), file.name, rowCounter(reportRows)).data;
+    } else {
+        const workbook = XLSX.read(data);
+
+        const syncSheet = workbook.Sheets[SYNC_CONFIG.SHEET_NAME];
+        sync = syncSheet ? readSyncSheet(XLSX.utils.sheet_to_json(syncSheet, { header: 1 })) : null;
+
+        // Look for "Dictionary" sheet first, fall back to first sheet
+        const sheetName = workbook.SheetNames.includes('Dictionary')
+            ? 'Dictionary'
+            : workbook.SheetNames[0];
+
+        // A normalized workbook counts the rows of its type sheets instead
+        const typeSheets = findTypeSheets(workbook.SheetNames);
+        arrayData = readSheetRows(workbook.Sheets[sheetName], typeSheets.length > 0 ? undefined : rowCounter(reportRows));
+
+        if (typeSheets.length > 0) {
+            let rowsRead = 0;
+            sheets = typeSheets.map(({ name, type }) => {
+                const before = rowsRead;
+                const rows = dropEmptyRows(readSheetRows(workbook.Sheets[name], rowCounter(count => reportRows(before + count))));
+                rowsRead = before + Math.max(rows.length - 1, 0);
+                onProgress({ rowsRead });
+                return { name, type, headers: rows[0] || [], rows: rows.slice(1) };
+            });
+        }
+    }
+
+    const rows = dropEmptyRows(arrayData);
+    if (!sheets) onProgress({ rowsRead: Math.max(rows.length - 1, 0) });
+
+    return { data: rows, sync, sheets };
+};
+
+/**
+ * Assigns Concept IDs and structures the rows into concepts
+ * A normalized workbook names its references, so those that name nothing come back as
+ * errors, to be reported with the validation errors.
+ * @param {Object} payload
+ * @param {Array<string>} [payload.headerRow] - Dictionary header, as TYPE_FIELD headers
+ * @param {Array<Array>} [payload.rows] - Dictionary rows, without the header
+ * @param {Array<Object>} [payload.sheets] - Type sheets of a normalized workbook, read instead
+ * @param {Object} payload.index - Current repository index
+ * @param {boolean} [payload.updateExisting=false] - Whether keys already in the repository
+ *   keep their Concept IDs
+ * @param {Function} [onProgress] - Called with `{ conceptsBuilt }` as concepts are built,
+ *   and once they all are
+ * @returns {Object} `{ columns, rows, mapping, concepts, referenceErrors }`; mapping is
+ *   null when assignConcepts rejects the rows
+ */
+export const buildConcepts = ({ headerRow, rows, sheets, index, updateExisting = false }, onProgress = () => {}) => {
+    // A normalized workbook's sheets are stacked so keys and IDs are checked across them
+    const { columns, rows: dataRows } = sheets
+        ? stackTypeSheets(sheets)
+        : { columns: parseColumns(headerRow), rows };
+
+    // Build set of existing Concept IDs to avoid collisions during auto-generation
+    const existingRepoIds = new Set(
+        Object.values(index?._files || {})
+            .map(file => file.conceptID)
+            .filter(id => id !== undefined && id !== null)
+            .map(id => String(id)) // Normalize to strings for comparison
+    );
+
+    // In update mode a key already in the repository keeps its Concept ID
+    const existingKeyIds = new Map(updateExisting
+        ? Object.entries(index?._files || {})
+            .filter(([, fileData]) => fileData?.key)
+            .map(([filename, fileData]) => [fileData.key.toLowerCase(), filename.replace('.json', '')])
+        : []);
+
+    const mapping = assignConcepts(columns, dataRows, existingRepoIds, existingKeyIds);
+
+    if (!mapping) {
+        return { columns, rows: dataRows, mapping: null, concepts: [], referenceErrors: [] };
+    }
+
+    const onConcept = everyInterval(conceptsBuilt => onProgress({ conceptsBuilt }));
+    let concepts;
+    let referenceErrors = [];
+    if (sheets) {
+        ({ concepts, errors: referenceErrors } = structureNormalized(mapping, sheets, index, onConcept));
+    } else {
+        concepts = structureDictionary(mapping, columns, dataRows, onConcept);
+    }
+
+    onProgress({ conceptsBuilt: concepts?.length || 0 });
+
+    return { columns, rows: dataRows, mapping, concepts: concepts || [], referenceErrors };
+};
+
+/**
+ * Validates the concepts against the repository, adding the reference errors found while
+ * building them
+ * @param {Object} payload
+ * @param {Array<Object>} payload.concepts - Concepts to import, merged in update mode
+ * @param {Array<Object>} [payload.referenceErrors=[]] - Errors from buildConcepts
+ * @param {Object} payload.index - Current repository index
+ * @param {Object} payload.config - Field configuration for each concept type
+ * @param {boolean} [payload.updateExisting=false] - Whether rows may update existing concepts
+ * @param {Function} [onProgress] - Called with `{ errorsFound }` as concepts are checked,
+ *   and once they all are
+ * @returns {Object} Result of validateImportData
+ */
+export const validateConcepts = ({ concepts, referenceErrors = [], index, config, updateExisting = false }, onProgress = () => {}) => {
+    const onChecked = everyInterval((checked, errorsFound) => onProgress({ errorsFound }));
+    const validationResult = validateImportData(concepts, index, config, { updateExisting, onChecked });
+
+    if (referenceErrors.length > 0) {
+        validationResult.errors.push(...referenceErrors);
+        validationResult.valid = false;
+        validationResult.summary.errorCount = validationResult.errors.length;
+    }
+
+    onProgress({ errorsFound: validationResult.errors.length });
+
+    return validationResult;
+};
+
+/**
+ * Runs one stage on the current thread
+ * @param {string} task - One of IMPORT_TASKS
+ * @param {Object} payload - The stage's argument
+ * @param {Function} [onProgress] - Called with the stage's progress counts
+ * @returns {Promise<Object>} The stage's result
+ * @throws {Error} If the task is unknown
+ */
+export const runPipelineTask = async (task, payload, onProgress = () => {}) => {
+    switch (task) {
+        case IMPORT_TASKS.READ:
+            return await readWorkbook(payload.file, onProgress);
+        case IMPORT_TASKS.BUILD:
+            return buildConcepts(payload, onProgress);
+        case IMPORT_TASKS.VALIDATE:
+            return validateConcepts(payload, onProgress);
+        default:
+            throw new Error(`Unknown import task: ${task}`);
+    }
+};
+
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/**
+ * Error for a stage the user cancelled
+ * @returns {Error} Error named AbortError, as fetch rejects with
+ */
+const cancelledError = () => Object.assign(new Error('Import cancelled'), { name: 'AbortError' });
+
+/**
+ * Runs one stage in a Web Worker, so the page stays responsive
+ * Each stage gets a worker of its own, ended when the stage finishes; cancelling ends it
+ * at once, mid-stage. Where workers are not available the stage runs on the page.
+ * @param {string} task - One of IMPORT_TASKS
+ * @param {Object} payload - The stage's argument; copied to the worker, so plain data
+ * @param {Object} [options={}]
+ * @param {Function} [options.onProgress] - Called with the stage's progress counts
+ * @param {AbortSignal} [options.signal] - Cancels the stage
+ * @returns {Promise<Object>} The stage's result
+ * @throws {Error} An AbortError when cancelled, or the error the stage failed with
+ */
+export const runImportTask = async (task, payload, { onProgress = () => {}, signal } = {}) => {
+    if (signal?.aborted) throw cancelledError();
+
+    if (typeof Worker === 'undefined') {
+        return await runPipelineTask(task, payload, onProgress);
+    }
+
+    // A classic worker, so it can run the page's XLSX script; it imports the pipeline itself
+    const worker = new Worker(new URL('./importWorker.js', import.meta.url));
+
+    return await new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            worker.terminate();
+            signal?.removeEventListener('abort', cancel);
+            callback(value);
+        };
+        const cancel = () => settle(reject, cancelledError());
+
+        signal?.addEventListener('abort', cancel);
+
+        worker.addEventListener('message', ({ data }) => {
+            if (data.type === 'progress') {
+                onProgress(data.progress);
+            } else if (data.type === 'alert') {
+                // displayError alerts, which a worker cannot; the page does it instead
+                alert(data.message);
+            } else if (data.type === 'done') {
+                settle(resolve, data.result);
+            } else if (data.type === 'error') {
+                settle(reject, new Error(data.message));
+            }
+        });
+
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            settle(reject, new Error(event.message || 'Import worker failed to start'));
+        });
+
+        worker.postMessage({ task, payload });
+    });
+};
@@ -0,0 +1,174 @@
+/**
+ * Import dry-run reports: the dropped sheet handed back with what the import would do.
+ *
+ * The report copies the sheet as it was read and adds a status column and a details
+ * column. A row's status covers the concepts first defined on it, taken from the errors
+ * validateImportData reported against that row, and the cells behind each problem are
+ * flagged so they can be found in a dictionary too large to review in the modal.
+ */
+
+/**
+ * Statuses a row can carry, in the order they are listed
+ */
+export const REPORT_STATUS = {
+    NEW: 'New',
+    UPDATE: 'Update',
+    UNCHANGED: 'Unchanged',
+    AUTO_ID: 'Auto-generated CID',
+    DUPLICATE: 'Duplicate',
+    MISSING_FIELD: 'Missing field',
+    TYPE_MISMATCH: 'Type mismatch',
+    UNRESOLVED_REFERENCE: 'Unresolved reference'
+};
+
+/**
+ * Status for each validation error type
+ */
+const ERROR_STATUS = {
+    DUPLICATE_CONCEPT_ID: REPORT_STATUS.DUPLICATE,
+    DUPLICATE_CONCEPT_ID_IMPORT: REPORT_STATUS.DUPLICATE,
+    DUPLICATE_KEY: REPORT_STATUS.DUPLICATE,
+    DUPLICATE_KEY_IMPORT: REPORT_STATUS.DUPLICATE,
+    MISSING_REQUIRED_FIELD: REPORT_STATUS.MISSING_FIELD,
+    TYPE_MISMATCH: REPORT_STATUS.TYPE_MISMATCH,
+    UNRESOLVED_REFERENCE: REPORT_STATUS.UNRESOLVED_REFERENCE
+};
+
+/**
+ * Headers of the columns the report adds
+ */
+export const REPORT_HEADERS = ['Import Status', 'Import Details'];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Finds the cell that caused a validation error
+ * A missing field points at its column when the sheet has one. References in the
+ * one-sheet layout have no column of their own, so they point at the concept's key;
+ * a normalized sheet's reference errors carry their column.
+ * @param {Object} error - Validation error
+ * @param {Object} typeColumns - Column mapping for the concept's type
+ * @returns {number|undefined} Column index
+ */
+const getErrorColumn = (error, typeColumns) => {
+    if (error.column !== undefined) return error.column;
+    if (error.type === 'MISSING_REQUIRED_FIELD') return typeColumns[String(error.fieldId).toUpperCase()] ?? typeColumns.KEY;
+    if (error.type.startsWith('DUPLICATE_CONCEPT_ID') || error.type === 'TYPE_MISMATCH') return typeColumns.CID ?? typeColumns.KEY;
+    return typeColumns.KEY;
+};
+
+/**
+ * Builds a dry-run report for an import
+ *
+ * @param {Object} source - The import as processDictionaryFile left it
+ * @param {Array<string>} source.headers - Header row as read from the file
+ * @param {Array<Array>} source.rows - Data rows as read from the file
+ * @param {Array<Object>} source.columns - Column mapping from parseColumns
+ * @param {Array<Object>} source.conceptObjects - Concepts the import would write
+ * @param {Object} source.validation - Result of validateImportData
+ * @param {Object} [source.importPlan=null] - Result of planImportUpdates or
+ *   planThreeWaySync, in update mode
+ * @returns {Object} `{ data, highlights }`: the report rows, header first, and the cells
+ *   to flag as `{ row, column, level }`, level being 'error', 'notice' or 'ok'
+ */
+export const buildImportReport = ({ headers, rows, columns, conceptObjects, validation, importPlan = null }) => {
+    const width = rows.reduce((max, row) => Math.max(max, row.length), headers.length);
+    const statusColumn = width;
+    const highlights = [];
+    // Rows with an error cell flagged, looked up per row rather than searched for
+    const errorRows = new Set();
+
+    const creates = new Set(importPlan?.creates || []);
+    const updates = new Map((importPlan?.updates || []).map(update => [update.concept, update]));
+
+    // A key gets a generated ID only if no row gives it one
+    const keysWithId = new Map(columns.map(typeColumns => [typeColumns.object_type, new Set(
+        typeColumns.KEY === undefined || typeColumns.CID === undefined ? [] : rows
+            .filter(row => hasValue(row[typeColumns.KEY]) && hasValue(row[typeColumns.CID]))
+            .map(row => String(row[typeColumns.KEY]).toLowerCase())
+    )]));
+
+    const conceptsByRow = new Map();
+    conceptObjects.forEach(concept => {
+        if (!conceptsByRow.has(concept._sourceRow)) conceptsByRow.set(concept._sourceRow, []);
+        conceptsByRow.get(concept._sourceRow).push(concept);
+    });
+
+    const errorsByRow = new Map();
+    (validation?.errors || []).forEach(error => {
+        if (!errorsByRow.has(error.row)) errorsByRow.set(error.row, []);
+        errorsByRow.get(error.row).push(error);
+    });
+
+    const errorsOf = (concept) => (errorsByRow.get(concept._sourceRow) || []).filter(error =>
+        String(error.key).toLowerCase() === String(concept.key).toLowerCase() &&
+        (error.conceptId === undefined || error.conceptId === String(concept.conceptID))
+    );
+
+    const data = [[...headers, ...new Array(width - headers.length).fill(''), ...REPORT_HEADERS]];
+
+    rows.forEach((row, index) => {
+        // Report rows line up with the sheet's, so row numbers match the modal's
+        const reportRow = index + 1;
+        const statuses = new Set();
+        const details = [];
+
+        (conceptsByRow.get(index + 2) || []).forEach(concept => {
+            const typeColumns = columns.find(candidate => candidate.object_type === concept.object_type) || {};
+            const label = `${concept.object_type} "${concept.key}"`;
+            const errors = errorsOf(concept);
+
+            if (errors.length > 0) {
+                errors.forEach(error => {
+                    statuses.add(ERROR_STATUS[error.type] || error.type);
+                    details.push(error.message);
+
+                    const column = getErrorColumn(error, typeColumns);
+                    if (column !== undefined) {
+                        highlights.push({ row: reportRow, column, level: 'error' });
+                        errorRows.add(reportRow);
+                    }
+                });
+                return;
+            }
+
+            const update = updates.get(concept);
+            if (importPlan && update) {
+                statuses.add(REPORT_STATUS.UPDATE);
+                details.push(`Updates ${label}: ${update.changes.map(change => change.label).join(', ')}`);
+                return;
+            }
+            if (importPlan && !creates.has(concept)) {
+                statuses.add(REPORT_STATUS.UNCHANGED);
+                details.push(`${label} is unchanged`);
+                return;
+            }
+
+            statuses.add(REPORT_STATUS.NEW);
+            if (keysWithId.get(concept.object_type)?.has(String(concept.key).toLowerCase())) {
+                details.push(`New ${label} with ID ${concept.conceptID}`);
+                return;
+            }
+
+            statuses.add(REPORT_STATUS.AUTO_ID);
+            details.push(`New ${label} will get the generated ID ${concept.conceptID}`);
+            highlights.push({ row: reportRow, column: typeColumns.CID ?? typeColumns.KEY, level: 'notice' });
+        });
+
+        const ordered = Object.values(REPORT_STATUS).filter(status => statuses.has(status));
+        const level = errorRows.has(reportRow) ? 'error'
+            : statuses.has(REPORT_STATUS.AUTO_ID) ? 'notice'
+            : 'ok';
+
+        if (statuses.size > 0) highlights.push({ row: reportRow, column: statusColumn, level });
+
+        data.push([
+            ...row,
+            ...new Array(width - row.length).fill(''),
+            [...ordered, ...[...statuses].filter(status => !ordered.includes(status))].join(', '),
+            details.join('\n')
+        ]);
+    });
+
+    return { data, highlights };
+};
@@ -0,0 +1,121 @@
+/**
+ * Hash-based deep links for repositories and concepts.
+ *
+ * Routes are `#/owner/repo` and `#/owner/repo/concept/123456789`. Only the URL is
+ * handled here; deciding what to render for a route belongs to the homepage module.
+ *
+ * Programmatic navigation uses the History API rather than assigning location.hash,
+ * so it never fires a popstate of its own: popstate then means the user moved
+ * (back, forward, or an edited address bar) and the view has to follow.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Parses a location hash into a route
+ * @param {string} hash - Hash including the leading '#', e.g. location.hash
+ * @returns {Object|null} `{ owner, repoName, conceptId }`, or null if the hash is not a route
+ *
+ * @example
+ * parseRoute('#/NCI-C4CP/dictionary/concept/123456789')
+ * // Returns: { owner: 'NCI-C4CP', repoName: 'dictionary', conceptId: '123456789' }
+ */
+export const parseRoute = (hash) => {
+    if (!hash || typeof hash !== 'string') return null;
+
+    const segments = hash.replace(/^#\/?/, '').split('/').filter(Boolean);
+
+    let decoded;
+    try {
+        decoded = segments.map(segment => decodeURIComponent(segment));
+    } catch (error) {
+        // A malformed escape is not a route, not an error worth surfacing
+        return null;
+    }
+
+    const [owner, repoName, section, conceptId] = decoded;
+
+    if (decoded.length === 2) {
+        return { owner, repoName, conceptId: null };
+    }
+
+    if (decoded.length === 4 && section === 'concept' && new RegExp(CONFIG.CONCEPT_FORMAT).test(conceptId)) {
+        return { owner, repoName, conceptId };
+    }
+
+    return null;
+};
+
+/**
+ * Builds the hash for a route
+ * @param {Object|null} route - `{ owner, repoName, conceptId }`, or null for the homepage
+ * @returns {string} Hash including the leading '#', or '' for the homepage
+ */
+export const buildRoute = (route) => {
+    if (!route?.owner || !route?.repoName) return '';
+
+    const base = `#/${encodeURIComponent(route.owner)}/${encodeURIComponent(route.repoName)}`;
+    return route.conceptId ? `${base}/concept/${encodeURIComponent(route.conceptId)}` : base;
+};
+
+/**
+ * Records a route in the address bar and browser history
+ * Does nothing when the address bar already shows it, so re-rendering a view is safe
+ * @param {Object|null} route - Route to show, or null for the homepage
+ * @param {Object} [options={}] - Navigation options
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding one
+ */
+export const setRoute = (route, { replace = false } = {}) => {
+    const hash = buildRoute(route);
+    if (hash === window.location.hash) return;
+
+    // An empty hash must be spelled as the bare path, or '#' lingers in the address bar
+    const url = hash || `${window.location.pathname}${window.location.search}`;
+
+    if (replace) {
+        window.history.replaceState({}, '', url);
+    } else {
+        window.history.pushState({}, '', url);
+    }
+};
+
+/**
+ * Reads the route from the current address bar
+ * @returns {Object|null} Current route, or null if there is none
+ */
+export const getCurrentRoute = () => parseRoute(window.location.hash);
+
+/**
+ * Saves the current route before the OAuth redirect, which returns to a bare URL
+ * The session token lives in sessionStorage, so a link opened in a new tab always
+ * goes through login first; without this the link would be lost on the way.
+ */
+export const rememberRoute = () => {
+    if (parseRoute(window.location.hash)) {
+        sessionStorage.setItem(CONFIG.PENDING_ROUTE_KEY, window.location.hash);
+    }
+};
+
+/**
+ * Returns the route saved before login, clearing it so it is used at most once
+ * @returns {Object|null} Saved route, or null if there is none
+ */
+export const takeRememberedRoute = () => {
+    const hash = sessionStorage.getItem(CONFIG.PENDING_ROUTE_KEY);
+    sessionStorage.removeItem(CONFIG.PENDING_ROUTE_KEY);
+    return parseRoute(hash);
+};
+
+/**
+ * Compares a route's repository against a GitHub repository object
+ * GitHub owner and repository names are case-insensitive
+ * @param {Object} route - Route to compare
+ * @param {Object} repo - Repository object from the GitHub API
+ * @returns {boolean} True if the route points at this repository
+ */
+export const routeMatchesRepo = (route, repo) => {
+    if (!route || !repo?.owner?.login || !repo?.name) return false;
+
+    return route.owner.toLowerCase() === repo.owner.login.toLowerCase() &&
+        route.repoName.toLowerCase() === repo.name.toLowerCase();
+};
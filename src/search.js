@@ -0,0 +1,135 @@
+/**
+ * Full-text search over concept contents.
+ *
+ * The file list can filter on filename and key from index.json alone, but finding a
+ * question by its wording needs every concept's text. The index built here holds just
+ * the searchable strings of each concept, and is cached with the concepts it came from.
+ */
+
+import { appState, escapeHtml } from './common.js';
+import { loadAllConcepts } from './api.js';
+import { readCachedSearchIndex, writeCachedSearchIndex } from './cache.js';
+
+/**
+ * Fields that are never worth searching: identifiers and the type tag
+ */
+const UNSEARCHED_FIELDS = new Set(['conceptID', 'conceptId', 'object_type']);
+
+/**
+ * Builds the search index for a set of concepts
+ * Every string field is indexed except those configured as concept or reference fields,
+ * so descriptions that predate the configuration are still found.
+ *
+ * @param {Array<Object>} concepts - Normalized concept objects
+ * @param {Object} [config={}] - Field configuration for each concept type
+ * @returns {Array<Object>} Entries as `{ file, text, fields: [{ id, label, value }] }`,
+ *   where text is every value lowercased, for a quick first pass
+ */
+export const buildSearchIndex = (concepts, config = {}) => {
+    return concepts
+        .filter(concept => concept?.conceptID !== undefined)
+        .map(concept => {
+            const typeConfig = config?.[concept.object_type] || [];
+            const fieldConfig = new Map(typeConfig.map(field => [field.id, field]));
+
+            const fields = Object.entries(concept)
+                .filter(([id, value]) => {
+                    if (UNSEARCHED_FIELDS.has(id) || typeof value !== 'string' || value.trim() === '') return false;
+                    const type = fieldConfig.get(id)?.type;
+                    return type !== 'concept' && type !== 'reference';
+                })
+                .map(([id, value]) => ({ id, label: fieldConfig.get(id)?.label || id, value }));
+
+            return {
+                file: `${concept.conceptID}.json`,
+                text: fields.map(field => field.value.toLowerCase()).join('\n'),
+                fields
+            };
+        })
+        .filter(entry => entry.fields.length > 0);
+};
+
+/**
+ * Finds concepts whose indexed fields contain a search term
+ * @param {Array<Object>} searchIndex - Index from buildSearchIndex
+ * @param {string} term - Search term; matching is case-insensitive
+ * @returns {Map<string, Array<Object>>} Filename to the fields that matched
+ */
+export const searchConcepts = (searchIndex, term) => {
+    const matches = new Map();
+    const needle = (term || '').trim().toLowerCase();
+    if (!needle || !searchIndex) return matches;
+
+    searchIndex.forEach(entry => {
+        if (!entry.text.includes(needle)) return;
+
+        const fields = entry.fields.filter(field => field.value.toLowerCase().includes(needle));
+        if (fields.length > 0) matches.set(entry.file, fields);
+    });
+
+    return matches;
+};
+
+/**
+ * Escapes text for display and wraps each occurrence of a term in <mark>
+ * Long text is cut down to the neighbourhood of the first match.
+ *
+ * @param {string} value - Text to display
+ * @param {string} term - Search term; matching is case-insensitive
+ * @param {number} [radius=Infinity] - Characters of context to keep either side of the first match
+ * @returns {string} HTML-safe text with matches highlighted
+ *
+ * @example
+ * highlightMatches('Do you smoke?', 'smoke')
+ * // Returns: 'Do you <mark>smoke</mark>?'
+ */
+export const highlightMatches = (value, term, radius = Infinity) => {
+    let text = String(value ?? '');
+    const needle = (term || '').trim().toLowerCase();
+    if (!needle) return escapeHtml(text);
+
+    const first = text.toLowerCase().indexOf(needle);
+    if (first !== -1 && Number.isFinite(radius)) {
+        const start = Math.max(0, first - radius);
+        const end = Math.min(text.length, first + needle.length + radius);
+        text = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    const lower = text.toLowerCase();
+    let html = '';
+    let position = 0;
+    let index = lower.indexOf(needle);
+
+    while (index !== -1) {
+        html += `${escapeHtml(text.slice(position, index))}<mark>${escapeHtml(text.slice(index, index + needle.length))}</mark>`;
+        position = index + needle.length;
+        index = lower.indexOf(needle, position);
+    }
+
+    return html + escapeHtml(text.slice(position));
+};
+
+/**
+ * Returns the search index for the open repository, from the local cache when possible
+ * Building it means reading every concept, so it is only cached when every one was read.
+ *
+ * @async
+ * @function loadSearchIndex
+ * @returns {Promise<Array<Object>>} Search index for the repository at its current tree SHA
+ * @throws {Error} Throws if the concepts cannot be loaded
+ */
+export const loadSearchIndex = async () => {
+    const { owner, repoName, treeSha, config } = appState.getState();
+
+    const cached = await readCachedSearchIndex(owner, repoName, treeSha);
+    if (cached) return cached;
+
+    const { concepts, failed } = await loadAllConcepts();
+    const searchIndex = buildSearchIndex(concepts, config);
+
+    if (failed.length === 0) {
+        await writeCachedSearchIndex(owner, repoName, treeSha, searchIndex);
+    }
+
+    return searchIndex;
+};
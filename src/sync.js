@@ -0,0 +1,268 @@
+/**
+ * Three-way sync between an exported spreadsheet and the repository.
+ *
+ * An export carries a hidden sheet with the tree SHA it was taken from and a snapshot
+ * of every concept as it stood then. When the edited workbook comes back, each field is
+ * compared three ways: the snapshot (base), the spreadsheet, and the repository now. A
+ * field only one side changed takes that side's value; a field both sides changed to
+ * different values is a conflict for the user to settle. Rows are never rejected just
+ * because their concept already exists, since that is the normal case for an export.
+ * A row deleted from the spreadsheet leaves its concept in place; sync never deletes.
+ */
+
+import { getReferenceIds } from './hierarchy.js';
+import { SYNC_CONFIG } from './config.js';
+
+/**
+ * Builds the hidden sheet that records what an export was taken from
+ *
+ * @param {Object} source - Export details
+ * @param {string} source.repository - Repository as owner/name
+ * @param {string} source.treeSha - Tree SHA the concepts were read at
+ * @param {string} source.exportedAt - ISO timestamp of the export
+ * @param {Array<string>} source.headers - Header row of the Dictionary sheet
+ * @param {Array<string>} source.columnKeys - TYPE_FIELD import header of each column
+ * @param {Array<Object>} source.concepts - Concepts as exported
+ * @returns {Array<Array>} Rows for the sheet
+ */
+export const buildSyncSheet = ({ repository, treeSha, exportedAt, headers, columnKeys, concepts }) => [
+    ['format', SYNC_CONFIG.FORMAT_VERSION],
+    ['repository', repository],
+    ['treeSha', treeSha],
+    ['exportedAt', exportedAt],
+    ['headers', ...headers],
+    ['columns', ...columnKeys],
+    ...concepts
+        .map(concept => ['concept', String(concept.conceptID), JSON.stringify(concept)])
+        // A cell this long would be cut off by Excel; those concepts sync without a base
+        .filter(row => row[2].length <= SYNC_CONFIG.MAX_CELL_LENGTH)
+];
+
+/**
+ * Reads the hidden sheet back
+ *
+ * @param {Array<Array>} rows - Rows of the sheet
+ * @returns {Object|null} `{ repository, treeSha, exportedAt, headers, columnKeys, base }`
+ *   with base as a Map of snapshot concepts by Concept ID, or null if the rows are not
+ *   a sync sheet this version understands
+ */
+export const readSyncSheet = (rows) => {
+    const values = new Map();
+    const base = new Map();
+
+    (rows || []).forEach(([label, ...rest]) => {
+        if (label === 'concept') {
+            try {
+                base.set(String(rest[0]), JSON.parse(rest[1]));
+            } catch {
+                // A damaged snapshot row just leaves that concept without a base
+            }
+        } else if (label) {
+            values.set(label, rest);
+        }
+    });
+
+    if (values.get('format')?.[0] !== SYNC_CONFIG.FORMAT_VERSION || !values.get('treeSha')?.[0]) return null;
+
+    return {
+        repository: values.get('repository')?.[0],
+        treeSha: values.get('treeSha')[0],
+        exportedAt: values.get('exportedAt')?.[0],
+        headers: values.get('headers') || [],
+        columnKeys: values.get('columns') || [],
+        base
+    };
+};
+
+/**
+ * Turns an exported header row back into import headers
+ * Export headers are config labels, which the importer cannot place. A header still in
+ * its exported position maps to that column's TYPE_FIELD; one the team moved maps by
+ * its text, if no other column shares it. Anything else is left for parseColumns.
+ *
+ * @param {Array<string>} headers - Header row as read from the workbook
+ * @param {Object} sync - Result of readSyncSheet
+ * @returns {Array<string>} Header row the importer can parse
+ */
+export const restoreImportHeaders = (headers, sync) => headers.map((header, position) => {
+    if (sync.headers[position] === header && sync.columnKeys[position]) return sync.columnKeys[position];
+
+    const matches = sync.headers
+        .map((exported, index) => (exported === header ? index : -1))
+        .filter(index => index >= 0);
+
+    return matches.length === 1 && sync.columnKeys[matches[0]] ? sync.columnKeys[matches[0]] : header;
+});
+
+/**
+ * Lists the fields the spreadsheet can express for each concept type
+ * A field with no column cannot have been edited, so it is left out of the comparison
+ * rather than read as cleared. A reference comes from its own column or else from row
+ * position, which needs the referenced type's key column.
+ *
+ * @param {Array<Object>} columns - Column mapping from parseColumns
+ * @param {Object} config - Field configuration for each concept type
+ * @returns {Map<string, Set<string>>} Field ids by concept type
+ */
+export const getSheetFields = (columns, config) => {
+    const hasKeyColumn = (type) => columns.find(column => column.object_type === type)?.KEY !== undefined;
+
+    return new Map(columns.map(column => {
+        const typeConfig = config?.[column.object_type] || [];
+        const fields = new Set();
+
+        if (column.KEY !== undefined) fields.add('key');
+
+        Object.keys(column)
+            .filter(name => !['KEY', 'CID', 'object_type'].includes(name))
+            .forEach(name => {
+                const field = typeConfig.find(candidate => candidate.id.toLowerCase() === name.toLowerCase());
+                fields.add(field?.id || name.toLowerCase());
+            });
+
+        typeConfig
+            .filter(field => field.type === 'reference' && field.referencesType && hasKeyColumn(field.referencesType))
+            .forEach(field => fields.add(field.id));
+
+        return [column.object_type, fields];
+    }));
+};
+
+/**
+ * Tests whether a field holds nothing
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+const isEmptyValue = (value) =>
+    value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Tests whether two values of a field are the same
+ * Spreadsheet cells come back as numbers or text regardless of how the file stored them,
+ * so values compare as text, and references as lists of IDs.
+ * @param {Object|undefined} field - Field configuration
+ * @param {*} a - One value
+ * @param {*} b - The other value
+ * @returns {boolean} True if the values match
+ */
+const isSameValue = (field, a, b) => {
+    if (isEmptyValue(a) || isEmptyValue(b)) return isEmptyValue(a) && isEmptyValue(b);
+    if (field?.type === 'reference') return getReferenceIds(a).join() === getReferenceIds(b).join();
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return String(a).trim() === String(b).trim();
+};
+
+/**
+ * Compares a spreadsheet, the export it came from and the repository now
+ *
+ * @param {Object} sources - The three versions
+ * @param {Array<Object>} sources.sheetConcepts - Concepts structured from the spreadsheet
+ * @param {Map<string, Object>} sources.base - Snapshot concepts by Concept ID
+ * @param {Map<string, Object>} sources.current - Repository concepts by Concept ID
+ * @param {Map<string, Set<string>>} sources.sheetFields - Result of getSheetFields
+ * @param {Object} sources.config - Field configuration for each concept type
+ * @param {Object} [resolutions={}] - `'sheet'` or `'repo'` for each conflict, by
+ *   `conceptId:field`; conflicts keep the repository's value unless resolved to the sheet
+ * @returns {Object} `{ concepts, creates, updates, unchanged, conflicts, deletedInRepo }`:
+ *   every row after merging, in order, then the new concepts, the updates as
+ *   `{ concept, before, changes }`, the rows that leave the repository as it is, each
+ *   conflict as `{ id, conceptId, key, field, label, base, sheet, current, resolution }`,
+ *   and the rows whose concept was deleted from the repository since the export
+ */
+export const planThreeWaySync = ({ sheetConcepts, base, current, sheetFields, config }, resolutions = {}) => {
+    const concepts = [];
+    const creates = [];
+    const updates = [];
+    const unchanged = [];
+    const conflicts = [];
+    const deletedInRepo = [];
+
+    sheetConcepts.forEach(row => {
+        const conceptId = String(row.conceptID);
+        const typeConfig = config?.[row.object_type] || [];
+        const fieldConfig = (id) => typeConfig.find(field => field.id === id);
+        const was = base.get(conceptId);
+        const now = current.get(conceptId);
+
+        const fields = new Set([...(sheetFields.get(row.object_type) || []), ...Object.keys(row)]);
+        ['conceptID', 'object_type', '_sourceRow', '_sourceSheet', '_sourceFile'].forEach(field => fields.delete(field));
+
+        const editedFields = [...fields].filter(field => !isSameValue(fieldConfig(field), was?.[field], row[field]));
+
+        if (!now) {
+            if (!was) {
+                concepts.push(row);
+                creates.push(row);
+                return;
+            }
+
+            // Deleted in the repository: only an edit in the sheet makes that a conflict
+            const conflictId = `${conceptId}:`;
+            const resolution = resolutions[conflictId] || 'repo';
+            deletedInRepo.push({ conceptId, key: row.key, edited: editedFields.length > 0 });
+
+            if (editedFields.length > 0) {
+                conflicts.push({ id: conflictId, conceptId, key: row.key, field: null, label: 'Concept', base: was, sheet: row, current: undefined, resolution });
+                if (resolution === 'sheet') {
+                    concepts.push(row);
+                    creates.push(row);
+                }
+            }
+            return;
+        }
+
+        const merged = { ...now, _sourceRow: row._sourceRow };
+
+        editedFields.forEach(field => {
+            const settings = fieldConfig(field);
+            const repoChanged = !isSameValue(settings, was?.[field], now[field]);
+            let useSheet = !repoChanged;
+
+            if (repoChanged && !isSameValue(settings, row[field], now[field])) {
+                const conflictId = `${conceptId}:${field}`;
+                const resolution = resolutions[conflictId] || 'repo';
+                conflicts.push({
+                    id: conflictId,
+                    conceptId,
+                    key: now.key,
+                    field,
+                    label: settings?.label || field,
+                    base: was?.[field],
+                    sheet: row[field],
+                    current: now[field],
+                    resolution
+                });
+                useSheet = resolution === 'sheet';
+            }
+
+            if (!useSheet) return;
+
+            // Empty fields are removed, as the edit form does
+            if (isEmptyValue(row[field])) {
+                delete merged[field];
+            } else {
+                merged[field] = row[field];
+            }
+        });
+
+        concepts.push(merged);
+
+        const changes = [...fields]
+            .filter(field => !isSameValue(fieldConfig(field), now[field], merged[field]))
+            .map(field => ({
+                field,
+                label: fieldConfig(field)?.label || field,
+                before: isEmptyValue(now[field]) ? undefined : now[field],
+                after: isEmptyValue(merged[field]) ? undefined : merged[field],
+                change: isEmptyValue(now[field]) ? 'added' : isEmptyValue(merged[field]) ? 'removed' : 'changed'
+            }));
+
+        if (changes.length === 0) {
+            unchanged.push(merged);
+        } else {
+            updates.push({ concept: merged, before: now, changes });
+        }
+    });
+
+    return { concepts, creates, updates, unchanged, conflicts, deletedInRepo };
+};
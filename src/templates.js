@@ -164,9 +164,86 @@ export const MODAL_TEMPLATES = {
             <span class="status-text ms-1">Processing...</span>
         `,
         success: () => '<span class="text-success">Uploaded successfully</span>',
-        failed: () => '<span class="text-danger">Upload failed</span>'
+        failed: () => '<span class="text-danger">Upload failed</span>',
+        rollingBack: () => `
+            <span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>
+            <span class="status-text ms-1">Rolling back...</span>
+        `,
+        rolledBack: () => '<span class="text-warning">Rolled back</span>'
     },
 
+    /**
+     * Where an import stands once its batches have been tried
+     * @param {Object} summary - Result of summarizeJournal
+     * @param {string|null} [rollBackAt=null] - When a rollback held up by the rate limit is to run
+     * @returns {string} HTML for the note above the file list
+     */
+    uploadJournalStatus: (summary, rollBackAt = null) => {
+        const unfinished = summary.failedBatches + summary.pendingBatches;
+
+        if (unfinished === 0) {
+            return `<div class="alert alert-success small mb-3">All ${summary.files} files were committed.</div>`;
+        }
+
+        const wait = summary.retryAt ? `GitHub asked to wait until ${new Date(summary.retryAt).toLocaleTimeString()}.` : '';
+
+        if (summary.committedFiles === 0) {
+            return `
+                <div class="alert alert-warning small mb-3">
+                    The import stopped before it finished, and anything it had committed was rolled back, so the repository is as it was.
+                    ${wait}
+                    The import is saved in this browser, so you can retry now or later from the Import dialog, even after reloading.
+                </div>
+            `;
+        }
+
+        if (rollBackAt) {
+            return `
+                <div class="alert alert-danger small mb-3">
+                    The import stopped with ${summary.committedFiles} of ${summary.files} files committed.
+                    GitHub's rate limit holds up rolling them back too, so they will be rolled back at ${new Date(rollBackAt).toLocaleTimeString()}, while this dialog stays open.
+                    Closing it leaves Retry and Roll Back in the Import dialog, even after reloading.
+                </div>
+            `;
+        }
+
+        return `
+            <div class="alert alert-danger small mb-3">
+                The import stopped with ${summary.committedFiles} of ${summary.files} files committed, and they could not be rolled back yet.
+                ${wait}
+                Retry to finish the import, or roll it back; both stay available from the Import dialog, even after reloading.
+            </div>
+        `;
+    },
+
+    /**
+     * Why a change cannot be committed: it touches more files than one commit can hold
+     * @param {Object} options
+     * @param {number} options.fileCount - Files the commit would write and delete
+     * @param {number} options.limit - Most files one commit can hold
+     * @param {string} options.outcome - What that means here, e.g. "none of the 3 fixes can be applied"
+     * @param {string} options.advice - What the user can do instead
+     * @returns {string} HTML alert
+     */
+    commitLimitWarning: ({ fileCount, limit, outcome, advice }) => `
+        <div class="alert alert-danger small mb-3">
+            This change touches ${fileCount.toLocaleString()} files, and one commit can hold at most ${limit.toLocaleString()}, so ${outcome}.
+            ${advice}
+        </div>
+    `,
+
+    /**
+     * Why a rollback stopped before reverting anything
+     * @param {Array<string>} names - Files changed since the import committed them
+     * @returns {string} HTML for the note above the file list
+     */
+    rollbackConflicts: (names) => `
+        <div class="alert alert-danger small mb-3">
+            Nothing was rolled back: ${names.length} file${names.length === 1 ? ' has' : 's have'} changed since the import committed ${names.length === 1 ? 'it' : 'them'}, and rolling back would undo those changes too.
+            Review ${names.length === 1 ? 'it' : 'them'} before rolling back again: ${names.slice(0, 10).map(TEMPLATE_UTILS.sanitize).join(', ')}${names.length > 10 ? ` and ${names.length - 10} more` : ''}.
+        </div>
+    `,
+
     /**
      * Form field row with label and input
      * @param {Object} field - Field configuration
@@ -248,6 +325,446 @@ export const MODAL_TEMPLATES = {
         </div>
     `,
 
+    /**
+     * Details and History tabs for the concept view
+     * @returns {string} Tab headers and empty panes; details are rendered into #concept-details-pane
+     */
+    conceptViewTabs: () => `
+        <ul class="nav nav-tabs" role="tablist">
+            <li class="nav-item" role="presentation">
+                <button class="nav-link active" id="concept-details-tab" data-bs-toggle="tab"
+                    data-bs-target="#concept-details-pane" type="button" role="tab"
+                    aria-controls="concept-details-pane" aria-selected="true">Details</button>
+            </li>
+            <li class="nav-item" role="presentation">
+                <button class="nav-link" id="concept-history-tab" data-bs-toggle="tab"
+                    data-bs-target="#concept-history-pane" type="button" role="tab"
+                    aria-controls="concept-history-pane" aria-selected="false">History</button>
+            </li>
+        </ul>
+        <div class="tab-content">
+            <div class="tab-pane fade show active" id="concept-details-pane" role="tabpanel"
+                aria-labelledby="concept-details-tab" tabindex="0"></div>
+            <div class="tab-pane fade pt-3" id="concept-history-pane" role="tabpanel"
+                aria-labelledby="concept-history-tab" tabindex="0"></div>
+        </div>
+    `,
+
+    /**
+     * Commit history of a concept with version pickers for comparison
+     * @param {Array<Object>} commits - Commits from getFileHistory, newest first
+     * @param {boolean} [canRestore=false] - Whether to offer restoring older versions
+     * @returns {string} History list and comparison controls HTML
+     */
+    conceptHistory: (commits, canRestore = false) => {
+        const versionOption = (commit) => {
+            const date = commit.date ? new Date(commit.date).toLocaleString() : '';
+            return `<option value="${commit.sha}">${commit.sha.slice(0, 7)} - ${TEMPLATE_UTILS.sanitize(commit.author)}${date ? `, ${date}` : ''}</option>`;
+        };
+
+        return `
+            <div class="list-group mb-3 concept-history-list">
+                ${commits.map((commit, index) => `
+                    <div class="list-group-item d-flex justify-content-between align-items-start">
+                        <div class="me-3">
+                            <div class="fw-bold">${TEMPLATE_UTILS.sanitize(commit.message.split('\n')[0])}</div>
+                            <small class="text-muted">
+                                ${TEMPLATE_UTILS.sanitize(commit.author)}${commit.date ? ` &middot; ${new Date(commit.date).toLocaleString()}` : ''}
+                                &middot; <code>${commit.sha.slice(0, 7)}</code>
+                            </small>
+                        </div>
+                        <div class="text-nowrap">
+                            <button type="button" class="btn btn-sm btn-outline-secondary show-commit-changes" data-index="${index}">
+                                Show changes
+                            </button>
+                            ${canRestore && index > 0 ? `
+                                <button type="button" class="btn btn-sm btn-outline-primary ms-1 restore-commit" data-index="${index}">
+                                    Restore
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="row g-2 align-items-end mb-3">
+                <div class="col">
+                    <label for="history-from" class="form-label small mb-1">Compare</label>
+                    <select class="form-select form-select-sm" id="history-from">
+                        ${commits.map(versionOption).join('')}
+                        <option value="">Before this concept existed</option>
+                    </select>
+                </div>
+                <div class="col">
+                    <label for="history-to" class="form-label small mb-1">With</label>
+                    <select class="form-select form-select-sm" id="history-to">
+                        ${commits.map(versionOption).join('')}
+                    </select>
+                </div>
+            </div>
+            <div id="history-restore"></div>
+            <div id="history-diff"></div>
+        `;
+    },
+
+    /**
+     * Confirmation shown above the diff before restoring an older version
+     * @param {Object} commit - Commit whose version would be restored
+     * @returns {string} Restore confirmation HTML
+     */
+    restoreConfirmation: (commit) => `
+        <div class="alert alert-warning d-flex justify-content-between align-items-center">
+            <div class="me-3">
+                <i class="bi bi-arrow-counterclockwise"></i>
+                Restore the version from <code>${commit.sha.slice(0, 7)}</code>?
+                The changes below will be saved as a new commit.
+            </div>
+            <div class="text-nowrap">
+                <button type="button" class="btn btn-sm btn-outline-secondary" id="cancel-restore">Cancel</button>
+                <button type="button" class="btn btn-sm btn-primary ms-1" id="confirm-restore">Restore this version</button>
+            </div>
+        </div>
+    `,
+
+    /**
+     * Field-level differences between two versions of a concept
+     * @param {Array<Object>} changes - Changes from diffConcepts
+     * @returns {string} Diff table HTML, or a note when the versions match
+     */
+    conceptDiff: (changes) => {
+        if (changes.length === 0) {
+            return '<p class="text-muted small mb-0">No field changes between these versions.</p>';
+        }
+
+        const formatValue = (value) => {
+            if (value === undefined) return '<span class="text-muted">&mdash;</span>';
+            const text = Array.isArray(value) ? value.join(', ') :
+                typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return TEMPLATE_UTILS.sanitize(text);
+        };
+
+        const changeBadges = {
+            added: 'bg-success',
+            removed: 'bg-danger',
+            changed: 'bg-warning text-dark'
+        };
+
+        return `
+            <table class="table table-sm align-middle concept-diff">
+                <thead>
+                    <tr><th>Field</th><th>Before</th><th>After</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${changes.map(change => `
+                        <tr>
+                            <td class="fw-bold">${TEMPLATE_UTILS.sanitize(change.label)}</td>
+                            <td class="diff-before">${formatValue(change.before)}</td>
+                            <td class="diff-after">${formatValue(change.after)}</td>
+                            <td><span class="badge ${changeBadges[change.change]}">${change.change}</span></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Bulk edit form: field, operation and value, with a pane for the preview
+     * @param {Array<Object>} fields - Fields from getBulkEditableFields
+     * @param {number} count - Number of concepts selected
+     * @param {Object} operations - BULK_OPERATIONS, value to label
+     * @returns {string} HTML template for the bulk edit form
+     */
+    bulkEditForm: (fields, count, operations) => `
+        <div id="bulkEditFormPane">
+            <p class="mb-3">Change one field on the ${count} selected concept${count === 1 ? '' : 's'}. Nothing is saved until you confirm the preview.</p>
+            ${fields.length === 0 ? `
+                <p class="text-muted mb-0">The selected concepts have no fields that can be edited together.</p>
+            ` : `
+                <div class="mb-3">
+                    <label for="bulkField" class="form-label">Field</label>
+                    <select id="bulkField" class="form-select">
+                        ${fields.map(field => `
+                            <option value="${field.id}">${TEMPLATE_UTILS.sanitize(field.label || field.id)} (${field.types.join(', ')})</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="mb-3">
+                    <label for="bulkOperation" class="form-label">Change</label>
+                    <select id="bulkOperation" class="form-select">
+                        ${Object.entries(operations).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="mb-3" data-operation="set">
+                    <label for="bulkValue" class="form-label">New value</label>
+                    <input type="text" id="bulkValue" class="form-control" aria-describedby="bulkValueHelp">
+                    <div id="bulkValueHelp" class="form-text"></div>
+                </div>
+                <div class="row g-2 mb-3" data-operation="replace" hidden>
+                    <div class="col">
+                        <label for="bulkFind" class="form-label">Find</label>
+                        <input type="text" id="bulkFind" class="form-control">
+                    </div>
+                    <div class="col">
+                        <label for="bulkReplace" class="form-label">Replace with</label>
+                        <input type="text" id="bulkReplace" class="form-control">
+                    </div>
+                </div>
+                <div id="bulkErrors" class="alert alert-danger small" role="alert" hidden></div>
+            `}
+        </div>
+        <div id="bulkEditPreviewPane" hidden></div>
+    `,
+
+    /**
+     * Preview of a planned bulk edit
+     * @param {Object} plan - Result of planBulkEdit
+     * @param {string} fieldLabel - Label of the field being changed
+     * @param {number} [commitLimit=Infinity] - Most files one commit can hold; a larger edit
+     *   is shown with a warning that it cannot be saved
+     * @returns {string} HTML template for the preview
+     */
+    bulkEditPreview: (plan, fieldLabel, commitLimit = Infinity) => {
+        const formatValue = (value) => {
+            if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                return '<span class="text-muted">&mdash;</span>';
+            }
+            return TEMPLATE_UTILS.sanitize(Array.isArray(value) ? value.join(', ') : String(value));
+        };
+
+        return `
+            ${plan.writes.length > commitLimit ? MODAL_TEMPLATES.commitLimitWarning({
+                fileCount: plan.writes.length,
+                limit: commitLimit,
+                outcome: 'the edit cannot be saved',
+                advice: `Select at most ${commitLimit.toLocaleString()} concepts, and make the edit in several rounds.`
+            }) : ''}
+            <p class="mb-2">
+                <strong>${plan.changes.length}</strong> concept${plan.changes.length === 1 ? '' : 's'} will change
+                "${TEMPLATE_UTILS.sanitize(fieldLabel)}" in one commit.
+            </p>
+            ${plan.changes.length > 0 ? `
+                <div style="max-height: 320px; overflow-y: auto;">
+                    <table class="table table-sm align-middle concept-diff">
+                        <thead>
+                            <tr><th>Concept</th><th>Before</th><th>After</th></tr>
+                        </thead>
+                        <tbody>
+                            ${plan.changes.map(change => `
+                                <tr>
+                                    <td>
+                                        <div class="fw-bold">${TEMPLATE_UTILS.sanitize(String(change.key ?? ''))}</div>
+                                        <small class="text-muted">${change.file}</small>
+                                    </td>
+                                    <td class="diff-before">${formatValue(change.before)}</td>
+                                    <td class="diff-after">${formatValue(change.after)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+            ${plan.skipped.length > 0 ? `
+                <details class="small mt-2">
+                    <summary class="text-muted">${plan.skipped.length} concept${plan.skipped.length === 1 ? '' : 's'} left unchanged</summary>
+                    <ul class="mb-0 mt-1">
+                        ${plan.skipped.map(skip => `
+                            <li>${TEMPLATE_UTILS.sanitize(String(skip.key ?? skip.file))}: ${TEMPLATE_UTILS.sanitize(skip.reason)}</li>
+                        `).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * Review of a planned bulk delete, with a choice for each dependent concept
+     * @param {Object} plan - Result of planBulkDelete
+     * @param {number} selectedCount - Number of concepts the user selected
+     * @param {number} [commitLimit=Infinity] - Most files one commit can hold; a larger
+     *   delete is shown with a warning that it cannot be made
+     * @returns {string} HTML template for the delete review
+     */
+    bulkDeletePlan: (plan, selectedCount, commitLimit = Infinity) => {
+        const cascaded = plan.deletions.length - selectedCount;
+        const detached = plan.writes.length;
+        const fileCount = plan.deletions.length + detached;
+
+        return `
+            ${fileCount > commitLimit ? MODAL_TEMPLATES.commitLimitWarning({
+                fileCount,
+                limit: commitLimit,
+                outcome: 'nothing can be deleted',
+                advice: 'Select fewer concepts and delete them in several rounds.'
+            }) : ''}
+            <p class="mb-2">
+                <strong>${plan.deletions.length}</strong> concept${plan.deletions.length === 1 ? '' : 's'} will be deleted in one commit:
+                the ${selectedCount} selected${cascaded > 0 ? ` and ${cascaded} that depend on them` : ''}.
+                ${detached > 0 ? `${detached} other concept${detached === 1 ? '' : 's'} will have references removed.` : ''}
+                This cannot be undone.
+            </p>
+            ${plan.dependents.length === 0 ? `
+                <p class="text-muted mb-0">No other concepts reference the selected concepts.</p>
+            ` : `
+                <p class="small text-muted mb-2">
+                    These concepts reference a concept being deleted. Delete them too, or keep them and remove the reference.
+                    Concepts that would be left with a required field empty must be deleted.
+                </p>
+                <div style="max-height: 320px; overflow-y: auto;">
+                    <table class="table table-sm align-middle">
+                        <thead>
+                            <tr><th>Concept</th><th>References</th><th class="text-nowrap">Action</th></tr>
+                        </thead>
+                        <tbody>
+                            ${plan.dependents.map((dependent, position) => `
+                                <tr>
+                                    <td>
+                                        <div class="fw-bold">${TEMPLATE_UTILS.sanitize(String(dependent.key ?? ''))}</div>
+                                        <small class="text-muted">${dependent.file} &middot; ${TEMPLATE_UTILS.sanitize(String(dependent.type ?? ''))}</small>
+                                    </td>
+                                    <td class="small">
+                                        ${dependent.references.map(reference => `
+                                            <div>${TEMPLATE_UTILS.sanitize(reference.label)}: ${reference.ids.join(', ')}</div>
+                                        `).join('')}
+                                    </td>
+                                    <td class="text-nowrap">
+                                        ${['delete', 'detach'].map(action => `
+                                            <div class="form-check">
+                                                <input class="form-check-input dependent-action" type="radio" name="dependentAction${position}"
+                                                    id="dependentAction${position}-${action}" value="${action}" data-file="${dependent.file}"
+                                                    ${dependent.action === action ? 'checked' : ''} ${dependent.forced ? 'disabled' : ''}>
+                                                <label class="form-check-label" for="dependentAction${position}-${action}">
+                                                    ${action === 'delete' ? 'Delete too' : 'Detach reference'}
+                                                </label>
+                                            </div>
+                                        `).join('')}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    },
+
+    /**
+     * Repository integrity report, grouped by issue type
+     * @param {Object} report - Result of checkRepositoryIntegrity
+     * @param {Object} checks - INTEGRITY_CHECKS, for section titles and descriptions
+     * @returns {string} HTML template for the report
+     */
+    integrityReport: (report, checks) => {
+        const { issues, summary } = report;
+        const sanitize = TEMPLATE_UTILS.sanitize;
+
+        const header = `
+            <div class="text-center mb-3">
+                <strong>${summary.conceptCount} concept${summary.conceptCount === 1 ? '' : 's'}</strong> checked
+                in ${summary.fileCount} file${summary.fileCount === 1 ? '' : 's'}
+            </div>
+        `;
+
+        if (issues.length === 0) {
+            return `
+                ${header}
+                <div class="text-center text-success">
+                    <i class="bi bi-check-circle me-1"></i> All integrity checks passed
+                </div>
+            `;
+        }
+
+        const sections = Object.entries(checks)
+            .filter(([type]) => summary.byType[type] > 0)
+            .map(([type, check]) => {
+                const sectionIssues = issues.filter(issue => issue.type === type);
+                const id = type.toLowerCase();
+
+                return `
+                    <div class="accordion-item">
+                        <h2 class="accordion-header" id="integrity-heading-${id}">
+                            <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse"
+                                    data-bs-target="#integrity-collapse-${id}" aria-expanded="false" aria-controls="integrity-collapse-${id}">
+                                <span class="badge bg-danger me-2">${sectionIssues.length}</span> ${check.title}
+                                ${check.fixable ? '<span class="badge bg-light text-dark border ms-2">fixable</span>' : ''}
+                            </button>
+                        </h2>
+                        <div id="integrity-collapse-${id}" class="accordion-collapse collapse" aria-labelledby="integrity-heading-${id}"
+                             data-bs-parent="#integrityAccordion">
+                            <div class="accordion-body">
+                                <p class="text-muted small mb-2">${check.description}</p>
+                                <div class="validation-error-list" style="max-height: 300px; overflow-y: auto;">
+                                    ${sectionIssues.map(issue => `
+                                        <div class="validation-error-item border-start border-danger border-3 ps-2 mb-2 d-flex align-items-start">
+                                            <div class="flex-grow-1">
+                                                <div class="fw-bold small">
+                                                    <span class="text-muted">${sanitize(issue.file)}</span>
+                                                    ${issue.key ? sanitize(String(issue.key)) : ''}
+                                                </div>
+                                                <div class="small text-danger">${sanitize(issue.message)}</div>
+                                                ${issue.suggestion ? `<div class="small text-muted fst-italic"><i class="bi bi-lightbulb me-1"></i>${sanitize(issue.suggestion)}</div>` : ''}
+                                            </div>
+                                            ${issue.conceptId && type !== 'FILENAME_MISMATCH' ? `
+                                                <button type="button" class="btn btn-link btn-sm p-0 ms-2 viewFileBtn" data-bs-file="${sanitize(issue.file)}">View</button>
+                                            ` : ''}
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        return `
+            ${header}
+            <div class="text-danger text-center mb-3">
+                <strong><i class="bi bi-x-circle me-1"></i> ${issues.length} issue${issues.length === 1 ? '' : 's'} found</strong>
+            </div>
+            <div class="accordion" id="integrityAccordion">
+                ${sections}
+            </div>
+        `;
+    },
+
+    /**
+     * Review of the changes that repair the fixable integrity issues
+     * @param {Object} plan - Result of planIntegrityFixes
+     * @param {number} [commitLimit=Infinity] - Most files one commit can hold; a larger plan
+     *   is shown with a warning that it cannot be applied
+     * @returns {string} HTML template for the fix review
+     */
+    integrityFixPlan: (plan, commitLimit = Infinity) => {
+        const { changes, writes, deletions } = plan;
+        const sanitize = TEMPLATE_UTILS.sanitize;
+        const fileCount = writes.length + deletions.length;
+
+        return `
+            ${fileCount > commitLimit ? MODAL_TEMPLATES.commitLimitWarning({
+                fileCount,
+                limit: commitLimit,
+                outcome: `none of the ${changes.length} fixes can be applied`,
+                advice: 'Fix some of the files by hand first, for instance by deleting stray files, then validate the repository again.'
+            }) : ''}
+            <p class="mb-2">
+                These changes will be committed together: ${writes.length} file${writes.length === 1 ? '' : 's'} written
+                and ${deletions.length} deleted. Issues that need a decision, such as duplicate keys, are left for you to fix.
+            </p>
+            <div class="validation-error-list" style="max-height: 400px; overflow-y: auto;">
+                ${changes.map(change => `
+                    <div class="border-start border-primary border-3 ps-2 mb-2">
+                        <div class="fw-bold small">
+                            ${sanitize(change.file)}
+                            ${change.target !== change.file ? `<i class="bi bi-arrow-right mx-1" aria-hidden="true"></i>${sanitize(change.target)}` : ''}
+                        </div>
+                        <ul class="small mb-0 ps-3">
+                            ${change.actions.map(action => `<li>${sanitize(action)}</li>`).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
     /**
      * Configuration tab structure
      * @param {Array<string>} tabTypes - Array of tab types
@@ -534,9 +1051,10 @@ export const HOMEPAGE_TEMPLATES = {
 
     /**
      * Repository browser search bar and controls
+     * @param {string} [filterBar=''] - Filter bar HTML shown under the search bar
      * @returns {string} HTML template for search bar and action buttons
      */
-    searchBarAndControls: () => `
+    searchBarAndControls: (filterBar = '') => `
         <style>
             @media (max-width: 992px) {
                 .action-buttons {
@@ -553,27 +1071,62 @@ export const HOMEPAGE_TEMPLATES = {
             <div class="row mb-3 g-3">
                 <div class="col-12 col-lg-4">
                     <div class="d-flex align-items-center">
-                        <input type="text" id="searchFiles" class="form-control me-2 flex-grow-1" placeholder="Search files...">
+                        <input type="text" id="searchFiles" class="form-control me-2 flex-grow-1" placeholder="Search concepts..." aria-describedby="searchStatus">
                         <button id="refreshButton" class="btn btn-outline-secondary flex-shrink-0" title="Refresh" aria-label="Refresh">
                             <i class="bi bi-arrow-clockwise" aria-hidden="true"></i>
                         </button>
                     </div>
+                    <div id="searchStatus" class="form-text" aria-live="polite"></div>
                 </div>
                 <div class="col-12 col-lg-8 d-flex justify-content-lg-end">
                     <div class="action-buttons d-flex">
+                        <div class="btn-group me-2" role="group" aria-label="Concept view">
+                            <button id="listViewButton" class="btn btn-outline-secondary active" title="List view" aria-label="List view" aria-pressed="true">
+                                <i class="bi bi-list-ul" aria-hidden="true"></i>
+                            </button>
+                            <button id="treeViewButton" class="btn btn-outline-secondary" title="Hierarchy view" aria-label="Hierarchy view" aria-pressed="false">
+                                <i class="bi bi-diagram-3" aria-hidden="true"></i>
+                            </button>
+                            <button id="graphViewButton" class="btn btn-outline-secondary" title="Relationship graph" aria-label="Relationship graph" aria-pressed="false">
+                                <i class="bi bi-share" aria-hidden="true"></i>
+                            </button>
+                        </div>
                         <button id="addFile" class="btn btn-outline-secondary me-2" title="Add Concept" aria-label="Add Concept">
                             <i class="bi bi-plus-lg" aria-hidden="true"></i>
                         </button>
+                        <button id="validateRepo" class="btn btn-outline-secondary me-2" title="Validate repository" aria-label="Validate repository">
+                            <i class="bi bi-clipboard-check" aria-hidden="true"></i>
+                        </button>
                         <button id="configButton" class="btn btn-outline-secondary me-2" title="Configure" aria-label="Configure">
                             <i class="bi bi-gear" aria-hidden="true"></i>
                         </button>
-                        <button id="downloadRepo" class="btn btn-outline-secondary" title="Download" aria-label="Download">
-                            <i class="bi bi-download" aria-hidden="true"></i>
-                        </button>
+                        <div class="dropdown">
+                            <button id="downloadRepo" class="btn btn-outline-secondary dropdown-toggle" title="Download" aria-label="Download"
+                                data-bs-toggle="dropdown" aria-expanded="false">
+                                <i class="bi bi-download" aria-hidden="true"></i>
+                            </button>
+                            <ul class="dropdown-menu dropdown-menu-end" aria-labelledby="downloadRepo">
+                                <li>
+                                    <button type="button" class="dropdown-item" data-export-layout="dictionary">
+                                        <i class="bi bi-table me-2" aria-hidden="true"></i>Single Dictionary sheet
+                                    </button>
+                                </li>
+                                <li>
+                                    <button type="button" class="dropdown-item" data-export-layout="normalized">
+                                        <i class="bi bi-layers me-2" aria-hidden="true"></i>One sheet per concept type
+                                    </button>
+                                </li>
+                            </ul>
+                        </div>
                     </div>
                 </div>
             </div>
 
+            ${filterBar}
+
+            <!-- Bulk selection actions -->
+            <div id="bulkActions"></div>
+
             <!-- File list -->
             <div id="fileList" class="list-group"></div>
 
@@ -582,22 +1135,65 @@ export const HOMEPAGE_TEMPLATES = {
         </div>
     `,
 
+    /**
+     * Filter chips for the file list
+     * @param {Array<string>} conceptTypes - Concept types, one chip each
+     * @param {Object} typeColors - CONCEPT_TYPE_COLORS, for the type chips
+     * @returns {string} HTML template for the filter bar
+     */
+    filterBar: (conceptTypes, typeColors) => `
+        <div id="filterBar" class="d-flex flex-wrap align-items-center gap-2 mb-3" role="group" aria-label="Filters">
+            ${conceptTypes.map(type => `
+                <button type="button" class="btn btn-sm rounded-pill filter-chip" data-filter="type" data-value="${type}"
+                    style="--chip-color: ${typeColors[type]?.hex || '#6c757d'};" aria-pressed="false">
+                    ${type}
+                </button>
+            `).join('')}
+            <span class="border-start align-self-stretch mx-1"></span>
+            <button type="button" class="btn btn-sm rounded-pill filter-chip" data-filter="missingRequired" aria-pressed="false">
+                <i class="bi bi-exclamation-circle" aria-hidden="true"></i> Missing required field
+            </button>
+            <button type="button" class="btn btn-sm rounded-pill filter-chip" data-filter="orphaned" aria-pressed="false">
+                <i class="bi bi-diagram-3" aria-hidden="true"></i> No parent
+            </button>
+            <div class="input-group input-group-sm filter-references">
+                <span class="input-group-text">References</span>
+                <input type="text" id="filterReferences" class="form-control" placeholder="Concept ID"
+                    inputmode="numeric" maxlength="9" aria-label="References concept ID">
+            </div>
+            <button type="button" id="clearFilters" class="btn btn-sm btn-link" hidden>Clear filters</button>
+            <span id="filterStatus" class="small text-muted" aria-live="polite"></span>
+        </div>
+    `,
+
     /**
      * File item template for file list
      * @param {Object} file - File object
      * @param {string} displayName - File name without extension
      * @param {string} keyValue - Index key value for the file
      * @param {boolean} hasWritePermission - Whether user can delete files
+     * @param {Array<Object>} [matchedFields=[]] - Content matches for the current search,
+     *   as `{ label, html }` with the match already highlighted
+     * @param {boolean} [selected=false] - Whether the file is selected for a bulk edit
      * @returns {string} HTML template for file item
      */
-    fileItem: (file, displayName, keyValue, hasWritePermission) => `
+    fileItem: (file, displayName, keyValue, hasWritePermission, matchedFields = [], selected = false) => `
         <div class="list-group-item d-flex align-items-center">
+            ${hasWritePermission ? `
+                <input type="checkbox" class="form-check-input file-select flex-shrink-0 mt-0 me-3" data-file="${file.name}"
+                    aria-label="Select ${file.name}" ${selected ? 'checked' : ''}>
+            ` : ''}
             <div class="d-flex flex-column flex-grow-1 me-3 overflow-hidden">
                 <div class="d-flex align-items-center">
                     <i class="bi bi-file-earmark-text me-2"></i>
                     <strong class="text-truncate">${displayName}</strong>
                 </div>
                 <small class="text-muted text-truncate">${keyValue}</small>
+                ${matchedFields.map(field => `
+                    <small class="text-truncate search-match">
+                        <span class="text-muted">${TEMPLATE_UTILS.sanitize(field.label)}:</span> ${field.html}
+                    </small>
+                `).join('')}
             </div>
             <div class="d-flex flex-shrink-0">
                 <button class="btn btn-outline-primary btn-sm viewFileBtn me-2" data-bs-file="${file.name}">
@@ -613,6 +1209,213 @@ export const HOMEPAGE_TEMPLATES = {
         </div>
     `,
 
+    /**
+     * Selection bar for bulk edits, above the file list
+     * @param {Object} selection - Selection details
+     * @param {number} selection.selectedCount - Concepts selected, on any page
+     * @param {boolean} selection.pageSelected - Whether every concept on this page is selected
+     * @param {number} selection.matchingCount - Concepts passing the current search and filters
+     * @param {boolean} selection.matchingSelected - Whether every one of them is selected
+     * @returns {string} HTML template for the selection bar
+     */
+    bulkActions: ({ selectedCount, pageSelected, matchingCount, matchingSelected }) => `
+        <div class="d-flex flex-wrap align-items-center gap-2 mb-2 px-3 small">
+            <div class="form-check mb-0">
+                <input type="checkbox" class="form-check-input" id="selectPage" ${pageSelected ? 'checked' : ''}>
+                <label class="form-check-label" for="selectPage">Select page</label>
+            </div>
+            ${!matchingSelected ? `
+                <button type="button" id="selectMatching" class="btn btn-sm btn-link p-0">Select all ${matchingCount} matching</button>
+            ` : ''}
+            ${selectedCount > 0 ? `
+                <span class="text-muted ms-2" aria-live="polite">${selectedCount} selected</span>
+                <button type="button" id="clearSelection" class="btn btn-sm btn-link p-0">Clear selection</button>
+                <button type="button" id="bulkEditButton" class="btn btn-sm btn-outline-primary ms-auto">
+                    <i class="bi bi-pencil-square" aria-hidden="true"></i> Edit Selected
+                </button>
+                <button type="button" id="bulkDeleteButton" class="btn btn-sm btn-outline-danger">
+                    <i class="bi bi-trash" aria-hidden="true"></i> Delete Selected
+                </button>
+            ` : ''}
+        </div>
+    `,
+
+    /**
+     * Placeholder shown when the search and filters leave nothing to list
+     * @returns {string} HTML template for an empty file list
+     */
+    noMatchingFiles: () => `
+        <div class="list-group-item text-muted text-center py-4">
+            No concepts match the current search and filters.
+        </div>
+    `,
+
+    /**
+     * Hierarchy tree skeleton: the top-level list and the orphan groups
+     * @param {number} rootCount - Number of PRIMARY concepts
+     * @param {Array<Object>} orphanGroups - Orphan groups as `{ type, count }`
+     * @returns {string} HTML template for the hierarchy tree
+     */
+    hierarchyTree: (rootCount, orphanGroups) => `
+        <div class="list-group-item concept-tree-container">
+            ${rootCount > 0
+                ? '<ul class="concept-tree list-unstyled mb-0" role="tree" aria-label="Concept hierarchy" data-root="true"></ul>'
+                : '<p class="text-muted mb-0">This repository has no PRIMARY concepts.</p>'}
+            ${orphanGroups.length > 0 ? `
+                <h6 class="section-header mt-4 mb-2 text-muted">Orphans</h6>
+                <p class="small text-muted mb-2">Concepts whose parent reference is missing or does not resolve.</p>
+                <ul class="concept-tree list-unstyled mb-0" role="tree" aria-label="Orphaned concepts">
+                    ${orphanGroups.map(group => HOMEPAGE_TEMPLATES.treeGroup(group)).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `,
+
+    /**
+     * Expandable group of orphaned concepts of one type
+     * @param {Object} group - Orphan group
+     * @param {string} group.type - Concept type
+     * @param {number} group.count - Number of orphans of this type
+     * @returns {string} HTML template for the group node
+     */
+    treeGroup: ({ type, count }) => `
+        <li class="tree-node" role="treeitem" data-group="${type}" aria-expanded="false">
+            <div class="tree-row d-flex align-items-center">
+                <button type="button" class="btn btn-sm btn-link p-0 tree-toggle" aria-label="Expand orphaned ${type} concepts">
+                    <i class="bi bi-chevron-right" aria-hidden="true"></i>
+                </button>
+                <span class="fw-bold">${type}</span>
+                <small class="text-muted ms-2">(${count})</small>
+            </div>
+        </li>
+    `,
+
+    /**
+     * Hierarchy tree node for one concept
+     * RESPONSE concepts are leaves and are often shared between questions, so they are
+     * shown as links to the concept rather than as nodes of their own.
+     * @param {Object} node - Node details
+     * @param {string} node.id - Concept ID
+     * @param {string} node.key - Concept key
+     * @param {string} node.type - Concept type
+     * @param {string} node.color - Badge color for the type
+     * @param {number} node.childCount - Number of children
+     * @param {number} node.sharedBy - For responses, the number of questions using it
+     * @returns {string} HTML template for the tree node
+     */
+    treeNode: ({ id, key, type, color, childCount, sharedBy }) => {
+        const label = TEMPLATE_UTILS.sanitize(String(key ?? id));
+
+        if (type === 'RESPONSE') {
+            return `
+                <li class="tree-node tree-leaf" role="treeitem" data-id="${id}">
+                    <div class="tree-row d-flex align-items-center">
+                        <span class="tree-spacer"></span>
+                        <button type="button" class="btn btn-link btn-sm p-0 viewFileBtn" data-bs-file="${id}.json">${label}</button>
+                        <small class="text-muted ms-2">${id}</small>
+                        ${sharedBy > 1 ? `<span class="badge bg-light text-dark border ms-2" title="Used by ${sharedBy} questions">shared by ${sharedBy}</span>` : ''}
+                    </div>
+                </li>
+            `;
+        }
+
+        return `
+            <li class="tree-node" role="treeitem" data-id="${id}" ${childCount > 0 ? 'aria-expanded="false"' : ''}>
+                <div class="tree-row d-flex align-items-center">
+                    ${childCount > 0
+                        ? `<button type="button" class="btn btn-sm btn-link p-0 tree-toggle" aria-label="Expand ${label}">
+                            <i class="bi bi-chevron-right" aria-hidden="true"></i>
+                        </button>`
+                        : '<span class="tree-spacer"></span>'}
+                    <span class="badge me-2" style="background-color: ${color}; color: white;">${type}</span>
+                    <span class="text-truncate">${label}</span>
+                    <small class="text-muted ms-2">${id}</small>
+                    ${childCount > 0 ? `<small class="text-muted ms-2">(${childCount})</small>` : ''}
+                    <button type="button" class="btn btn-outline-primary btn-sm viewFileBtn ms-auto" data-bs-file="${id}.json">
+                        <i class="bi bi-eye"></i> View
+                    </button>
+                </div>
+            </li>
+        `;
+    },
+
+    /**
+     * Button revealing the next chunk of a long list of tree children
+     * @param {number} remaining - Number of children not yet shown
+     * @returns {string} HTML template for the "show more" row
+     */
+    treeMore: (remaining) => `
+        <li class="tree-more">
+            <span class="tree-spacer"></span>
+            <button type="button" class="btn btn-link btn-sm p-0">Show ${remaining} more</button>
+        </li>
+    `,
+
+    /**
+     * Relationship graph view: controls, drawing area and legend
+     * @param {Array<string>} conceptTypes - Concept types, for the legend
+     * @param {Object} typeColors - CONCEPT_TYPE_COLORS
+     * @param {Object} graphConfig - GRAPH_CONFIG, for the hop choices
+     * @returns {string} HTML template for the graph view
+     */
+    graphView: (conceptTypes, typeColors, graphConfig) => `
+        <div class="list-group-item concept-graph-container">
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-2">
+                <div class="input-group input-group-sm graph-focus-input">
+                    <span class="input-group-text">Focus</span>
+                    <input type="text" id="graphFocus" class="form-control" placeholder="Concept ID or key" aria-label="Focus on concept ID or key">
+                </div>
+                <div class="input-group input-group-sm w-auto">
+                    <label class="input-group-text" for="graphHops">Show</label>
+                    <select id="graphHops" class="form-select">
+                        ${Array.from({ length: graphConfig.MAX_HOPS }, (_, i) => i + 1).map(hops => `
+                            <option value="${hops}">${hops} hop${hops === 1 ? '' : 's'}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="btn-group btn-group-sm" role="group" aria-label="Zoom">
+                    <button type="button" id="graphZoomIn" class="btn btn-outline-secondary" title="Zoom in" aria-label="Zoom in">
+                        <i class="bi bi-zoom-in" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" id="graphZoomOut" class="btn btn-outline-secondary" title="Zoom out" aria-label="Zoom out">
+                        <i class="bi bi-zoom-out" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" id="graphZoomReset" class="btn btn-outline-secondary" title="Fit to view" aria-label="Fit to view">
+                        <i class="bi bi-arrows-fullscreen" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <span id="graphStatus" class="small text-muted" aria-live="polite"></span>
+            </div>
+            <svg id="conceptGraph" class="concept-graph border rounded" role="img" aria-label="Concept relationship graph"></svg>
+            <div class="d-flex flex-wrap align-items-center justify-content-between gap-2 mt-2">
+                <div id="graphDetails"></div>
+                <div class="d-flex flex-wrap gap-3 small">
+                    ${conceptTypes.map(type => `
+                        <span><span class="graph-legend-dot" style="background-color: ${typeColors[type]?.hex || '#6c757d'};"></span> ${type}</span>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+    `,
+
+    /**
+     * Summary of the focused concept in the graph view
+     * @param {Object} node - Graph node as `{ id, key, type }`
+     * @param {number} degree - Number of concepts it is connected to
+     * @param {string} color - Badge color for the type
+     * @returns {string} HTML template for the focused concept
+     */
+    graphDetails: (node, degree, color) => `
+        <div class="d-flex align-items-center">
+            <span class="badge me-2" style="background-color: ${color}; color: white;">${node.type}</span>
+            <strong class="me-2">${TEMPLATE_UTILS.sanitize(String(node.key ?? node.id))}</strong>
+            <small class="text-muted me-2">${node.id} &middot; ${degree} connection${degree === 1 ? '' : 's'}</small>
+            <button type="button" class="btn btn-outline-primary btn-sm viewFileBtn" data-bs-file="${node.id}.json">
+                <i class="bi bi-eye"></i> View
+            </button>
+        </div>
+    `,
+
     /**
      * Pagination controls template
      * @param {number} totalPages - Total number of pages
@@ -0,0 +1,120 @@
+/**
+ * Hierarchy tree view of a repository's concepts.
+ *
+ * Renders the structure built by buildHierarchy. Only the top level is rendered up
+ * front; a node's children are rendered the first time it is expanded, in chunks, so
+ * an 8,000-concept repository costs no more to open than its PRIMARY concepts.
+ */
+
+import { HOMEPAGE_TEMPLATES } from './templates.js';
+import { CONCEPT_TYPE_COLORS, PAGINATION_CONFIG } from './config.js';
+import { HIERARCHY_TYPES } from './hierarchy.js';
+
+/**
+ * Orders concept IDs by their concepts' keys, which is how users look for them
+ * @param {Array<string>} ids - Concept IDs
+ * @param {Map<string, Object>} byId - Concepts by ID
+ * @returns {Array<string>} Sorted copy of the IDs
+ */
+export const sortByKey = (ids, byId) => [...ids].sort((a, b) =>
+    String(byId.get(a)?.key ?? a).localeCompare(String(byId.get(b)?.key ?? b))
+);
+
+/**
+ * Groups orphaned concept IDs by type, in hierarchy order
+ * @param {Array<string>} orphans - Orphaned concept IDs
+ * @param {Map<string, Object>} byId - Concepts by ID
+ * @returns {Array<Object>} Non-empty groups as `{ type, ids }`
+ */
+export const groupOrphans = (orphans, byId) => HIERARCHY_TYPES
+    .map(type => ({ type, ids: orphans.filter(id => byId.get(id)?.object_type === type) }))
+    .filter(group => group.ids.length > 0);
+
+/**
+ * Renders the hierarchy tree into a container
+ *
+ * @param {HTMLElement} container - Element to render into; its contents are replaced
+ * @param {Object} hierarchy - Result of buildHierarchy
+ * @param {Function} onViewConcept - Called with the click event when a concept's View button is used
+ */
+export const renderHierarchyTree = (container, hierarchy, onViewConcept) => {
+    const { byId, children, parents, roots, orphans } = hierarchy;
+    const orphanGroups = groupOrphans(orphans, byId);
+
+    // A fresh element per render, so listeners from an earlier render cannot pile up
+    const tree = document.createElement('div');
+    tree.innerHTML = HOMEPAGE_TEMPLATES.hierarchyTree(
+        roots.length,
+        orphanGroups.map(group => ({ type: group.type, count: group.ids.length }))
+    );
+
+    const nodeHtml = (id) => {
+        const concept = byId.get(id);
+        const type = concept.object_type;
+
+        return HOMEPAGE_TEMPLATES.treeNode({
+            id,
+            key: concept.key,
+            type,
+            color: CONCEPT_TYPE_COLORS[type]?.hex || '#6c757d',
+            childCount: children.get(id)?.length || 0,
+            sharedBy: parents.get(id)?.length || 0
+        });
+    };
+
+    const renderChunk = (list, ids, start = 0) => {
+        const chunk = ids.slice(start, start + PAGINATION_CONFIG.TREE_CHUNK_SIZE);
+        const remaining = ids.length - start - chunk.length;
+
+        list.querySelector(':scope > .tree-more')?.remove();
+        list.insertAdjacentHTML('beforeend', chunk.map(nodeHtml).join(''));
+
+        if (remaining > 0) {
+            list.insertAdjacentHTML('beforeend', HOMEPAGE_TEMPLATES.treeMore(remaining));
+            list.lastElementChild.querySelector('button').addEventListener('click', () => {
+                renderChunk(list, ids, start + chunk.length);
+            });
+        }
+    };
+
+    const childIdsOf = (node) => {
+        if (node.dataset.group) {
+            return sortByKey(orphanGroups.find(group => group.type === node.dataset.group)?.ids || [], byId);
+        }
+        return sortByKey(children.get(node.dataset.id) || [], byId);
+    };
+
+    const rootList = tree.querySelector('[data-root]');
+    if (rootList) {
+        renderChunk(rootList, sortByKey(roots, byId));
+    }
+
+    tree.addEventListener('click', (event) => {
+        if (event.target.closest('.viewFileBtn')) {
+            onViewConcept(event);
+            return;
+        }
+
+        const toggle = event.target.closest('.tree-toggle');
+        if (!toggle) return;
+
+        const node = toggle.closest('.tree-node');
+        const expanded = node.getAttribute('aria-expanded') === 'true';
+        let list = node.querySelector(':scope > .tree-children');
+
+        if (!list) {
+            list = document.createElement('ul');
+            list.className = 'tree-children';
+            list.setAttribute('role', 'group');
+            node.appendChild(list);
+            renderChunk(list, childIdsOf(node));
+        }
+
+        list.hidden = expanded;
+        node.setAttribute('aria-expanded', String(!expanded));
+        toggle.setAttribute('aria-label', `${expanded ? 'Expand' : 'Collapse'}${toggle.getAttribute('aria-label').replace(/^(Expand|Collapse)/, '')}`);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(tree);
+};
@@ -17,6 +17,8 @@
  * Output is pushed with git, not the API: 8,000 files via the Contents API would be
  * 16,000 writes against a 500/hour secondary rate limit.
  *
+ * generateScaleRepo builds the same repository in memory for tests.
+ *
  * Usage:
  *   node tests/fixtures/generate-scale-repo.js [outDir] [--total=8000] [--seed=42] [--force]
  *
@@ -30,27 +32,6 @@ import { dirname, join, resolve } from 'path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-// ---------------------------------------------------------------------------
-// Arguments
-// ---------------------------------------------------------------------------
-
-const args = process.argv.slice(2);
-const flag = (name, fallback) => {
-    const match = args.find(a => a.startsWith(`--${name}=`));
-    return match ? match.split('=')[1] : fallback;
-};
-
-const positional = args.filter(a => !a.startsWith('--'));
-const outDir = resolve(positional[0] || join(__dirname, 'scale-repo'));
-const targetTotal = Number(flag('total', 8000));
-const seed = Number(flag('seed', 42));
-const force = args.includes('--force');
-
-if (!Number.isInteger(targetTotal) || targetTotal < 100) {
-    console.error('--total must be an integer >= 100');
-    process.exit(1);
-}
-
 // ---------------------------------------------------------------------------
 // Deterministic RNG so re-runs produce an identical repo
 // ---------------------------------------------------------------------------
@@ -63,42 +44,6 @@ const mulberry32 = (a) => () => {
     return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
 };
 
-const random = mulberry32(seed);
-const pick = (list) => list[Math.floor(random() * list.length)];
-
-// ---------------------------------------------------------------------------
-// Identity allocation
-// ---------------------------------------------------------------------------
-
-const usedIds = new Set();
-const usedKeys = new Set();
-
-// Matches ghauth/domain/conceptId.js: a 9-digit integer.
-const nextConceptId = () => {
-    for (;;) {
-        const id = Math.floor(100000000 + random() * 900000000);
-        if (!usedIds.has(id)) {
-            usedIds.add(id);
-            return id;
-        }
-    }
-};
-
-const nextKey = (base) => {
-    const clean = base.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
-    if (!usedKeys.has(clean)) {
-        usedKeys.add(clean);
-        return clean;
-    }
-    for (let n = 2; ; n++) {
-        const candidate = `${clean}_${n}`;
-        if (!usedKeys.has(candidate)) {
-            usedKeys.add(candidate);
-            return candidate;
-        }
-    }
-};
-
 // ---------------------------------------------------------------------------
 // Vocabulary
 // ---------------------------------------------------------------------------
@@ -168,204 +113,262 @@ const MEASURES = [
 const RANGE_BUCKETS = ['none', '1_to_5', '6_to_10', '11_to_20', 'more_than_20'];
 
 // ---------------------------------------------------------------------------
-// Build the concept graph
+// Repository
 // ---------------------------------------------------------------------------
 
-const concepts = [];
-
-const addConcept = (objectType, key, extra = {}) => {
-    const concept = {
-        key: nextKey(key),
-        conceptID: nextConceptId(),
-        object_type: objectType,
-        ...extra
+/**
+ * Builds the concepts, index.json and config.json of a scale repository in memory
+ * The same seed gives the same repository, so tests can build one without the disk.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.total=8000] - Number of concepts to generate, at least 100
+ * @param {number} [options.seed=42] - RNG seed
+ * @returns {Object} `{ concepts, index, config }`
+ */
+export const generateScaleRepo = ({ total = 8000, seed = 42 } = {}) => {
+    const random = mulberry32(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    // Identity allocation
+    const usedIds = new Set();
+    const usedKeys = new Set();
+
+    // Matches ghauth/domain/conceptId.js: a 9-digit integer.
+    const nextConceptId = () => {
+        for (;;) {
+            const id = Math.floor(100000000 + random() * 900000000);
+            if (!usedIds.has(id)) {
+                usedIds.add(id);
+                return id;
+            }
+        }
     };
-    concepts.push(concept);
-    return concept;
-};
 
-const primaries = PRIMARY_KEYS.map(key => addConcept('PRIMARY', key));
+    const nextKey = (base) => {
+        const clean = base.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        if (!usedKeys.has(clean)) {
+            usedKeys.add(clean);
+            return clean;
+        }
+        for (let n = 2; ; n++) {
+            const candidate = `${clean}_${n}`;
+            if (!usedKeys.has(candidate)) {
+                usedKeys.add(candidate);
+                return candidate;
+            }
+        }
+    };
 
-const secondaries = [];
-for (const primary of primaries) {
-    for (const topic of SECONDARY_TOPICS.slice(0, 8)) {
-        secondaries.push(addConcept('SECONDARY', `${primary.key}_${topic}`, {
-            primaryConceptId: primary.conceptID
-        }));
-    }
-}
+    // Build the concept graph
+    const concepts = [];
+
+    const addConcept = (objectType, key, extra = {}) => {
+        const concept = {
+            key: nextKey(key),
+            conceptID: nextConceptId(),
+            object_type: objectType,
+            ...extra
+        };
+        concepts.push(concept);
+        return concept;
+    };
 
-const sources = SOURCE_KEYS.map(key => addConcept('SOURCE', key));
+    const primaries = PRIMARY_KEYS.map(key => addConcept('PRIMARY', key));
 
-// Drawn without replacement so question names are genuinely distinct, not padded.
-const questionNames = [];
-for (const stem of QUESTION_STEMS) {
-    for (const subject of QUESTION_SUBJECTS) {
-        for (const qualifier of QUESTION_QUALIFIERS) {
-            questionNames.push(`${stem}_${subject}_${qualifier}`);
+    const secondaries = [];
+    for (const primary of primaries) {
+        for (const topic of SECONDARY_TOPICS.slice(0, 8)) {
+            secondaries.push(addConcept('SECONDARY', `${primary.key}_${topic}`, {
+                primaryConceptId: primary.conceptID
+            }));
         }
     }
-}
-for (let i = questionNames.length - 1; i > 0; i--) {
-    const j = Math.floor(random() * (i + 1));
-    [questionNames[i], questionNames[j]] = [questionNames[j], questionNames[i]];
-}
 
-// Responses are a shared pool, not per-question: the import dedupes concepts by key
-// (src/dictionary.js processedKeys), so a repeated label resolves to one concept that
-// many questions reference.
-const responseSets = [
-    ...GENERIC_RESPONSE_SETS,
-    ...MEASURES.map(measure => RANGE_BUCKETS.map(bucket => `${measure}_${bucket}`))
-];
+    const sources = SOURCE_KEYS.map(key => addConcept('SOURCE', key));
 
-const responsesByLabel = new Map();
-const responseIdsBySet = responseSets.map(labels => labels.map(label => {
-    if (!responsesByLabel.has(label)) {
-        responsesByLabel.set(label, addConcept('RESPONSE', label));
+    // Drawn without replacement so question names are genuinely distinct, not padded.
+    const questionNames = [];
+    for (const stem of QUESTION_STEMS) {
+        for (const subject of QUESTION_SUBJECTS) {
+            for (const qualifier of QUESTION_QUALIFIERS) {
+                questionNames.push(`${stem}_${subject}_${qualifier}`);
+            }
+        }
     }
-    return responsesByLabel.get(label).conceptID;
-}));
-
-let questionCount = 0;
-while (concepts.length < targetTotal) {
-    if (questionCount >= questionNames.length) {
-        throw new Error(`Vocabulary exhausted at ${questionCount} questions; add more stems, subjects or qualifiers`);
+    for (let i = questionNames.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [questionNames[i], questionNames[j]] = [questionNames[j], questionNames[i]];
     }
 
-    const question = {
-        key: nextKey(questionNames[questionCount]),
-        conceptID: nextConceptId(),
-        object_type: 'QUESTION',
-        secondaryConceptId: pick(secondaries).conceptID
-    };
-    questionCount++;
-
-    // sourceConceptId is optional in the config; leaving some blank is realistic.
-    if (random() < 0.6) {
-        question.sourceConceptId = pick(sources).conceptID;
-    }
-
-    question.responses = pick(responseIdsBySet);
+    // Responses are a shared pool, not per-question: the import dedupes concepts by key
+    // (src/dictionary.js processedKeys), so a repeated label resolves to one concept that
+    // many questions reference.
+    const responseSets = [
+        ...GENERIC_RESPONSE_SETS,
+        ...MEASURES.map(measure => RANGE_BUCKETS.map(bucket => `${measure}_${bucket}`))
+    ];
+
+    const responsesByLabel = new Map();
+    const responseIdsBySet = responseSets.map(labels => labels.map(label => {
+        if (!responsesByLabel.has(label)) {
+            responsesByLabel.set(label, addConcept('RESPONSE', label));
+        }
+        return responsesByLabel.get(label).conceptID;
+    }));
 
-    concepts.push(question);
-}
+    let questionCount = 0;
+    while (concepts.length < total) {
+        if (questionCount >= questionNames.length) {
+            throw new Error(`Vocabulary exhausted at ${questionCount} questions; add more stems, subjects or qualifiers`);
+        }
 
-// ---------------------------------------------------------------------------
-// Referential integrity self-check
-// ---------------------------------------------------------------------------
+        const question = {
+            key: nextKey(questionNames[questionCount]),
+            conceptID: nextConceptId(),
+            object_type: 'QUESTION',
+            secondaryConceptId: pick(secondaries).conceptID
+        };
+        questionCount++;
+
+        // sourceConceptId is optional in the config; leaving some blank is realistic.
+        if (random() < 0.6) {
+            question.sourceConceptId = pick(sources).conceptID;
+        }
 
-const idsByType = new Map();
-for (const concept of concepts) {
-    if (!idsByType.has(concept.object_type)) idsByType.set(concept.object_type, new Set());
-    idsByType.get(concept.object_type).add(concept.conceptID);
-}
+        question.responses = pick(responseIdsBySet);
 
-const expectReference = (id, expectedType, context) => {
-    if (!idsByType.get(expectedType)?.has(id)) {
-        throw new Error(`${context}: ${id} is not an existing ${expectedType}`);
+        concepts.push(question);
     }
-};
 
-for (const concept of concepts) {
-    if (concept.primaryConceptId !== undefined) {
-        expectReference(concept.primaryConceptId, 'PRIMARY', `${concept.key}.primaryConceptId`);
+    // Referential integrity self-check
+    const idsByType = new Map();
+    for (const concept of concepts) {
+        if (!idsByType.has(concept.object_type)) idsByType.set(concept.object_type, new Set());
+        idsByType.get(concept.object_type).add(concept.conceptID);
     }
-    if (concept.secondaryConceptId !== undefined) {
-        expectReference(concept.secondaryConceptId, 'SECONDARY', `${concept.key}.secondaryConceptId`);
-    }
-    if (concept.sourceConceptId !== undefined) {
-        expectReference(concept.sourceConceptId, 'SOURCE', `${concept.key}.sourceConceptId`);
+
+    const expectReference = (id, expectedType, context) => {
+        if (!idsByType.get(expectedType)?.has(id)) {
+            throw new Error(`${context}: ${id} is not an existing ${expectedType}`);
+        }
+    };
+
+    for (const concept of concepts) {
+        if (concept.primaryConceptId !== undefined) {
+            expectReference(concept.primaryConceptId, 'PRIMARY', `${concept.key}.primaryConceptId`);
+        }
+        if (concept.secondaryConceptId !== undefined) {
+            expectReference(concept.secondaryConceptId, 'SECONDARY', `${concept.key}.secondaryConceptId`);
+        }
+        if (concept.sourceConceptId !== undefined) {
+            expectReference(concept.sourceConceptId, 'SOURCE', `${concept.key}.sourceConceptId`);
+        }
+        for (const responseId of concept.responses || []) {
+            expectReference(responseId, 'RESPONSE', `${concept.key}.responses`);
+        }
     }
-    for (const responseId of concept.responses || []) {
-        expectReference(responseId, 'RESPONSE', `${concept.key}.responses`);
+
+    if (usedKeys.size !== concepts.length) {
+        throw new Error(`Key collision: ${concepts.length} concepts but ${usedKeys.size} unique keys`);
     }
-}
 
-if (usedKeys.size !== concepts.length) {
-    throw new Error(`Key collision: ${concepts.length} concepts but ${usedKeys.size} unique keys`);
-}
+    // index.json — v2.0, mirroring ghauth/domain/indexFile.js
+    const index = {
+        _metadata: {
+            last_updated: new Date().toISOString(),
+            total_files: concepts.length,
+            version: '2.0'
+        },
+        _files: {},
+        _search: {
+            by_key: {},
+            by_type: {}
+        }
+    };
 
-// ---------------------------------------------------------------------------
-// index.json — v2.0, mirroring ghauth/domain/indexFile.js
-// ---------------------------------------------------------------------------
+    for (const concept of concepts) {
+        const fileName = `${concept.conceptID}.json`;
+        index._files[fileName] = { key: concept.key, object_type: concept.object_type };
 
-const index = {
-    _metadata: {
-        last_updated: new Date().toISOString(),
-        total_files: concepts.length,
-        version: '2.0'
-    },
-    _files: {},
-    _search: {
-        by_key: {},
-        by_type: {}
+        (index._search.by_key[concept.key] ??= []).push(fileName);
+        (index._search.by_type[concept.object_type] ??= []).push(fileName);
     }
-};
 
-for (const concept of concepts) {
-    const fileName = `${concept.conceptID}.json`;
-    index._files[fileName] = { key: concept.key, object_type: concept.object_type };
+    // config.json — mirrors ghauth/domain/config.js getBaseConfig()
+    const conceptIdField = { id: 'conceptId', label: 'Concept ID', required: true, type: 'concept' };
+    const keyField = { id: 'key', label: 'Key', required: true, type: 'text' };
+
+    const config = {
+        PRIMARY: [conceptIdField, keyField],
+        SECONDARY: [
+            conceptIdField,
+            keyField,
+            { id: 'primaryConceptId', label: 'Primary Concept ID', required: true, type: 'reference', referencesType: 'PRIMARY' }
+        ],
+        SOURCE: [conceptIdField, keyField],
+        QUESTION: [
+            conceptIdField,
+            keyField,
+            { id: 'secondaryConceptId', label: 'Secondary Concept ID', required: true, type: 'reference', referencesType: 'SECONDARY' },
+            { id: 'sourceConceptId', label: 'Source Concept ID', required: false, type: 'reference', referencesType: 'SOURCE' },
+            { id: 'responses', label: 'Responses', required: false, type: 'reference', referencesType: 'RESPONSE' }
+        ],
+        RESPONSE: [conceptIdField, keyField]
+    };
 
-    (index._search.by_key[concept.key] ??= []).push(fileName);
-    (index._search.by_type[concept.object_type] ??= []).push(fileName);
-}
+    return { concepts, index, config };
+};
 
 // ---------------------------------------------------------------------------
-// config.json — mirrors ghauth/domain/config.js getBaseConfig()
+// Command line: only when run directly, not when a test imports the module
 // ---------------------------------------------------------------------------
 
-const conceptIdField = { id: 'conceptId', label: 'Concept ID', required: true, type: 'concept' };
-const keyField = { id: 'key', label: 'Key', required: true, type: 'text' };
-
-const config = {
-    PRIMARY: [conceptIdField, keyField],
-    SECONDARY: [
-        conceptIdField,
-        keyField,
-        { id: 'primaryConceptId', label: 'Primary Concept ID', required: true, type: 'reference', referencesType: 'PRIMARY' }
-    ],
-    SOURCE: [conceptIdField, keyField],
-    QUESTION: [
-        conceptIdField,
-        keyField,
-        { id: 'secondaryConceptId', label: 'Secondary Concept ID', required: true, type: 'reference', referencesType: 'SECONDARY' },
-        { id: 'sourceConceptId', label: 'Source Concept ID', required: false, type: 'reference', referencesType: 'SOURCE' },
-        { id: 'responses', label: 'Responses', required: false, type: 'reference', referencesType: 'RESPONSE' }
-    ],
-    RESPONSE: [conceptIdField, keyField]
-};
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const flag = (name, fallback) => {
+        const match = args.find(a => a.startsWith(`--${name}=`));
+        return match ? match.split('=')[1] : fallback;
+    };
 
-// ---------------------------------------------------------------------------
-// Write
-// ---------------------------------------------------------------------------
+    const positional = args.filter(a => !a.startsWith('--'));
+    const outDir = resolve(positional[0] || join(__dirname, 'scale-repo'));
+    const targetTotal = Number(flag('total', 8000));
+    const seed = Number(flag('seed', 42));
+    const force = args.includes('--force');
 
-if (existsSync(outDir) && readdirSync(outDir).length > 0 && !force) {
-    console.error(`Refusing to write into non-empty directory: ${outDir}`);
-    console.error('Pass --force to overwrite.');
-    process.exit(1);
-}
+    if (!Number.isInteger(targetTotal) || targetTotal < 100) {
+        console.error('--total must be an integer >= 100');
+        process.exit(1);
+    }
 
-mkdirSync(outDir, { recursive: true });
+    const { concepts, index, config } = generateScaleRepo({ total: targetTotal, seed });
 
-for (const concept of concepts) {
-    writeFileSync(join(outDir, `${concept.conceptID}.json`), JSON.stringify(concept, null, 2));
-}
+    // Write
+    if (existsSync(outDir) && readdirSync(outDir).length > 0 && !force) {
+        console.error(`Refusing to write into non-empty directory: ${outDir}`);
+        console.error('Pass --force to overwrite.');
+        process.exit(1);
+    }
 
-writeFileSync(join(outDir, 'index.json'), JSON.stringify(index, null, 2));
-writeFileSync(join(outDir, 'config.json'), JSON.stringify(config, null, 2));
+    mkdirSync(outDir, { recursive: true });
 
-// ---------------------------------------------------------------------------
-// Report
-// ---------------------------------------------------------------------------
+    for (const concept of concepts) {
+        writeFileSync(join(outDir, `${concept.conceptID}.json`), JSON.stringify(concept, null, 2));
+    }
 
-const indexBytes = statSync(join(outDir, 'index.json')).size;
-const counts = [...idsByType.entries()].map(([type, ids]) => `${type}=${ids.size}`).join(' ');
+    writeFileSync(join(outDir, 'index.json'), JSON.stringify(index, null, 2));
+    writeFileSync(join(outDir, 'config.json'), JSON.stringify(config, null, 2));
 
-console.log(`Wrote ${concepts.length} concept files to ${outDir}`);
-console.log(`  ${counts} (${responseSets.length} shared response sets)`);
-console.log(`  index.json: ${(indexBytes / 1024 / 1024).toFixed(2)} MB`);
+    // Report
+    const indexBytes = statSync(join(outDir, 'index.json')).size;
+    const countsByType = concepts.reduce((counts, concept) => ({ ...counts, [concept.object_type]: (counts[concept.object_type] || 0) + 1 }), {});
+    const counts = Object.entries(countsByType).map(([type, count]) => `${type}=${count}`).join(' ');
 
-if (indexBytes <= 1024 * 1024) {
-    console.warn('  WARNING: index.json is under 1MB, so the >1MB Contents API path will NOT be exercised.');
+    console.log(`Wrote ${concepts.length} concept files to ${outDir}`);
+    console.log(`  ${counts}`);
+    console.log(`  index.json: ${(indexBytes / 1024 / 1024).toFixed(2)} MB`);
+
+    if (indexBytes <= 1024 * 1024) {
+        console.warn('  WARNING: index.json is under 1MB, so the >1MB Contents API path will NOT be exercised.');
+    }
 }
@@ -0,0 +1,235 @@
+/**
+ * Bulk edit and delete tests
+ *
+ * Bulk changes are planned before they are written, so these check that an edit stores
+ * values the way the single-concept editor does, and that a delete leaves no concept
+ * pointing at one that is gone.
+ */
+
+import { getBulkEditableFields, getBulkValue, validateBulkOperation, planBulkEdit, planBulkDelete } from '../../src/bulk.js';
+
+const CONFIG = {
+    SECONDARY: [
+        { id: 'conceptId', label: 'Concept ID', required: true },
+        { id: 'key', label: 'Key', required: true },
+        { id: 'description', label: 'Description' },
+        { id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY', required: true }
+    ],
+    QUESTION: [
+        { id: 'key', label: 'Key', required: true },
+        { id: 'description', label: 'Description' },
+        { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' },
+        { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true }
+    ]
+};
+
+const INDEX = {
+    _files: {
+        '100000001.json': { key: 'survey', object_type: 'PRIMARY' },
+        '200000001.json': { key: 'section', object_type: 'SECONDARY' },
+        '200000002.json': { key: 'other section', object_type: 'SECONDARY' },
+        '500000001.json': { key: 'yes', object_type: 'RESPONSE' },
+        '500000002.json': { key: 'no', object_type: 'RESPONSE' }
+    }
+};
+
+const field = (type, id) => ({ ...CONFIG[type].find(field => field.id === id), types: [type] });
+
+const selection = (...concepts) => concepts.map(concept => ({ file: `${concept.conceptID}.json`, concept }));
+
+describe('getBulkEditableFields', () => {
+    test('merges fields shared by several types and leaves out IDs and keys', () => {
+        const fields = getBulkEditableFields(CONFIG, ['QUESTION', 'SECONDARY', 'QUESTION']);
+
+        expect(fields.map(field => field.id)).toEqual(['description', 'secondaryConceptId', 'responses', 'primaryConceptId']);
+        expect(fields[0].types).toEqual(['QUESTION', 'SECONDARY']);
+    });
+
+    test('returns nothing for types without configuration', () => {
+        expect(getBulkEditableFields(CONFIG, ['RESPONSE'])).toEqual([]);
+    });
+});
+
+describe('getBulkValue', () => {
+    test('stores multi-select references as a list of IDs', () => {
+        expect(getBulkValue(undefined, field('QUESTION', 'responses'), { type: 'set', value: '500000001, 500000002' }))
+            .toEqual(['500000001', '500000002']);
+    });
+
+    test('clears to an empty value of the right shape', () => {
+        expect(getBulkValue(['500000001'], field('QUESTION', 'responses'), { type: 'clear' })).toEqual([]);
+        expect(getBulkValue('text', field('QUESTION', 'description'), { type: 'clear' })).toBe('');
+    });
+
+    test('replaces every occurrence in text', () => {
+        expect(getBulkValue('a cat and a cat', field('QUESTION', 'description'), { type: 'replace', find: 'cat', replace: 'dog' }))
+            .toBe('a dog and a dog');
+    });
+
+    test('replaces whole reference IDs only', () => {
+        const responses = field('QUESTION', 'responses');
+
+        expect(getBulkValue([500000001, 1500000001], responses, { type: 'replace', find: '500000001', replace: '500000002' }))
+            .toEqual(['500000002', '1500000001']);
+        expect(getBulkValue([500000001, 500000002], responses, { type: 'replace', find: '500000001', replace: '500000002' }))
+            .toEqual(['500000002']);
+    });
+});
+
+describe('validateBulkOperation', () => {
+    test('refuses to clear a required field', () => {
+        expect(validateBulkOperation(field('SECONDARY', 'primaryConceptId'), { type: 'clear' }, INDEX))
+            .toEqual(['"Primary" is required and cannot be cleared.']);
+    });
+
+    test('requires text to find', () => {
+        expect(validateBulkOperation(field('QUESTION', 'description'), { type: 'replace', find: '', replace: 'x' }, INDEX))
+            .toEqual(['Enter the text to find.']);
+    });
+
+    test('checks referenced concepts exist and have the right type', () => {
+        const errors = validateBulkOperation(field('QUESTION', 'responses'), { type: 'set', value: '500000001, 100000001, 599999999' }, INDEX);
+
+        expect(errors).toEqual([
+            'Concept 100000001 is PRIMARY, but "Responses" references RESPONSE concepts.',
+            'Concept 599999999 does not exist.'
+        ]);
+    });
+
+    test('allows one ID in a single reference field', () => {
+        const secondary = field('QUESTION', 'secondaryConceptId');
+
+        expect(validateBulkOperation(secondary, { type: 'set', value: '200000002' }, INDEX)).toEqual([]);
+        expect(validateBulkOperation(secondary, { type: 'set', value: '200000001, 200000002' }, INDEX))
+            .toContain('"Secondary" holds a single reference.');
+    });
+});
+
+describe('planBulkEdit', () => {
+    const q1 = { conceptID: 300000001, object_type: 'QUESTION', key: 'q1', description: 'Old text', secondaryConceptId: '200000001' };
+    const q2 = { conceptID: 300000002, object_type: 'QUESTION', key: 'q2', secondaryConceptId: 200000002 };
+    const section = { conceptID: 200000001, object_type: 'SECONDARY', key: 'section', primaryConceptId: '100000001' };
+
+    test('writes only the concepts that change', () => {
+        const plan = planBulkEdit(selection(q1, q2), field('QUESTION', 'secondaryConceptId'), { type: 'set', value: '200000002' });
+
+        expect(plan.changes).toEqual([{ file: '300000001.json', key: 'q1', before: '200000001', after: '200000002' }]);
+        expect(plan.writes.map(write => write.name)).toEqual(['300000001.json']);
+        expect(plan.skipped).toEqual([{ file: '300000002.json', key: 'q2', reason: 'Already has this value' }]);
+    });
+
+    test('skips concepts whose type has no such field', () => {
+        const description = getBulkEditableFields(CONFIG, ['QUESTION']).find(field => field.id === 'description');
+        const plan = planBulkEdit(selection(q1, section), description, { type: 'set', value: 'New text' });
+
+        expect(plan.changes.map(change => change.key)).toEqual(['q1']);
+        expect(plan.skipped[0].reason).toBe('SECONDARY concepts have no "Description" field');
+    });
+
+    test('removes an optional field that is cleared', () => {
+        const plan = planBulkEdit(selection(q1), field('QUESTION', 'description'), { type: 'clear' });
+
+        expect('description' in JSON.parse(plan.writes[0].content)).toBe(false);
+        expect(plan.changes[0].after).toBeUndefined();
+    });
+
+    test('reports concepts without a match when replacing', () => {
+        const plan = planBulkEdit(selection(q1, q2), field('QUESTION', 'description'), { type: 'replace', find: 'Old', replace: 'New' });
+
+        expect(JSON.parse(plan.writes[0].content).description).toBe('New text');
+        expect(plan.skipped).toEqual([{ file: '300000002.json', key: 'q2', reason: 'No match' }]);
+    });
+
+    test('writes a legacy file back with its conceptId spelling', () => {
+        const [selected] = selection(q1);
+
+        const plan = planBulkEdit([{ ...selected, legacyId: true }], field('QUESTION', 'description'), { type: 'set', value: 'New text' });
+        const written = JSON.parse(plan.writes[0].content);
+
+        expect(Object.keys(written)[0]).toBe('conceptId');
+        expect(written).toMatchObject({ conceptId: 300000001, description: 'New text' });
+        expect(written.conceptID).toBeUndefined();
+    });
+
+    test('does not modify the loaded concepts', () => {
+        planBulkEdit(selection(q1), field('QUESTION', 'description'), { type: 'clear' });
+
+        expect(q1.description).toBe('Old text');
+    });
+});
+
+describe('planBulkDelete', () => {
+    const DELETE_CONFIG = {
+        SECONDARY: [{ id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY', required: true }],
+        QUESTION: [
+            { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' },
+            { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true, required: true }
+        ]
+    };
+
+    const CONCEPTS = [
+        { conceptID: 100000001, object_type: 'PRIMARY', key: 'survey' },
+        { conceptID: 200000001, object_type: 'SECONDARY', key: 'section', primaryConceptId: '100000001' },
+        { conceptID: 300000001, object_type: 'QUESTION', key: 'q1', secondaryConceptId: '200000001', responses: ['500000001', '500000002'] },
+        { conceptID: 300000002, object_type: 'QUESTION', key: 'q2', responses: ['500000001'] },
+        { conceptID: 500000001, object_type: 'RESPONSE', key: 'yes' },
+        { conceptID: 500000002, object_type: 'RESPONSE', key: 'no' }
+    ];
+
+    const repository = { concepts: CONCEPTS, fileNames: CONCEPTS.map(concept => `${concept.conceptID}.json`), config: DELETE_CONFIG };
+    const written = (plan, name) => JSON.parse(plan.writes.find(write => write.name === name).content);
+
+    test('deletes only the selection when nothing references it', () => {
+        expect(planBulkDelete(repository, ['300000001.json'])).toEqual({ deletions: ['300000001.json'], dependents: [], writes: [] });
+    });
+
+    test('detaches optional references by default, dropping fields left empty', () => {
+        const plan = planBulkDelete(repository, ['200000001.json', '100000001.json']);
+
+        expect(plan.deletions).toEqual(['200000001.json', '100000001.json']);
+        expect(plan.dependents).toEqual([{
+            file: '300000001.json',
+            key: 'q1',
+            type: 'QUESTION',
+            action: 'detach',
+            forced: false,
+            references: [{ fieldId: 'secondaryConceptId', label: 'Secondary', ids: ['200000001'] }]
+        }]);
+        expect('secondaryConceptId' in written(plan, '300000001.json')).toBe(false);
+    });
+
+    test('keeps the conceptId spelling of a detached dependent stored that way', () => {
+        const plan = planBulkDelete({ ...repository, legacyIdFiles: ['300000001.json'] }, ['200000001.json', '100000001.json']);
+
+        expect(Object.keys(written(plan, '300000001.json'))[0]).toBe('conceptId');
+        expect(written(plan, '300000001.json').conceptID).toBeUndefined();
+    });
+
+    test('must delete dependents that would be left with a required field empty', () => {
+        const plan = planBulkDelete(repository, ['500000001.json']);
+
+        expect(plan.dependents.map(({ file, action, forced }) => ({ file, action, forced }))).toEqual([
+            { file: '300000001.json', action: 'detach', forced: false },
+            { file: '300000002.json', action: 'delete', forced: true }
+        ]);
+        expect(plan.deletions).toEqual(['500000001.json', '300000002.json']);
+        expect(written(plan, '300000001.json').responses).toEqual(['500000002']);
+    });
+
+    test('follows the closure through dependents chosen for deletion', () => {
+        const detached = planBulkDelete(repository, ['100000001.json']);
+        const cascaded = planBulkDelete(repository, ['100000001.json'], { '300000001.json': 'delete' });
+
+        // The section cannot lose its required primary, so it goes, and q1 then references it
+        expect(detached.deletions).toEqual(['100000001.json', '200000001.json']);
+        expect(detached.dependents.map(dependent => dependent.file)).toEqual(['200000001.json', '300000001.json']);
+        expect(cascaded.deletions).toEqual(['100000001.json', '200000001.json', '300000001.json']);
+        expect(cascaded.writes).toEqual([]);
+    });
+
+    test('does not modify the loaded concepts', () => {
+        planBulkDelete(repository, ['500000001.json']);
+
+        expect(CONCEPTS[2].responses).toEqual(['500000001', '500000002']);
+    });
+});
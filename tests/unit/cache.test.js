@@ -7,7 +7,7 @@
 
 import 'fake-indexeddb/auto';
 
-import { readCachedConcepts, writeCachedConcepts, clearCachedConcepts } from '../../src/cache.js';
+import { readCachedConcepts, writeCachedConcepts, clearCachedConcepts, readImportJournal, writeImportJournal, clearImportJournal } from '../../src/cache.js';
 
 const CONCEPTS = [
     { conceptID: 111111111, key: 'alpha', object_type: 'QUESTION' },
@@ -85,3 +85,35 @@ describe('concept cache', () => {
         }
     });
 });
+
+describe('import journal', () => {
+    const JOURNAL = {
+        createdAt: '2026-01-01T00:00:00.000Z',
+        batches: [
+            { index: 0, files: [{ name: '111111111.json', content: '{}' }], status: 'committed' },
+            { index: 1, files: [{ name: '222222222.json', content: '{}' }], status: 'failed', error: 'Commit files failed' }
+        ]
+    };
+
+    beforeEach(async () => {
+        await clearImportJournal('owner', 'repo');
+    });
+
+    it('keeps a journal per repository, beside the concept cache', async () => {
+        await writeCachedConcepts('owner', 'repo', 'sha-1', CONCEPTS);
+        await writeImportJournal('owner', 'repo', JOURNAL);
+
+        expect(await readImportJournal('owner', 'repo')).toEqual(JOURNAL);
+        expect(await readImportJournal('owner', 'other')).toBeNull();
+        expect(await readCachedConcepts('owner', 'repo', 'sha-1')).toEqual(CONCEPTS);
+    });
+
+    it('clears a journal without touching the concept cache', async () => {
+        await writeCachedConcepts('owner', 'repo', 'sha-1', CONCEPTS);
+        await writeImportJournal('owner', 'repo', JOURNAL);
+        await clearImportJournal('owner', 'repo');
+
+        expect(await readImportJournal('owner', 'repo')).toBeNull();
+        expect(await readCachedConcepts('owner', 'repo', 'sha-1')).toEqual(CONCEPTS);
+    });
+});
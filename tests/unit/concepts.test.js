@@ -4,9 +4,12 @@
  * Tests the core concept validation and mapping functions:
  * - validateImportData: Validates import data against existing repository
  * - assignConcepts: Creates concept mappings from spreadsheet data
+ * - planImportUpdates: Merges update-mode rows into stored concepts
+ * - diffConcepts: Field-level comparison of two concept versions
+ * - parseConceptFiles: Reads a folder of concept JSON files for import
  */
 
-import { validateImportData, assignConcepts } from '../../src/concepts.js';
+import { validateImportData, assignConcepts, planImportUpdates, diffConcepts, parseConceptFiles } from '../../src/concepts.js';
 
 // ============================================================================
 // validateImportData Tests
@@ -274,6 +277,56 @@ describe('validateImportData', () => {
             expect(result.errors[0].type).toBe('DUPLICATE_CONCEPT_ID');
         });
     });
+
+    describe('Update Mode', () => {
+
+        const existingIndex = createMockIndex({
+            '111111111.json': { key: 'Key1', object_type: 'PRIMARY' },
+            '222222222.json': { key: 'Key2', object_type: 'SECONDARY' }
+        });
+
+        test('accepts rows that name an existing concept by ID and key', () => {
+            const conceptObjects = [
+                createConcept('Key1', 111111111, 'PRIMARY', 2),
+                createConcept('Renamed', 222222222, 'SECONDARY', 3)
+            ];
+
+            const result = validateImportData(conceptObjects, existingIndex, {}, { updateExisting: true });
+
+            expect(result.valid).toBe(true);
+        });
+
+        test('rejects a key that belongs to a different existing concept', () => {
+            const conceptObjects = [createConcept('Key2', 111111111, 'PRIMARY', 2)];
+
+            const result = validateImportData(conceptObjects, existingIndex, {}, { updateExisting: true });
+
+            expect(result.errors.map(e => e.type)).toEqual(['DUPLICATE_KEY']);
+            expect(result.errors[0].existingConceptId).toBe('222222222');
+        });
+
+        test('rejects a row that would change an existing concept\'s type', () => {
+            const conceptObjects = [createConcept('Key2', 222222222, 'QUESTION', 5)];
+
+            const result = validateImportData(conceptObjects, existingIndex, {}, { updateExisting: true });
+
+            expect(result.errors.map(e => e.type)).toEqual(['TYPE_MISMATCH']);
+            expect(result.errors[0].row).toBe(5);
+            expect(result.summary.typeMismatches).toBe(1);
+        });
+    });
+
+    describe('Concept Files', () => {
+
+        test('names the file instead of a row', () => {
+            const conceptObjects = [{ key: 'Key1', conceptID: 333333333, object_type: 'PRIMARY', _sourceFile: '333333333.json' }];
+
+            const result = validateImportData(conceptObjects, createMockIndex({ '111111111.json': { key: 'Key1', object_type: 'PRIMARY' } }), {});
+
+            expect(result.errors[0]).toMatchObject({ type: 'DUPLICATE_KEY', file: '333333333.json' });
+            expect(result.errors[0]).not.toHaveProperty('row');
+        });
+    });
 });
 
 // ============================================================================
@@ -357,4 +410,205 @@ describe('assignConcepts', () => {
             expect(result).toHaveLength(1);
         });
     });
+
+    describe('Existing Keys', () => {
+
+        test('reuses the ID of an existing key when the row has none', () => {
+            const categories = [makeCategory(0, 1)];
+            const data = [
+                ['survey', undefined],
+                ['New', undefined]
+            ];
+
+            const result = assignConcepts(categories, data, new Set(), new Map([['survey', '123456789']]));
+
+            expect(result[0].id).toBe(123456789);
+            expect(result[1].id).not.toBe(123456789);
+        });
+
+        test('keeps an ID given in the sheet', () => {
+            const result = assignConcepts([makeCategory(0, 1)], [['Survey', 987654321]], new Set(), new Map([['survey', '123456789']]));
+
+            expect(result[0].id).toBe(987654321);
+        });
+    });
+});
+
+// ============================================================================
+// planImportUpdates Tests
+// ============================================================================
+
+describe('planImportUpdates', () => {
+    const config = {
+        QUESTION: [
+            { id: 'key', label: 'Key' },
+            { id: 'description', label: 'Description' },
+            { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' }
+        ]
+    };
+
+    const stored = {
+        conceptID: '300000001',
+        object_type: 'QUESTION',
+        key: 'Age',
+        description: 'Age in years',
+        secondaryConceptId: '200000001',
+        notes: 'kept'
+    };
+
+    const existing = new Map([['300000001', stored]]);
+
+    const row = (fields) => ({ conceptID: 300000001, object_type: 'QUESTION', key: 'Age', _sourceRow: 4, ...fields });
+
+    test('separates new, updated and unchanged rows', () => {
+        const created = { conceptID: 300000002, object_type: 'QUESTION', key: 'Height', _sourceRow: 5 };
+
+        const plan = planImportUpdates([row({ description: 'Age at enrolment' }), created], existing, config);
+
+        expect(plan.creates).toEqual([created]);
+        expect(plan.updates).toHaveLength(1);
+        expect(plan.updates[0].changes).toEqual([
+            { field: 'description', label: 'Description', before: 'Age in years', after: 'Age at enrolment', change: 'changed' }
+        ]);
+        expect(plan.concepts.map(concept => concept.key)).toEqual(['Age', 'Height']);
+    });
+
+    test('keeps stored fields the sheet has no column for', () => {
+        const plan = planImportUpdates([row({ description: 'New' })], existing, config);
+
+        expect(plan.updates[0].concept).toMatchObject({ notes: 'kept', conceptID: '300000001', _sourceRow: 4 });
+    });
+
+    test('treats references to the same IDs as unchanged', () => {
+        const plan = planImportUpdates([row({ description: 'Age in years', secondaryConceptId: 200000001 })], existing, config);
+
+        expect(plan.unchanged).toHaveLength(1);
+        expect(plan.unchanged[0].secondaryConceptId).toBe('200000001');
+        expect(plan.updates).toEqual([]);
+    });
+});
+
+// ============================================================================
+// diffConcepts Tests
+// ============================================================================
+
+describe('diffConcepts', () => {
+    const typeConfig = [
+        { id: 'conceptId', label: 'Concept ID', type: 'concept' },
+        { id: 'key', label: 'Key', type: 'text' },
+        { id: 'responses', label: 'Responses', type: 'reference', allowMultiple: true },
+        { id: 'text', label: 'Question Text', type: 'text' }
+    ];
+
+    const base = { conceptID: 111111111, key: 'q1', object_type: 'QUESTION', text: 'Old wording' };
+
+    test('reports nothing for identical versions', () => {
+        expect(diffConcepts(base, { ...base }, typeConfig)).toEqual([]);
+    });
+
+    test('labels changed fields from the configuration', () => {
+        const changes = diffConcepts(base, { ...base, text: 'New wording' }, typeConfig);
+
+        expect(changes).toEqual([
+            { field: 'text', label: 'Question Text', before: 'Old wording', after: 'New wording', change: 'changed' }
+        ]);
+    });
+
+    test('classifies added and removed fields', () => {
+        const changes = diffConcepts(base, { ...base, text: undefined, responses: ['222222222'] }, typeConfig);
+
+        expect(changes.map(change => [change.field, change.change])).toEqual([
+            ['responses', 'added'],
+            ['text', 'removed']
+        ]);
+    });
+
+    test('treats empty strings and empty lists as absent', () => {
+        expect(diffConcepts({ ...base, responses: [] }, { ...base, responses: '' }, typeConfig)).toEqual([]);
+    });
+
+    test('treats a reordered list as a change', () => {
+        const before = { ...base, responses: ['222222222', '333333333'] };
+        const after = { ...base, responses: ['333333333', '222222222'] };
+
+        expect(diffConcepts(before, after, typeConfig)).toHaveLength(1);
+    });
+
+    test('includes fields outside the configuration, labelled by id', () => {
+        const changes = diffConcepts(base, { ...base, legacyNote: 'kept' }, typeConfig);
+
+        expect(changes).toEqual([
+            { field: 'legacyNote', label: 'legacyNote', before: undefined, after: 'kept', change: 'added' }
+        ]);
+    });
+
+    test('orders configured fields before unconfigured ones', () => {
+        const changes = diffConcepts({}, { zeta: 'z', text: 't', key: 'k' }, typeConfig);
+
+        expect(changes.map(change => change.field)).toEqual(['key', 'text', 'zeta']);
+    });
+
+    test('shows every field as added for a newly created concept', () => {
+        const changes = diffConcepts(null, base, typeConfig);
+
+        expect(changes.every(change => change.change === 'added')).toBe(true);
+        expect(changes.find(change => change.field === 'conceptID').label).toBe('Concept ID');
+    });
+});
+
+// ============================================================================
+// parseConceptFiles Tests
+// ============================================================================
+
+describe('parseConceptFiles', () => {
+
+    const file = (name, content) => ({ name, text: typeof content === 'string' ? content : JSON.stringify(content) });
+
+    test('reads concepts and tags each with its file', () => {
+        const { concepts, errors } = parseConceptFiles([
+            file('111111111.json', { key: 'age', conceptID: 111111111, object_type: 'QUESTION', responses: [222222222] })
+        ]);
+
+        expect(errors).toEqual([]);
+        expect(concepts).toEqual([
+            { key: 'age', conceptID: 111111111, object_type: 'QUESTION', responses: [222222222], _sourceFile: '111111111.json' }
+        ]);
+    });
+
+    test('skips index.json, config.json and files that are not JSON', () => {
+        const { concepts, errors } = parseConceptFiles([
+            file('index.json', { _files: {} }),
+            file('config.json', { PRIMARY: [] }),
+            file('README.md', '# Dictionary')
+        ]);
+
+        expect(concepts).toEqual([]);
+        expect(errors).toEqual([]);
+    });
+
+    test('reports each file that is not a concept by name', () => {
+        const { concepts, errors } = parseConceptFiles([
+            file('broken.json', '{ "key": '),
+            file('list.json', [1, 2]),
+            file('untyped.json', { key: 'a', conceptID: 1 }),
+            file('unnamed.json', { conceptID: 2, object_type: 'PRIMARY' }),
+            file('unnumbered.json', { key: 'b', object_type: 'PRIMARY' })
+        ]);
+
+        expect(concepts).toEqual([]);
+        expect(errors.map(error => [error.type, error.file])).toEqual([
+            ['INVALID_CONCEPT_FILE', 'broken.json'],
+            ['INVALID_CONCEPT_FILE', 'list.json'],
+            ['INVALID_CONCEPT_FILE', 'untyped.json'],
+            ['INVALID_CONCEPT_FILE', 'unnamed.json'],
+            ['INVALID_CONCEPT_FILE', 'unnumbered.json']
+        ]);
+        expect(errors[0].message).toMatch(/not valid JSON/);
+    });
+
+    test('leaves the file tag out of a diff', () => {
+        const { concepts } = parseConceptFiles([file('1.json', { key: 'a', conceptID: 1, object_type: 'PRIMARY' })]);
+
+        expect(diffConcepts({ key: 'a', conceptID: 1, object_type: 'PRIMARY' }, concepts[0])).toEqual([]);
+    });
 });
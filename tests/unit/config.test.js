@@ -13,8 +13,10 @@ import {
     CONCEPT_TYPE_COLORS,
     PAGINATION_CONFIG,
     FILE_FILTERS,
-    API_CONFIG
+    API_CONFIG,
+    XLSX_SCRIPT
 } from '../../src/config.js';
+import { readFileSync } from 'fs';
 
 // ============================================================================
 // CONFIG Tests
@@ -198,3 +200,19 @@ describe('API_CONFIG', () => {
         expect(API_CONFIG.TIMEOUT).toBeLessThanOrEqual(60000);
     });
 });
+
+// ============================================================================
+// XLSX_SCRIPT Tests
+// ============================================================================
+
+describe('XLSX_SCRIPT', () => {
+
+    test('is the script index.html loads, with the same integrity hash', () => {
+        const page = readFileSync('index.html', 'utf8');
+        const tag = page.match(/<script src="([^"]*xlsx[^"]*)" integrity="([^"]+)"/);
+
+        expect(tag).not.toBeNull();
+        expect(tag[1]).toBe(XLSX_SCRIPT.URL);
+        expect(tag[2]).toBe(XLSX_SCRIPT.INTEGRITY);
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * CSV and TSV import tests
+ *
+ * A delimited file is read into the same rows a workbook gives, so one test sends a
+ * file through the dictionary import, and a file written back must come out in the
+ * encoding it came in. jsdom has no TextDecoder; node's stands in for the browser's.
+ */
+
+import { TextDecoder, TextEncoder } from 'util';
+import { appState } from '../../src/common.js';
+import { parseColumns, structureDictionary } from '../../src/dictionary.js';
+import { assignConcepts } from '../../src/concepts.js';
+import { isDelimitedFile, decodeText, encodeText, parseDelimited, detectDelimiter, readDelimited, formatDelimited } from '../../src/delimited.js';
+
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+const utf16le = (text, bom = true) => {
+    const bytes = [...(bom ? [0xFF, 0xFE] : [])];
+    [...text].forEach(char => bytes.push(char.charCodeAt(0) & 0xFF, char.charCodeAt(0) >> 8));
+    return new Uint8Array(bytes);
+};
+
+describe('isDelimitedFile', () => {
+    test('goes by extension first, then MIME type', () => {
+        expect(isDelimitedFile({ name: 'dictionary.CSV', type: 'application/vnd.ms-excel' })).toBe(true);
+        expect(isDelimitedFile({ name: 'dictionary.tsv', type: '' })).toBe(true);
+        expect(isDelimitedFile({ name: 'export', type: 'text/csv' })).toBe(true);
+        expect(isDelimitedFile({ name: 'dictionary.xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })).toBe(false);
+    });
+});
+
+describe('decodeText', () => {
+    test('strips a UTF-8 byte order mark', () => {
+        expect(decodeText(utf8('\uFEFFPRIMARY_KEY'))).toEqual({ text: 'PRIMARY_KEY', encoding: 'utf-8', bom: true });
+    });
+
+    test('reads UTF-16 with or without a byte order mark', () => {
+        expect(decodeText(utf16le('KEY,Café'))).toMatchObject({ text: 'KEY,Café', encoding: 'utf-16le' });
+        expect(decodeText(utf16le('KEY,Café', false))).toMatchObject({ text: 'KEY,Café', encoding: 'utf-16le', bom: false });
+    });
+
+    test('falls back to Windows-1252 for bytes that are not UTF-8', () => {
+        expect(decodeText(new Uint8Array([0x43, 0x61, 0x66, 0xE9]))).toMatchObject({ text: 'Café', encoding: 'windows-1252' });
+    });
+});
+
+describe('parseDelimited', () => {
+    test('keeps delimiters, quotes and line breaks inside quoted cells', () => {
+        const text = 'KEY,TEXT\r\nq1,"How old, in years?"\r\nq2,"Line one\nline ""two"""\r\n';
+
+        expect(parseDelimited(text, ',')).toEqual([
+            ['KEY', 'TEXT'],
+            ['q1', 'How old, in years?'],
+            ['q2', 'Line one\nline "two"']
+        ]);
+    });
+
+    test('keeps empty cells and reads a last line without a line break', () => {
+        expect(parseDelimited('a,,c\r\n\nd,e,', ',')).toEqual([['a', '', 'c'], [''], ['d', 'e', '']]);
+        expect(parseDelimited('a\rb', ',')).toEqual([['a'], ['b']]);
+    });
+});
+
+describe('detectDelimiter', () => {
+    test('picks the delimiter that splits rows evenly', () => {
+        expect(detectDelimiter('KEY\tTEXT\tNOTES\nq1\tHow old, in years?\t\n')).toBe('\t');
+        expect(detectDelimiter('KEY;TEXT\nq1;"a;b"\nq2;c\n')).toBe(';');
+        expect(detectDelimiter('KEY,TEXT\nq1,"a\tb"\n')).toBe(',');
+    });
+
+    test('falls back to the preferred delimiter for a single column', () => {
+        expect(detectDelimiter('KEY\nq1\n', '\t')).toBe('\t');
+    });
+});
+
+describe('readDelimited', () => {
+    test('reads Concept IDs as numbers and leaves other cells as text', () => {
+        const { data } = readDelimited(utf8('PRIMARY_KEY,PRIMARY_CID,PRIMARY_VALUE\nsurvey, 100000001 ,007\n'));
+
+        expect(data[1]).toEqual(['survey', 100000001, '007']);
+    });
+
+    test('honours an Excel sep= line', () => {
+        const { data, delimiter, declared } = readDelimited(utf8('sep=|\nPRIMARY_KEY|PRIMARY_CID\nsurvey|\n'));
+
+        expect(delimiter).toBe('|');
+        expect(declared).toBe(true);
+        expect(data).toEqual([['PRIMARY_KEY', 'PRIMARY_CID'], ['survey', '']]);
+    });
+
+    test('feeds the dictionary import like a spreadsheet', () => {
+        appState.setState({ config: { PRIMARY: [], SECONDARY: [{ id: 'description', label: 'Description' }] } });
+        const { data } = readDelimited(utf8(
+            '\uFEFFPRIMARY_KEY\tPRIMARY_CID\tSECONDARY_KEY\tSECONDARY_DESCRIPTION\r\n' +
+            'survey\t100000001\tsection\t"About you,\nin two lines"\r\n'
+        ), 'dictionary.tsv');
+
+        const columns = parseColumns(data[0]);
+        const rows = data.slice(1);
+        const concepts = structureDictionary(assignConcepts(columns, rows), columns, rows);
+
+        expect(concepts.map(concept => concept.key)).toEqual(['survey', 'section']);
+        expect(concepts[0].conceptID).toBe(100000001);
+        expect(concepts[1].description).toBe('About you,\nin two lines');
+    });
+});
+
+describe('formatDelimited', () => {
+    test('quotes only the cells that need it and reads back the same', () => {
+        const rows = [['KEY', 'TEXT'], ['q1', 'a, "b"'], ['q2', 'line\nbreak'], [100000001, undefined]];
+        const text = formatDelimited(rows, ',');
+
+        expect(text).toBe('KEY,TEXT\r\nq1,"a, ""b"""\r\nq2,"line\nbreak"\r\n100000001,\r\n');
+        expect(parseDelimited(text, ',')[1]).toEqual(['q1', 'a, "b"']);
+    });
+});
+
+describe('encodeText', () => {
+    const roundTrip = (bytes) => {
+        const { text, encoding, bom } = decodeText(bytes);
+        return encodeText(text, encoding, bom);
+    };
+
+    test('writes back the bytes decodeText read, in each encoding', () => {
+        const files = [
+            utf8('\uFEFFKEY,Café\r\n'),
+            utf8('KEY,Café\r\n'),
+            utf16le('KEY,Café\r\n'),
+            utf16le('KEY,Café\r\n', false),
+            new Uint8Array([0x4B, 0x2C, 0x43, 0x61, 0x66, 0xE9, 0x20, 0x80, 0x93, 0x94])
+        ];
+
+        files.forEach(bytes => expect(roundTrip(bytes)).toEqual(bytes));
+    });
+
+    test('keeps a Windows-1252 file in Windows-1252 after a Concept ID is filled in', () => {
+        const { data, delimiter, encoding, bom } = readDelimited(new Uint8Array([
+            ...utf8('QUESTION_KEY;QUESTION_CID\r\nr'), 0xE9, 0x73, 0x75, 0x6D, 0xE9, 0x3B, 0x0D, 0x0A
+        ]));
+        data[1][1] = 100000001;
+
+        const bytes = encodeText(formatDelimited(data, delimiter), encoding, bom);
+
+        expect(encoding).toBe('windows-1252');
+        expect(decodeText(bytes)).toMatchObject({ text: 'QUESTION_KEY;QUESTION_CID\r\nrésumé;100000001\r\n', encoding: 'windows-1252' });
+    });
+});
@@ -35,20 +35,17 @@ const CONFIG = {
     ]
 };
 
-// Column layout: two columns per type, in CONCEPT_TYPES order
-const COL = {
-    PRIMARY_KEY: 0, PRIMARY_CID: 1,
-    SECONDARY_KEY: 2, SECONDARY_CID: 3,
-    SOURCE_KEY: 4, SOURCE_CID: 5,
-    QUESTION_KEY: 6, QUESTION_CID: 7,
-    RESPONSE_KEY: 8, RESPONSE_CID: 9
-};
+// Column positions by import header, as the export lays them out for CONFIG
+const COL = {};
 
 const concept = (object_type, conceptID, key, extra = {}) => ({ object_type, conceptID, key, ...extra });
 
 describe('structureFiles', () => {
     beforeEach(() => {
         appState.setState({ config: CONFIG });
+        structureFiles([]).columnKeys.forEach((columnKey, index) => {
+            COL[columnKey] = index;
+        });
     });
 
     test('builds a header row from the config labels', () => {
@@ -56,15 +53,26 @@ describe('structureFiles', () => {
 
         expect(data[0]).toEqual([
             'PRIMARY Key', 'PRIMARY CID',
-            'SECONDARY Key', 'SECONDARY CID',
+            'SECONDARY Key', 'SECONDARY CID', 'Primary',
             'SOURCE Key', 'SOURCE CID',
-            'QUESTION Key', 'QUESTION CID',
+            'QUESTION Key', 'QUESTION CID', 'Secondary', 'Source', 'Responses',
             'RESPONSE Key', 'RESPONSE CID'
         ]);
         expect(columnTypes[COL.PRIMARY_KEY]).toBe('PRIMARY');
+        expect(columnTypes[COL.SECONDARY_PRIMARYCONCEPTID]).toBe('SECONDARY');
         expect(columnTypes[COL.RESPONSE_CID]).toBe('RESPONSE');
     });
 
+    test('writes reference fields as Concept IDs in their own columns', () => {
+        const { data } = structureFiles([
+            concept('QUESTION', 3, 'age', { secondaryConceptId: 2, responses: [4, 5] })
+        ]);
+
+        expect(data[1][COL.QUESTION_SECONDARYCONCEPTID]).toBe(2);
+        expect(data[1][COL.QUESTION_RESPONSES]).toBe('4; 5');
+        expect(data[1][COL.QUESTION_SOURCECONCEPTID]).toBe('');
+    });
+
     test('emits a row for a primary with no children', () => {
         const { data } = structureFiles([concept('PRIMARY', 1, 'module')]);
 
@@ -161,7 +169,8 @@ describe('structureFiles', () => {
             concept('SOURCE', 9, 'survey')
         ];
 
-        const cids = structureFiles(concepts).data.slice(1).flat().filter(cell => typeof cell === 'number');
+        const cidColumns = Object.keys(COL).filter(columnKey => columnKey.endsWith('_CID')).map(columnKey => COL[columnKey]);
+        const cids = structureFiles(concepts).data.slice(1).flatMap(row => cidColumns.map(index => row[index]));
 
         for (const { conceptID } of concepts) {
             expect(cids.filter(cid => cid === conceptID)).toHaveLength(1);
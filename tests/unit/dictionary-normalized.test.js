@@ -0,0 +1,257 @@
+/**
+ * Normalized workbook import tests
+ *
+ * A workbook with a sheet per concept type names each parent in its own column, so the
+ * concepts it builds must not depend on how the sheets are sorted, and an export in
+ * that layout must import back to the concepts it was made from.
+ */
+
+import { appState } from '../../src/common.js';
+import { assignConcepts, validateImportData } from '../../src/concepts.js';
+import { getSheetType, findTypeSheets, parseSheetColumns, stackTypeSheets, structureNormalized, structureTypeSheets, getTypeSheetFields } from '../../src/dictionary.js';
+
+const CONFIG = {
+    PRIMARY: [{ id: 'key', label: 'Key' }],
+    SECONDARY: [
+        { id: 'key', label: 'Key' },
+        { id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY' }
+    ],
+    SOURCE: [{ id: 'key', label: 'Key' }],
+    QUESTION: [
+        { id: 'key', label: 'Key' },
+        { id: 'text', label: 'Text', required: true },
+        { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY', allowMultiple: true },
+        { id: 'sourceConceptId', label: 'Source', type: 'reference', referencesType: 'SOURCE' },
+        { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE' }
+    ],
+    RESPONSE: [{ id: 'key', label: 'Key' }]
+};
+
+const sheet = (name, type, headers, rows) => ({ name, type, headers, rows });
+
+/**
+ * Runs sheets through the import steps up to structuring
+ */
+const importSheets = (sheets, index = { _files: {} }) => {
+    const { columns, rows } = stackTypeSheets(sheets);
+    const mapping = assignConcepts(columns, rows);
+    return structureNormalized(mapping, sheets, index);
+};
+
+const byKey = (concepts) => Object.fromEntries(concepts.map(concept => [concept.key, concept]));
+
+describe('sheet detection', () => {
+    test('reads type names in any case, singular or plural', () => {
+        expect(getSheetType('Questions')).toBe('QUESTION');
+        expect(getSheetType('secondaries')).toBe('SECONDARY');
+        expect(getSheetType('PRIMARY')).toBe('PRIMARY');
+        expect(getSheetType('Notes')).toBeNull();
+    });
+
+    test('orders type sheets by hierarchy and leaves one-sheet dictionaries alone', () => {
+        expect(findTypeSheets(['Responses', 'Notes', 'Primary', 'Questions'])).toEqual([
+            { name: 'Primary', type: 'PRIMARY' },
+            { name: 'Questions', type: 'QUESTION' },
+            { name: 'Responses', type: 'RESPONSE' }
+        ]);
+        expect(findTypeSheets(['Dictionary', 'Questions'])).toEqual([]);
+    });
+});
+
+describe('parseSheetColumns', () => {
+    beforeEach(() => {
+        appState.setState({ config: CONFIG });
+    });
+
+    test('separates the sheet\'s own fields from its parent columns', () => {
+        const { columns, references } = parseSheetColumns(
+            ['KEY', 'question_cid', 'Text', 'SECONDARY_KEY', 'SOURCE_CID', 'sourceConceptId', 'Notes column'],
+            'QUESTION'
+        );
+
+        expect(columns).toEqual({ object_type: 'QUESTION', KEY: 0, CID: 1, TEXT: 2 });
+        expect(references).toEqual([
+            { column: 3, header: 'SECONDARY_KEY', referencesType: 'SECONDARY', by: 'KEY' },
+            { column: 4, header: 'SOURCE_CID', referencesType: 'SOURCE', by: 'CID' },
+            { column: 5, header: 'sourceConceptId', referencesType: 'SOURCE', by: 'CID', fieldId: 'sourceConceptId' }
+        ]);
+    });
+});
+
+describe('structureNormalized', () => {
+    beforeEach(() => {
+        appState.setState({ config: CONFIG });
+    });
+
+    const WORKBOOK = [
+        sheet('Primary', 'PRIMARY', ['KEY', 'CID'], [['survey', 100000001]]),
+        sheet('Secondary', 'SECONDARY', ['KEY', 'CID', 'PRIMARY_KEY'], [
+            ['about_you', 200000001, 'survey'],
+            ['health', 200000002, 'survey']
+        ]),
+        // Sorted by key, so no question sits under its section
+        sheet('Questions', 'QUESTION', ['KEY', 'CID', 'TEXT', 'SECONDARY_KEY'], [
+            ['age', 300000001, 'How old are you?', 'about_you'],
+            ['smoker', 300000002, 'Do you smoke?', 'health; about_you']
+        ]),
+        sheet('Responses', 'RESPONSE', ['KEY', 'CID', 'QUESTION_KEY'], [
+            ['no', 400000002, 'smoker'],
+            ['yes', 400000001, 'smoker']
+        ])
+    ];
+
+    test('resolves parents by key, whatever the row order', () => {
+        const { concepts, errors } = importSheets(WORKBOOK);
+        const concept = byKey(concepts);
+
+        expect(errors).toEqual([]);
+        expect(concept.about_you.primaryConceptId).toBe(100000001);
+        expect(concept.age.secondaryConceptId).toEqual([200000001]);
+        expect(concept.smoker.secondaryConceptId).toEqual([200000002, 200000001]);
+        expect(concept.smoker.text).toBe('Do you smoke?');
+    });
+
+    test('adds children to the parent a child names, in row order', () => {
+        const { concepts } = importSheets(WORKBOOK);
+
+        expect(byKey(concepts).smoker.responses).toEqual([400000002, 400000001]);
+        expect(byKey(concepts).age.responses).toBeUndefined();
+    });
+
+    test('numbers rows per sheet', () => {
+        const { concepts } = importSheets(WORKBOOK);
+
+        expect(byKey(concepts).no).toMatchObject({ _sourceSheet: 'Responses', _sourceRow: 2 });
+        expect(byKey(concepts).yes).toMatchObject({ _sourceSheet: 'Responses', _sourceRow: 3 });
+    });
+
+    test('resolves parents already in the repository, by key or Concept ID', () => {
+        const index = { _files: {
+            '200000009.json': { key: 'stored_section', object_type: 'SECONDARY' },
+            '500000001.json': { key: 'stored_source', object_type: 'SOURCE' }
+        } };
+        const { concepts, errors } = importSheets([
+            sheet('Questions', 'QUESTION', ['KEY', 'TEXT', 'SECONDARY_KEY', 'SOURCE_CID'], [
+                ['weight', 'Weight?', 'Stored_Section', 500000001]
+            ])
+        ], index);
+
+        expect(errors).toEqual([]);
+        expect(concepts[0]).toMatchObject({ secondaryConceptId: [200000009], sourceConceptId: 500000001 });
+    });
+
+    test('reports parents that name nothing or the wrong type', () => {
+        const { errors } = importSheets([
+            sheet('Secondary', 'SECONDARY', ['KEY', 'CID'], [['health', 200000002]]),
+            sheet('Questions', 'QUESTION', ['KEY', 'TEXT', 'SECONDARY_KEY', 'SOURCE_KEY'], [
+                ['age', 'Age?', 'heatlh', ''],
+                ['height', 'Height?', 'health', 'health']
+            ])
+        ]);
+
+        expect(errors).toEqual([
+            expect.objectContaining({ type: 'UNRESOLVED_REFERENCE', sheet: 'Questions', row: 2, key: 'age', column: 2 }),
+            expect.objectContaining({ type: 'UNRESOLVED_REFERENCE', sheet: 'Questions', row: 3, key: 'height', column: 3 })
+        ]);
+        expect(errors[1].message).toBe('"health" is a SECONDARY concept, not a SOURCE');
+    });
+
+    test('reports a single parent given twice', () => {
+        const { errors } = importSheets([
+            sheet('Primary', 'PRIMARY', ['KEY', 'CID'], [['one', 100000001], ['two', 100000002]]),
+            sheet('Secondary', 'SECONDARY', ['KEY', 'PRIMARY_KEY'], [['health', 'one'], ['health', 'two']])
+        ]);
+
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toContain('can only reference one PRIMARY');
+    });
+
+    test('names the sheet in validation errors', () => {
+        const { concepts } = importSheets([
+            sheet('Questions', 'QUESTION', ['KEY', 'CID'], [['age', 300000001]])
+        ]);
+        const { errors } = validateImportData(concepts, { _files: {} }, CONFIG);
+
+        expect(errors[0]).toMatchObject({ type: 'MISSING_REQUIRED_FIELD', sheet: 'Questions', row: 2 });
+    });
+});
+
+describe('normalized export', () => {
+    beforeEach(() => {
+        appState.setState({ config: CONFIG });
+    });
+
+    const CONCEPTS = [
+        { conceptID: 100000001, object_type: 'PRIMARY', key: 'survey' },
+        { conceptID: 200000001, object_type: 'SECONDARY', key: 'about_you', primaryConceptId: 100000001 },
+        { conceptID: 200000002, object_type: 'SECONDARY', key: 'health', primaryConceptId: '100000001' },
+        { conceptID: 500000001, object_type: 'SOURCE', key: 'census' },
+        // In two sections, and sharing its responses with the next question
+        { conceptID: 300000001, object_type: 'QUESTION', key: 'smoker', text: 'Do you smoke; ever?',
+            secondaryConceptId: [200000002, 200000001], sourceConceptId: 500000001, responses: [400000002, 400000001] },
+        { conceptID: 300000002, object_type: 'QUESTION', key: 'drinker', text: 'Do you drink?',
+            secondaryConceptId: [200000002], responses: [400000001, 400000002] },
+        { conceptID: 400000001, object_type: 'RESPONSE', key: 'yes' },
+        { conceptID: 400000002, object_type: 'RESPONSE', key: 'no' }
+    ];
+
+    const asSheets = (exported) => exported.map(({ name, type, data }) => sheet(name, type, data[0], data.slice(1)));
+
+    test('writes each concept once, with parent keys and IDs', () => {
+        const questions = structureTypeSheets(CONCEPTS).find(exported => exported.type === 'QUESTION');
+
+        expect(questions.name).toBe('Questions');
+        expect(questions.data[0]).toEqual([
+            'QUESTION_KEY', 'QUESTION_CID', 'QUESTION_TEXT',
+            'SECONDARY_KEY', 'SECONDARY_CID', 'SOURCE_KEY', 'SOURCE_CID', 'RESPONSE_KEY', 'RESPONSE_CID'
+        ]);
+        expect(questions.data[1]).toEqual([
+            'smoker', 300000001, 'Do you smoke; ever?',
+            'health; about_you', '200000002; 200000001', 'census', 500000001, 'no; yes', '400000002; 400000001'
+        ]);
+        expect(questions.columnTypes.slice(3)).toEqual(['SECONDARY', 'SECONDARY', 'SOURCE', 'SOURCE', 'RESPONSE', 'RESPONSE']);
+    });
+
+    test('leaves the key of a parent missing from the export to its ID', () => {
+        const [, secondaries] = structureTypeSheets([
+            { conceptID: 200000001, object_type: 'SECONDARY', key: 'about_you', primaryConceptId: 100000009 }
+        ]);
+
+        expect(secondaries.data[1]).toEqual(['about_you', 200000001, '', 100000009]);
+    });
+
+    test('imports back to the concepts it was made from', () => {
+        const { concepts, errors } = importSheets(asSheets(structureTypeSheets(CONCEPTS)));
+
+        expect(errors).toEqual([]);
+        expect(concepts.map(({ _sourceSheet, _sourceRow, ...concept }) => concept)).toEqual([
+            CONCEPTS[0],
+            CONCEPTS[1],
+            { ...CONCEPTS[2], primaryConceptId: 100000001 },
+            ...CONCEPTS.slice(3)
+        ]);
+    });
+
+    test('reports a key and an ID column that disagree', () => {
+        const exported = asSheets(structureTypeSheets(CONCEPTS));
+        const questions = exported.find(edited => edited.type === 'QUESTION');
+        questions.rows[1][3] = 'about_you';
+
+        const { errors } = importSheets(exported);
+
+        expect(errors).toEqual([expect.objectContaining({
+            sheet: 'Questions', row: 3, key: 'drinker', message: 'SECONDARY_CID and SECONDARY_KEY name different concepts'
+        })]);
+    });
+
+    test('lists the fields the sheets can express, for a synced re-import', () => {
+        const fields = getTypeSheetFields([
+            sheet('Questions', 'QUESTION', ['KEY', 'CID', 'TEXT', 'SECONDARY_KEY'], []),
+            sheet('Responses', 'RESPONSE', ['KEY', 'QUESTION_KEY'], [])
+        ]);
+
+        expect([...fields.get('QUESTION')]).toEqual(['key', 'text', 'secondaryConceptId', 'responses']);
+        expect([...fields.get('RESPONSE')]).toEqual(['key']);
+        expect([...fields.get('PRIMARY')]).toEqual([]);
+    });
+});
@@ -3,10 +3,11 @@
  * 
  * Tests the dictionary parsing and structuring functions:
  * - parseColumns: Parses spreadsheet headers to identify column indices
+ * - planConceptIdCells: Works out the Concept IDs to write back into an imported sheet
  */
 
 // Import parseColumns directly - it only uses MODAL_CONFIG.CONCEPT_TYPES internally
-import { parseColumns } from '../../src/dictionary.js';
+import { parseColumns, planConceptIdCells } from '../../src/dictionary.js';
 
 // ============================================================================
 // parseColumns Tests
@@ -163,3 +164,45 @@ describe('parseColumns', () => {
         });
     });
 });
+
+// ============================================================================
+// planConceptIdCells Tests
+// ============================================================================
+
+describe('planConceptIdCells', () => {
+    const mapping = [
+        { concept: 'survey', id: 100000001, type: 'PRIMARY' },
+        { concept: 'Age', id: 300000001, type: 'QUESTION' },
+        { concept: 'Height', id: '300000002', type: 'QUESTION' }
+    ];
+
+    test('fills blank ID cells on every row a key appears, keeping IDs already there', () => {
+        const rows = [
+            ['PRIMARY_KEY', 'PRIMARY_CID', 'QUESTION_KEY', 'QUESTION_CID'],
+            ['survey', '', 'age', 300000001],
+            [],
+            ['Survey', '', 'Height']
+        ];
+
+        const { headers, cells } = planConceptIdCells(rows, parseColumns(rows[0]), mapping);
+
+        expect(headers).toEqual([]);
+        expect(cells).toEqual([
+            { row: 1, column: 1, value: 100000001 },
+            { row: 3, column: 1, value: 100000001 },
+            { row: 3, column: 3, value: 300000002 }
+        ]);
+    });
+
+    test('adds a CID column after the last one for types without', () => {
+        const rows = [
+            ['PRIMARY_KEY', 'NOTES'],
+            ['survey', 'first', 'stray']
+        ];
+
+        const { headers, cells } = planConceptIdCells(rows, parseColumns(rows[0]), mapping);
+
+        expect(headers).toEqual([{ column: 3, header: 'PRIMARY_CID' }]);
+        expect(cells).toEqual([{ row: 1, column: 3, value: 100000001 }]);
+    });
+});
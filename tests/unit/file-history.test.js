@@ -0,0 +1,115 @@
+/**
+ * Concept history API tests
+ *
+ * The history tab depends on two calls: the commit list for a file, and the file
+ * as it was at one of those commits. Restoring writes that file back through
+ * updateFile, guarded by the SHA the view was opened with. A backend without the
+ * history action is recorded, so the tab can be hidden.
+ */
+
+import { jest } from '@jest/globals';
+
+import { appState } from '../../src/common.js';
+import { getFileHistory, getFileContentRaw, updateFile } from '../../src/api.js';
+import { API_CONFIG } from '../../src/config.js';
+
+const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: () => null },
+    json: async () => body,
+    clone() { return this; }
+});
+
+describe('concept history API', () => {
+    beforeEach(() => {
+        appState.setState({ owner: 'owner', repoName: 'repo', fileHistorySupported: null });
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('getFileHistory maps GitHub commits to history entries', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({
+            data: [
+                {
+                    sha: 'abc1234def',
+                    commit: { message: 'file modified via CID Tool', author: { name: 'Jane Doe', date: '2024-05-01T10:00:00Z' } },
+                    author: { login: 'jdoe' }
+                },
+                {
+                    sha: '9876fedcba',
+                    commit: { message: 'file added via CID Tool', author: { date: '2024-04-01T10:00:00Z' } },
+                    author: null
+                }
+            ]
+        }));
+
+        const history = await getFileHistory('123456789.json');
+
+        expect(global.fetch.mock.calls[0][0]).toContain('api=getFileHistory&owner=owner&repo=repo&path=123456789.json');
+        expect(history).toEqual([
+            { sha: 'abc1234def', message: 'file modified via CID Tool', author: 'Jane Doe', login: 'jdoe', date: '2024-05-01T10:00:00Z' },
+            { sha: '9876fedcba', message: 'file added via CID Tool', author: 'Unknown', login: null, date: '2024-04-01T10:00:00Z' }
+        ]);
+    });
+
+    test('getFileHistory records that the backend serves history', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({ data: [] }));
+
+        await getFileHistory('123456789.json');
+
+        expect(appState.getState().fileHistorySupported).toBe(true);
+    });
+
+    test('getFileHistory marks a backend without the history action as unsupported', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({ error: 'Invalid API' }, 400));
+
+        await expect(getFileHistory('123456789.json')).rejects.toMatchObject({ status: 400, unsupported: true });
+        expect(appState.getState().fileHistorySupported).toBe(false);
+    });
+
+    test('getFileHistory leaves other failures to the caller', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({}, 500));
+
+        const error = await getFileHistory('123456789.json').catch(error => error);
+
+        expect(error.status).toBe(500);
+        expect(error.unsupported).toBeUndefined();
+    });
+
+    test('getFileContentRaw reads a file at a given commit', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({ content: '{"key":"old"}' }));
+
+        const content = await getFileContentRaw('123456789.json', 'abc1234def');
+
+        expect(global.fetch.mock.calls[0][0]).toContain('path=123456789.json&ref=abc1234def');
+        expect(content).toBe('{"key":"old"}');
+    });
+
+    test('getFileContentRaw leaves the ref off when none is given', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({ content: '{}' }));
+
+        await getFileContentRaw('123456789.json');
+
+        expect(global.fetch.mock.calls[0][0]).not.toContain('ref=');
+    });
+
+    test('updateFile records a restore under its own commit message', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({ content: { sha: 'new-sha' } }));
+
+        await updateFile('123456789.json', '{"key":"old"}', 'loaded-sha', API_CONFIG.COMMIT_MESSAGES.RESTORE_FILE('abc1234def'));
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.sha).toBe('loaded-sha');
+        expect(body.message).toBe('file restored to abc1234 via CID Tool');
+    });
+
+    test('updateFile surfaces a conflict when the file moved on since it was loaded', async () => {
+        global.fetch = jest.fn(async () => jsonResponse({}, 409));
+
+        await expect(updateFile('123456789.json', '{}', 'stale-sha')).rejects.toMatchObject({ status: 409 });
+    });
+});
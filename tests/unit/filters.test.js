@@ -0,0 +1,91 @@
+/**
+ * File list filter tests
+ */
+
+import { buildConceptFacts, applyFilters, createEmptyFilters, hasActiveFilters, needsConceptFacts } from '../../src/filters.js';
+
+const CONFIG = {
+    PRIMARY: [{ id: 'key', type: 'text', required: true }],
+    SECONDARY: [
+        { id: 'key', type: 'text', required: true },
+        { id: 'primaryConceptId', type: 'reference', referencesType: 'PRIMARY' }
+    ],
+    QUESTION: [
+        { id: 'conceptId', type: 'concept', required: true },
+        { id: 'key', type: 'text', required: true },
+        { id: 'text', type: 'text', required: true },
+        { id: 'secondaryConceptId', type: 'reference', referencesType: 'SECONDARY' },
+        { id: 'responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true }
+    ]
+};
+
+const CONCEPTS = [
+    { conceptID: 100000001, object_type: 'PRIMARY', key: 'p' },
+    { conceptID: 200000001, object_type: 'SECONDARY', key: 's', primaryConceptId: 100000001 },
+    { conceptID: 200000002, object_type: 'SECONDARY', key: 'lonely' },
+    { conceptID: 300000001, object_type: 'QUESTION', key: 'q', text: '', secondaryConceptId: 200000001, responses: ['500000001'] },
+    { conceptID: 500000001, object_type: 'RESPONSE', key: 'yes' }
+];
+
+const INDEX = {
+    _files: Object.fromEntries(CONCEPTS.map(c => [`${c.conceptID}.json`, { key: c.key, object_type: c.object_type }]))
+};
+
+const FILES = CONCEPTS.map(c => ({ name: `${c.conceptID}.json` }));
+const names = (files) => files.map(file => file.name);
+
+describe('buildConceptFacts', () => {
+    const facts = buildConceptFacts(CONCEPTS, CONFIG);
+
+    test('lists empty required fields, ignoring the concept ID', () => {
+        expect(facts.get('300000001.json').missingRequired).toEqual(['text']);
+        expect(facts.get('100000001.json').missingRequired).toEqual([]);
+    });
+
+    test('flags concepts with no place in the hierarchy', () => {
+        expect(facts.get('200000002.json').orphaned).toBe(true);
+        expect(facts.get('200000001.json').orphaned).toBe(false);
+        expect(facts.get('500000001.json').orphaned).toBe(false);
+    });
+
+    test('collects every concept a concept references', () => {
+        expect([...facts.get('300000001.json').references]).toEqual(['200000001', '500000001']);
+    });
+});
+
+describe('applyFilters', () => {
+    const facts = buildConceptFacts(CONCEPTS, CONFIG);
+    const filters = (overrides) => ({ ...createEmptyFilters(), ...overrides });
+
+    test('returns every file when nothing is selected', () => {
+        expect(applyFilters(FILES, INDEX, createEmptyFilters(), null)).toBe(FILES);
+    });
+
+    test('filters by type from the index alone', () => {
+        expect(names(applyFilters(FILES, INDEX, filters({ types: ['PRIMARY', 'RESPONSE'] }), null)))
+            .toEqual(['100000001.json', '500000001.json']);
+    });
+
+    test('filters on missing required fields, orphans and references', () => {
+        expect(names(applyFilters(FILES, INDEX, filters({ missingRequired: true }), facts))).toEqual(['300000001.json']);
+        expect(names(applyFilters(FILES, INDEX, filters({ orphaned: true }), facts))).toEqual(['200000002.json']);
+        expect(names(applyFilters(FILES, INDEX, filters({ references: '100000001' }), facts))).toEqual(['200000001.json']);
+    });
+
+    test('combines different filters with AND', () => {
+        expect(applyFilters(FILES, INDEX, filters({ types: ['PRIMARY'], orphaned: true }), facts)).toEqual([]);
+    });
+
+    test('hides everything a content filter cannot judge yet', () => {
+        expect(applyFilters(FILES, INDEX, filters({ orphaned: true }), null)).toEqual([]);
+    });
+});
+
+describe('filter state', () => {
+    test('knows when filters are active and when they need concept contents', () => {
+        expect(hasActiveFilters(createEmptyFilters())).toBe(false);
+        expect(hasActiveFilters({ ...createEmptyFilters(), types: ['QUESTION'] })).toBe(true);
+        expect(needsConceptFacts({ ...createEmptyFilters(), types: ['QUESTION'] })).toBe(false);
+        expect(needsConceptFacts({ ...createEmptyFilters(), references: '123456789' })).toBe(true);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Folder comparison tests
+ *
+ * A dropped folder of concept files is compared with the repository by Concept ID, and
+ * the changes picked are written, or removed, in one commit.
+ */
+
+import { compareConceptFolder, planFolderCommit, findFolderDependents } from '../../src/folder.js';
+import { parseConceptFiles } from '../../src/concepts.js';
+
+const CONFIG = {
+    QUESTION: [
+        { id: 'conceptId', label: 'Concept ID' },
+        { id: 'key', label: 'Key' },
+        { id: 'text', label: 'Text' }
+    ]
+};
+
+const question = (conceptID, key, extra = {}) => ({ key, conceptID, object_type: 'QUESTION', ...extra });
+
+const folder = (...concepts) => parseConceptFiles(concepts.map(concept => ({
+    name: `${concept.conceptID ?? concept.conceptId}.json`,
+    text: JSON.stringify(concept)
+}))).concepts;
+
+const REMOTE = {
+    concepts: [
+        question(111111111, 'age', { text: 'How old are you?' }),
+        question(222222222, 'height'),
+        question(333333333, 'weight')
+    ],
+    fileNames: ['111111111.json', '222222222.json', 'legacy-weight.json']
+};
+
+describe('compareConceptFolder', () => {
+    test('sorts concepts into added, modified, removed and unchanged', () => {
+        const local = folder(
+            question(111111111, 'age', { text: 'What is your age?' }),
+            question(222222222, 'height'),
+            question(444444444, 'shoe_size')
+        );
+
+        const comparison = compareConceptFolder(local, REMOTE, CONFIG);
+
+        expect(comparison.added.map(change => change.id)).toEqual(['444444444']);
+        expect(comparison.modified.map(change => change.id)).toEqual(['111111111']);
+        expect(comparison.unchanged.map(change => change.id)).toEqual(['222222222']);
+        expect(comparison.removed.map(change => [change.id, change.file])).toEqual([['333333333', 'legacy-weight.json']]);
+    });
+
+    test('lists the changed fields of a modified concept', () => {
+        const local = folder(question(111111111, 'age', { text: 'What is your age?' }));
+
+        const [change] = compareConceptFolder(local, REMOTE, CONFIG).modified;
+
+        expect(change.changes).toEqual([
+            { field: 'text', label: 'Text', before: 'How old are you?', after: 'What is your age?', change: 'changed' }
+        ]);
+    });
+
+    test('matches a file that spells the ID conceptId', () => {
+        const local = folder({ key: 'height', conceptId: 222222222, object_type: 'QUESTION' });
+
+        const comparison = compareConceptFolder(local, REMOTE, CONFIG);
+
+        expect(comparison.unchanged.map(change => change.id)).toEqual(['222222222']);
+        expect(comparison.added).toEqual([]);
+    });
+});
+
+describe('planFolderCommit', () => {
+    const local = folder(
+        question(111111111, 'age', { text: 'What is your age?' }),
+        question(444444444, 'shoe_size')
+    );
+    const comparison = compareConceptFolder(local, REMOTE, CONFIG);
+
+    test('writes and removes only the picked changes', () => {
+        const { files, deletions } = planFolderCommit(comparison, new Set(['111111111', '333333333']));
+
+        expect(files.map(file => file.name)).toEqual(['111111111.json']);
+        expect(deletions).toEqual(['legacy-weight.json']);
+    });
+
+    test('writes files as the import does, without the file tag', () => {
+        const { files } = planFolderCommit(comparison, new Set(['444444444']));
+
+        expect(files[0]).toEqual({
+            name: '444444444.json',
+            content: JSON.stringify(question(444444444, 'shoe_size'), null, 2)
+        });
+    });
+});
+
+describe('findFolderDependents', () => {
+    const REFERENCE_CONFIG = {
+        QUESTION: [
+            { id: 'key', label: 'Key' },
+            { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true }
+        ],
+        RESPONSE: [{ id: 'key', label: 'Key' }]
+    };
+    const response = (conceptID, key) => ({ key, conceptID, object_type: 'RESPONSE' });
+
+    const remote = {
+        concepts: [
+            question(111111111, 'age', { responses: ['555555551', '555555552'] }),
+            response(555555551, 'yes'),
+            response(555555552, 'no')
+        ],
+        fileNames: ['111111111.json', '555555551.json', '555555552.json']
+    };
+
+    test('reports a concept left referencing a removed one', () => {
+        const local = folder(question(111111111, 'age', { responses: ['555555551', '555555552'] }), response(555555551, 'yes'));
+        const comparison = compareConceptFolder(local, remote, REFERENCE_CONFIG);
+
+        const dependents = findFolderDependents(comparison, new Set(['555555552']), remote, REFERENCE_CONFIG);
+
+        expect(dependents.map(dependent => [dependent.file, dependent.references])).toEqual([
+            ['111111111.json', [{ fieldId: 'responses', label: 'Responses', ids: ['555555552'] }]]
+        ]);
+    });
+
+    test('accepts the removal when the pushed version drops the reference', () => {
+        const local = folder(question(111111111, 'age', { responses: ['555555551'] }), response(555555551, 'yes'));
+        const comparison = compareConceptFolder(local, remote, REFERENCE_CONFIG);
+
+        expect(findFolderDependents(comparison, new Set(['111111111', '555555552']), remote, REFERENCE_CONFIG)).toEqual([]);
+        expect(findFolderDependents(comparison, new Set(['555555552']), remote, REFERENCE_CONFIG)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Relationship graph tests
+ *
+ * The graph is drawn a neighbourhood at a time, so these check the edges come from
+ * config.json reference fields and that hop counts and node limits bound what is drawn.
+ */
+
+import { jest } from '@jest/globals';
+
+import { buildConceptGraph, findGraphNode, getNeighborhood, layoutRadial, renderConceptGraph } from '../../src/graph.js';
+
+const CONFIG = {
+    SECONDARY: [{ id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY' }],
+    QUESTION: [
+        { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' },
+        { id: 'sourceConceptId', label: 'Source', type: 'reference', referencesType: 'SOURCE' },
+        { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true }
+    ]
+};
+
+const CONCEPTS = [
+    { conceptID: 100000001, object_type: 'PRIMARY', key: 'survey' },
+    { conceptID: 200000001, object_type: 'SECONDARY', key: 'section', primaryConceptId: 100000001 },
+    { conceptID: 300000001, object_type: 'QUESTION', key: 'q1', secondaryConceptId: 200000001, sourceConceptId: 400000001, responses: [500000001, 500000002] },
+    { conceptID: 300000002, object_type: 'QUESTION', key: 'q2', secondaryConceptId: 200000001, responses: '500000001, 999999999' },
+    { conceptID: 400000001, object_type: 'SOURCE', key: 'source' },
+    { conceptID: 500000001, object_type: 'RESPONSE', key: 'yes' },
+    { conceptID: 500000002, object_type: 'RESPONSE', key: 'no' }
+];
+
+describe('buildConceptGraph', () => {
+    test('adds an edge for every resolvable reference, labelled by field', () => {
+        const graph = buildConceptGraph(CONCEPTS, CONFIG);
+
+        expect(graph.nodes.size).toBe(7);
+        expect(graph.edges).toContainEqual({ from: '300000001', to: '400000001', label: 'Source' });
+        expect(graph.edges).toContainEqual({ from: '300000002', to: '500000001', label: 'Responses' });
+        expect(graph.edges).toHaveLength(7);
+    });
+
+    test('leaves out references to concepts that do not exist', () => {
+        const graph = buildConceptGraph(CONCEPTS, CONFIG);
+
+        expect(graph.edges.some(edge => edge.to === '999999999')).toBe(false);
+    });
+
+    test('connects concepts in both directions', () => {
+        const graph = buildConceptGraph(CONCEPTS, CONFIG);
+
+        expect([...graph.adjacency.get('500000001')].sort()).toEqual(['300000001', '300000002']);
+        expect(graph.adjacency.get('300000001').has('500000001')).toBe(true);
+    });
+});
+
+describe('findGraphNode', () => {
+    const graph = buildConceptGraph(CONCEPTS, CONFIG);
+
+    test('finds concepts by ID or by key regardless of case', () => {
+        expect(findGraphNode(graph, '300000001')).toBe('300000001');
+        expect(findGraphNode(graph, ' Section ')).toBe('200000001');
+    });
+
+    test('returns null when nothing matches', () => {
+        expect(findGraphNode(graph, 'missing')).toBeNull();
+        expect(findGraphNode(graph, '')).toBeNull();
+    });
+});
+
+describe('getNeighborhood', () => {
+    const graph = buildConceptGraph(CONCEPTS, CONFIG);
+
+    test('collects concepts within the hop count, following edges both ways', () => {
+        const { distances, edges, truncated } = getNeighborhood(graph, '500000001', 1);
+
+        expect([...distances.keys()].sort()).toEqual(['300000001', '300000002', '500000001']);
+        expect(edges).toHaveLength(2);
+        expect(truncated).toBe(false);
+    });
+
+    test('records the hop distance of each concept', () => {
+        const { distances } = getNeighborhood(graph, '500000001', 3);
+
+        expect(distances.get('200000001')).toBe(2);
+        expect(distances.get('100000001')).toBe(3);
+        expect(distances.get('500000002')).toBe(2);
+    });
+
+    test('keeps the nearest concepts when the limit is reached', () => {
+        const { distances, truncated } = getNeighborhood(graph, '500000001', 3, 4);
+
+        expect(distances.size).toBe(4);
+        expect(distances.has('100000001')).toBe(false);
+        expect(truncated).toBe(true);
+    });
+
+    test('returns nothing for an unknown focus', () => {
+        expect(getNeighborhood(graph, 'missing', 2).distances.size).toBe(0);
+    });
+});
+
+describe('layoutRadial', () => {
+    const graph = buildConceptGraph(CONCEPTS, CONFIG);
+
+    test('centres the focus and places each hop on a larger ring', () => {
+        const positions = layoutRadial(getNeighborhood(graph, '300000001', 2), graph);
+        const radius = (id) => Math.hypot(positions.get(id).x, positions.get(id).y);
+
+        expect(positions.get('300000001')).toEqual({ x: 0, y: 0 });
+        expect(radius('200000001')).toBeGreaterThan(0);
+        expect(radius('100000001')).toBeGreaterThan(radius('200000001'));
+    });
+
+    test('is deterministic', () => {
+        const neighborhood = getNeighborhood(graph, '300000001', 2);
+
+        expect(layoutRadial(neighborhood, graph)).toEqual(layoutRadial(neighborhood, graph));
+    });
+});
+
+describe('renderConceptGraph', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    test('focuses the first PRIMARY by default', () => {
+        renderConceptGraph(container, buildConceptGraph(CONCEPTS, CONFIG), { onViewConcept: jest.fn() });
+
+        expect(container.querySelector('.graph-focus').dataset.id).toBe('100000001');
+        expect(container.querySelector('#graphFocus').value).toBe('survey');
+    });
+
+    test('refocuses on a clicked node and reports the change', () => {
+        const onFocusChange = jest.fn();
+        renderConceptGraph(container, buildConceptGraph(CONCEPTS, CONFIG), { onViewConcept: jest.fn(), onFocusChange });
+
+        container.querySelector('.graph-node[data-id="200000001"] circle').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+        expect(onFocusChange).toHaveBeenCalledWith('200000001');
+        expect(container.querySelector('.graph-focus').dataset.id).toBe('200000001');
+    });
+
+    test('marks an unknown focus query as invalid', () => {
+        renderConceptGraph(container, buildConceptGraph(CONCEPTS, CONFIG), { onViewConcept: jest.fn() });
+
+        const input = container.querySelector('#graphFocus');
+        input.value = 'missing';
+        input.dispatchEvent(new window.Event('change'));
+
+        expect(input.classList.contains('is-invalid')).toBe(true);
+    });
+
+    test('passes View clicks for the focused concept to the handler', () => {
+        const onViewConcept = jest.fn();
+        renderConceptGraph(container, buildConceptGraph(CONCEPTS, CONFIG), { focusId: '500000001', onViewConcept });
+
+        container.querySelector('#graphDetails .viewFileBtn').click();
+
+        expect(onViewConcept).toHaveBeenCalledTimes(1);
+        expect(container.querySelector('#graphDetails .viewFileBtn').dataset.bsFile).toBe('500000001.json');
+    });
+});
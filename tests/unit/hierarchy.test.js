@@ -0,0 +1,81 @@
+/**
+ * Concept hierarchy tests
+ *
+ * The hierarchy is inferred from config-declared reference fields, so these cover
+ * which references count as links and what is left over as an orphan.
+ */
+
+import { buildHierarchy, getHierarchyFields, getReferenceIds } from '../../src/hierarchy.js';
+
+const CONFIG = {
+    SECONDARY: [{ id: 'primaryConceptId', type: 'reference', referencesType: 'PRIMARY' }],
+    QUESTION: [
+        { id: 'secondaryConceptId', type: 'reference', referencesType: 'SECONDARY' },
+        { id: 'sourceConceptId', type: 'reference', referencesType: 'SOURCE' },
+        { id: 'responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true }
+    ]
+};
+
+const CONCEPTS = [
+    { conceptID: 100000001, object_type: 'PRIMARY', key: 'p' },
+    { conceptID: 200000001, object_type: 'SECONDARY', key: 's', primaryConceptId: 100000001 },
+    { conceptID: 300000001, object_type: 'QUESTION', key: 'q1', secondaryConceptId: 200000001, responses: ['500000001', '500000002'] },
+    { conceptID: 300000002, object_type: 'QUESTION', key: 'q2', secondaryConceptId: '200000001', responses: ['500000001'] },
+    { conceptID: 400000001, object_type: 'SOURCE', key: 'src' },
+    { conceptID: 500000001, object_type: 'RESPONSE', key: 'yes' },
+    { conceptID: 500000002, object_type: 'RESPONSE', key: 'no' },
+    { conceptID: 500000003, object_type: 'RESPONSE', key: 'unused' }
+];
+
+describe('getHierarchyFields', () => {
+    test('resolves the linking fields from the configuration', () => {
+        expect(getHierarchyFields(CONFIG)).toEqual({
+            secToParent: 'primaryConceptId',
+            qToSecondary: 'secondaryConceptId',
+            qToResponses: 'responses'
+        });
+    });
+
+    test('returns null for links the configuration does not declare', () => {
+        expect(getHierarchyFields({})).toEqual({ secToParent: null, qToSecondary: null, qToResponses: null });
+    });
+});
+
+describe('getReferenceIds', () => {
+    test('reads single, list and comma-separated values as strings', () => {
+        expect(getReferenceIds(123456789)).toEqual(['123456789']);
+        expect(getReferenceIds(['1', 2])).toEqual(['1', '2']);
+        expect(getReferenceIds('1, 2,')).toEqual(['1', '2']);
+        expect(getReferenceIds('')).toEqual([]);
+        expect(getReferenceIds(undefined)).toEqual([]);
+    });
+});
+
+describe('buildHierarchy', () => {
+    const hierarchy = buildHierarchy(CONCEPTS, CONFIG);
+
+    test('links each level to the next, whichever way the reference points', () => {
+        expect(hierarchy.roots).toEqual(['100000001']);
+        expect(hierarchy.children.get('100000001')).toEqual(['200000001']);
+        expect(hierarchy.children.get('200000001')).toEqual(['300000001', '300000002']);
+        expect(hierarchy.children.get('300000001')).toEqual(['500000001', '500000002']);
+    });
+
+    test('gives a shared response every question as a parent', () => {
+        expect(hierarchy.parents.get('500000001')).toEqual(['300000001', '300000002']);
+    });
+
+    test('reports unplaced concepts as orphans, but never PRIMARY or SOURCE', () => {
+        expect(hierarchy.orphans).toEqual(['500000003']);
+    });
+
+    test('does not link through dangling or wrong-type references', () => {
+        const { orphans } = buildHierarchy([
+            { conceptID: 200000009, object_type: 'SECONDARY', primaryConceptId: 999999999 },
+            { conceptID: 300000009, object_type: 'QUESTION', secondaryConceptId: 400000001 },
+            { conceptID: 400000001, object_type: 'SOURCE' }
+        ], CONFIG);
+
+        expect(orphans).toEqual(['200000009', '300000009']);
+    });
+});
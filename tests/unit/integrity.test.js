@@ -0,0 +1,281 @@
+/**
+ * Repository integrity check tests
+ *
+ * Each check is exercised against a small repository that is clean apart from the
+ * one problem under test, so a stray issue from another check shows up as a failure.
+ */
+
+import { checkRepositoryIntegrity, planIntegrityFixes, INTEGRITY_CHECKS } from '../../src/integrity.js';
+import { countCommitOverflow } from '../../src/api.js';
+import { API_CONFIG } from '../../src/config.js';
+
+const CONFIG = {
+    PRIMARY: [{ id: 'key', label: 'Key', required: true }],
+    SECONDARY: [
+        { id: 'key', label: 'Key', required: true },
+        { id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY', required: true }
+    ],
+    QUESTION: [
+        { id: 'key', label: 'Key', required: true },
+        { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' },
+        { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true }
+    ],
+    RESPONSE: [{ id: 'key', label: 'Key', required: true }]
+};
+
+const CONCEPTS = [
+    { conceptID: 100000001, object_type: 'PRIMARY', key: 'survey' },
+    { conceptID: 200000001, object_type: 'SECONDARY', key: 'section', primaryConceptId: 100000001 },
+    { conceptID: 300000001, object_type: 'QUESTION', key: 'q1', secondaryConceptId: 200000001, responses: [500000001] },
+    { conceptID: 500000001, object_type: 'RESPONSE', key: 'yes' }
+];
+
+/**
+ * Builds a consistent repository from concepts: files, index and filenames all agree
+ */
+const repository = (concepts = CONCEPTS, overrides = {}) => {
+    const fileNames = concepts.map(concept => `${concept.conceptID}.json`);
+
+    return {
+        concepts,
+        fileNames,
+        files: fileNames.map(name => ({ name })),
+        index: {
+            _files: Object.fromEntries(concepts.map((concept, i) => [fileNames[i], { key: concept.key, object_type: concept.object_type }]))
+        },
+        config: CONFIG,
+        ...overrides
+    };
+};
+
+const replace = (conceptId, changes) => CONCEPTS.map(concept =>
+    concept.conceptID === conceptId ? { ...concept, ...changes } : concept
+);
+
+const issueTypes = (report) => report.issues.map(issue => issue.type);
+
+describe('checkRepositoryIntegrity', () => {
+    test('passes a consistent repository', () => {
+        const report = checkRepositoryIntegrity(repository());
+
+        expect(report.valid).toBe(true);
+        expect(report.issues).toEqual([]);
+        expect(report.summary.conceptCount).toBe(4);
+    });
+
+    test('reports references to concepts that do not exist', () => {
+        const report = checkRepositoryIntegrity(repository(replace(300000001, { responses: [500000001, 599999999] })));
+
+        expect(issueTypes(report)).toEqual(['DANGLING_REFERENCE']);
+        expect(report.issues[0]).toMatchObject({ file: '300000001.json', fieldId: 'responses', referencedId: '599999999' });
+    });
+
+    test('reads comma-separated references left by older edits', () => {
+        const report = checkRepositoryIntegrity(repository(replace(300000001, { responses: '500000001, 599999999' })));
+
+        expect(issueTypes(report)).toEqual(['DANGLING_REFERENCE']);
+    });
+
+    test('reports references to a concept of the wrong type', () => {
+        const report = checkRepositoryIntegrity(repository(replace(300000001, { secondaryConceptId: 100000001 })));
+
+        expect(issueTypes(report)).toEqual(['WRONG_REFERENCE_TYPE']);
+        expect(report.issues[0].message).toContain('should reference a SECONDARY concept');
+    });
+
+    test('reports empty required fields', () => {
+        const report = checkRepositoryIntegrity(repository(replace(200000001, { primaryConceptId: '' })));
+
+        expect(issueTypes(report)).toEqual(['MISSING_REQUIRED_FIELD']);
+        expect(report.issues[0]).toMatchObject({ conceptId: '200000001', fieldId: 'primaryConceptId', field: 'Primary' });
+    });
+
+    test('reports keys used twice, ignoring case, once per concept', () => {
+        const report = checkRepositoryIntegrity(repository(replace(500000001, { key: 'Q1' })));
+
+        expect(issueTypes(report)).toEqual(['DUPLICATE_KEY', 'DUPLICATE_KEY']);
+        expect(report.issues.map(issue => issue.conflictingConceptIds)).toEqual([['500000001'], ['300000001']]);
+    });
+
+    test('reports a file whose name does not match its concept ID', () => {
+        const repo = repository();
+        repo.fileNames[3] = '500000009.json';
+        repo.files[3] = { name: '500000009.json' };
+        repo.index._files = { ...repo.index._files, '500000009.json': repo.index._files['500000001.json'] };
+        delete repo.index._files['500000001.json'];
+
+        const report = checkRepositoryIntegrity(repo);
+
+        expect(issueTypes(report)).toEqual(['FILENAME_MISMATCH']);
+        expect(report.issues[0].suggestion).toContain('500000001.json');
+    });
+
+    test('reports index entries without files and files missing from the index', () => {
+        const repo = repository();
+        repo.index._files['999999999.json'] = { key: 'ghost', object_type: 'QUESTION' };
+        delete repo.index._files['100000001.json'];
+
+        const report = checkRepositoryIntegrity(repo);
+
+        expect(issueTypes(report).sort()).toEqual(['FILE_MISSING_FROM_INDEX', 'INDEX_ENTRY_WITHOUT_FILE']);
+        expect(report.issues.find(issue => issue.type === 'INDEX_ENTRY_WITHOUT_FILE').key).toBe('ghost');
+    });
+
+    test('reports files that used the legacy ID spelling as a warning', () => {
+        const report = checkRepositoryIntegrity(repository(CONCEPTS, { legacyIdFiles: ['100000001.json'] }));
+
+        expect(issueTypes(report)).toEqual(['LEGACY_ID_SPELLING']);
+        expect(report.issues[0].severity).toBe('warning');
+    });
+
+    test('reports index entries that disagree with the file', () => {
+        const repo = repository();
+        repo.index._files['500000001.json'] = { key: 'old', object_type: 'RESPONSE' };
+
+        const report = checkRepositoryIntegrity(repo);
+
+        expect(issueTypes(report)).toEqual(['STALE_INDEX_ENTRY']);
+    });
+
+    test('reports files that could not be read', () => {
+        const report = checkRepositoryIntegrity(repository(CONCEPTS, { failed: ['broken.json'] }));
+
+        expect(issueTypes(report)).toEqual(['UNREADABLE_FILE']);
+    });
+
+    test('counts issues by type, covering every check', () => {
+        const report = checkRepositoryIntegrity(repository(replace(300000001, { responses: [599999999] })));
+
+        expect(Object.keys(report.summary.byType)).toEqual(Object.keys(INTEGRITY_CHECKS));
+        expect(report.summary.byType.DANGLING_REFERENCE).toBe(1);
+        expect(report.summary.issueCount).toBe(1);
+    });
+});
+
+describe('planIntegrityFixes', () => {
+    const written = (plan, name) => JSON.parse(plan.writes.find(write => write.name === name).content);
+
+    test('plans nothing for a consistent repository', () => {
+        expect(planIntegrityFixes(repository())).toEqual({ changes: [], writes: [], deletions: [] });
+    });
+
+    test('counts the files a plan is over what one commit can hold', () => {
+        const responses = Array.from({ length: API_CONFIG.COMMIT_FILE_LIMIT }, (_, i) => ({ conceptID: 500000001 + i, object_type: 'RESPONSE', key: `response ${i}` }));
+        const plan = planIntegrityFixes(repository(responses, { legacyIdFiles: responses.map(concept => `${concept.conceptID}.json`) }));
+
+        // Every file is rewritten, and index.json with them
+        expect(countCommitOverflow(plan.writes, plan.deletions)).toBe(1);
+        expect(countCommitOverflow(plan.writes.slice(1), plan.deletions)).toBe(0);
+    });
+
+    test('rewrites the legacy ID spelling with conceptID first', () => {
+        const plan = planIntegrityFixes(repository(CONCEPTS, { legacyIdFiles: ['200000001.json'] }));
+
+        expect(Object.keys(written(plan, '200000001.json'))[0]).toBe('conceptID');
+        expect(written(plan, '200000001.json').conceptId).toBeUndefined();
+        expect(plan.changes).toEqual([{ file: '200000001.json', target: '200000001.json', actions: ['Rename "conceptId" to "conceptID"'] }]);
+    });
+
+    test('removes dangling references and keeps the rest', () => {
+        const plan = planIntegrityFixes(repository(replace(300000001, { responses: [500000001, 599999999] })));
+
+        expect(written(plan, '300000001.json').responses).toEqual([500000001]);
+        expect(plan.changes[0].actions).toEqual(['Remove missing reference 599999999 from "Responses"']);
+    });
+
+    test('keeps the shape of comma-separated references', () => {
+        const plan = planIntegrityFixes(repository(replace(300000001, { responses: '500000001, 599999999, 588888888' })));
+
+        expect(written(plan, '300000001.json').responses).toBe('500000001');
+    });
+
+    test('drops an optional reference field left empty, but keeps a required one', () => {
+        const optional = planIntegrityFixes(repository(replace(300000001, { secondaryConceptId: 299999999 })));
+        const required = planIntegrityFixes(repository(replace(200000001, { primaryConceptId: 199999999 })));
+
+        expect('secondaryConceptId' in written(optional, '300000001.json')).toBe(false);
+        expect(written(required, '200000001.json').primaryConceptId).toBe('');
+    });
+
+    test('moves a misnamed file to its ID, carrying its index entry', () => {
+        const repo = repository();
+        repo.fileNames[3] = '500000009.json';
+        repo.files[3] = { name: '500000009.json' };
+        repo.index._files = { ...repo.index._files, '500000009.json': repo.index._files['500000001.json'] };
+        delete repo.index._files['500000001.json'];
+
+        const plan = planIntegrityFixes(repo);
+
+        expect(plan.deletions).toEqual(['500000009.json']);
+        expect(written(plan, '500000001.json').key).toBe('yes');
+        expect(written(plan, 'index.json')._files['500000001.json']).toEqual({ key: 'yes', object_type: 'RESPONSE' });
+        expect(written(plan, 'index.json')._files['500000009.json']).toBeUndefined();
+        expect(plan.changes).toEqual([{ file: '500000009.json', target: '500000001.json', actions: ['Rename to 500000001.json'] }]);
+    });
+
+    test('does not move a misnamed file onto an existing file', () => {
+        const repo = repository([...CONCEPTS, { conceptID: 500000001, object_type: 'RESPONSE', key: 'copy' }]);
+        repo.fileNames[4] = '500000009.json';
+        repo.files[4] = { name: '500000009.json' };
+        repo.index._files['500000009.json'] = { key: 'copy', object_type: 'RESPONSE' };
+        delete repo.index._files['500000001.json'];
+        repo.index._files['500000001.json'] = { key: 'yes', object_type: 'RESPONSE' };
+
+        const plan = planIntegrityFixes(repo);
+
+        expect(plan.deletions).toEqual([]);
+        expect(plan.writes).toEqual([]);
+    });
+
+    test('brings index.json in line with the files, keeping its other contents', () => {
+        const repo = repository();
+        repo.index.conceptID = 'next';
+        repo.index._files['999999999.json'] = { key: 'ghost', object_type: 'QUESTION' };
+        repo.index._files['500000001.json'] = { key: 'old', object_type: 'RESPONSE' };
+        delete repo.index._files['100000001.json'];
+
+        const plan = planIntegrityFixes(repo);
+        const index = written(plan, 'index.json');
+
+        expect(plan.writes.map(write => write.name)).toEqual(['index.json']);
+        expect(index.conceptID).toBe('next');
+        expect(index._files['999999999.json']).toBeUndefined();
+        expect(index._files['500000001.json'].key).toBe('yes');
+        expect(index._files['100000001.json']).toEqual({ key: 'survey', object_type: 'PRIMARY' });
+    });
+
+    test('rebuilds the search lists and file count with the entries', () => {
+        const repo = repository();
+        repo.index._metadata = { last_updated: '2020-01-01T00:00:00.000Z', total_files: 4, version: '2.0' };
+        repo.index._search = {
+            by_key: { survey: ['100000001.json'], old: ['500000001.json'], ghost: ['999999999.json'] },
+            by_type: { QUESTION: ['300000001.json', '999999999.json'] }
+        };
+        repo.index._files['999999999.json'] = { key: 'ghost', object_type: 'QUESTION' };
+        repo.index._files['500000001.json'] = { key: 'old', object_type: 'RESPONSE' };
+
+        const index = written(planIntegrityFixes(repo), 'index.json');
+
+        expect(index._search.by_key).toEqual({
+            survey: ['100000001.json'],
+            section: ['200000001.json'],
+            q1: ['300000001.json'],
+            yes: ['500000001.json']
+        });
+        expect(index._search.by_type).toEqual({
+            PRIMARY: ['100000001.json'],
+            SECONDARY: ['200000001.json'],
+            QUESTION: ['300000001.json'],
+            RESPONSE: ['500000001.json']
+        });
+        expect(index._metadata).toMatchObject({ total_files: 4, version: '2.0' });
+        expect(index._metadata.last_updated).not.toBe('2020-01-01T00:00:00.000Z');
+    });
+
+    test('does not modify the loaded concepts', () => {
+        const concepts = replace(300000001, { responses: [500000001, 599999999] });
+        planIntegrityFixes(repository(concepts));
+
+        expect(concepts[2].responses).toEqual([500000001, 599999999]);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Import journal tests
+ *
+ * The journal decides what a retry sends, so the behaviour that matters is that
+ * committed batches are never sent again and failed ones always are, and that rolling
+ * a batch back restores exactly what it replaced.
+ */
+
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import {
+    BATCH_STATUS,
+    createImportJournal,
+    recordBatch,
+    getUnfinishedBatches,
+    getCommittedBatches,
+    planBatchRollback,
+    planRollbackCommits,
+    findRollbackConflicts,
+    summarizeJournal,
+    getRetryAt,
+    getRetryDelay
+} from '../../src/journal.js';
+
+beforeAll(() => {
+    global.TextEncoder = TextEncoder;
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+});
+
+const files = (count) => Array.from({ length: count }, (_, i) => ({ name: `${i}.json`, content: '{}' }));
+
+describe('createImportJournal', () => {
+    test('splits the files into pending batches', () => {
+        const journal = createImportJournal(files(5), 2);
+
+        expect(journal.batches.map(batch => [batch.index, batch.files.length, batch.status])).toEqual([
+            [0, 2, 'pending'], [1, 2, 'pending'], [2, 1, 'pending']
+        ]);
+        expect(Date.parse(journal.createdAt)).not.toBeNaN();
+    });
+});
+
+describe('recordBatch', () => {
+    test('marks one batch and leaves the journal given unchanged', () => {
+        const journal = createImportJournal(files(4), 2);
+        const updated = recordBatch(journal, 1, BATCH_STATUS.COMMITTED, { commitSha: 'abc' });
+
+        expect(updated.batches[1]).toMatchObject({ status: 'committed', commitSha: 'abc' });
+        expect(updated.batches[0].status).toBe('pending');
+        expect(journal.batches[1].status).toBe('pending');
+    });
+
+    test('keeps the error and when a rate limit lifts', () => {
+        const error = Object.assign(new Error('Commit files failed'), { retryAfter: 60 });
+        const now = Date.parse('2026-01-01T00:00:00.000Z');
+
+        const [batch] = recordBatch(createImportJournal(files(1), 2), 0, BATCH_STATUS.FAILED, { error, now }).batches;
+
+        expect(batch).toMatchObject({ status: 'failed', error: 'Commit files failed', retryAt: '2026-01-01T00:01:00.000Z' });
+    });
+
+    test('drops an old error once the batch lands', () => {
+        let journal = createImportJournal(files(1), 2);
+        journal = recordBatch(journal, 0, BATCH_STATUS.FAILED, { error: new Error('failed') });
+        journal = recordBatch(journal, 0, BATCH_STATUS.COMMITTED);
+
+        expect(journal.batches[0]).not.toHaveProperty('error');
+    });
+});
+
+describe('getRetryAt', () => {
+    const now = Date.parse('2026-01-01T00:00:00.000Z');
+
+    test('reads the wait from retryAfter or the rate limit reset', () => {
+        expect(getRetryAt(Object.assign(new Error('limited'), { retryAfter: 30 }), now)).toBe('2026-01-01T00:00:30.000Z');
+        expect(getRetryAt(Object.assign(new Error('limited'), { rateLimit: { resetIn: 90 } }), now)).toBe('2026-01-01T00:01:30.000Z');
+    });
+
+    test('returns null when the error does not say', () => {
+        expect(getRetryAt(new Error('failed'), now)).toBeNull();
+    });
+});
+
+describe('getRetryDelay', () => {
+    const now = Date.parse('2026-01-01T00:00:00.000Z');
+
+    test('counts the milliseconds left until the retry time', () => {
+        expect(getRetryDelay('2026-01-01T00:01:00.000Z', now)).toBe(60000);
+    });
+
+    test('does not wait once the time has passed, or without one', () => {
+        expect(getRetryDelay('2025-12-31T23:59:00.000Z', now)).toBe(0);
+        expect(getRetryDelay(null, now)).toBe(0);
+    });
+});
+
+describe('getUnfinishedBatches', () => {
+    test('returns failed and pending batches, not committed ones', () => {
+        let journal = createImportJournal(files(6), 2);
+        journal = recordBatch(journal, 0, BATCH_STATUS.COMMITTED);
+        journal = recordBatch(journal, 1, BATCH_STATUS.FAILED, { error: new Error('failed') });
+
+        expect(getUnfinishedBatches(journal).map(batch => batch.index)).toEqual([1, 2]);
+        expect(getUnfinishedBatches(null)).toEqual([]);
+    });
+});
+
+describe('getCommittedBatches', () => {
+    test('returns committed batches, last first', () => {
+        let journal = createImportJournal(files(6), 2);
+        journal = recordBatch(journal, 0, BATCH_STATUS.COMMITTED);
+        journal = recordBatch(journal, 1, BATCH_STATUS.COMMITTED);
+        journal = recordBatch(journal, 2, BATCH_STATUS.FAILED, { error: new Error('failed') });
+
+        expect(getCommittedBatches(journal).map(batch => batch.index)).toEqual([1, 0]);
+        expect(getCommittedBatches(null)).toEqual([]);
+    });
+});
+
+describe('planBatchRollback', () => {
+    test('writes back replaced files and deletes added ones', () => {
+        const batch = {
+            index: 0,
+            status: BATCH_STATUS.COMMITTED,
+            files: [
+                { name: '1.json', content: '{"key":"new"}', previous: '{"key":"old"}' },
+                { name: '2.json', content: '{"key":"added"}', previous: null }
+            ]
+        };
+
+        expect(planBatchRollback(batch)).toEqual({
+            files: [{ name: '1.json', content: '{"key":"old"}' }],
+            deletions: ['2.json']
+        });
+    });
+
+    test('leaves alone a file whose previous content was not recorded', () => {
+        const batch = { index: 0, status: BATCH_STATUS.COMMITTED, files: files(1) };
+
+        expect(planBatchRollback(batch)).toEqual({ files: [], deletions: [] });
+    });
+});
+
+describe('planRollbackCommits', () => {
+    const commitAll = (journal) => journal.batches.reduce((updated, batch) => recordBatch(updated, batch.index, BATCH_STATUS.COMMITTED), journal);
+
+    test('undoes as many batches a commit as the file limit allows, last first', () => {
+        const replaced = files(5).map(file => ({ ...file, previous: '{"key":"old"}' }));
+        const journal = commitAll(createImportJournal(replaced, 2));
+
+        expect(planRollbackCommits(journal, 4).map(commit => [commit.batches, commit.files.length])).toEqual([
+            [[2, 1], 3],
+            [[0], 2]
+        ]);
+    });
+
+    test('leaves out the batches that are not committed', () => {
+        let journal = createImportJournal(files(4).map(file => ({ ...file, previous: null })), 2);
+        journal = recordBatch(journal, 0, BATCH_STATUS.COMMITTED);
+
+        expect(planRollbackCommits(journal, 1000)).toEqual([
+            { batches: [0], files: [], deletions: ['0.json', '1.json'] }
+        ]);
+    });
+});
+
+describe('findRollbackConflicts', () => {
+    const journal = recordBatch(createImportJournal([
+        { name: '1.json', content: '{}', previous: null },
+        { name: '2.json', content: '{"a":1}', previous: '{}' }
+    ], 2), 0, BATCH_STATUS.COMMITTED);
+
+    test('finds nothing while the branch holds what the import committed', async () => {
+        // The SHAs git hash-object gives the two contents
+        const current = [
+            { name: '1.json', sha: '9e26dfeeb6e641a33dae4961196235bdb965b21b' },
+            { name: '2.json', sha: 'daa5053ecf5f9a37b2de733d0751cc1ab53ac010' }
+        ];
+
+        await expect(findRollbackConflicts(journal, current)).resolves.toEqual([]);
+    });
+
+    test('lists files edited or removed since', async () => {
+        const current = [{ name: '2.json', sha: 'f00d' }];
+
+        await expect(findRollbackConflicts(journal, current)).resolves.toEqual(['1.json', '2.json']);
+    });
+
+    test('ignores batches that were never committed', async () => {
+        await expect(findRollbackConflicts(createImportJournal(files(2), 2), [])).resolves.toEqual([]);
+    });
+});
+
+describe('summarizeJournal', () => {
+    test('counts files and batches and takes the latest retry time', () => {
+        let journal = createImportJournal(files(5), 2);
+        journal = recordBatch(journal, 0, BATCH_STATUS.COMMITTED);
+        journal = recordBatch(journal, 1, BATCH_STATUS.FAILED, { error: { message: 'a', retryAfter: 30 }, now: 0 });
+        journal = recordBatch(journal, 2, BATCH_STATUS.FAILED, { error: { message: 'b', rateLimit: { resetIn: 90 } }, now: 0 });
+
+        expect(summarizeJournal(journal)).toEqual({
+            files: 5,
+            committedFiles: 2,
+            failedBatches: 2,
+            pendingBatches: 0,
+            retryAt: new Date(90000).toISOString()
+        });
+    });
+});
@@ -125,16 +125,55 @@ describe('loadAllConcepts', () => {
         expect(concepts[0].conceptId).toBeUndefined();
     });
 
+    it('reports the files that used the legacy spelling, from the archive and the cache', async () => {
+        global.JSZip = { loadAsync: async () => fakeZip({ ...CONCEPTS, '333333333.json': { conceptId: 333333333, key: 'gamma' } }) };
+        appState.setState({ files: [...Object.keys(CONCEPTS), '333333333.json'].map(name => ({ name })) });
+
+        const first = await loadAllConcepts();
+        const second = await loadAllConcepts();
+
+        expect(first.legacyIdFiles).toEqual(['333333333.json']);
+        expect(second.fromCache).toBe(true);
+        expect(second.legacyIdFiles).toEqual(['333333333.json']);
+    });
+
     it('serves a cache entry written by a previous session without downloading', async () => {
-        await writeCachedConcepts('owner', 'repo', 'tree-1', [{ conceptID: 1, key: 'preloaded' }]);
+        await writeCachedConcepts('owner', 'repo', 'tree-1', [{ conceptID: 1, key: 'preloaded' }], { fileNames: ['1.json'], legacyIdFiles: [] });
 
-        const { concepts, fromCache } = await loadAllConcepts();
+        const { concepts, fileNames, fromCache } = await loadAllConcepts();
 
         expect(fromCache).toBe(true);
         expect(concepts[0].key).toBe('preloaded');
+        expect(fileNames).toEqual(['1.json']);
         expect(downloads).toBe(0);
     });
 
+    it('downloads again when the cache entry predates filenames being kept', async () => {
+        await writeCachedConcepts('owner', 'repo', 'tree-1', [{ conceptID: 1, key: 'preloaded' }]);
+
+        const { fromCache } = await loadAllConcepts();
+
+        expect(fromCache).toBe(false);
+        expect(downloads).toBe(1);
+    });
+
+    it('returns the file each concept was read from, from the archive and the cache', async () => {
+        const first = await loadAllConcepts();
+        const second = await loadAllConcepts();
+
+        expect(first.fileNames).toEqual(Object.keys(CONCEPTS));
+        expect(second.fileNames).toEqual(Object.keys(CONCEPTS));
+        expect(second.fromCache).toBe(true);
+    });
+
+    it('shares one download between concurrent callers', async () => {
+        const [first, second] = await Promise.all([loadAllConcepts(), loadAllConcepts()]);
+
+        expect(first.concepts).toHaveLength(2);
+        expect(second.concepts).toHaveLength(2);
+        expect(downloads).toBe(1);
+    });
+
     it('ignores files that are not JSON', async () => {
         appState.setState({ files: [...Object.keys(CONCEPTS), 'README.md'].map(name => ({ name })) });
 
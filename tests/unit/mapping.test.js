@@ -0,0 +1,107 @@
+/**
+ * Column mapping tests
+ *
+ * Headers written outside the tool are matched against the configured field labels;
+ * a confirmed mapping is remembered in config.json and then needs no confirming.
+ */
+
+import { parseColumns, structureDictionary } from '../../src/dictionary.js';
+import { assignConcepts } from '../../src/concepts.js';
+import {
+    COLUMN_MAPPINGS_KEY,
+    normalizeHeader,
+    getMappingTargets,
+    suggestColumnMapping,
+    needsColumnMapping,
+    applyColumnMapping,
+    rememberColumnMapping
+} from '../../src/mapping.js';
+
+const CONFIG = {
+    PRIMARY: [{ id: 'key', label: 'Key', required: true }],
+    QUESTION: [
+        { id: 'key', label: 'Key', required: true },
+        { id: 'text', label: 'Question Text' },
+        { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' }
+    ]
+};
+
+const targetsOf = (headers, config = CONFIG) => suggestColumnMapping(headers, config).map(entry => entry.target);
+
+describe('normalizeHeader', () => {
+    test('ignores case, spacing and punctuation', () => {
+        expect(normalizeHeader('CID (Primary)')).toBe('cid primary');
+        expect(normalizeHeader('  questionText ')).toBe('question text');
+        expect(normalizeHeader(undefined)).toBe('');
+    });
+});
+
+describe('getMappingTargets', () => {
+    test('offers key, Concept ID and non-reference fields for each type', () => {
+        const targets = getMappingTargets(CONFIG).filter(target => target.type === 'QUESTION').map(target => target.target);
+
+        expect(targets).toEqual(['QUESTION_KEY', 'QUESTION_CID', 'QUESTION_TEXT']);
+    });
+});
+
+describe('suggestColumnMapping', () => {
+    test('matches headers to fields by type and label', () => {
+        expect(targetsOf(['CID (Primary)', 'Primary', 'Question', 'Question Text'])).toEqual([
+            'PRIMARY_CID', 'PRIMARY_KEY', 'QUESTION_KEY', 'QUESTION_TEXT'
+        ]);
+    });
+
+    test('keeps TYPE_FIELD headers and leaves unknown headers unmapped', () => {
+        const mapping = suggestColumnMapping(['primary_key', 'Reviewer notes', ''], CONFIG);
+
+        expect(mapping.map(entry => [entry.target, entry.source])).toEqual([
+            ['PRIMARY_KEY', 'header'], [null, 'none'], [null, 'empty']
+        ]);
+    });
+
+    test('gives each field to one header only', () => {
+        expect(targetsOf(['Question Text', 'question_text'])).toEqual([null, 'QUESTION_TEXT']);
+    });
+
+    test('uses remembered headers, including ignored ones', () => {
+        const config = { ...CONFIG, [COLUMN_MAPPINGS_KEY]: { 'wording': 'QUESTION_TEXT', 'reviewer notes': null } };
+        const mapping = suggestColumnMapping(['Wording', 'Reviewer Notes'], config);
+
+        expect(mapping.map(entry => [entry.target, entry.source])).toEqual([['QUESTION_TEXT', 'saved'], [null, 'saved']]);
+        expect(needsColumnMapping(mapping)).toBe(false);
+    });
+});
+
+describe('needsColumnMapping', () => {
+    test('asks only when a header was guessed or not matched', () => {
+        expect(needsColumnMapping(suggestColumnMapping(['PRIMARY_KEY', ''], CONFIG))).toBe(false);
+        expect(needsColumnMapping(suggestColumnMapping(['Primary'], CONFIG))).toBe(true);
+    });
+});
+
+describe('applyColumnMapping', () => {
+    test('gives parseColumns headers it reads and numbers for Concept IDs', () => {
+        const rows = [['survey', ' 100000001 ', 'ignored']];
+        const headers = applyColumnMapping(['PRIMARY_KEY', 'PRIMARY_CID', null], rows);
+        const columns = parseColumns(headers);
+        const concepts = structureDictionary(assignConcepts(columns, rows), columns, rows);
+
+        expect(headers).toEqual(['PRIMARY_KEY', 'PRIMARY_CID', '']);
+        expect(concepts[0]).toMatchObject({ key: 'survey', conceptID: 100000001 });
+    });
+});
+
+describe('rememberColumnMapping', () => {
+    test('stores mapped headers and keeps earlier ones and other settings', () => {
+        const config = { ...CONFIG, [COLUMN_MAPPINGS_KEY]: { 'old header': 'PRIMARY_KEY' } };
+        const updated = rememberColumnMapping(config, ['Question Text', 'PRIMARY_CID', 'Notes'], ['QUESTION_TEXT', 'PRIMARY_CID', null]);
+
+        expect(updated[COLUMN_MAPPINGS_KEY]).toEqual({
+            'old header': 'PRIMARY_KEY',
+            'question text': 'QUESTION_TEXT',
+            'notes': null
+        });
+        expect(updated.QUESTION).toBe(CONFIG.QUESTION);
+        expect(config[COLUMN_MAPPINGS_KEY]).toEqual({ 'old header': 'PRIMARY_KEY' });
+    });
+});
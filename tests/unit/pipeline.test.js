@@ -0,0 +1,146 @@
+/**
+ * Import pipeline tests
+ *
+ * jsdom has no Web Worker, so runImportTask runs each stage on the page here; the
+ * stages and their progress counts are the same either way.
+ */
+
+import { jest } from '@jest/globals';
+import { TextDecoder, TextEncoder } from 'util';
+import * as XLSX from 'xlsx';
+import { appState } from '../../src/common.js';
+import { IMPORT_TASKS, readWorkbook, runImportTask } from '../../src/pipeline.js';
+
+const CONFIG = {
+    PRIMARY: [{ id: 'key', label: 'Key', required: true }],
+    QUESTION: [{ id: 'key', label: 'Key', required: true }]
+};
+
+const HEADERS = ['PRIMARY_KEY', 'PRIMARY_CID', 'QUESTION_KEY', 'QUESTION_CID'];
+
+const ROWS = [
+    ['module', 100000001, 'age', 100000002],
+    [],
+    ['module', 100000001, 'height', 100000003]
+];
+
+/**
+ * A dropped file as readWorkbook uses it; jsdom's File cannot give its bytes back
+ */
+const droppedFile = (name, bytes, type = '') => ({ name, type, arrayBuffer: async () => bytes });
+
+const csvFile = (rows) => droppedFile('dictionary.csv', new TextEncoder().encode(rows.map(row => row.join(',')).join('\n')).buffer, 'text/csv');
+
+beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+    global.TextEncoder = TextEncoder;
+    global.XLSX = XLSX;
+});
+
+beforeEach(() => {
+    appState.setState({ config: CONFIG });
+});
+
+describe('readWorkbook', () => {
+    test('reports the rows read, not counting blank ones', async () => {
+        const onProgress = jest.fn();
+
+        const { data } = await readWorkbook(csvFile([HEADERS, ...ROWS]), onProgress);
+
+        expect(data).toHaveLength(3);
+        expect(onProgress).toHaveBeenLastCalledWith({ rowsRead: 2 });
+    });
+
+    test('counts the rows of every type sheet', async () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['key'], ['module']]), 'PRIMARY');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['key'], ['age'], ['height']]), 'QUESTION');
+        const file = droppedFile('dictionary.xlsx', XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+        const onProgress = jest.fn();
+
+        const { sheets } = await readWorkbook(file, onProgress);
+
+        expect(sheets.map(sheet => sheet.rows.length)).toEqual([1, 2]);
+        expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([{ rowsRead: 1 }, { rowsRead: 3 }]);
+    });
+});
+
+describe('progress within a stage', () => {
+    // One module and 1,200 questions: more than two progress intervals of rows and concepts
+    const QUESTIONS = 1200;
+    const manyRows = () => Array.from({ length: QUESTIONS }, (_, i) => ['module', 100000001, `question ${i}`, 200000000 + i]);
+
+    test('reports rows read while a CSV file is parsed', async () => {
+        const onProgress = jest.fn();
+
+        await readWorkbook(csvFile([HEADERS, ...manyRows()]), onProgress);
+
+        expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([{ rowsRead: 500 }, { rowsRead: 1000 }, { rowsRead: 1200 }]);
+    });
+
+    test('reports rows read while a workbook sheet is parsed, not counting blank ones', async () => {
+        const rows = manyRows();
+        rows.splice(100, 0, []);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([HEADERS, ...rows]), 'Dictionary');
+        const file = droppedFile('dictionary.xlsx', XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+        const onProgress = jest.fn();
+
+        const { data } = await readWorkbook(file, onProgress);
+
+        expect(data).toHaveLength(QUESTIONS + 1);
+        expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([{ rowsRead: 500 }, { rowsRead: 1000 }, { rowsRead: 1200 }]);
+    });
+
+    test('reports concepts built and errors found while building and validating', async () => {
+        const progress = [];
+        const onProgress = (counts) => progress.push(counts);
+
+        const built = await runImportTask(IMPORT_TASKS.BUILD, { headerRow: HEADERS, rows: manyRows(), index: { _files: {} } }, { onProgress });
+
+        // Every concept is already in the repository, so each is an error
+        const index = { _files: Object.fromEntries(built.concepts.map(concept => [`${concept.conceptID}.json`, { key: `stored ${concept.key}`, object_type: concept.object_type }])) };
+        await runImportTask(IMPORT_TASKS.VALIDATE, { concepts: built.concepts, index, config: CONFIG }, { onProgress });
+
+        expect(progress).toEqual([
+            { conceptsBuilt: 500 }, { conceptsBuilt: 1000 }, { conceptsBuilt: QUESTIONS + 1 },
+            { errorsFound: 500 }, { errorsFound: 1000 }, { errorsFound: QUESTIONS + 1 }
+        ]);
+    });
+});
+
+describe('runImportTask', () => {
+    test('reads, builds and validates a dictionary, reporting each stage', async () => {
+        const progress = [];
+        const onProgress = (counts) => progress.push(counts);
+
+        const { data } = await runImportTask(IMPORT_TASKS.READ, { file: csvFile([HEADERS, ...ROWS]) }, { onProgress });
+        const built = await runImportTask(IMPORT_TASKS.BUILD, { headerRow: data[0], rows: data.slice(1), index: { _files: {} } }, { onProgress });
+        const validation = await runImportTask(IMPORT_TASKS.VALIDATE, { concepts: built.concepts, index: { _files: {} }, config: CONFIG }, { onProgress });
+
+        expect(built.concepts.map(concept => concept.key).sort()).toEqual(['age', 'height', 'module']);
+        expect(validation.valid).toBe(true);
+        expect(progress).toEqual([{ rowsRead: 2 }, { conceptsBuilt: 3 }, { errorsFound: 0 }]);
+    });
+
+    test('adds the reference errors found while building to the validation errors', async () => {
+        const referenceErrors = [{ type: 'UNKNOWN_REFERENCE', message: 'Unknown reference' }];
+
+        const validation = await runImportTask(IMPORT_TASKS.VALIDATE, { concepts: [], referenceErrors, index: { _files: {} }, config: CONFIG });
+
+        expect(validation.valid).toBe(false);
+        expect(validation.summary.errorCount).toBe(1);
+    });
+
+    test('does not start a stage that was already cancelled', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(runImportTask(IMPORT_TASKS.READ, { file: csvFile([HEADERS]) }, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('rejects an unknown task', async () => {
+        await expect(runImportTask('sort', {})).rejects.toThrow('Unknown import task: sort');
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Import dry-run report tests
+ *
+ * Reports are built from a sheet run through the same parse and validation steps as a
+ * dropped file, so each status and highlighted cell traces back to a real error.
+ */
+
+import { appState } from '../../src/common.js';
+import { parseColumns, structureDictionary } from '../../src/dictionary.js';
+import { assignConcepts, validateImportData, planImportUpdates } from '../../src/concepts.js';
+import { buildImportReport, REPORT_HEADERS } from '../../src/report.js';
+
+const CONFIG = {
+    PRIMARY: [{ id: 'key', label: 'Key', required: true }],
+    SECONDARY: [
+        { id: 'key', label: 'Key', required: true },
+        { id: 'description', label: 'Description', required: true },
+        { id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY' }
+    ]
+};
+
+const HEADERS = ['PRIMARY_CID', 'PRIMARY_KEY', 'SECONDARY_KEY', 'SECONDARY_DESCRIPTION'];
+
+/**
+ * Runs rows through the import steps and builds their report
+ */
+const report = (rows, index = { _files: {} }) => {
+    const columns = parseColumns(HEADERS);
+    const conceptObjects = structureDictionary(assignConcepts(columns, rows), columns, rows);
+    const validation = validateImportData(conceptObjects, index, CONFIG);
+
+    return buildImportReport({ headers: HEADERS, rows, columns, conceptObjects, validation });
+};
+
+const status = (result, row) => result.data[row][HEADERS.length];
+const details = (result, row) => result.data[row][HEADERS.length + 1];
+
+beforeEach(() => {
+    appState.setState({ config: CONFIG });
+});
+
+describe('buildImportReport', () => {
+    test('copies the sheet and adds the status columns', () => {
+        const rows = [[100000001, 'survey', 'section', 'About you']];
+        const result = report(rows);
+
+        expect(result.data[0]).toEqual([...HEADERS, ...REPORT_HEADERS]);
+        expect(result.data[1].slice(0, HEADERS.length)).toEqual(rows[0]);
+    });
+
+    test('marks new concepts and the IDs the import would generate', () => {
+        const result = report([[100000001, 'survey', 'section', 'About you']]);
+
+        expect(status(result, 1)).toBe('New, Auto-generated CID');
+        expect(details(result, 1)).toContain('New PRIMARY "survey" with ID 100000001');
+        expect(details(result, 1)).toMatch(/New SECONDARY "section" will get the generated ID \d{9}/);
+        expect(result.highlights).toContainEqual({ row: 1, column: 2, level: 'notice' });
+        expect(result.highlights).toContainEqual({ row: 1, column: HEADERS.length, level: 'notice' });
+    });
+
+    test('flags the cell behind each error on its row', () => {
+        const index = { _files: { '100000001.json': { key: 'other', object_type: 'PRIMARY' } } };
+        const result = report([
+            [100000001, 'survey', 'section', 'About you'],
+            ['', 'survey', 'empty', '']
+        ], index);
+
+        expect(status(result, 1)).toBe('New, Auto-generated CID, Duplicate');
+        expect(result.highlights).toContainEqual({ row: 1, column: 0, level: 'error' });
+        expect(result.highlights).toContainEqual({ row: 1, column: HEADERS.length, level: 'error' });
+
+        expect(status(result, 2)).toBe('Missing field');
+        expect(details(result, 2)).toContain('Missing required field "Description"');
+        expect(result.highlights).toContainEqual({ row: 2, column: 3, level: 'error' });
+    });
+
+    test('leaves rows that define no concept of their own blank', () => {
+        const result = report([
+            [100000001, 'survey', 'section', 'About you'],
+            [100000001, 'survey', 'section', 'About you']
+        ]);
+
+        expect(status(result, 2)).toBe('');
+        expect(result.highlights.filter(cell => cell.row === 2)).toEqual([]);
+    });
+
+    test('reports updates and unchanged concepts in update mode', () => {
+        const index = { _files: {
+            '100000001.json': { key: 'survey', object_type: 'PRIMARY' },
+            '200000001.json': { key: 'section', object_type: 'SECONDARY' }
+        } };
+        const existing = new Map([
+            ['100000001', { conceptID: 100000001, object_type: 'PRIMARY', key: 'survey' }],
+            ['200000001', { conceptID: 200000001, object_type: 'SECONDARY', key: 'section', description: 'Old', primaryConceptId: '100000001' }]
+        ]);
+        const rows = [[100000001, 'survey', 'section', 'About you']];
+        const columns = parseColumns(HEADERS);
+        const structured = structureDictionary(assignConcepts(columns, rows, new Set(), new Map([['section', '200000001']])), columns, rows);
+        const importPlan = planImportUpdates(structured, existing, CONFIG);
+        const validation = validateImportData(importPlan.concepts, index, CONFIG, { updateExisting: true });
+
+        const result = buildImportReport({ headers: HEADERS, rows, columns, conceptObjects: importPlan.concepts, validation, importPlan });
+
+        expect(status(result, 1)).toBe('Update, Unchanged');
+        expect(details(result, 1)).toContain('Updates SECONDARY "section": Description');
+        expect(result.highlights).toContainEqual({ row: 1, column: HEADERS.length, level: 'ok' });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Import rollback API tests
+ *
+ * A rollback writes back the text each file held before the import, so what matters is
+ * that the text is kept as committed, that nothing is reverted once someone has changed
+ * a file since, and that a rollback cut short leaves the journal saying exactly which
+ * batches are still committed.
+ */
+
+import { jest } from '@jest/globals';
+import { createHash, webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+
+import { appState } from '../../src/common.js';
+import { readCommittedFiles, rollBackImport } from '../../src/api.js';
+import { API_CONFIG } from '../../src/config.js';
+import { BATCH_STATUS, createImportJournal, recordBatch } from '../../src/journal.js';
+
+const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: () => null },
+    json: async () => body,
+    clone() { return this; }
+});
+
+/**
+ * The SHA git gives a blob, as the tree lists it
+ */
+const blobSha = (text) => createHash('sha1').update(`blob ${Buffer.byteLength(text)}\0${text}`).digest('hex');
+
+/**
+ * An import of six files in batches of two, every batch committed
+ */
+const committedImport = () => {
+    const files = Array.from({ length: 6 }, (_, i) => ({
+        name: `${i}.json`,
+        content: `{"key":"new ${i}"}`,
+        previous: i % 2 === 0 ? `{"key":"old ${i}"}` : null
+    }));
+
+    return [0, 1, 2].reduce(
+        (journal, index) => recordBatch(journal, index, BATCH_STATUS.COMMITTED, { commitSha: `commit-${index}` }),
+        createImportJournal(files, 2)
+    );
+};
+
+/**
+ * The branch as the import left it
+ */
+const treeAfter = (journal) => journal.batches
+    .flatMap(batch => batch.files)
+    .map(file => ({ path: file.name, sha: blobSha(file.content), size: file.content.length }));
+
+describe('rollBackImport', () => {
+    const fileLimit = API_CONFIG.COMMIT_FILE_LIMIT;
+    let commits;
+
+    beforeAll(() => {
+        global.TextEncoder = TextEncoder;
+        Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+    });
+
+    beforeEach(() => {
+        appState.setState({ owner: 'owner', repoName: 'repo', repo: { default_branch: 'main' } });
+        // One batch a commit, so a rollback takes several
+        API_CONFIG.COMMIT_FILE_LIMIT = 2;
+        commits = [];
+    });
+
+    afterEach(() => {
+        API_CONFIG.COMMIT_FILE_LIMIT = fileLimit;
+        delete global.fetch;
+    });
+
+    /**
+     * A backend whose tree is the one given and whose commits answer in turn with the
+     * statuses given
+     */
+    const mockBackend = (tree, commitStatuses) => {
+        global.fetch = jest.fn(async (url, options) => {
+            if (url.includes('api=getTree')) return jsonResponse({ data: tree, sha: 'tree-1' });
+
+            commits.push(JSON.parse(options.body));
+            const status = commitStatuses[commits.length - 1] ?? 200;
+            return jsonResponse(status === 200 ? { commitSha: `revert-${commits.length}` } : { error: 'Server error' }, status);
+        });
+    };
+
+    test('reverts every batch, last first, and marks each pending', async () => {
+        const journal = committedImport();
+        mockBackend(treeAfter(journal), []);
+
+        const result = await rollBackImport(journal);
+
+        expect(global.fetch.mock.calls[0][0]).toContain('api=getTree&owner=owner&repo=repo&ref=main');
+        expect(commits.map(commit => [commit.branch, commit.files, commit.deletions])).toEqual([
+            ['main', [{ path: '4.json', content: '{"key":"old 4"}' }], ['5.json']],
+            ['main', [{ path: '2.json', content: '{"key":"old 2"}' }], ['3.json']],
+            ['main', [{ path: '0.json', content: '{"key":"old 0"}' }], ['1.json']]
+        ]);
+        expect(result.error).toBeNull();
+        expect(result.journal.batches.map(batch => batch.status)).toEqual(['pending', 'pending', 'pending']);
+    });
+
+    test('stops a rollback that fails partway, leaving the rest committed', async () => {
+        const journal = committedImport();
+        const onCommitted = jest.fn();
+        mockBackend(treeAfter(journal), [200, 500]);
+
+        const result = await rollBackImport(journal, { onCommitted });
+
+        expect(commits).toHaveLength(2);
+        expect(result.error).toMatchObject({ status: 500 });
+        expect(result.journal.batches.map(batch => batch.status)).toEqual(['committed', 'committed', 'pending']);
+        expect(onCommitted).toHaveBeenCalledTimes(1);
+        expect(onCommitted).toHaveBeenCalledWith(result.journal, [2]);
+    });
+
+    test('reverts nothing once a file has changed since the import', async () => {
+        const journal = committedImport();
+        const tree = treeAfter(journal).map(entry => entry.path === '3.json' ? { ...entry, sha: blobSha('{"key":"edited"}') } : entry);
+        mockBackend(tree.filter(entry => entry.path !== '0.json'), []);
+
+        const result = await rollBackImport(journal);
+
+        expect(commits).toHaveLength(0);
+        expect(result.conflicts.sort()).toEqual(['0.json', '3.json']);
+        expect(result.journal).toBe(journal);
+    });
+
+    test('merges batches into one commit when the file limit allows', async () => {
+        API_CONFIG.COMMIT_FILE_LIMIT = fileLimit;
+        const journal = committedImport();
+        mockBackend(treeAfter(journal), []);
+
+        await rollBackImport(journal);
+
+        expect(commits).toHaveLength(1);
+        expect(commits[0].message).toBe(API_CONFIG.COMMIT_MESSAGES.ROLL_BACK_IMPORT(6));
+    });
+});
+
+describe('readCommittedFiles', () => {
+    afterEach(() => {
+        delete global.JSZip;
+        delete global.fetch;
+    });
+
+    test('returns the text of the files that exist, as committed', async () => {
+        const text = '{\n    "key": "alpha",\n    "conceptId": 111111111\n}\n';
+        const zip = {
+            files: {
+                'owner-repo-abc1234/': {},
+                'owner-repo-abc1234/111111111.json': { async: async () => text }
+            }
+        };
+
+        appState.setState({ owner: 'owner', repoName: 'repo' });
+        global.JSZip = { loadAsync: async () => zip };
+        global.fetch = jest.fn(async () => ({ ok: true, status: 200, blob: async () => 'zip-bytes' }));
+
+        const texts = await readCommittedFiles(['111111111.json', '222222222.json']);
+
+        expect([...texts]).toEqual([['111111111.json', text]]);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Export and import round-trip tests
+ *
+ * Exporting a repository and importing the file unchanged must give back every concept
+ * file byte for byte. The workbook goes through xlsx for real, so what the tests read is
+ * what a downloaded file holds; the concepts are serialized as the upload writes them.
+ */
+
+import * as XLSX from 'xlsx';
+import { appState } from '../../src/common.js';
+import { SYNC_CONFIG } from '../../src/config.js';
+import { assignConcepts } from '../../src/concepts.js';
+import {
+    parseColumns,
+    structureDictionary,
+    structureFiles,
+    findTypeSheets,
+    stackTypeSheets,
+    structureNormalized,
+    structureTypeSheets
+} from '../../src/dictionary.js';
+import { buildSyncSheet, readSyncSheet, restoreImportHeaders } from '../../src/sync.js';
+import { generateScaleRepo } from '../fixtures/generate-scale-repo.js';
+
+const SOURCE = { repository: 'org/dictionary', treeSha: 'abc123', exportedAt: '2026-01-01T00:00:00.000Z' };
+
+const isBlankRow = (row) => !row || row.every(cell => cell === undefined || cell === null || String(cell).trim() === '');
+
+/**
+ * Writes sheets to an xlsx file and reads them back, as a download and a drop would
+ */
+const throughWorkbook = (sheets) => {
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(({ name, data }) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), name));
+
+    const read = XLSX.read(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+    return new Map(read.SheetNames.map(name => [
+        name,
+        XLSX.utils.sheet_to_json(read.Sheets[name], { header: 1 }).filter(row => !isBlankRow(row))
+    ]));
+};
+
+/**
+ * Exports concepts to the Dictionary layout and imports the file again
+ */
+const roundTripDictionary = (concepts) => {
+    const { data, columnKeys } = structureFiles(concepts);
+    const syncSheet = buildSyncSheet({ ...SOURCE, headers: data[0], columnKeys, concepts });
+    const read = throughWorkbook([{ name: 'Dictionary', data }, { name: SYNC_CONFIG.SHEET_NAME, data: syncSheet }]);
+
+    const rows = read.get('Dictionary');
+    const columns = parseColumns(restoreImportHeaders(rows[0], readSyncSheet(read.get(SYNC_CONFIG.SHEET_NAME))));
+    const dataRows = rows.slice(1);
+
+    return structureDictionary(assignConcepts(columns, dataRows), columns, dataRows);
+};
+
+/**
+ * Exports concepts to a sheet per type and imports the file again
+ */
+const roundTripNormalized = (concepts, index) => {
+    const read = throughWorkbook(structureTypeSheets(concepts));
+    const sheets = findTypeSheets([...read.keys()]).map(({ name, type }) => {
+        const rows = read.get(name);
+        return { name, type, headers: rows[0] || [], rows: rows.slice(1) };
+    });
+
+    const { columns, rows } = stackTypeSheets(sheets);
+    const { concepts: imported, errors } = structureNormalized(assignConcepts(columns, rows), sheets, index);
+
+    expect(errors).toEqual([]);
+    return imported;
+};
+
+/**
+ * Concept files by Concept ID, as the upload serializes them
+ */
+const conceptFiles = (concepts) => new Map(concepts.map(concept => {
+    const { _sourceRow, _sourceSheet, ...clean } = concept;
+    return [String(clean.conceptID), JSON.stringify(clean, null, 2)];
+}));
+
+const expectSameFiles = (imported, original) => {
+    const importedFiles = conceptFiles(imported);
+
+    expect([...importedFiles.keys()].sort()).toEqual(original.map(concept => String(concept.conceptID)).sort());
+    original.forEach(concept => {
+        expect(importedFiles.get(String(concept.conceptID))).toBe(JSON.stringify(concept, null, 2));
+    });
+};
+
+describe('generated repository', () => {
+    const { concepts, index, config } = generateScaleRepo({ total: 400, seed: 7 });
+
+    beforeEach(() => {
+        appState.setState({ config });
+    });
+
+    test('comes back unchanged through the Dictionary sheet', () => {
+        expectSameFiles(roundTripDictionary(concepts), concepts);
+    });
+
+    test('comes back unchanged through a sheet per type', () => {
+        expectSameFiles(roundTripNormalized(concepts, index), concepts);
+    });
+
+    test('comes back unchanged whatever order the concepts are exported in', () => {
+        const shuffled = [...concepts].reverse();
+
+        expectSameFiles(roundTripDictionary(shuffled), concepts);
+    });
+});
+
+describe('concepts the hierarchy does not place', () => {
+    const CONFIG = {
+        PRIMARY: [{ id: 'key', label: 'Key' }],
+        SECONDARY: [
+            { id: 'key', label: 'Key' },
+            { id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY' }
+        ],
+        SOURCE: [{ id: 'key', label: 'Key' }],
+        QUESTION: [
+            { id: 'key', label: 'Key' },
+            { id: 'text', label: 'Text' },
+            { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY', allowMultiple: true },
+            { id: 'sourceConceptId', label: 'Source', type: 'reference', referencesType: 'SOURCE' },
+            { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE' }
+        ],
+        RESPONSE: [
+            { id: 'key', label: 'Key' },
+            { id: 'value', label: 'Value' }
+        ]
+    };
+
+    const CONCEPTS = [
+        { key: 'module', conceptID: 100000001, object_type: 'PRIMARY' },
+        { key: 'section', conceptID: 100000002, object_type: 'SECONDARY', primaryConceptId: 100000001 },
+        { key: 'loose_section', conceptID: 100000003, object_type: 'SECONDARY' },
+        { key: 'age', conceptID: 100000004, object_type: 'QUESTION', text: 'How old are you?', secondaryConceptId: [100000002, 100000003], responses: [100000006, 100000007] },
+        { key: 'unfiled', conceptID: 100000005, object_type: 'QUESTION', text: 'Not in a section' },
+        { key: 'yes', conceptID: 100000006, object_type: 'RESPONSE', value: 1 },
+        { key: 'no', conceptID: 100000007, object_type: 'RESPONSE', value: 0 },
+        { key: 'unused', conceptID: 100000008, object_type: 'RESPONSE' },
+        { key: 'survey', conceptID: 100000009, object_type: 'SOURCE' }
+    ];
+
+    beforeEach(() => {
+        appState.setState({ config: CONFIG });
+    });
+
+    test('keep their own references, or none, through the Dictionary sheet', () => {
+        expectSameFiles(roundTripDictionary(CONCEPTS), CONCEPTS);
+    });
+
+    test('keep their own references, or none, through a sheet per type', () => {
+        expectSameFiles(roundTripNormalized(CONCEPTS, { _files: {} }), CONCEPTS);
+    });
+
+    test('keep a response value only when the config has the field', () => {
+        appState.setState({ config: { ...CONFIG, RESPONSE: [{ id: 'key', label: 'Key' }] } });
+
+        const imported = roundTripDictionary(CONCEPTS);
+
+        expect(imported.find(concept => concept.key === 'yes')).not.toHaveProperty('value');
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Deep link route tests
+ *
+ * A link pasted into chat has to come back as the same repository and concept,
+ * and anything that is not a route must be ignored rather than half-applied.
+ */
+
+import {
+    parseRoute,
+    buildRoute,
+    setRoute,
+    getCurrentRoute,
+    rememberRoute,
+    takeRememberedRoute,
+    routeMatchesRepo
+} from '../../src/router.js';
+import { CONFIG } from '../../src/config.js';
+
+describe('parseRoute', () => {
+    test('parses a repository route', () => {
+        expect(parseRoute('#/NCI-C4CP/dictionary')).toEqual({
+            owner: 'NCI-C4CP',
+            repoName: 'dictionary',
+            conceptId: null
+        });
+    });
+
+    test('parses a concept route', () => {
+        expect(parseRoute('#/NCI-C4CP/dictionary/concept/123456789')).toEqual({
+            owner: 'NCI-C4CP',
+            repoName: 'dictionary',
+            conceptId: '123456789'
+        });
+    });
+
+    test('decodes escaped segments', () => {
+        expect(parseRoute('#/some%20owner/repo.name')).toEqual({
+            owner: 'some owner',
+            repoName: 'repo.name',
+            conceptId: null
+        });
+    });
+
+    test('tolerates a trailing slash', () => {
+        expect(parseRoute('#/owner/repo/')).toEqual({ owner: 'owner', repoName: 'repo', conceptId: null });
+    });
+
+    test('rejects a concept ID that is not nine digits', () => {
+        expect(parseRoute('#/owner/repo/concept/12345')).toBeNull();
+        expect(parseRoute('#/owner/repo/concept/abcdefghi')).toBeNull();
+    });
+
+    test('rejects unknown sections and partial routes', () => {
+        expect(parseRoute('#/owner')).toBeNull();
+        expect(parseRoute('#/owner/repo/file/123456789')).toBeNull();
+        expect(parseRoute('#/owner/repo/concept')).toBeNull();
+    });
+
+    test('returns null for empty or malformed input', () => {
+        expect(parseRoute('')).toBeNull();
+        expect(parseRoute('#')).toBeNull();
+        expect(parseRoute(null)).toBeNull();
+        expect(parseRoute('#/owner/%E0%A4%A')).toBeNull();
+    });
+});
+
+describe('buildRoute', () => {
+    test('builds repository and concept hashes', () => {
+        expect(buildRoute({ owner: 'owner', repoName: 'repo' })).toBe('#/owner/repo');
+        expect(buildRoute({ owner: 'owner', repoName: 'repo', conceptId: '123456789' })).toBe('#/owner/repo/concept/123456789');
+    });
+
+    test('returns an empty hash for the homepage', () => {
+        expect(buildRoute(null)).toBe('');
+        expect(buildRoute({ owner: 'owner' })).toBe('');
+    });
+
+    test('round-trips through parseRoute', () => {
+        const route = { owner: 'some owner', repoName: 'repo', conceptId: '987654321' };
+        expect(parseRoute(buildRoute(route))).toEqual(route);
+    });
+});
+
+describe('setRoute', () => {
+    beforeEach(() => {
+        window.history.replaceState({}, '', '/');
+    });
+
+    test('adds a history entry for a new route', () => {
+        const before = window.history.length;
+
+        setRoute({ owner: 'owner', repoName: 'repo' });
+
+        expect(window.location.hash).toBe('#/owner/repo');
+        expect(window.history.length).toBe(before + 1);
+        expect(getCurrentRoute()).toEqual({ owner: 'owner', repoName: 'repo', conceptId: null });
+    });
+
+    test('does not add an entry when the route is already shown', () => {
+        setRoute({ owner: 'owner', repoName: 'repo' });
+        const before = window.history.length;
+
+        setRoute({ owner: 'owner', repoName: 'repo' });
+
+        expect(window.history.length).toBe(before);
+    });
+
+    test('replaces the current entry when asked', () => {
+        const before = window.history.length;
+
+        setRoute({ owner: 'owner', repoName: 'repo', conceptId: '123456789' }, { replace: true });
+
+        expect(window.location.hash).toBe('#/owner/repo/concept/123456789');
+        expect(window.history.length).toBe(before);
+    });
+
+    test('clears the hash for the homepage', () => {
+        setRoute({ owner: 'owner', repoName: 'repo' });
+        setRoute(null);
+
+        expect(window.location.hash).toBe('');
+        expect(window.location.href.endsWith('#')).toBe(false);
+    });
+});
+
+describe('remembered routes', () => {
+    beforeEach(() => {
+        window.sessionStorage.clear();
+        window.history.replaceState({}, '', '/');
+    });
+
+    test('carries a route across login and hands it out once', () => {
+        window.history.replaceState({}, '', '#/owner/repo/concept/123456789');
+        rememberRoute();
+
+        expect(takeRememberedRoute()).toEqual({ owner: 'owner', repoName: 'repo', conceptId: '123456789' });
+        expect(takeRememberedRoute()).toBeNull();
+        expect(window.sessionStorage.getItem(CONFIG.PENDING_ROUTE_KEY)).toBeNull();
+    });
+
+    test('does not remember a hash that is not a route', () => {
+        window.history.replaceState({}, '', '#nonsense');
+        rememberRoute();
+
+        expect(takeRememberedRoute()).toBeNull();
+    });
+});
+
+describe('routeMatchesRepo', () => {
+    const repo = { name: 'Dictionary', owner: { login: 'NCI-C4CP' } };
+
+    test('matches owner and name case-insensitively', () => {
+        expect(routeMatchesRepo({ owner: 'nci-c4cp', repoName: 'dictionary' }, repo)).toBe(true);
+    });
+
+    test('does not match a different repository or a missing one', () => {
+        expect(routeMatchesRepo({ owner: 'NCI-C4CP', repoName: 'other' }, repo)).toBe(false);
+        expect(routeMatchesRepo({ owner: 'NCI-C4CP', repoName: 'Dictionary' }, null)).toBe(false);
+        expect(routeMatchesRepo(null, repo)).toBe(false);
+    });
+});
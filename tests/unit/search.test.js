@@ -0,0 +1,129 @@
+/**
+ * Full-text search tests
+ *
+ * Covers what goes into the index, how terms match, and that highlighting never
+ * lets concept text through as markup.
+ */
+
+import 'fake-indexeddb/auto';
+
+import { buildSearchIndex, searchConcepts, highlightMatches } from '../../src/search.js';
+import { writeCachedConcepts, writeCachedSearchIndex, readCachedSearchIndex, clearCachedConcepts } from '../../src/cache.js';
+
+const CONFIG = {
+    QUESTION: [
+        { id: 'conceptId', label: 'Concept ID', type: 'concept' },
+        { id: 'key', label: 'Key', type: 'text' },
+        { id: 'text', label: 'Question Text', type: 'text' },
+        { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' }
+    ]
+};
+
+const CONCEPTS = [
+    {
+        conceptID: 111111111,
+        key: 'smoking_status',
+        object_type: 'QUESTION',
+        text: 'Have you ever smoked cigarettes?',
+        description: 'Lifetime tobacco use',
+        secondaryConceptId: '222222222'
+    },
+    { conceptID: 333333333, key: 'alcohol', object_type: 'QUESTION', text: 'How often do you drink alcohol?' }
+];
+
+describe('buildSearchIndex', () => {
+    test('indexes text fields with their configured labels', () => {
+        const [entry] = buildSearchIndex(CONCEPTS, CONFIG);
+
+        expect(entry.file).toBe('111111111.json');
+        expect(entry.fields).toEqual([
+            { id: 'key', label: 'Key', value: 'smoking_status' },
+            { id: 'text', label: 'Question Text', value: 'Have you ever smoked cigarettes?' },
+            { id: 'description', label: 'description', value: 'Lifetime tobacco use' }
+        ]);
+    });
+
+    test('leaves out identifiers, the type tag and reference fields', () => {
+        const [entry] = buildSearchIndex(CONCEPTS, CONFIG);
+        const ids = entry.fields.map(field => field.id);
+
+        expect(ids).not.toContain('conceptID');
+        expect(ids).not.toContain('object_type');
+        expect(ids).not.toContain('secondaryConceptId');
+    });
+
+    test('skips concepts without an ID', () => {
+        expect(buildSearchIndex([{ key: 'orphan', text: 'no id' }], CONFIG)).toEqual([]);
+    });
+});
+
+describe('searchConcepts', () => {
+    const searchIndex = buildSearchIndex(CONCEPTS, CONFIG);
+
+    test('finds concepts by text in any indexed field, case-insensitively', () => {
+        const matches = searchConcepts(searchIndex, 'TOBACCO');
+
+        expect([...matches.keys()]).toEqual(['111111111.json']);
+        expect(matches.get('111111111.json').map(field => field.id)).toEqual(['description']);
+    });
+
+    test('reports every matching field', () => {
+        const matches = searchConcepts(searchIndex, 'smok');
+
+        expect(matches.get('111111111.json').map(field => field.id)).toEqual(['key', 'text']);
+    });
+
+    test('returns no matches for an empty term or a missing index', () => {
+        expect(searchConcepts(searchIndex, '  ').size).toBe(0);
+        expect(searchConcepts(null, 'alcohol').size).toBe(0);
+    });
+});
+
+describe('highlightMatches', () => {
+    test('marks every occurrence, keeping the original case', () => {
+        expect(highlightMatches('Smoke or smoke', 'smoke')).toBe('<mark>Smoke</mark> or <mark>smoke</mark>');
+    });
+
+    test('escapes markup in the text and the match', () => {
+        expect(highlightMatches('<b>bold</b>', 'b>')).toBe('&lt;<mark>b&gt;</mark>bold&lt;/<mark>b&gt;</mark>');
+    });
+
+    test('trims long text to the neighbourhood of the first match', () => {
+        const text = `${'a'.repeat(100)}needle${'z'.repeat(100)}`;
+
+        expect(highlightMatches(text, 'needle', 5)).toBe('…aaaaa<mark>needle</mark>zzzzz…');
+    });
+
+    test('only escapes when there is no term', () => {
+        expect(highlightMatches('a < b', '')).toBe('a &lt; b');
+    });
+});
+
+describe('search index cache', () => {
+    beforeEach(async () => {
+        await clearCachedConcepts('owner', 'repo');
+    });
+
+    test('stores the index with the concepts it was built from', async () => {
+        await writeCachedConcepts('owner', 'repo', 'tree-1', CONCEPTS);
+        await writeCachedSearchIndex('owner', 'repo', 'tree-1', [{ file: 'x.json', text: 'x', fields: [] }]);
+
+        expect(await readCachedSearchIndex('owner', 'repo', 'tree-1')).toHaveLength(1);
+        expect(await readCachedSearchIndex('owner', 'repo', 'tree-2')).toBeNull();
+    });
+
+    test('does not store an index without matching concepts', async () => {
+        await writeCachedConcepts('owner', 'repo', 'tree-1', CONCEPTS);
+        await writeCachedSearchIndex('owner', 'repo', 'tree-2', [{ file: 'x.json', text: 'x', fields: [] }]);
+
+        expect(await readCachedSearchIndex('owner', 'repo', 'tree-2')).toBeNull();
+    });
+
+    test('drops the index when newer concepts replace the record', async () => {
+        await writeCachedConcepts('owner', 'repo', 'tree-1', CONCEPTS);
+        await writeCachedSearchIndex('owner', 'repo', 'tree-1', [{ file: 'x.json', text: 'x', fields: [] }]);
+        await writeCachedConcepts('owner', 'repo', 'tree-2', CONCEPTS);
+
+        expect(await readCachedSearchIndex('owner', 'repo', 'tree-2')).toBeNull();
+    });
+});
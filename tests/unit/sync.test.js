@@ -0,0 +1,227 @@
+/**
+ * Export sync tests
+ *
+ * A re-imported export is compared field by field with the snapshot it was taken
+ * from and the repository now, so these check each side's edits land, that only
+ * true conflicts are raised, and that an untouched export changes nothing.
+ */
+
+import { appState } from '../../src/common.js';
+import { parseColumns, structureDictionary, structureFiles } from '../../src/dictionary.js';
+import { assignConcepts } from '../../src/concepts.js';
+import { buildSyncSheet, readSyncSheet, restoreImportHeaders, getSheetFields, planThreeWaySync } from '../../src/sync.js';
+
+const CONFIG = {
+    PRIMARY: [
+        { id: 'conceptId', label: 'Concept ID' },
+        { id: 'key', label: 'Primary Key', required: true }
+    ],
+    SECONDARY: [
+        { id: 'conceptId', label: 'Concept ID' },
+        { id: 'key', label: 'Secondary Key', required: true },
+        { id: 'primaryConceptId', label: 'Primary', type: 'reference', referencesType: 'PRIMARY' }
+    ],
+    SOURCE: [
+        { id: 'conceptId', label: 'Concept ID' },
+        { id: 'key', label: 'Source Key' }
+    ],
+    QUESTION: [
+        { id: 'conceptId', label: 'Concept ID' },
+        { id: 'key', label: 'Question Key', required: true },
+        { id: 'questionText', label: 'Question Text' },
+        { id: 'secondaryConceptId', label: 'Secondary', type: 'reference', referencesType: 'SECONDARY' },
+        { id: 'responses', label: 'Responses', type: 'reference', referencesType: 'RESPONSE' }
+    ],
+    RESPONSE: [
+        { id: 'conceptId', label: 'Concept ID' },
+        { id: 'key', label: 'Response Key', required: true }
+    ]
+};
+
+const CONCEPTS = [
+    { conceptID: 100000001, object_type: 'PRIMARY', key: 'Survey' },
+    { conceptID: 200000001, object_type: 'SECONDARY', key: 'Section', primaryConceptId: 100000001 },
+    { conceptID: 300000001, object_type: 'QUESTION', key: 'Age', questionText: 'How old are you?', secondaryConceptId: 200000001, responses: [500000001, 500000002] },
+    { conceptID: 500000001, object_type: 'RESPONSE', key: 'Young' },
+    { conceptID: 500000002, object_type: 'RESPONSE', key: 'Old' }
+];
+
+const byId = (concepts) => new Map(concepts.map(concept => [String(concept.conceptID), concept]));
+
+const replace = (concepts, conceptId, changes) => concepts.map(concept =>
+    concept.conceptID === conceptId ? { ...concept, ...changes } : concept
+);
+
+/**
+ * Exports concepts, applies an edit to the grid, and reads it back as the importer does
+ */
+const roundTrip = (exported, edit = () => {}) => {
+    const { data, columnKeys } = structureFiles(exported);
+    const sync = readSyncSheet(buildSyncSheet({
+        repository: 'org/repo',
+        treeSha: 'abc123',
+        exportedAt: '2026-01-01T00:00:00.000Z',
+        headers: data[0],
+        columnKeys,
+        concepts: exported
+    }));
+
+    const grid = data.map(row => [...row]);
+    edit(grid, columnKeys);
+
+    const columns = parseColumns(restoreImportHeaders(grid[0], sync));
+    const rows = grid.slice(1);
+    const sheetConcepts = structureDictionary(assignConcepts(columns, rows), columns, rows);
+
+    return { sync, sheetConcepts, sheetFields: getSheetFields(columns, CONFIG) };
+};
+
+const cell = (grid, columnKeys, rowKey, column) => {
+    const row = grid.findIndex(candidate => candidate.includes(rowKey));
+    return [row, columnKeys.indexOf(column)];
+};
+
+beforeEach(() => {
+    appState.setState({ config: CONFIG });
+});
+
+describe('sync sheet', () => {
+    test('reads back what the export recorded', () => {
+        const sync = readSyncSheet(buildSyncSheet({
+            repository: 'org/repo',
+            treeSha: 'abc123',
+            exportedAt: '2026-01-01T00:00:00.000Z',
+            headers: ['Primary Key'],
+            columnKeys: ['PRIMARY_KEY'],
+            concepts: CONCEPTS
+        }));
+
+        expect(sync).toMatchObject({ repository: 'org/repo', treeSha: 'abc123', columnKeys: ['PRIMARY_KEY'] });
+        expect(sync.base.get('300000001')).toEqual(CONCEPTS[2]);
+    });
+
+    test('ignores sheets it does not recognise', () => {
+        expect(readSyncSheet([['format', 99], ['treeSha', 'abc']])).toBeNull();
+        expect(readSyncSheet([])).toBeNull();
+    });
+
+    test('maps exported labels back to import headers, following moved columns', () => {
+        const sync = { headers: ['Concept ID', 'Primary Key', 'Concept ID'], columnKeys: ['PRIMARY_CID', 'PRIMARY_KEY', 'SECONDARY_CID'] };
+
+        expect(restoreImportHeaders(['Primary Key', 'Concept ID', 'Concept ID', 'QUESTION_KEY'], sync))
+            .toEqual(['PRIMARY_KEY', 'Concept ID', 'SECONDARY_CID', 'QUESTION_KEY']);
+    });
+});
+
+describe('getSheetFields', () => {
+    test('covers columns and the references row position can express', () => {
+        const fields = getSheetFields(parseColumns(['SECONDARY_KEY', 'QUESTION_KEY', 'QUESTION_QUESTIONTEXT']), CONFIG);
+
+        expect([...fields.get('QUESTION')]).toEqual(['key', 'questionText', 'secondaryConceptId']);
+        expect([...fields.get('SECONDARY')]).toEqual(['key']);
+    });
+});
+
+describe('planThreeWaySync', () => {
+    const plan = (sheet, current, resolutions) => planThreeWaySync({
+        sheetConcepts: sheet.sheetConcepts,
+        base: sheet.sync.base,
+        current: byId(current),
+        sheetFields: sheet.sheetFields,
+        config: CONFIG
+    }, resolutions);
+
+    test('changes nothing for an untouched export', () => {
+        const result = plan(roundTrip(CONCEPTS), CONCEPTS);
+
+        expect(result.updates).toEqual([]);
+        expect(result.creates).toEqual([]);
+        expect(result.conflicts).toEqual([]);
+        expect(result.unchanged).toHaveLength(5);
+    });
+
+    test('applies spreadsheet edits to fields the repository left alone', () => {
+        const sheet = roundTrip(CONCEPTS, (grid, keys) => {
+            const [row, column] = cell(grid, keys, 'Age', 'QUESTION_QUESTIONTEXT');
+            grid[row][column] = 'What is your age?';
+        });
+
+        const result = plan(sheet, replace(CONCEPTS, 200000001, { key: 'Renamed section' }));
+
+        expect(result.conflicts).toEqual([]);
+        expect(result.updates).toHaveLength(1);
+        expect(result.updates[0].concept).toMatchObject({ key: 'Age', questionText: 'What is your age?' });
+        expect(result.updates[0].changes.map(change => change.field)).toEqual(['questionText']);
+    });
+
+    test('keeps repository changes the spreadsheet did not touch', () => {
+        const current = replace(CONCEPTS, 300000001, { questionText: 'Your age?' });
+
+        const result = plan(roundTrip(CONCEPTS), current);
+
+        expect(result.updates).toEqual([]);
+        expect(result.conflicts).toEqual([]);
+    });
+
+    test('raises a conflict when both sides changed a field differently', () => {
+        const sheet = roundTrip(CONCEPTS, (grid, keys) => {
+            const [row, column] = cell(grid, keys, 'Age', 'QUESTION_QUESTIONTEXT');
+            grid[row][column] = 'What is your age?';
+        });
+        const current = replace(CONCEPTS, 300000001, { questionText: 'Your age?' });
+
+        const kept = plan(sheet, current);
+        const overridden = plan(sheet, current, { '300000001:questionText': 'sheet' });
+
+        expect(kept.conflicts).toEqual([expect.objectContaining({
+            id: '300000001:questionText',
+            base: 'How old are you?',
+            sheet: 'What is your age?',
+            current: 'Your age?',
+            resolution: 'repo'
+        })]);
+        expect(kept.updates).toEqual([]);
+        expect(overridden.updates[0].concept.questionText).toBe('What is your age?');
+    });
+
+    test('does not count the same change on both sides as a conflict', () => {
+        const sheet = roundTrip(CONCEPTS, (grid, keys) => {
+            const [row, column] = cell(grid, keys, 'Age', 'QUESTION_QUESTIONTEXT');
+            grid[row][column] = 'Your age?';
+        });
+
+        const result = plan(sheet, replace(CONCEPTS, 300000001, { questionText: 'Your age?' }));
+
+        expect(result.conflicts).toEqual([]);
+        expect(result.updates).toEqual([]);
+    });
+
+    test('leaves concepts deleted from the repository deleted unless the sheet edited them', () => {
+        const untouched = plan(roundTrip(CONCEPTS), CONCEPTS.filter(concept => concept.conceptID !== 500000002));
+
+        expect(untouched.deletedInRepo).toEqual([{ conceptId: '500000002', key: 'Old', edited: false }]);
+        expect(untouched.creates).toEqual([]);
+
+        const edited = roundTrip(CONCEPTS, (grid, keys) => {
+            const [row, column] = cell(grid, keys, 'Old', 'RESPONSE_KEY');
+            grid[row][column] = 'Older';
+        });
+        const result = plan(edited, CONCEPTS.filter(concept => concept.conceptID !== 500000002), { '500000002:': 'sheet' });
+
+        expect(result.conflicts[0]).toMatchObject({ field: null, resolution: 'sheet' });
+        expect(result.creates.map(concept => concept.key)).toEqual(['Older']);
+    });
+
+    test('creates rows added to the spreadsheet', () => {
+        const sheet = roundTrip(CONCEPTS, (grid, keys) => {
+            const row = new Array(grid[0].length).fill('');
+            row[keys.indexOf('PRIMARY_KEY')] = 'Another survey';
+            row[keys.indexOf('PRIMARY_CID')] = 100000009;
+            grid.push(row);
+        });
+
+        const result = plan(sheet, CONCEPTS);
+
+        expect(result.creates.map(concept => concept.key)).toEqual(['Another survey']);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Hierarchy tree view tests
+ *
+ * The tree is what makes a large repository browsable, so these check that it renders
+ * lazily: nothing below the top level exists until a node is expanded.
+ */
+
+import { jest } from '@jest/globals';
+
+import { buildHierarchy } from '../../src/hierarchy.js';
+import { renderHierarchyTree, sortByKey, groupOrphans } from '../../src/tree.js';
+import { PAGINATION_CONFIG } from '../../src/config.js';
+
+const CONFIG = {
+    SECONDARY: [{ id: 'primaryConceptId', type: 'reference', referencesType: 'PRIMARY' }],
+    QUESTION: [
+        { id: 'secondaryConceptId', type: 'reference', referencesType: 'SECONDARY' },
+        { id: 'responses', type: 'reference', referencesType: 'RESPONSE', allowMultiple: true }
+    ]
+};
+
+const CONCEPTS = [
+    { conceptID: 100000002, object_type: 'PRIMARY', key: 'zeta' },
+    { conceptID: 100000001, object_type: 'PRIMARY', key: 'alpha' },
+    { conceptID: 200000001, object_type: 'SECONDARY', key: 'section', primaryConceptId: 100000001 },
+    { conceptID: 300000001, object_type: 'QUESTION', key: 'q1', secondaryConceptId: 200000001, responses: [500000001] },
+    { conceptID: 300000002, object_type: 'QUESTION', key: 'q2', secondaryConceptId: 200000001, responses: [500000001] },
+    { conceptID: 500000001, object_type: 'RESPONSE', key: 'yes' },
+    { conceptID: 300000009, object_type: 'QUESTION', key: 'stray' }
+];
+
+const expand = (container, id) => {
+    container.querySelector(`[data-id="${id}"] .tree-toggle, [data-group="${id}"] .tree-toggle`).click();
+};
+
+describe('renderHierarchyTree', () => {
+    let container;
+    let onViewConcept;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        onViewConcept = jest.fn();
+        renderHierarchyTree(container, buildHierarchy(CONCEPTS, CONFIG), onViewConcept);
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    test('renders only the top level, sorted by key', () => {
+        const rendered = [...container.querySelectorAll('[data-id]')].map(node => node.dataset.id);
+
+        expect(rendered).toEqual(['100000001', '100000002']);
+    });
+
+    test('renders children the first time a node is expanded', () => {
+        expand(container, '100000001');
+        expand(container, '200000001');
+
+        const section = container.querySelector('[data-id="200000001"]');
+        expect(section.getAttribute('aria-expanded')).toBe('true');
+        expect([...section.querySelectorAll(':scope > .tree-children > [data-id]')].map(node => node.dataset.id))
+            .toEqual(['300000001', '300000002']);
+    });
+
+    test('collapses without discarding the rendered children', () => {
+        expand(container, '100000001');
+        expand(container, '100000001');
+
+        const primary = container.querySelector('[data-id="100000001"]');
+        expect(primary.getAttribute('aria-expanded')).toBe('false');
+        expect(primary.querySelector('.tree-children').hidden).toBe(true);
+    });
+
+    test('shows a shared response as a link under each question', () => {
+        expand(container, '100000001');
+        expand(container, '200000001');
+        expand(container, '300000001');
+        expand(container, '300000002');
+
+        const links = container.querySelectorAll('.tree-leaf[data-id="500000001"]');
+        expect(links).toHaveLength(2);
+        expect(links[0].querySelector('.tree-toggle')).toBeNull();
+        expect(links[0].textContent).toContain('shared by 2');
+
+        links[0].querySelector('.viewFileBtn').click();
+        expect(onViewConcept).toHaveBeenCalledTimes(1);
+    });
+
+    test('groups orphans by type', () => {
+        expand(container, 'QUESTION');
+
+        const group = container.querySelector('[data-group="QUESTION"]');
+        expect([...group.querySelectorAll('[data-id]')].map(node => node.dataset.id)).toEqual(['300000009']);
+    });
+
+    test('renders long child lists in chunks', () => {
+        const size = PAGINATION_CONFIG.TREE_CHUNK_SIZE;
+        const secondaries = Array.from({ length: size + 5 }, (_, i) => ({
+            conceptID: 200000100 + i,
+            object_type: 'SECONDARY',
+            key: `s${String(i).padStart(4, '0')}`,
+            primaryConceptId: 100000001
+        }));
+
+        renderHierarchyTree(container, buildHierarchy([CONCEPTS[1], ...secondaries], CONFIG), onViewConcept);
+        expand(container, '100000001');
+
+        const list = container.querySelector('[data-id="100000001"] .tree-children');
+        expect(list.querySelectorAll(':scope > [data-id]')).toHaveLength(size);
+        expect(list.querySelector('.tree-more').textContent).toContain('Show 5 more');
+
+        list.querySelector('.tree-more button').click();
+        expect(list.querySelectorAll(':scope > [data-id]')).toHaveLength(size + 5);
+        expect(list.querySelector('.tree-more')).toBeNull();
+    });
+});
+
+describe('tree helpers', () => {
+    const { byId, orphans } = buildHierarchy(CONCEPTS, CONFIG);
+
+    test('sortByKey orders IDs by concept key', () => {
+        expect(sortByKey(['100000002', '100000001'], byId)).toEqual(['100000001', '100000002']);
+    });
+
+    test('groupOrphans leaves out empty groups', () => {
+        expect(groupOrphans(orphans, byId)).toEqual([{ type: 'QUESTION', ids: ['300000009'] }]);
+    });
+});